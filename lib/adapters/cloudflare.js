@@ -0,0 +1,26 @@
+/**
+ * Cloudflare Workers Adapter
+ *
+ * Workers already speak Fetch API Request/Response, so the adapter only
+ * passes the client IP and the environment bindings to the core
+ * (lib/handler.js):
+ *
+ *   export default createWorker(createEnvHandler());
+ *
+ * The core uses node:crypto, node:events and Buffer, so the Worker needs the
+ * nodejs_compat compatibility flag (see SERVERLESS_FUNCTION.md). Secrets and
+ * variables are read from env instead of process.env.
+ */
+
+/**
+ * Wraps the core in a Worker module
+ * @param {Function} handle - Core handler: (request, platform) => Promise<Response>
+ * @returns {{fetch: Function}} Worker with fetch(request, env, ctx)
+ */
+export function createWorker(handle) {
+  return {
+    async fetch(request, env) {
+      return handle(request, { env, clientAddress: request.headers.get('cf-connecting-ip') });
+    }
+  };
+}
@@ -0,0 +1,67 @@
+/**
+ * Netlify Functions Adapter
+ *
+ * Runs the proxy core (lib/handler.js) behind the (event, context) signature
+ * of Netlify functions:
+ *
+ *   export const handler = createNetlifyHandler(handle);
+ *
+ * Netlify returns the whole body at once, so streamed responses are buffered
+ * before they are returned. Route /api/airtable/* to the function with a
+ * redirect (see SERVERLESS_FUNCTION.md) so the table slug stays in the path.
+ */
+
+// Methods whose Request must not carry a body
+const BODYLESS_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Converts a Netlify event into a Fetch API Request
+ * @param {Object} event - Netlify function event
+ * @returns {Request} Request with an absolute URL
+ */
+export function toRequest(event) {
+  const headers = new Headers();
+
+  for (const [name, value] of Object.entries(event.headers || {})) {
+    if (value != null) headers.set(name, String(value));
+  }
+
+  let url = event.rawUrl;
+
+  if (!url) {
+    const query = event.rawQuery ?? new URLSearchParams(event.queryStringParameters || {}).toString();
+    url = `https://${headers.get('host') || 'localhost'}${event.path || '/'}${query ? `?${query}` : ''}`;
+  }
+
+  const method = event.httpMethod || 'GET';
+  const hasBody = !BODYLESS_METHODS.includes(method) && event.body != null;
+  const body = hasBody ? Buffer.from(event.body, event.isBase64Encoded ? 'base64' : 'utf8') : undefined;
+
+  return new Request(url, { method, headers, body });
+}
+
+/**
+ * Converts a Fetch API Response into a Netlify function result
+ * @param {Response} response - Response from the core
+ * @returns {Promise<Object>} { statusCode, headers, body, isBase64Encoded }
+ */
+export async function toResult(response) {
+  return {
+    statusCode: response.status,
+    headers: Object.fromEntries(response.headers),
+    body: await response.text(),
+    isBase64Encoded: false
+  };
+}
+
+/**
+ * Wraps the core in a Netlify function handler
+ * @param {Function} handle - Core handler: (request, platform) => Promise<Response>
+ * @returns {Function} async (event, context) handler
+ */
+export function createNetlifyHandler(handle) {
+  return async function handler(event) {
+    const clientAddress = event.headers?.['x-nf-client-connection-ip'] ?? null;
+    return toResult(await handle(toRequest(event), { clientAddress }));
+  };
+}
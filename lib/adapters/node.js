@@ -0,0 +1,132 @@
+/**
+ * Node http / Vercel Adapter
+ *
+ * Runs the proxy core (lib/handler.js) behind the (req, res) signature of
+ * node:http servers and Vercel functions:
+ *
+ *   http.createServer(createNodeHandler(handle)).listen(3000);
+ *
+ * The incoming message becomes a Fetch API Request (an unread body stream is
+ * passed through as is; a body Vercel already parsed is serialized again) and
+ * the Response is written back with backpressure. When the client disconnects
+ * the request's signal aborts, so pending Airtable reads stop, and the response
+ * body is cancelled so a stream stops fetching pages.
+ */
+
+import { Readable } from 'node:stream';
+
+// Methods whose Request must not carry a body
+const BODYLESS_METHODS = ['GET', 'HEAD'];
+
+/**
+ * Returns the body to hand to the Request constructor
+ * @param {Object} req - Incoming message (or Vercel request)
+ * @returns {Object} Request init fields for the body
+ */
+function toRequestBody(req) {
+  if (BODYLESS_METHODS.includes(req.method)) {
+    return {};
+  }
+
+  // Prefer the raw stream so webhook signatures are checked over the exact bytes
+  if (typeof req.on === 'function' && !req.readableEnded && !req.readableDidRead) {
+    return { body: Readable.toWeb(req), duplex: 'half' };
+  }
+
+  const { body } = req;
+
+  if (body == null) return {};
+  if (typeof body === 'string' || Buffer.isBuffer(body)) return { body };
+
+  return { body: JSON.stringify(body) }; // Already parsed by the platform
+}
+
+/**
+ * Converts an incoming message into a Fetch API Request
+ * @param {Object} req - Incoming message (or Vercel request)
+ * @param {AbortSignal} signal - Aborts when the client disconnects (optional)
+ * @returns {Request} Request with an absolute URL
+ */
+export function toRequest(req, signal = undefined) {
+  const headers = new Headers();
+
+  for (const [name, value] of Object.entries(req.headers || {})) {
+    if (value != null) {
+      headers.set(name, Array.isArray(value) ? value.join(', ') : String(value));
+    }
+  }
+
+  const protocol = (headers.get('x-forwarded-proto') || 'http').split(',')[0].trim();
+  const url = new URL(req.url || '/', `${protocol}://${headers.get('host') || 'localhost'}`);
+
+  return new Request(url, { method: req.method, headers, signal, ...toRequestBody(req) });
+}
+
+/**
+ * Writes a Fetch API Response to a server response
+ * @param {Response} response - Response from the core
+ * @param {Object} res - Server response
+ * @returns {Promise<void>} Resolves once the body was written (or the client left)
+ */
+export async function writeResponse(response, res) {
+  res.statusCode = response.status;
+
+  for (const [name, value] of response.headers) {
+    res.setHeader(name, value);
+  }
+
+  if (!response.body) {
+    res.end();
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const cancel = () => reader.cancel().catch(() => {});
+  res.once('close', cancel);
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done || res.destroyed) break;
+
+      if (!res.write(value)) {
+        // Wait for the socket to drain (or go away) before reading more
+        await new Promise(resolve => {
+          const settle = () => {
+            res.off('drain', settle);
+            res.off('close', settle);
+            resolve();
+          };
+          res.once('drain', settle);
+          res.once('close', settle);
+        });
+      }
+    }
+  } finally {
+    res.off('close', cancel);
+    res.end();
+  }
+}
+
+/**
+ * Wraps the core in a (req, res) handler
+ * @param {Function} handle - Core handler: (request, platform) => Promise<Response>
+ * @returns {Function} async (req, res) handler for node:http and Vercel
+ */
+export function createNodeHandler(handle) {
+  return async function handler(req, res) {
+    // A response closed before it finished means the client went away
+    const disconnect = new AbortController();
+    const onClose = () => {
+      if (!res.writableFinished) disconnect.abort();
+    };
+    res.once?.('close', onClose);
+
+    try {
+      const response = await handle(toRequest(req, disconnect.signal), { clientAddress: req.socket?.remoteAddress ?? null });
+      return await writeResponse(response, res);
+    } finally {
+      res.off?.('close', onClose);
+    }
+  };
+}
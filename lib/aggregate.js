@@ -0,0 +1,254 @@
+/**
+ * Aggregation (/api/airtable/:table/aggregate)
+ *
+ * Answers "how many per Status" or "total Priority per owner" without
+ * sending the records themselves:
+ *
+ *   GET /api/airtable/tasks/aggregate?groupBy=Status&metrics=sum:Priority,max:Due
+ *
+ *   {
+ *     "success": true,
+ *     "groups": [
+ *       { "group": { "Status": "Todo" }, "count": 2, "sum:Priority": 5, "max:Due": "2024-06-01" },
+ *       ...
+ *     ],
+ *     "totals": { "count": 5, "sum:Priority": 12, "max:Due": "2024-07-15" },
+ *     "totalGroups": 3, "totalRecords": 5, ...
+ *   }
+ *
+ * The records are the usual (filtered) result set of the table, so ?status=
+ * and ?filter[Field]= apply as for a listing. Only the fields named in
+ * groupBy and metrics are read from Airtable; like filters, they must be
+ * exposed by the table and not hidden by its mapping.
+ *
+ * - groupBy=Field,Other       Up to MAX_GROUP_BY fields; without it there is one group
+ * - metrics=op:Field,...      sum, avg, min, max or distinct of a field; every
+ *                             group also has its record count
+ *
+ * Array values (multi-select, linked records, lookups) are exploded: a record
+ * tagged ["Ops", "Web"] counts once in the Ops group and once in the Web
+ * group, and its values all feed sum/avg/min/max/distinct. Group totals can
+ * therefore add up to more than totals, which count every record once.
+ * Records with no value are grouped under null. Collaborators and other
+ * objects group by their name (or ID).
+ *
+ * sum and avg use numeric values only; min and max compare numbers, or
+ * strings (ISO dates sort correctly) when a field has no numbers.
+ */
+
+import { QueryValidationError, getParam, splitList, validateFieldName } from './query.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const AGGREGATE_OPERATIONS = ['sum', 'avg', 'min', 'max', 'distinct'];
+const MAX_GROUP_BY = 3;
+const MAX_METRICS = 10;
+
+// ============================================================================
+// PARAMETERS
+// ============================================================================
+
+/**
+ * Parses ?groupBy= and ?metrics= into an aggregation spec
+ * @param {Object} params - Query parameters (see readQuery)
+ * @returns {{groupBy: Array<string>, metrics: Array<{name: string, op: string, field: string}>, fields: Array<string>}}
+ *   Spec; fields lists every field the aggregation reads
+ */
+export function parseAggregateSpec(params) {
+  const groupBy = [...new Set(splitList(getParam(params, 'groupBy')).map(validateFieldName))];
+
+  if (groupBy.length > MAX_GROUP_BY) {
+    throw new QueryValidationError(`At most ${MAX_GROUP_BY} groupBy fields are allowed`);
+  }
+
+  const metrics = [];
+
+  for (const item of splitList(getParam(params, 'metrics'))) {
+    if (item === 'count') continue; // Always included
+
+    const separator = item.indexOf(':');
+    const op = separator === -1 ? item : item.slice(0, separator).trim();
+
+    if (!AGGREGATE_OPERATIONS.includes(op)) {
+      throw new QueryValidationError(`Unknown metric "${item}". Use count or ${AGGREGATE_OPERATIONS.join(', ')} as op:Field`);
+    }
+
+    if (separator === -1) {
+      throw new QueryValidationError(`Metric "${op}" needs a field, e.g. ${op}:Priority`);
+    }
+
+    const field = validateFieldName(item.slice(separator + 1));
+    const name = `${op}:${field}`;
+
+    if (!metrics.some(metric => metric.name === name)) {
+      metrics.push({ name, op, field });
+    }
+  }
+
+  if (metrics.length > MAX_METRICS) {
+    throw new QueryValidationError(`At most ${MAX_METRICS} metrics are allowed`);
+  }
+
+  return {
+    groupBy,
+    metrics,
+    fields: [...new Set([...groupBy, ...metrics.map(metric => metric.field)])]
+  };
+}
+
+// ============================================================================
+// AGGREGATION
+// ============================================================================
+
+/**
+ * Reduces a field value to the plain values it is grouped and measured by
+ * Arrays are exploded; objects (collaborators, attachments) become their
+ * name or ID; empty values disappear.
+ * @param {*} value - Airtable field value
+ * @returns {Array<string|number|boolean>} Values
+ */
+function explode(value) {
+  const items = Array.isArray(value) ? value : [value];
+
+  return items
+    .map(item => (item && typeof item === 'object' ? item.name ?? item.id ?? null : item))
+    .filter(item => item !== null && item !== undefined && item !== '');
+}
+
+/**
+ * Decides whether a value replaces the current min/max
+ * @param {string|number} value - Candidate
+ * @param {string|number|null} best - Current min or max
+ * @param {string} op - min or max
+ * @returns {boolean} Whether the candidate wins
+ */
+function beats(value, best, op) {
+  if (best === null) return true;
+  if (typeof value !== typeof best) return typeof value === 'number'; // Numbers win over strings
+  return op === 'min' ? value < best : value > best;
+}
+
+/**
+ * Creates the running state of one metric
+ * @param {string} op - Metric operation
+ * @returns {{add: Function, result: Function}} Accumulator
+ */
+function createAccumulator(op) {
+  let sum = 0;
+  let numbers = 0;
+  let best = null;
+  const seen = new Set();
+
+  return {
+    /**
+     * Feeds the values of one record
+     * @param {Array} values - Exploded field values
+     */
+    add(values) {
+      for (const value of values) {
+        if (op === 'distinct') {
+          seen.add(value);
+        } else if (op === 'sum' || op === 'avg') {
+          if (typeof value === 'number' && Number.isFinite(value)) {
+            sum += value;
+            numbers++;
+          }
+        } else if ((typeof value === 'number' || typeof value === 'string') && beats(value, best, op)) {
+          best = value;
+        }
+      }
+    },
+
+    /**
+     * Returns the metric's value
+     * @returns {number|string|null} Value (avg, min and max are null without values)
+     */
+    result() {
+      if (op === 'distinct') return seen.size;
+      if (op === 'sum') return sum;
+      if (op === 'avg') return numbers > 0 ? sum / numbers : null;
+      return best;
+    }
+  };
+}
+
+/**
+ * Creates a group: its record count plus an accumulator per metric
+ * @param {Object} group - Group values by field
+ * @param {Array<Object>} metrics - Metrics from the spec
+ * @returns {Object} Group state
+ */
+function createGroup(group, metrics) {
+  return { group, count: 0, accumulators: metrics.map(metric => createAccumulator(metric.op)) };
+}
+
+/**
+ * Adds a record to a group
+ * @param {Object} state - Group state (see createGroup)
+ * @param {Object} fields - Record fields
+ * @param {Array<Object>} metrics - Metrics from the spec
+ */
+function addRecord(state, fields, metrics) {
+  state.count++;
+  metrics.forEach((metric, index) => state.accumulators[index].add(explode(fields[metric.field])));
+}
+
+/**
+ * Renders a group as { group?, count, <metric>: value, ... }
+ * @param {Object} state - Group state (see createGroup)
+ * @param {Array<Object>} metrics - Metrics from the spec
+ * @returns {Object} Result entry
+ */
+function summarize(state, metrics) {
+  const entry = state.group ? { group: state.group, count: state.count } : { count: state.count };
+  metrics.forEach((metric, index) => { entry[metric.name] = state.accumulators[index].result(); });
+  return entry;
+}
+
+/**
+ * Lists the group keys of a record, one per combination of exploded values
+ * @param {Object} fields - Record fields
+ * @param {Array<string>} groupBy - Group-by fields
+ * @returns {Array<Array>} Value tuples, in groupBy order
+ */
+function groupTuples(fields, groupBy) {
+  return groupBy.reduce((tuples, field) => {
+    const values = explode(fields[field]);
+    const choices = values.length > 0 ? [...new Set(values)] : [null];
+    return tuples.flatMap(tuple => choices.map(value => [...tuple, value]));
+  }, [[]]);
+}
+
+/**
+ * Groups records and computes the metrics of every group and of the whole set
+ * Groups are ordered by record count (largest first), then by their values.
+ * @param {Array<Object>} records - Airtable records
+ * @param {Object} spec - Aggregation spec (see parseAggregateSpec)
+ * @returns {{groups: Array<Object>, totals: Object}} Result
+ */
+export function aggregateRecords(records, { groupBy, metrics }) {
+  const groups = new Map();
+  const totals = createGroup(null, metrics);
+
+  for (const { fields = {} } of records) {
+    addRecord(totals, fields, metrics);
+
+    for (const tuple of groupTuples(fields, groupBy)) {
+      const key = JSON.stringify(tuple);
+
+      if (!groups.has(key)) {
+        groups.set(key, createGroup(Object.fromEntries(groupBy.map((field, index) => [field, tuple[index]])), metrics));
+      }
+
+      addRecord(groups.get(key), fields, metrics);
+    }
+  }
+
+  const ordered = [...groups.entries()]
+    .sort(([keyA, a], [keyB, b]) => b.count - a.count || (keyA < keyB ? -1 : keyA > keyB ? 1 : 0))
+    .map(([, state]) => summarize(state, metrics));
+
+  return { groups: ordered, totals: summarize(totals, metrics) };
+}
@@ -0,0 +1,271 @@
+/**
+ * Proxy Authentication
+ *
+ * Every request (except CORS preflights) must carry a credential in the
+ * Authorization header: "Authorization: Bearer <api key or JWT>".
+ *
+ * Two kinds of credentials are accepted:
+ *
+ * 1. Static API keys from PROXY_API_KEYS, a JSON array:
+ *      [{ "id": "dashboard", "key": "...", "tables": ["tasks"], "methods": ["GET"] }]
+ *
+ * 2. HS256 JWTs signed with PROXY_JWT_SECRET. Scope comes from the claims:
+ *      { "sub": "ops-tool", "tables": ["tasks"], "methods": ["GET", "PATCH"], "exp": ... }
+ *    exp and nbf are enforced when present; PROXY_JWT_ISSUER and
+ *    PROXY_JWT_AUDIENCE additionally pin iss and aud.
+ *
+ * Each credential is scoped to tables ("*" for all) and HTTP methods
+ * (GET only unless listed). Missing or invalid credentials get a 401, valid
+ * credentials outside their scope a 403.
+ *
+ * If neither PROXY_API_KEYS nor PROXY_JWT_SECRET is set, requests are refused
+ * unless PROXY_AUTH_DISABLED=true explicitly opts back into open access.
+ */
+
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+import { ApiError } from './errors.js';
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * Thrown for missing / invalid credentials (UNAUTHENTICATED, 401) and for
+ * credentials used outside their scope (FORBIDDEN, 403)
+ */
+export class AuthError extends ApiError {
+  constructor(code, message) {
+    super(code, message);
+    this.name = 'AuthError';
+  }
+}
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_METHODS = ['GET']; // Credentials are read-only unless they say otherwise
+const CLOCK_SKEW_SECONDS = 30; // Tolerance for exp / nbf
+
+/**
+ * Normalizes a scope list (tables or methods)
+ * @param {*} value - "*", an array, or undefined
+ * @param {Array<string>} fallback - Used when the value is missing
+ * @returns {Array<string>} Scope entries ("*" means everything)
+ */
+function normalizeScope(value, fallback) {
+  if (value === '*') return ['*'];
+  if (!Array.isArray(value)) return fallback;
+  return value.map(String);
+}
+
+/**
+ * Loads and validates the authentication settings
+ * @param {Object} env - Environment variables
+ * @returns {{disabled: boolean, apiKeys: Array, jwt: Object|null}} Auth configuration
+ */
+export function loadAuthConfig(env = process.env) {
+  const disabled = env.PROXY_AUTH_DISABLED === 'true';
+  let apiKeys = [];
+
+  if (env.PROXY_API_KEYS) {
+    let raw;
+    try {
+      raw = JSON.parse(env.PROXY_API_KEYS);
+    } catch (error) {
+      throw new ApiError('CONFIG_ERROR', `PROXY_API_KEYS is not valid JSON: ${error.message}`);
+    }
+
+    if (!Array.isArray(raw)) {
+      throw new ApiError('CONFIG_ERROR', 'PROXY_API_KEYS must be a JSON array');
+    }
+
+    apiKeys = raw.map((entry, index) => {
+      if (!entry || typeof entry.key !== 'string' || entry.key.length < 16) {
+        throw new ApiError('CONFIG_ERROR', `PROXY_API_KEYS[${index}] needs a "key" of at least 16 characters`);
+      }
+
+      if (entry.tables === undefined) {
+        throw new ApiError('CONFIG_ERROR', `PROXY_API_KEYS[${index}] needs a "tables" list (or "*")`);
+      }
+
+      return {
+        id: entry.id || `key-${index + 1}`,
+        digest: digest(entry.key),
+        tables: normalizeScope(entry.tables, []),
+        methods: normalizeScope(entry.methods, DEFAULT_METHODS).map(method => method.toUpperCase())
+      };
+    });
+  }
+
+  const jwt = env.PROXY_JWT_SECRET
+    ? { secret: env.PROXY_JWT_SECRET, issuer: env.PROXY_JWT_ISSUER || null, audience: env.PROXY_JWT_AUDIENCE || null }
+    : null;
+
+  if (!disabled && apiKeys.length === 0 && !jwt) {
+    throw new ApiError(
+      'CONFIG_ERROR',
+      'No credentials configured: set PROXY_API_KEYS and/or PROXY_JWT_SECRET (or PROXY_AUTH_DISABLED=true for open access)'
+    );
+  }
+
+  return { disabled, apiKeys, jwt };
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Hashes a secret so comparisons are constant-time and length-independent
+ * @param {string} value - Secret
+ * @returns {Buffer} SHA-256 digest
+ */
+function digest(value) {
+  return createHash('sha256').update(value).digest();
+}
+
+/**
+ * Throws a 401 for a missing or bad credential
+ * @param {string} message - Reason
+ */
+function unauthenticated(message) {
+  throw new AuthError('UNAUTHENTICATED', message);
+}
+
+/**
+ * Extracts the bearer token from a request
+ * @param {Object} req - Request object
+ * @returns {string|null} Token
+ */
+function readBearerToken(req) {
+  const header = req.headers?.authorization || req.headers?.Authorization;
+  const match = typeof header === 'string' ? /^Bearer\s+(\S+)\s*$/i.exec(header) : null;
+  return match ? match[1] : null;
+}
+
+// ============================================================================
+// JWT (HS256)
+// ============================================================================
+
+/**
+ * Signs a payload as an HS256 JWT. Used to mint tokens for tools and tests.
+ * @param {Object} payload - Claims
+ * @param {string} secret - Shared secret (PROXY_JWT_SECRET)
+ * @returns {string} Compact JWT
+ */
+export function signJwt(payload, secret) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+  const signature = createHmac('sha256', secret).update(unsigned).digest('base64url');
+  return `${unsigned}.${signature}`;
+}
+
+/**
+ * Verifies an HS256 JWT and returns its claims
+ * @param {string} token - Compact JWT
+ * @param {Object} options - Secret plus optional issuer / audience to enforce
+ * @param {number} now - Current time in seconds
+ * @returns {Object} Claims
+ */
+export function verifyJwt(token, { secret, issuer = null, audience = null }, now = Math.floor(Date.now() / 1000)) {
+  const parts = token.split('.');
+  if (parts.length !== 3) unauthenticated('Malformed token');
+
+  const [headerPart, payloadPart, signaturePart] = parts;
+  let header;
+  let claims;
+
+  try {
+    header = JSON.parse(Buffer.from(headerPart, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(payloadPart, 'base64url').toString('utf8'));
+  } catch (error) {
+    unauthenticated('Malformed token');
+  }
+
+  // Only HS256: never let the token pick its own algorithm (e.g. "none")
+  if (header?.alg !== 'HS256') unauthenticated('Unsupported token algorithm');
+
+  const expected = createHmac('sha256', secret).update(`${headerPart}.${payloadPart}`).digest();
+  const actual = Buffer.from(signaturePart, 'base64url');
+
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    unauthenticated('Invalid token signature');
+  }
+
+  if (!claims || typeof claims !== 'object') unauthenticated('Malformed token');
+  if (typeof claims.exp === 'number' && now > claims.exp + CLOCK_SKEW_SECONDS) unauthenticated('Token has expired');
+  if (typeof claims.nbf === 'number' && now < claims.nbf - CLOCK_SKEW_SECONDS) unauthenticated('Token is not valid yet');
+  if (issuer && claims.iss !== issuer) unauthenticated('Token issuer is not accepted');
+
+  if (audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) unauthenticated('Token audience is not accepted');
+  }
+
+  return claims;
+}
+
+// ============================================================================
+// AUTHENTICATE / AUTHORIZE
+// ============================================================================
+
+/**
+ * Identifies the caller of a request
+ * @param {Object} req - Request object
+ * @param {Object} config - Auth configuration (see loadAuthConfig)
+ * @returns {{id: string, type: string, tables: Array<string>, methods: Array<string>}} Principal
+ */
+export function authenticate(req, config) {
+  if (config.disabled) {
+    return { id: 'anonymous', type: 'none', tables: ['*'], methods: ['*'] };
+  }
+
+  const token = readBearerToken(req);
+  if (!token) unauthenticated('Missing "Authorization: Bearer <token>" header');
+
+  // Static API keys (compare every key so timing doesn't reveal which one matched)
+  const tokenDigest = digest(token);
+  let match = null;
+
+  for (const apiKey of config.apiKeys) {
+    if (timingSafeEqual(apiKey.digest, tokenDigest)) match = apiKey;
+  }
+
+  if (match) {
+    return { id: match.id, type: 'api-key', tables: match.tables, methods: match.methods };
+  }
+
+  // JWTs
+  if (config.jwt && token.split('.').length === 3) {
+    const claims = verifyJwt(token, config.jwt);
+
+    return {
+      id: String(claims.sub || 'jwt'),
+      type: 'jwt',
+      tables: normalizeScope(claims.tables, []),
+      methods: normalizeScope(claims.methods, DEFAULT_METHODS).map(method => method.toUpperCase())
+    };
+  }
+
+  unauthenticated('Invalid credentials');
+}
+
+/**
+ * Checks that a principal may use a method on a table
+ * @param {Object} principal - Result of authenticate
+ * @param {string} table - Table slug
+ * @param {string} method - HTTP method
+ */
+export function authorize(principal, table, method) {
+  const tableAllowed = principal.tables.includes('*') || principal.tables.includes(table);
+  const methodAllowed = principal.methods.includes('*') || principal.methods.includes(method);
+
+  if (!tableAllowed) {
+    throw new AuthError('FORBIDDEN', `Credential "${principal.id}" has no access to table "${table}"`);
+  }
+
+  if (!methodAllowed) {
+    throw new AuthError('FORBIDDEN', `Credential "${principal.id}" may not use ${method} on table "${table}"`);
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * Batch Queries (POST /api/airtable/batch)
+ *
+ * Runs several named read queries in one round trip, e.g. the slices a
+ * dashboard shows:
+ *
+ *   {
+ *     "queries": [
+ *       { "name": "open", "table": "tasks", "status": "Todo,In Progress", "sort": "Name" },
+ *       { "name": "mine", "table": "tasks", "filter": { "Owner": "Ada" }, "fields": ["Name", "Status"] },
+ *       { "name": "people", "table": "people", "view": "Active", "shape": "flat" }
+ *     ]
+ *   }
+ *
+ * Each query takes the same options as GET /api/airtable/:table (status,
+ * filter, sort, fields, shape) plus an optional view for tables without a
+ * configured one. Queries run a few at a time; every Airtable request still
+ * waits for the handler's throttle (see lib/throttle.js), so a batch never
+ * exceeds the upstream rate limit.
+ *
+ * The response has a result per name. A failed query only fails its own
+ * result, with the usual error fields (see lib/errors.js):
+ *
+ *   {
+ *     "success": false, "partial": true, "succeeded": 1, "failed": 1,
+ *     "results": {
+ *       "open": { "success": true, "records": [...], "totalRecords": 12, "table": "tasks", ... },
+ *       "mine": { "success": false, "error": { "error": "Access denied", "code": "FORBIDDEN", "message": "..." } }
+ *     }
+ *   }
+ */
+
+import { ApiError, toErrorResponse } from './errors.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const MAX_BATCH_QUERIES = 10;
+export const BATCH_CONCURRENCY = 3; // Queries in flight at once; the throttle spaces their pages
+const MAX_NAME_LENGTH = 100;
+const STRING_OPTIONS = ['status', 'sort', 'shape', 'view'];
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Throws an INVALID_BODY error
+ * @param {string} message - What is wrong with the payload
+ */
+function invalid(message) {
+  throw new ApiError('INVALID_BODY', message);
+}
+
+/**
+ * Validates one query and converts its options to query parameters
+ * @param {*} item - Query from the payload
+ * @param {string} where - Location for the error message
+ * @returns {{name: string, table: string, view: string|null, params: Object}} Query
+ */
+function parseBatchQuery(item, where) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    invalid(`${where} must be an object`);
+  }
+
+  const { name, table, fields, filter } = item;
+
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    invalid(`${where}: "name" must be a non-empty string of up to ${MAX_NAME_LENGTH} characters`);
+  }
+
+  if (typeof table !== 'string' || !table) {
+    invalid(`${where}: "table" must be a table slug`);
+  }
+
+  for (const option of STRING_OPTIONS) {
+    if (item[option] != null && typeof item[option] !== 'string') {
+      invalid(`${where}: "${option}" must be a string`);
+    }
+  }
+
+  if (fields != null && typeof fields !== 'string' && !(Array.isArray(fields) && fields.every(field => typeof field === 'string'))) {
+    invalid(`${where}: "fields" must be a comma-separated string or an array of field names`);
+  }
+
+  if (filter != null && (typeof filter !== 'object' || Array.isArray(filter) || Object.values(filter).some(value => typeof value !== 'string'))) {
+    invalid(`${where}: "filter" must be an object of field names to string values`);
+  }
+
+  // Same parameters as GET /api/airtable/:table, so parseRecordQuery validates them
+  const params = {};
+
+  for (const option of ['status', 'sort', 'shape']) {
+    if (item[option] != null) params[option] = item[option];
+  }
+
+  if (fields != null) {
+    params.fields = Array.isArray(fields) ? fields.join(',') : fields;
+  }
+
+  for (const [field, value] of Object.entries(filter || {})) {
+    params[`filter[${field}]`] = value;
+  }
+
+  return { name, table, view: item.view || null, params };
+}
+
+/**
+ * Validates a batch payload
+ * Only the payload's structure is checked here; a query naming an unknown
+ * table or field fails on its own when it runs.
+ * @param {Object|null} body - Parsed JSON body
+ * @returns {Array<Object>} Queries in request order (see parseBatchQuery)
+ */
+export function parseBatchPayload(body) {
+  if (!body || !Array.isArray(body.queries)) {
+    invalid('Body must be { "queries": [...] }');
+  }
+
+  if (body.queries.length === 0) {
+    invalid('At least one query is required');
+  }
+
+  if (body.queries.length > MAX_BATCH_QUERIES) {
+    invalid(`At most ${MAX_BATCH_QUERIES} queries can be sent per batch`);
+  }
+
+  const queries = body.queries.map((item, index) => parseBatchQuery(item, `queries[${index}]`));
+  const names = new Set();
+
+  for (const { name } of queries) {
+    if (names.has(name)) {
+      invalid(`Query name "${name}" is used more than once`);
+    }
+
+    names.add(name);
+  }
+
+  return queries;
+}
+
+// ============================================================================
+// EXECUTION
+// ============================================================================
+
+/**
+ * Runs a worker over every item with at most `limit` in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in item order (rejections propagate)
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  /**
+   * Takes the next item until none are left
+   */
+  async function drain() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, drain));
+  return results;
+}
+
+/**
+ * Builds the response for a batch
+ * 200 when every query succeeded, 207 when some failed, and the first
+ * failure's status when none succeeded.
+ * @param {Array<{name: string, body?: Object, error?: Error}>} outcomes - Result or error per query, in request order
+ * @returns {{statusCode: number, body: Object}} Response
+ */
+export function buildBatchResponse(outcomes) {
+  const results = Object.create(null); // Names like "__proto__" stay plain keys
+  let firstError = null;
+
+  for (const { name, body, error } of outcomes) {
+    if (error) {
+      const { body: errorBody } = toErrorResponse(error);
+      const { success, ...details } = errorBody;
+      results[name] = { success: false, error: details };
+      firstError ??= error;
+    } else {
+      results[name] = body;
+    }
+  }
+
+  const failed = outcomes.filter(outcome => outcome.error).length;
+  const succeeded = outcomes.length - failed;
+  const summary = { succeeded, failed, results };
+
+  if (failed === 0) {
+    return { statusCode: 200, body: { success: true, ...summary } };
+  }
+
+  if (succeeded > 0) {
+    return { statusCode: 207, body: { success: false, partial: true, ...summary } };
+  }
+
+  const { statusCode, body } = toErrorResponse(firstError);
+  return { statusCode, body: { ...body, ...summary } };
+}
@@ -0,0 +1,86 @@
+/**
+ * Request Body Parsing
+ *
+ * The core hands over the body as an unread stream (see toHandlerRequest in
+ * lib/http.js); a body a platform already parsed into req.body is accepted
+ * too. readJsonBody copes with both; readRawBody returns the unparsed bytes
+ * for signature checks.
+ */
+
+import { ApiError } from './errors.js';
+
+const MAX_BODY_BYTES = 1024 * 1024; // 1 MB is far more than 100 records need
+
+/**
+ * Reads the raw request body from the stream
+ * @param {Object} req - Request object (readable stream)
+ * @returns {Promise<Buffer>} Body bytes
+ */
+async function readStream(req) {
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+
+    if (size > MAX_BODY_BYTES) {
+      throw new ApiError('PAYLOAD_TOO_LARGE', `Request body exceeds ${MAX_BODY_BYTES} bytes`);
+    }
+
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Returns the request body exactly as sent, e.g. to check a signature over it
+ * The stream is preferred; a body the platform already parsed into an object
+ * can't be turned back into the original bytes.
+ * @param {Object} req - Request object
+ * @returns {Promise<Buffer>} Body bytes (empty when there is none)
+ */
+export async function readRawBody(req) {
+  if (typeof req[Symbol.asyncIterator] === 'function' && !req.readableEnded) {
+    return readStream(req);
+  }
+
+  const raw = req.body;
+
+  if (raw == null) return Buffer.alloc(0);
+  if (Buffer.isBuffer(raw)) return raw;
+  if (typeof raw === 'string') return Buffer.from(raw);
+
+  throw new ApiError('INVALID_BODY', 'The raw request body is not available (it was already parsed)');
+}
+
+/**
+ * Returns the request body parsed as JSON
+ * @param {Object} req - Request object
+ * @returns {Promise<Object|null>} Parsed body, or null when there is none
+ */
+export async function readJsonBody(req) {
+  let raw = req.body;
+
+  if (raw === undefined && typeof req[Symbol.asyncIterator] === 'function') {
+    raw = await readStream(req);
+  }
+
+  if (Buffer.isBuffer(raw)) {
+    raw = raw.toString('utf8');
+  }
+
+  if (raw == null || raw === '') {
+    return null;
+  }
+
+  if (typeof raw !== 'string') {
+    return raw; // Already parsed by the platform
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new ApiError('INVALID_BODY', `Request body is not valid JSON: ${error.message}`);
+  }
+}
@@ -0,0 +1,289 @@
+/**
+ * Response Cache
+ *
+ * Caches response bodies keyed by table + query so identical requests (e.g.
+ * several dashboards loading at once) don't each re-walk the table through
+ * Airtable.
+ *
+ * - Fresh entries (younger than ttlSeconds) are served directly.
+ * - Stale entries (within staleSeconds after that) are served immediately
+ *   while a single background refresh replaces them (stale-while-revalidate).
+ * - Concurrent misses for the same key share one loader run.
+ * - invalidate(table) drops every entry for a table by bumping its generation.
+ *
+ * Storage is pluggable. A store is any object with:
+ *   get(key)               → Promise<entry|null>
+ *   set(key, entry, ttlS)  → Promise<void>   (ttlS null = never expires or is evicted)
+ *   delete(key)            → Promise<void>
+ * Built in: createMemoryStore, createFileStore and createRedisStore.
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile, unlink } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createLogger } from './logger.js';
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+/**
+ * In-process store (the default). Entries live as long as the function instance.
+ * Entries set without a TTL (the response cache's generation counters) are
+ * kept apart and never evicted: losing one would make invalidated entries
+ * current again.
+ * @param {Object} options - Store options
+ * @param {number} options.maxEntries - Oldest entries with a TTL are evicted beyond this
+ * @returns {Object} Cache store
+ */
+export function createMemoryStore({ maxEntries = 500 } = {}) {
+  const entries = new Map();
+  const pinned = new Map();
+
+  return {
+    async get(key) {
+      if (pinned.has(key)) {
+        return pinned.get(key);
+      }
+
+      const item = entries.get(key);
+      if (!item) return null;
+
+      entries.delete(key);
+
+      if (item.expiresAt <= Date.now()) {
+        return null;
+      }
+
+      entries.set(key, item); // Re-insert so Map order tracks recency
+      return item.value;
+    },
+
+    async set(key, value, ttlSeconds = null) {
+      entries.delete(key);
+      pinned.delete(key);
+
+      if (ttlSeconds == null) {
+        pinned.set(key, value);
+        return;
+      }
+
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      entries.delete(key);
+      pinned.delete(key);
+    }
+  };
+}
+
+/**
+ * Stores each entry as a JSON file. Useful for local development, where the
+ * cache then survives restarts.
+ * @param {Object} options - Store options
+ * @param {string} options.dir - Directory for cache files
+ * @returns {Object} Cache store
+ */
+export function createFileStore({ dir = path.join(tmpdir(), 'airtable-cache') } = {}) {
+  const fileFor = key => path.join(dir, `${createHash('sha256').update(key).digest('hex')}.json`);
+
+  return {
+    async get(key) {
+      try {
+        const item = JSON.parse(await readFile(fileFor(key), 'utf8'));
+
+        if (item.expiresAt !== null && item.expiresAt <= Date.now()) {
+          await unlink(fileFor(key)).catch(() => {});
+          return null;
+        }
+
+        return item.value;
+      } catch (error) {
+        return null; // Missing or unreadable file: treat as a miss
+      }
+    },
+
+    async set(key, value, ttlSeconds = null) {
+      await mkdir(dir, { recursive: true });
+      const expiresAt = ttlSeconds == null ? null : Date.now() + ttlSeconds * 1000;
+      await writeFile(fileFor(key), JSON.stringify({ value, expiresAt }));
+    },
+
+    async delete(key) {
+      await unlink(fileFor(key)).catch(() => {});
+    }
+  };
+}
+
+/**
+ * Wraps a Redis-compatible client (ioredis-style get / set(key, value, 'EX', s) / del)
+ * @param {Object} options - Store options
+ * @param {Object} options.client - Connected client
+ * @param {string} options.prefix - Prefix for every key
+ * @returns {Object} Cache store
+ */
+export function createRedisStore({ client, prefix = 'airtable:' }) {
+  return {
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      return raw == null ? null : JSON.parse(raw);
+    },
+
+    async set(key, value, ttlSeconds = null) {
+      const raw = JSON.stringify(value);
+
+      if (ttlSeconds == null) {
+        await client.set(prefix + key, raw);
+      } else {
+        await client.set(prefix + key, raw, 'EX', Math.max(1, Math.ceil(ttlSeconds)));
+      }
+    },
+
+    async delete(key) {
+      await client.del(prefix + key);
+    }
+  };
+}
+
+/**
+ * Creates the store named by CACHE_STORE (memory or file)
+ * @param {Object} env - Environment variables
+ * @returns {Object} Cache store
+ */
+export function createStoreFromEnv(env = process.env) {
+  if (env.CACHE_STORE === 'file') {
+    return createFileStore(env.CACHE_DIR ? { dir: env.CACHE_DIR } : {});
+  }
+
+  return createMemoryStore();
+}
+
+// ============================================================================
+// HTTP HELPERS
+// ============================================================================
+
+/**
+ * Computes a strong ETag for a response body
+ * @param {Object} body - Response body (serialized as JSON)
+ * @returns {string} Quoted ETag
+ */
+export function computeETag(body) {
+  return `"${createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+}
+
+/**
+ * Checks an If-None-Match header against the current ETag
+ * @param {string|undefined} header - If-None-Match request header
+ * @param {string} etag - Current ETag
+ * @returns {boolean} True if the client's copy is still current
+ */
+export function matchesETag(header, etag) {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+
+  return header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .includes(etag);
+}
+
+// ============================================================================
+// RESPONSE CACHE
+// ============================================================================
+
+/**
+ * Creates a response cache on top of a store
+ * @param {Object} options - Cache options
+ * @param {Object} options.store - Cache store
+ * @param {number} options.ttlSeconds - How long entries are fresh (0 disables caching)
+ * @param {number} options.staleSeconds - How long stale entries may still be served
+ * @param {Object} options.logger - Logger for background refresh failures (see lib/logger.js)
+ * @returns {Object} Response cache
+ */
+export function createResponseCache({ store = createMemoryStore(), ttlSeconds = 30, staleSeconds = 30, logger = createLogger() } = {}) {
+  const inflight = new Map();
+
+  /**
+   * Returns the store key for a table/query pair, including the table's generation
+   */
+  async function storeKey(table, key) {
+    const generation = (await store.get(`gen:${table}`)) || 0;
+    return `${table}:${generation}:${key}`;
+  }
+
+  /**
+   * Runs the loader once per key at a time and stores what it returns
+   * Partial bodies (cut short by the request deadline) are handed out but never stored.
+   */
+  function load(fullKey, loader) {
+    if (inflight.has(fullKey)) {
+      return inflight.get(fullKey);
+    }
+
+    const promise = (async () => {
+      const value = await loader();
+      const entry = { value, etag: computeETag(value), storedAt: Date.now() };
+
+      if (ttlSeconds > 0 && !value.partial) {
+        await store.set(fullKey, entry, ttlSeconds + staleSeconds);
+      }
+
+      return entry;
+    })().finally(() => inflight.delete(fullKey));
+
+    inflight.set(fullKey, promise);
+    return promise;
+  }
+
+  return {
+    ttlSeconds,
+    staleSeconds,
+
+    /**
+     * Returns the cached body for a key, or loads it
+     * @param {string} table - Table slug, used for invalidation
+     * @param {string} key - Query key within the table
+     * @param {Function} loader - Produces the body on a miss
+     * @returns {Promise<{value: Object, etag: string, status: string}>} Body, ETag and HIT / STALE / MISS
+     */
+    async getOrLoad(table, key, loader) {
+      const fullKey = await storeKey(table, key);
+      const entry = ttlSeconds > 0 ? await store.get(fullKey) : null;
+
+      if (entry) {
+        const age = (Date.now() - entry.storedAt) / 1000;
+
+        if (age < ttlSeconds) {
+          return { value: entry.value, etag: entry.etag, status: 'HIT' };
+        }
+
+        if (age < ttlSeconds + staleSeconds) {
+          // Serve the stale copy now, refresh in the background
+          load(fullKey, loader).catch(error => {
+            logger.error(`Background cache refresh failed for ${table}`, { table, error });
+          });
+
+          return { value: entry.value, etag: entry.etag, status: 'STALE' };
+        }
+      }
+
+      const fresh = await load(fullKey, loader);
+      return { value: fresh.value, etag: fresh.etag, status: 'MISS' };
+    },
+
+    /**
+     * Drops every cached entry for a table
+     * @param {string} table - Table slug
+     */
+    async invalidate(table) {
+      const generation = (await store.get(`gen:${table}`)) || 0;
+      await store.set(`gen:${table}`, generation + 1, null);
+    }
+  };
+}
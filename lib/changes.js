@@ -0,0 +1,106 @@
+/**
+ * Incremental Sync (/api/airtable/:table/changes)
+ *
+ * Lets a downstream cache fetch only what changed since its last sync:
+ *
+ *   GET /api/airtable/tasks/changes?since=2024-05-06T07:08:09.000Z
+ *
+ * returns the records of the usual (filtered) result set whose
+ * LAST_MODIFIED_TIME() is after `since`, plus a `watermark` to pass as
+ * `since` next time. The watermark is the time the request started, and each
+ * query looks back a few extra seconds (SINCE_OVERLAP_MS) to absorb clock
+ * skew, so a record may be delivered twice but is never missed. Omitting
+ * `since` returns the full result set (initial sync).
+ *
+ * Deletions (and records that left the filter, e.g. marked Done) can't be
+ * seen in a delta, so the current ID set is available on request:
+ * - ?includeIds=true        returns every current record ID plus its hash
+ * - ?knownIdsHash=<hash>    returns the IDs only if they differ from the
+ *                           client's set (hash of its sorted IDs, see hashIds)
+ */
+
+import { createHash } from 'node:crypto';
+import { QueryValidationError, combineFormulas, formatStringLiteral } from './query.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const SINCE_OVERLAP_MS = 5000; // Look-back that absorbs clock skew between us and Airtable
+const MAX_FUTURE_SKEW_MS = 60 * 1000; // A since further ahead than this is a client bug
+
+// ============================================================================
+// PARAMETERS
+// ============================================================================
+
+/**
+ * Parses ?since= into a date
+ * @param {string|undefined} value - ISO 8601 timestamp (usually a previous watermark)
+ * @param {number} now - Current time in milliseconds
+ * @returns {Date|null} Since date, or null for a full sync
+ */
+export function parseSince(value, now = Date.now()) {
+  if (value === undefined || value === '') return null;
+
+  // Require a date with a time zone so "since" means the same instant everywhere
+  const isoWithZone = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+  const date = new Date(value);
+
+  if (!isoWithZone.test(value) || Number.isNaN(date.getTime())) {
+    throw new QueryValidationError(`Invalid since "${value}". Use an ISO 8601 timestamp such as the previous watermark`);
+  }
+
+  if (date.getTime() > now + MAX_FUTURE_SKEW_MS) {
+    throw new QueryValidationError('since is in the future');
+  }
+
+  return date;
+}
+
+/**
+ * Adds the LAST_MODIFIED_TIME() condition to a filter formula
+ * @param {string|null} filterFormula - The table's / request's filter
+ * @param {Date|null} since - Only records modified after this
+ * @returns {string|null} Combined formula
+ */
+export function buildChangesFormula(filterFormula, since) {
+  if (!since) return filterFormula;
+
+  const from = new Date(since.getTime() - SINCE_OVERLAP_MS).toISOString();
+
+  return combineFormulas([
+    filterFormula,
+    `IS_AFTER(LAST_MODIFIED_TIME(), DATETIME_PARSE(${formatStringLiteral(from)}))`
+  ]);
+}
+
+// ============================================================================
+// DELETION DETECTION
+// ============================================================================
+
+/**
+ * Hashes a set of record IDs, independent of their order
+ * Clients compute the same value over their known IDs: SHA-256 of the sorted
+ * IDs joined with "\n", base64url-encoded.
+ * @param {Array<string>} ids - Record IDs
+ * @returns {string} Hash
+ */
+export function hashIds(ids) {
+  return createHash('sha256').update([...ids].sort().join('\n')).digest('base64url');
+}
+
+/**
+ * Builds the ID part of a changes response
+ * @param {Array<string>} ids - Every record ID currently in the result set
+ * @param {string|undefined} knownIdsHash - Hash of the client's IDs, if it sent one
+ * @returns {Object} { idsHash, ids } or { idsHash, idsUnchanged: true }
+ */
+export function describeIds(ids, knownIdsHash) {
+  const idsHash = hashIds(ids);
+
+  if (knownIdsHash !== undefined && knownIdsHash === idsHash) {
+    return { idsHash, idsUnchanged: true };
+  }
+
+  return { idsHash, idsUnchanged: false, ids };
+}
@@ -0,0 +1,439 @@
+/**
+ * Airtable Client
+ *
+ * Reads and writes records through the Airtable REST API for one base:
+ * builds list URLs, walks pagination, retries transient failures with backoff
+ * and keeps every request within the base's rate limit (see lib/retry.js and
+ * lib/throttle.js).
+ *
+ * The client takes everything from a validated configuration (see
+ * lib/config.js), including the fetch implementation, so it can be pointed at
+ * the mock Airtable in mock/ or given a stubbed fetch in tests:
+ *
+ *   const client = createAirtableClient(createConfig({ ... }));
+ *   const records = await client.fetchAllRecords({ tableId: 'tbl...', sort: [], fields: [] });
+ *
+ * Every Airtable response is logged with its status and timing and reported
+ * to an optional observer (see lib/metrics.js). The handler calls
+ * scoped({ logger, observer, signal, deadline }) per request, so the entries
+ * carry the request ID, the pages are counted against that request, and its
+ * reads stop when the client disconnects (signal) or the request runs out of
+ * time (deadline, see timeouts.deadlineMs in lib/config.js). Writes always run
+ * to completion, so their outcome is never left unknown.
+ */
+
+import { isRetryableStatus, parseRetryAfter, computeBackoff, sleep } from './retry.js';
+import { createThrottle } from './throttle.js';
+import { ApiError, AirtableError, parseAirtableErrorBody } from './errors.js';
+
+/**
+ * @typedef {Object} AirtableClient
+ * @property {string} baseId - Airtable base ID
+ * @property {Function} buildURL - (query, offset) => list URL
+ * @property {Function} request - (url, options) => parsed response body
+ * @property {Function} fetchPage - (query, offset, page) => { records, offset, hasMore }
+ * @property {Function} iteratePages - (query) => async iterator of { records, page }
+ * @property {Function} collectRecords - (query, { allowPartial }) => { records, pages, partial }
+ * @property {Function} fetchAllRecords - (query) => every record
+ * @property {Function} writeBatch - (table, operation, items, typecast, batch) => records
+ * @property {Function} ping - (table) => checks that Airtable answers for a table (one record, no retries)
+ * @property {Function} fetchSchema - () => tables of the base with their fields and views (metadata API)
+ * @property {Function} scoped - ({ logger, observer, signal, deadline }) => the same client with per-request settings
+ */
+
+/**
+ * Creates a client for the configured base
+ * @param {Object} config - Validated configuration (see createConfig in lib/config.js)
+ * @param {Object} scope - Per-request settings
+ * @param {Object} scope.logger - Logger (default: the configured one)
+ * @param {Object} scope.observer - { response({ method, status, durationMs }), page({ page, records }) } hooks (optional)
+ * @param {AbortSignal} scope.signal - Cancels reads when the caller gives up, e.g. the client disconnected (optional)
+ * @param {number} scope.deadline - Time (ms since the epoch) by which reads must be done (optional)
+ * @param {Object} scope.throttle - Throttle of the client this one is scoped from (default: a new one at config.requestsPerSecond)
+ * @returns {AirtableClient} Client
+ */
+export function createAirtableClient(config, { logger = config.logger, observer = null, signal = null, deadline = null, throttle = createThrottle(config.requestsPerSecond) } = {}) {
+  const { apiUrl, apiKey, baseId, fetch, pageSize, retry, timeouts } = config;
+
+  /**
+   * Builds the error for a read that ran past the deadline
+   * @param {number} pages - Pages fetched before the deadline
+   * @param {number|null} records - Records fetched before the deadline (null when not known here)
+   * @returns {ApiError} DEADLINE_EXCEEDED error with the progress made
+   */
+  function deadlineExceeded(pages, records = null) {
+    const progress = records === null ? `${pages} page(s)` : `${pages} page(s) and ${records} record(s)`;
+
+    return new ApiError('DEADLINE_EXCEEDED', `Airtable did not answer before the request deadline (${progress} fetched)`, {
+      pages,
+      ...(records !== null && { records })
+    });
+  }
+
+  /**
+   * Returns the records URL of a table
+   * @param {string} tableId - Table ID (or name)
+   * @returns {string} URL without query parameters
+   */
+  function tableURL(tableId) {
+    // Use table ID directly (not table name)
+    return `${apiUrl}/v0/${baseId}/${encodeURIComponent(tableId)}`;
+  }
+
+  /**
+   * Builds the Airtable API URL with query parameters
+   * @param {Object} query - Table ID and view plus parsed query options (see parseRecordQuery)
+   * @param {string} offset - Optional pagination offset token
+   * @returns {string} Complete Airtable API URL
+   */
+  function buildURL(query, offset = null) {
+    const params = new URLSearchParams();
+
+    // Read through the table's view (if configured)
+    if (query.view) {
+      params.append('view', query.view);
+    }
+
+    // Add filter formula (already escaped by parseRecordQuery)
+    if (query.filterFormula) {
+      params.append('filterByFormula', query.filterFormula);
+    }
+
+    // Add sort parameters, one sort[n] pair per field
+    (query.sort || []).forEach(({ field, direction }, index) => {
+      params.append(`sort[${index}][field]`, field);
+      params.append(`sort[${index}][direction]`, direction);
+    });
+
+    // Add field selection
+    for (const field of query.fields || []) {
+      params.append('fields[]', field);
+    }
+
+    // Add page size
+    params.append('pageSize', (query.pageSize || pageSize).toString());
+
+    // Add offset for pagination (if provided)
+    if (offset) {
+      params.append('offset', offset);
+    }
+
+    return `${tableURL(query.tableId)}?${params.toString()}`;
+  }
+
+  /**
+   * Sends a request to Airtable and returns the parsed JSON response
+   * Transient failures (429, 502, 503, 504, network errors and timeouts) are
+   * retried with backoff; every attempt waits for a slot from the base's
+   * throttle first. Creates (POST) are only retried on 429, where Airtable
+   * guarantees nothing was written, so a retry can never create duplicate records.
+   * Reads (GET) also stop when the scope's signal aborts, rejecting with its
+   * reason, and at the scope's deadline, rejecting with DEADLINE_EXCEEDED.
+   * @param {string} url - Airtable API URL
+   * @param {Object} options - Request options
+   * @param {string} options.method - HTTP method
+   * @param {Object} options.body - JSON body for writes
+   * @param {number} options.page - Page number (reads), used in logs and error messages
+   * @param {number} options.batch - Batch number (writes), used in logs and error messages
+   * @param {number} options.maxRetries - Retries for this request (default: the configured ones)
+   * @returns {Promise<Object>} Parsed response body
+   */
+  async function request(url, { method = 'GET', body, page = 1, batch = null, maxRetries = retry.maxRetries } = {}) {
+    const where = batch ? `batch ${batch}` : `page ${page}`;
+    const position = batch ? { batch } : { page };
+    const { pathname } = new URL(url);
+    const safeToRepeat = method !== 'POST';
+    const cancel = method === 'GET' ? signal : null;
+    const deadlineAt = method === 'GET' ? deadline : null;
+    const timeLeft = () => (deadlineAt === null ? Infinity : deadlineAt - Date.now());
+    let attempt = 0;
+    let response;
+    let text;
+
+    while (true) {
+      attempt++;
+      const acquired = await throttle.acquire(cancel, deadlineAt);
+
+      if (cancel?.aborted) {
+        throw cancel.reason;
+      }
+
+      // The throttle (e.g. paused after a 429) would only have a slot past the deadline
+      if (!acquired || timeLeft() <= 0) {
+        throw deadlineExceeded(page - 1);
+      }
+
+      // Give up on attempts that get no response within the timeout (or by the deadline), or once the caller is gone
+      const limitMs = Math.min(timeouts.requestMs ?? Infinity, timeLeft());
+      const cutByDeadline = limitMs < (timeouts.requestMs ?? Infinity);
+      const controller = new AbortController();
+      const timer = limitMs !== Infinity ? setTimeout(() => controller.abort(), limitMs) : null;
+      const abort = () => controller.abort(cancel.reason);
+      cancel?.addEventListener('abort', abort, { once: true });
+      const startedAt = Date.now();
+
+      // Make request to Airtable API. The body is read under the same timeout and
+      // abort signal, so a stalled body can't outlive the request.
+      try {
+        response = await fetch(url, {
+          method,
+          headers: {
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/json'
+          },
+          ...(body && { body: JSON.stringify(body) }),
+          signal: controller.signal
+        });
+        text = await response.text();
+      } catch (error) {
+        // The caller is gone: nothing left to retry for
+        if (cancel?.aborted) {
+          throw cancel.reason;
+        }
+
+        if (controller.signal.aborted && cutByDeadline) {
+          observer?.response?.({ method, status: 0, durationMs: Date.now() - startedAt });
+          throw deadlineExceeded(page - 1);
+        }
+
+        // Network error (DNS failure, connection reset, ...) or timeout
+        const message = controller.signal.aborted ? `Request timed out after ${timeouts.requestMs}ms` : error.message;
+        const failure = { method, path: pathname, ...position, attempt, durationMs: Date.now() - startedAt, error: message };
+        observer?.response?.({ method, status: 0, durationMs: failure.durationMs });
+
+        if (safeToRepeat && attempt <= maxRetries) {
+          const delay = computeBackoff(attempt, retry);
+
+          if (delay >= timeLeft()) {
+            throw deadlineExceeded(page - 1);
+          }
+
+          logger.warn(`Network error on ${where} (attempt ${attempt}), retrying in ${delay}ms`, { ...failure, delayMs: delay });
+          await sleep(delay, cancel);
+          continue;
+        }
+
+        logger.error(`Network error on ${where} after ${attempt} attempt(s)`, failure);
+        throw new AirtableError({ status: 0, message, page, batch, attempts: attempt, cause: error });
+      } finally {
+        clearTimeout(timer);
+        cancel?.removeEventListener('abort', abort);
+      }
+
+      const durationMs = Date.now() - startedAt;
+      logger.info('Airtable response', { method, path: pathname, ...position, attempt, status: response.status, durationMs });
+      observer?.response?.({ method, status: response.status, durationMs });
+
+      const retryable = response.status === 429 || (safeToRepeat && isRetryableStatus(response.status));
+
+      if (response.ok || !retryable || attempt > maxRetries) {
+        break;
+      }
+
+      // Rate limited or transient upstream error: honor Retry-After, else back off
+      const retryAfter = parseRetryAfter(response.headers?.get('retry-after'));
+      const delay = retryAfter ?? computeBackoff(attempt, retry);
+
+      if (response.status === 429) {
+        throttle.pause(delay); // Hold back every other request of this client too
+      }
+
+      if (delay >= timeLeft()) {
+        throw deadlineExceeded(page - 1);
+      }
+
+      logger.warn(`Airtable returned ${response.status} on ${where} (attempt ${attempt}), retrying in ${delay}ms`, {
+        ...position,
+        attempt,
+        status: response.status,
+        delayMs: delay
+      });
+      await sleep(delay, cancel);
+    }
+
+    // Check if request was successful
+    if (!response.ok) {
+      // Keep Airtable's error type (e.g. INVALID_PERMISSIONS_OR_MODEL_NOT_FOUND) for the client
+      const { type, message } = parseAirtableErrorBody(text);
+      logger.error(`Airtable API error (${response.status}) on ${where} after ${attempt} attempt(s)`, {
+        ...position,
+        attempts: attempt,
+        status: response.status,
+        type,
+        upstreamMessage: message
+      });
+      throw new AirtableError({ status: response.status, type, message, page, batch, attempts: attempt });
+    }
+
+    // Parse JSON response
+    return JSON.parse(text);
+  }
+
+  /**
+   * Fetches a single page of records from Airtable
+   * @param {Object} query - Parsed query options
+   * @param {string} offset - Optional pagination offset token
+   * @param {number} page - Page number, used in logs and error messages
+   * @returns {Promise<Object>} Response object with records and next offset
+   */
+  async function fetchPage(query, offset = null, page = 1) {
+    const url = buildURL(query, offset);
+
+    const startedAt = Date.now();
+    logger.debug('Fetching page from Airtable', { page, url });
+
+    const data = await request(url, { page });
+    observer?.page?.({ page, records: data.records?.length || 0 });
+
+    logger.debug('Fetched page', {
+      page,
+      records: data.records?.length || 0,
+      hasMore: !!data.offset,
+      durationMs: Date.now() - startedAt // Including retries and throttling
+    });
+
+    return {
+      records: data.records || [],
+      offset: data.offset || null, // Airtable provides offset if there are more pages
+      hasMore: !!data.offset
+    };
+  }
+
+  /**
+   * Walks every page of a query, yielding each page as soon as it arrives
+   * Stopping the iteration early (e.g. the client disconnected) stops fetching.
+   * @param {Object} query - Parsed query options
+   * @returns {AsyncGenerator<{records: Array, page: number}>} Pages in order
+   */
+  async function* iteratePages(query) {
+    let offset = null;
+    let pageCount = 0;
+
+    const startedAt = Date.now();
+
+    // Keep fetching pages until there are no more
+    do {
+      pageCount++;
+
+      let pageData;
+
+      try {
+        pageData = await fetchPage(query, offset, pageCount);
+      } catch (error) {
+        logger.error(`Failed to fetch page ${pageCount}`, { page: pageCount, error });
+        throw error; // Re-throw to be handled by the consumer
+      }
+
+      // Update offset for next page
+      offset = pageData.offset;
+
+      yield { records: pageData.records, page: pageCount };
+    } while (offset);
+
+    logger.debug('Finished fetching all pages', { pages: pageCount, durationMs: Date.now() - startedAt });
+  }
+
+  /**
+   * Fetches every record of a query, or what arrived by the deadline
+   * @param {Object} query - Parsed query options
+   * @param {Object} options - Collection options
+   * @param {boolean} options.allowPartial - Return the records fetched so far when the deadline passes
+   * @returns {Promise<{records: Array, pages: number, partial: boolean}>} Records, pages fetched and whether the walk was cut short
+   * @throws {ApiError} DEADLINE_EXCEEDED with the pages and records fetched (unless allowPartial is set)
+   */
+  async function collectRecords(query, { allowPartial = false } = {}) {
+    const allRecords = [];
+    let pages = 0;
+
+    try {
+      for await (const { records, page } of iteratePages(query)) {
+        allRecords.push(...records);
+        pages = page;
+        logger.debug(`Page ${page} retrieved`, { page, records: records.length, total: allRecords.length });
+      }
+    } catch (error) {
+      if (error.code !== 'DEADLINE_EXCEEDED') throw error;
+      if (!allowPartial) throw deadlineExceeded(pages, allRecords.length);
+
+      logger.warn(`Deadline passed after ${pages} page(s), keeping ${allRecords.length} records`, { pages, records: allRecords.length });
+      return { records: allRecords, pages, partial: true };
+    }
+
+    return { records: allRecords, pages, partial: false };
+  }
+
+  /**
+   * Fetches ALL records from Airtable by automatically handling pagination
+   * @param {Object} query - Parsed query options
+   * @returns {Promise<Array>} Array of all records
+   * @throws {ApiError} DEADLINE_EXCEEDED when the request's deadline passes first
+   */
+  async function fetchAllRecords(query) {
+    const { records } = await collectRecords(query);
+    return records;
+  }
+
+  /**
+   * Sends one batch (up to 10 records) of a create, update or delete to Airtable
+   * @param {Object} table - Table configuration from the allowlist
+   * @param {string} operation - create, update or delete
+   * @param {Array} items - Records ({fields} / {id, fields}) or record IDs for deletes
+   * @param {boolean} typecast - Let Airtable convert string values to the field types
+   * @param {number} batch - Batch number, used in logs and error messages
+   * @returns {Promise<Array>} Records returned by Airtable
+   */
+  async function writeBatch(table, operation, items, typecast, batch) {
+    const url = new URL(tableURL(table.tableId));
+    let data;
+
+    logger.debug(`Sending ${operation} batch ${batch}`, { table: table.slug, batch, records: items.length });
+
+    if (operation === 'delete') {
+      items.forEach(id => url.searchParams.append('records[]', id));
+      data = await request(url.toString(), { method: 'DELETE', batch });
+    } else {
+      data = await request(url.toString(), {
+        method: operation === 'create' ? 'POST' : 'PATCH',
+        body: { records: items, typecast },
+        batch
+      });
+    }
+
+    return data.records || [];
+  }
+
+  /**
+   * Checks that Airtable answers for a table with a single-record request
+   * Not retried and not counted as a page, so a readiness probe stays cheap.
+   * @param {Object} table - Table configuration from the allowlist
+   * @returns {Promise<void>} Rejects with an AirtableError when Airtable doesn't answer
+   */
+  async function ping(table) {
+    const url = buildURL({ tableId: table.tableId, view: table.view, pageSize: 1, fields: table.fields?.slice(0, 1) || [] });
+    await request(url, { maxRetries: 0 });
+  }
+
+  /**
+   * Reads the base's tables, fields and views from the metadata API
+   * The token needs the schema.bases:read scope.
+   * @returns {Promise<Array<Object>>} Tables: { id, name, primaryFieldId, fields, views }
+   */
+  async function fetchSchema() {
+    const data = await request(`${apiUrl}/v0/meta/bases/${baseId}/tables`);
+    return data.tables || [];
+  }
+
+  return {
+    baseId,
+    buildURL,
+    request,
+    fetchPage,
+    iteratePages,
+    collectRecords,
+    fetchAllRecords,
+    writeBatch,
+    ping,
+    fetchSchema,
+    scoped: scope => createAirtableClient(config, { logger, observer, signal, deadline, ...scope, throttle })
+  };
+}
@@ -0,0 +1,451 @@
+/**
+ * Proxy Configuration
+ *
+ * Everything a handler needs is passed in one configuration object instead of
+ * being read from module-level constants, so several proxies (other bases,
+ * other credentials, a mock Airtable in tests) can run in the same process:
+ *
+ *   import { createAirtableHandler } from './lib/handler.js';
+ *
+ *   export default createAirtableHandler({
+ *     apiKey: 'pat...',
+ *     baseId: 'app...',
+ *     tables: { tasks: { tableId: 'tbl...' } },
+ *     auth: { disabled: true }
+ *   });
+ *
+ * createConfig validates the options and fills in defaults, throwing a
+ * ConfigError that names the offending option. loadConfig builds the same
+ * options from environment variables (what the entry points use).
+ *
+ * Sections that have their own loader take that loader's result:
+ * auth (loadAuthConfig), cors (loadCorsPolicy), rateLimits (loadRateLimits)
+ * and webhooks.secrets (loadWebhookConfig).
+ */
+
+import { ApiError } from './errors.js';
+import { buildTables, loadTables } from './tables.js';
+import { getRetryOptions } from './retry.js';
+import { deriveCursorSecret } from './cursor.js';
+import { createMemoryStore, createStoreFromEnv } from './cache.js';
+import { loadAuthConfig } from './auth.js';
+import { loadCorsPolicy } from './cors.js';
+import { loadRateLimits } from './rate-limit.js';
+import { loadWebhookConfig, createHandlerRegistry, getWebhookHandlers } from './webhooks.js';
+import { DEFAULT_SCHEMA_TTL_SECONDS } from './schema.js';
+import { createLogger, parseLogLevel, LOG_LEVELS } from './logger.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_API_URL = 'https://api.airtable.com';
+const DEFAULT_PAGE_SIZE = 50; // Records per page (Airtable max is 100, but 50 is safer)
+const DEFAULT_REQUESTS_PER_SECOND = 5; // Airtable's limit per base
+const DEFAULT_REQUEST_TIMEOUT_MS = 10000; // Per Airtable request attempt
+const DEFAULT_DEADLINE_MS = 25000; // Per proxy read, so it fails cleanly before common platform limits (Vercel, Netlify: 26-30s)
+const DEFAULT_EXPAND_DEPTH = 2; // Levels of ?expand= (Project.Owner is two)
+const MAX_EXPAND_DEPTH = 5;
+const BASE_ID_PATTERN = /^app[A-Za-z0-9]{14}$/;
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * Thrown when the proxy configuration is invalid. The handler turns it into a 500.
+ */
+export class ConfigError extends ApiError {
+  constructor(message) {
+    super('CONFIG_ERROR', message);
+    this.name = 'ConfigError';
+  }
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks that a setting is a plain object (or absent)
+ * @param {*} value - Setting
+ * @param {string} name - Option name, used in the error message
+ * @returns {Object} The object, or {} when absent
+ */
+function readSection(value, name) {
+  if (value == null) return {};
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new ConfigError(`${name} must be an object`);
+  }
+
+  return value;
+}
+
+/**
+ * Checks a numeric setting
+ * @param {*} value - Setting
+ * @param {string} name - Option name, used in the error message
+ * @param {Object} rules - Constraints
+ * @param {number} rules.min - Smallest allowed value
+ * @param {number} rules.max - Largest allowed value
+ * @param {boolean} rules.integer - Only whole numbers
+ * @param {number|null} fallback - Default when the setting is absent
+ * @returns {number|null} Value
+ */
+function readNumber(value, name, { min = 0, max = Infinity, integer = true } = {}, fallback = null) {
+  if (value == null) return fallback;
+
+  if (typeof value !== 'number' || Number.isNaN(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+    const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+    throw new ConfigError(`${name} must be ${integer ? 'an integer' : 'a number'} ${range}, got ${JSON.stringify(value)}`);
+  }
+
+  return value;
+}
+
+/**
+ * Checks the upstream request rate
+ * @param {*} value - Setting
+ * @returns {number} Requests per second
+ */
+function readRate(value = DEFAULT_REQUESTS_PER_SECOND) {
+  if (typeof value !== 'number' || !(value > 0) || value === Infinity) {
+    throw new ConfigError(`requestsPerSecond must be a positive number, got ${JSON.stringify(value)}`);
+  }
+
+  return value;
+}
+
+/**
+ * Checks the Airtable API origin
+ * @param {*} value - Setting
+ * @returns {string} URL without trailing slashes
+ */
+function readApiUrl(value = DEFAULT_API_URL) {
+  let url;
+
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new ConfigError(`apiUrl must be an absolute URL, got ${JSON.stringify(value)}`);
+  }
+
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    throw new ConfigError(`apiUrl must use http or https, got ${url.protocol}`);
+  }
+
+  return String(value).replace(/\/+$/, '');
+}
+
+/**
+ * Checks the table allowlist
+ * @param {Object|Map} value - Table entries keyed by slug, or the result of buildTables / loadTables
+ * @param {string|null} defaultTable - Table served at plain /api/airtable
+ * @returns {Map<string, Object>} Tables keyed by slug, default table first
+ */
+function readTables(value, defaultTable) {
+  if (value == null) {
+    throw new ConfigError('Missing tables: pass an object keyed by table slug (or set AIRTABLE_TABLES)');
+  }
+
+  // Already normalized (loadTables / buildTables): only move the default table to the front
+  if (value instanceof Map) {
+    if (value.size === 0) throw new ConfigError('At least one table must be configured');
+    if (!defaultTable) return value;
+
+    if (!value.has(defaultTable)) {
+      throw new ConfigError(`defaultTable "${defaultTable}" is not a configured table`);
+    }
+
+    return new Map([[defaultTable, value.get(defaultTable)], ...[...value].filter(([slug]) => slug !== defaultTable)]);
+  }
+
+  return buildTables(value, defaultTable || null);
+}
+
+/**
+ * Checks the authentication settings
+ * { disabled: true } is enough for open access; otherwise pass loadAuthConfig's result.
+ * @param {Object} value - Setting
+ * @returns {{disabled: boolean, apiKeys: Array, jwt: Object|null}} Auth configuration
+ */
+function readAuth(value) {
+  if (value == null) {
+    throw new ConfigError('Missing auth: pass loadAuthConfig(...) or { disabled: true } for open access');
+  }
+
+  const { disabled = false, apiKeys = [], jwt = null } = readSection(value, 'auth');
+
+  if (!Array.isArray(apiKeys)) {
+    throw new ConfigError('auth.apiKeys must be an array (see loadAuthConfig)');
+  }
+
+  if (jwt !== null && typeof jwt?.secret !== 'string') {
+    throw new ConfigError('auth.jwt needs a "secret" string');
+  }
+
+  if (!disabled && apiKeys.length === 0 && !jwt) {
+    throw new ConfigError('auth has no credentials: configure apiKeys and/or jwt, or set disabled: true for open access');
+  }
+
+  return { disabled: disabled === true, apiKeys, jwt };
+}
+
+/**
+ * Builds the logger: JSON lines on the console, or entries handed to an
+ * injected logger, redacted either way (see lib/logger.js)
+ * @param {Object} config - Raw options (logger, logLevel, redactFields)
+ * @param {Array<string>} secrets - Secret values that must never be logged
+ * @returns {Object} Logger with debug, info, warn, error and child
+ */
+function readLogger(config, secrets) {
+  const target = config.logger ?? null;
+  const missing = LOG_LEVELS.filter(level => typeof target?.[level] !== 'function');
+
+  if (target && missing.length > 0) {
+    throw new ConfigError(`logger is missing ${missing.join(', ')}: it must implement ${LOG_LEVELS.join(', ')}`);
+  }
+
+  const level = parseLogLevel(config.logLevel);
+
+  if (!level) {
+    throw new ConfigError(`logLevel must be one of ${LOG_LEVELS.join(', ')}, got "${config.logLevel}"`);
+  }
+
+  const redactFields = config.redactFields ?? [];
+
+  if (!Array.isArray(redactFields) || redactFields.some(field => typeof field !== 'string')) {
+    throw new ConfigError('redactFields must be an array of field names');
+  }
+
+  return createLogger({ level, redactFields, secrets, target });
+}
+
+/**
+ * Checks that a store implements get / set / delete
+ * @param {Object} value - Setting
+ * @param {string} name - Option name, used in the error message
+ * @returns {Object} Store
+ */
+function readStore(value, name) {
+  if (value == null) return createMemoryStore();
+
+  if (['get', 'set', 'delete'].some(method => typeof value[method] !== 'function')) {
+    throw new ConfigError(`${name} must implement get, set and delete (see lib/cache.js)`);
+  }
+
+  return value;
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Validates proxy options and fills in defaults
+ * @param {Object} options - Proxy options
+ * @param {string} options.apiKey - Airtable Personal Access Token (required)
+ * @param {string} options.baseId - Airtable base ID (required)
+ * @param {Object|Map} options.tables - Table allowlist keyed by slug (required, see lib/tables.js)
+ * @param {string} options.defaultTable - Table served at plain /api/airtable (default: the first)
+ * @param {Object} options.auth - Client authentication (required, see readAuth)
+ * @param {string} options.apiUrl - Airtable API origin (default https://api.airtable.com)
+ * @param {Function} options.fetch - Fetch implementation (default: the global fetch)
+ * @param {number} options.pageSize - Records per Airtable page, 1-100 (default 50)
+ * @param {Object} options.timeouts - { requestMs, deadlineMs }: timeout per Airtable request (default 10000) and
+ *   for all Airtable reads of one proxy request (default 25000), in ms; 0 disables
+ * @param {Object} options.retry - { maxRetries, baseDelayMs, maxDelayMs } (see lib/retry.js)
+ * @param {number} options.expandDepth - Deepest ?expand= path, 1-5 (default 2, see lib/expand.js)
+ * @param {number} options.requestsPerSecond - Upstream rate limit per base (default 5)
+ * @param {Object} options.cache - { ttlSeconds, staleSeconds, store } (see lib/cache.js)
+ * @param {string} options.cursorSecret - Key for signing pagination cursors (default: derived from apiKey)
+ * @param {Object} options.cors - CORS policy (see loadCorsPolicy, default allows any origin)
+ * @param {Object} options.rateLimits - Client rate limits (see loadRateLimits)
+ * @param {boolean} options.trustProxy - Key anonymous clients by X-Forwarded-For / X-Real-IP, for deployments
+ *   behind a proxy that sets them (default false: the address the adapter reports, see getClientKey)
+ * @param {Object} options.webhooks - { secrets, handlers, store } (see lib/webhooks.js)
+ * @param {Object} options.health - { checkAirtable }: ping Airtable in /api/health/ready (default false, see lib/health.js)
+ * @param {Object} options.schema - { validate, ttlSeconds }: check fields against the base schema before reading
+ *   (default false) and how long the schema is cached (default 300, see lib/schema.js)
+ * @param {Object} options.logger - { debug, info, warn, error } to receive redacted entries (default: JSON lines on the console)
+ * @param {string} options.logLevel - debug, info, warn or error (default info)
+ * @param {Array<string>} options.redactFields - Extra keys whose values are never logged (see lib/logger.js)
+ * @returns {Object} Validated configuration
+ */
+export function createConfig(options = {}) {
+  const config = readSection(options, 'Configuration');
+
+  if (typeof config.apiKey !== 'string' || !config.apiKey) {
+    throw new ConfigError('Missing apiKey: pass your Airtable Personal Access Token (AIRTABLE_API_KEY)');
+  }
+
+  if (typeof config.baseId !== 'string' || !config.baseId) {
+    throw new ConfigError('Missing baseId: pass your Airtable base ID (AIRTABLE_BASE_ID)');
+  }
+
+  if (!BASE_ID_PATTERN.test(config.baseId)) {
+    throw new ConfigError(`Invalid baseId "${config.baseId}": expected "app" followed by 14 letters or digits`);
+  }
+
+  const fetchImpl = config.fetch ?? globalThis.fetch?.bind(globalThis);
+
+  if (typeof fetchImpl !== 'function') {
+    throw new ConfigError('fetch must be a function: pass a fetch implementation on runtimes without a global fetch');
+  }
+
+  const timeouts = readSection(config.timeouts, 'timeouts');
+  const retry = readSection(config.retry, 'retry');
+  const cache = readSection(config.cache, 'cache');
+  const webhooks = readSection(config.webhooks, 'webhooks');
+  const health = readSection(config.health, 'health');
+  const schema = readSection(config.schema, 'schema');
+  const defaults = getRetryOptions({});
+
+  if (config.cursorSecret != null && (typeof config.cursorSecret !== 'string' || !config.cursorSecret)) {
+    throw new ConfigError('cursorSecret must be a non-empty string');
+  }
+
+  if (webhooks.secrets != null && !(webhooks.secrets instanceof Map)) {
+    throw new ConfigError('webhooks.secrets must be a Map of webhook ID to MAC secret (see loadWebhookConfig)');
+  }
+
+  if (health.checkAirtable != null && typeof health.checkAirtable !== 'boolean') {
+    throw new ConfigError('health.checkAirtable must be true or false');
+  }
+
+  if (config.trustProxy != null && typeof config.trustProxy !== 'boolean') {
+    throw new ConfigError('trustProxy must be true or false');
+  }
+
+  if (schema.validate != null && typeof schema.validate !== 'boolean') {
+    throw new ConfigError('schema.validate must be true or false');
+  }
+
+  if (webhooks.handlers != null && typeof webhooks.handlers.dispatch !== 'function') {
+    throw new ConfigError('webhooks.handlers must be a handler registry (see createHandlerRegistry)');
+  }
+
+  const tables = readTables(config.tables, config.defaultTable);
+  const auth = readAuth(config.auth);
+  const cursorSecret = config.cursorSecret || deriveCursorSecret(config.apiKey);
+  const webhookSecrets = webhooks.secrets ?? new Map();
+  const secrets = [
+    config.apiKey,
+    cursorSecret,
+    auth.jwt?.secret,
+    ...[...webhookSecrets.values()].map(secret => secret.toString('base64'))
+  ];
+
+  return {
+    apiUrl: readApiUrl(config.apiUrl),
+    apiKey: config.apiKey,
+    baseId: config.baseId,
+    fetch: fetchImpl,
+    tables,
+    auth,
+    pageSize: readNumber(config.pageSize, 'pageSize', { min: 1, max: 100 }, DEFAULT_PAGE_SIZE),
+    timeouts: {
+      requestMs: readNumber(timeouts.requestMs, 'timeouts.requestMs', {}, DEFAULT_REQUEST_TIMEOUT_MS) || null,
+      deadlineMs: readNumber(timeouts.deadlineMs, 'timeouts.deadlineMs', {}, DEFAULT_DEADLINE_MS) || null
+    },
+    expandDepth: readNumber(config.expandDepth, 'expandDepth', { min: 1, max: MAX_EXPAND_DEPTH }, DEFAULT_EXPAND_DEPTH),
+    retry: {
+      maxRetries: readNumber(retry.maxRetries, 'retry.maxRetries', {}, defaults.maxRetries),
+      baseDelayMs: readNumber(retry.baseDelayMs, 'retry.baseDelayMs', {}, defaults.baseDelayMs),
+      maxDelayMs: readNumber(retry.maxDelayMs, 'retry.maxDelayMs', {}, defaults.maxDelayMs)
+    },
+    requestsPerSecond: readRate(config.requestsPerSecond),
+    cache: {
+      ttlSeconds: readNumber(cache.ttlSeconds, 'cache.ttlSeconds', { integer: false }, 30),
+      staleSeconds: readNumber(cache.staleSeconds, 'cache.staleSeconds', { integer: false }, 30),
+      store: readStore(cache.store, 'cache.store')
+    },
+    cursorSecret,
+    cors: config.cors ?? loadCorsPolicy({}),
+    rateLimits: config.rateLimits ?? loadRateLimits({}),
+    trustProxy: config.trustProxy ?? false,
+    webhooks: {
+      secrets: webhookSecrets,
+      handlers: webhooks.handlers ?? createHandlerRegistry(),
+      store: readStore(webhooks.store, 'webhooks.store') // Keep cursors apart from cached responses so they are never evicted
+    },
+    health: {
+      checkAirtable: health.checkAirtable ?? false
+    },
+    schema: {
+      validate: schema.validate ?? false,
+      ttlSeconds: readNumber(schema.ttlSeconds, 'schema.ttlSeconds', { integer: false }, DEFAULT_SCHEMA_TTL_SECONDS)
+    },
+    logger: readLogger(config, secrets)
+  };
+}
+
+/**
+ * Parses a non-negative duration (seconds or milliseconds) from an environment variable
+ * @param {string|undefined} value - Raw value
+ * @param {number} fallback - Default when unset or invalid
+ * @returns {number} Duration
+ */
+function readDuration(value, fallback) {
+  const duration = Number(value);
+  return value !== undefined && value !== '' && duration >= 0 ? duration : fallback;
+}
+
+/**
+ * Builds the proxy configuration from environment variables
+ * Webhook handlers get their own registry, which also dispatches to the
+ * process-wide one (getWebhookHandlers).
+ * @param {Object} env - Environment variables
+ * @returns {Object} Validated configuration (see createConfig)
+ */
+export function loadConfig(env = process.env) {
+  const requestsPerSecond = Number(env.AIRTABLE_REQUESTS_PER_SECOND);
+
+  if (!env.AIRTABLE_API_KEY) {
+    throw new ConfigError('AIRTABLE_API_KEY environment variable is not set');
+  }
+
+  if (!env.AIRTABLE_BASE_ID) {
+    throw new ConfigError('AIRTABLE_BASE_ID environment variable is not set');
+  }
+
+  return createConfig({
+    apiUrl: env.AIRTABLE_API_URL || undefined,
+    apiKey: env.AIRTABLE_API_KEY,
+    baseId: env.AIRTABLE_BASE_ID,
+    tables: loadTables(env),
+    auth: loadAuthConfig(env),
+    timeouts: {
+      requestMs: readDuration(env.AIRTABLE_TIMEOUT_MS, undefined),
+      deadlineMs: readDuration(env.AIRTABLE_DEADLINE_MS, undefined)
+    },
+    retry: getRetryOptions(env),
+    expandDepth: env.AIRTABLE_EXPAND_DEPTH ? Number(env.AIRTABLE_EXPAND_DEPTH) : undefined,
+    requestsPerSecond: requestsPerSecond > 0 ? requestsPerSecond : undefined,
+    cache: {
+      ttlSeconds: readDuration(env.CACHE_TTL_SECONDS, 30),
+      staleSeconds: readDuration(env.CACHE_STALE_SECONDS, 30),
+      store: createStoreFromEnv(env)
+    },
+    cursorSecret: env.CURSOR_SECRET || null,
+    cors: loadCorsPolicy(env),
+    rateLimits: loadRateLimits(env),
+    // Vercel's edge overwrites X-Forwarded-For, so it can be trusted there
+    trustProxy: env.TRUST_PROXY ? env.TRUST_PROXY === 'true' : env.VERCEL === '1',
+    webhooks: {
+      secrets: loadWebhookConfig(env),
+      handlers: createHandlerRegistry(getWebhookHandlers()),
+      store: createStoreFromEnv(env)
+    },
+    health: {
+      checkAirtable: env.HEALTH_CHECK_AIRTABLE === 'true'
+    },
+    schema: {
+      validate: env.AIRTABLE_VALIDATE_FIELDS === 'true',
+      ttlSeconds: readDuration(env.AIRTABLE_SCHEMA_TTL_SECONDS, undefined)
+    },
+    logLevel: env.LOG_LEVEL || undefined,
+    redactFields: (env.LOG_REDACT_FIELDS || '').split(',').map(field => field.trim()).filter(Boolean)
+  });
+}
@@ -0,0 +1,209 @@
+/**
+ * CORS Policy
+ *
+ * One config-driven policy replaces the hardcoded wildcard headers. Settings
+ * (all optional):
+ *
+ * - CORS_ALLOWED_ORIGINS: Comma-separated origins. Entries are exact origins
+ *   (https://app.example.com), wildcard subdomains (https://*.example.com) or
+ *   "*" for any origin. Default "*".
+ * - CORS_ALLOWED_METHODS: Methods cross-origin callers may use (default GET, POST, PATCH, DELETE)
+ * - CORS_ALLOWED_HEADERS: Request headers allowed in preflights (default Content-Type, Authorization, If-None-Match)
+ * - CORS_EXPOSED_HEADERS: Response headers readable by the browser (default ETag, X-Cache, RateLimit-*, Retry-After,
+ *   Content-Disposition, X-Next-Cursor, X-Request-Id)
+ * - CORS_ALLOW_CREDENTIALS: "true" to send Access-Control-Allow-Credentials
+ * - CORS_MAX_AGE: Seconds browsers may cache a preflight (default 86400)
+ *
+ * The matching Origin is echoed back (never a list), with Vary: Origin so
+ * shared caches keep responses for different origins apart. Preflights are
+ * answered only for allowed origins, for methods that are both allowed by the
+ * policy and enabled on the route, and for allowed request headers.
+ */
+
+import { ApiError } from './errors.js';
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * Thrown for preflights the policy does not allow. The handler turns it into a 403.
+ */
+export class CorsError extends ApiError {
+  constructor(message) {
+    super('CORS_REJECTED', message);
+    this.name = 'CorsError';
+  }
+}
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_METHODS = 'GET, POST, PATCH, DELETE';
+const DEFAULT_HEADERS = 'Content-Type, Authorization, If-None-Match, X-Request-Id';
+const DEFAULT_EXPOSED_HEADERS = 'ETag, X-Cache, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After, Content-Disposition, X-Next-Cursor, X-Partial-Result, X-Request-Id';
+const DEFAULT_MAX_AGE = 86400; // 24 hours
+
+/**
+ * Splits a comma-separated setting into trimmed entries
+ * @param {string} value - Raw setting
+ * @returns {Array<string>} Entries
+ */
+function splitList(value) {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Turns an allowed-origin entry into a matcher
+ * @param {string} entry - "*", an exact origin or https://*.example.com
+ * @returns {Function} (origin) → boolean
+ */
+function compileOrigin(entry) {
+  if (entry === '*') return () => true;
+
+  const match = /^(https?):\/\/\*\.([a-z0-9.-]+(?::\d+)?)$/i.exec(entry);
+
+  if (match) {
+    const [, scheme, domain] = match;
+    const suffix = `.${domain.toLowerCase()}`;
+    const prefix = `${scheme.toLowerCase()}://`;
+
+    // Any depth of subdomain, but not the bare domain itself
+    return origin => origin.startsWith(prefix) && origin.endsWith(suffix) && origin.length > prefix.length + suffix.length;
+  }
+
+  if (!/^https?:\/\/[^/*]+$/i.test(entry)) {
+    throw new ApiError('CONFIG_ERROR', `CORS_ALLOWED_ORIGINS entry "${entry}" is not an origin (scheme://host[:port])`);
+  }
+
+  const exact = entry.toLowerCase();
+  return origin => origin === exact;
+}
+
+/**
+ * Loads and validates the CORS policy
+ * @param {Object} env - Environment variables
+ * @returns {Object} CORS policy
+ */
+export function loadCorsPolicy(env = process.env) {
+  const origins = splitList(env.CORS_ALLOWED_ORIGINS || '*');
+  const credentials = env.CORS_ALLOW_CREDENTIALS === 'true';
+  const maxAge = Number(env.CORS_MAX_AGE ?? DEFAULT_MAX_AGE);
+
+  if (credentials && origins.includes('*')) {
+    throw new ApiError('CONFIG_ERROR', 'CORS_ALLOW_CREDENTIALS requires an explicit CORS_ALLOWED_ORIGINS list, not "*"');
+  }
+
+  if (!Number.isInteger(maxAge) || maxAge < 0) {
+    throw new ApiError('CONFIG_ERROR', 'CORS_MAX_AGE must be a non-negative integer');
+  }
+
+  return {
+    anyOrigin: origins.includes('*'),
+    matchers: origins.map(compileOrigin),
+    methods: splitList(env.CORS_ALLOWED_METHODS || DEFAULT_METHODS).map(method => method.toUpperCase()),
+    headers: splitList(env.CORS_ALLOWED_HEADERS || DEFAULT_HEADERS),
+    exposedHeaders: splitList(env.CORS_EXPOSED_HEADERS ?? DEFAULT_EXPOSED_HEADERS),
+    credentials,
+    maxAge
+  };
+}
+
+// ============================================================================
+// HEADERS
+// ============================================================================
+
+/**
+ * Checks a request's Origin against the policy
+ * @param {Object} policy - CORS policy
+ * @param {string|undefined} origin - Origin request header
+ * @returns {boolean} True if the origin is allowed
+ */
+export function isOriginAllowed(policy, origin) {
+  if (!origin) return false;
+
+  const normalized = origin.toLowerCase();
+  return policy.matchers.some(matches => matches(normalized));
+}
+
+/**
+ * Methods a route accepts cross-origin: enabled on the route and allowed by the policy
+ * @param {Object} policy - CORS policy
+ * @param {Array<string>} routeMethods - Methods the route handles
+ * @returns {Array<string>} Allowed methods
+ */
+export function allowedMethods(policy, routeMethods) {
+  return routeMethods.filter(method => policy.methods.includes(method));
+}
+
+/**
+ * Sets the CORS headers for a regular (non-preflight) response
+ * Disallowed origins get no Access-Control-Allow-Origin, so the browser
+ * withholds the response; non-browser clients are unaffected.
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} policy - CORS policy
+ */
+export function applyCorsHeaders(req, res, policy) {
+  const origin = req.headers?.origin;
+
+  // With a plain "*" policy (no credentials) the response is the same for every origin
+  if (policy.anyOrigin && !policy.credentials) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else {
+    res.setHeader('Vary', 'Origin');
+
+    if (!isOriginAllowed(policy, origin)) return;
+
+    res.setHeader('Access-Control-Allow-Origin', origin);
+  }
+
+  if (policy.credentials) {
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+  }
+
+  if (policy.exposedHeaders.length > 0) {
+    res.setHeader('Access-Control-Expose-Headers', policy.exposedHeaders.join(', '));
+  }
+}
+
+/**
+ * Validates a preflight request and sets the preflight response headers
+ * @param {Object} req - Request object (OPTIONS)
+ * @param {Object} res - Response object
+ * @param {Object} policy - CORS policy
+ * @param {Array<string>} routeMethods - Methods the route handles
+ */
+export function handlePreflight(req, res, policy, routeMethods) {
+  const origin = req.headers?.origin;
+  const requestedMethod = String(req.headers?.['access-control-request-method'] || '').toUpperCase();
+  const requestedHeaders = splitList(req.headers?.['access-control-request-headers'] || '');
+  const methods = allowedMethods(policy, routeMethods);
+
+  res.setHeader('Vary', 'Origin, Access-Control-Request-Method, Access-Control-Request-Headers');
+
+  if (!isOriginAllowed(policy, origin)) {
+    throw new CorsError(`Origin ${origin || '(none)'} is not allowed`);
+  }
+
+  if (!methods.includes(requestedMethod)) {
+    throw new CorsError(`Method ${requestedMethod || '(none)'} is not enabled on this route. Allowed: ${methods.join(', ')}`);
+  }
+
+  const allowedHeaders = policy.headers.map(header => header.toLowerCase());
+  const rejected = requestedHeaders.filter(header => !allowedHeaders.includes(header.toLowerCase()));
+
+  if (rejected.length > 0) {
+    throw new CorsError(`Header(s) not allowed: ${rejected.join(', ')}`);
+  }
+
+  res.setHeader('Access-Control-Allow-Origin', policy.anyOrigin && !policy.credentials ? '*' : origin);
+  res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+  res.setHeader('Access-Control-Allow-Headers', policy.headers.join(', '));
+  res.setHeader('Access-Control-Max-Age', String(policy.maxAge));
+
+  if (policy.credentials) {
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+  }
+}
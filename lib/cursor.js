@@ -0,0 +1,134 @@
+/**
+ * Signed Pagination Cursors
+ *
+ * In paginated mode (?pageSize=&cursor=) the Airtable offset for the next page
+ * is handed to the client as an opaque cursor. The cursor is HMAC-signed and
+ * bound to the table and query it was issued for, so a client can neither
+ * forge an offset nor replay a cursor against a different table or filter.
+ *
+ * Format: base64url(JSON payload) + "." + base64url(HMAC-SHA256 signature)
+ *
+ * The signing key is CURSOR_SECRET, or a key derived from AIRTABLE_API_KEY
+ * when no dedicated secret is configured.
+ */
+
+import { createHash, createHmac, timingSafeEqual } from 'node:crypto';
+import { ApiError } from './errors.js';
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * Thrown when a cursor is malformed, tampered with or issued for another query.
+ * The handler turns it into a 400.
+ */
+export class CursorError extends ApiError {
+  constructor(message) {
+    super('INVALID_CURSOR', message);
+    this.name = 'CursorError';
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Derives a cursor signing key from the Airtable API key
+ * Never sign with the API key itself; a leaked cursor key must not grant Airtable access.
+ * @param {string} apiKey - Airtable API key
+ * @returns {string} Signing key
+ */
+export function deriveCursorSecret(apiKey) {
+  return createHash('sha256').update(`cursor:${apiKey}`).digest('hex');
+}
+
+/**
+ * Computes a short fingerprint of everything that shapes the result set
+ * Airtable offsets are only valid for the exact query they came from.
+ * @param {Object} query - Table ID, view and parsed query options
+ * @returns {string} Query fingerprint
+ */
+export function hashQuery(query) {
+  const canonical = JSON.stringify([
+    query.tableId,
+    query.view || null,
+    query.filterFormula || null,
+    query.sort || [],
+    query.fields || []
+  ]);
+
+  return createHash('sha256').update(canonical).digest('base64url').slice(0, 22);
+}
+
+/**
+ * Signs a cursor payload
+ * @param {string} payload - Encoded payload
+ * @param {string} secret - Signing key
+ * @returns {Buffer} HMAC-SHA256 signature
+ */
+function sign(payload, secret) {
+  return createHmac('sha256', secret).update(payload).digest();
+}
+
+// ============================================================================
+// ENCODE / DECODE
+// ============================================================================
+
+/**
+ * Creates a cursor for the next page of a query
+ * @param {Object} options - Cursor contents
+ * @param {string} options.table - Table slug
+ * @param {string} options.queryHash - Fingerprint from hashQuery
+ * @param {string} options.offset - Airtable offset of the next page
+ * @param {string} secret - Signing key
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor({ table, queryHash, offset }, secret) {
+  const payload = Buffer.from(JSON.stringify({ t: table, q: queryHash, o: offset })).toString('base64url');
+  return `${payload}.${sign(payload, secret).toString('base64url')}`;
+}
+
+/**
+ * Verifies a cursor and returns the Airtable offset it carries
+ * @param {string} cursor - Cursor from the client
+ * @param {string} secret - Signing key
+ * @param {Object} expected - Table slug and query fingerprint of the current request
+ * @returns {string} Airtable offset
+ */
+export function decodeCursor(cursor, secret, { table, queryHash }) {
+  const [payload, signature, ...rest] = String(cursor).split('.');
+
+  if (!payload || !signature || rest.length > 0) {
+    throw new CursorError('Malformed cursor');
+  }
+
+  const expectedSignature = sign(payload, secret);
+  const actualSignature = Buffer.from(signature, 'base64url');
+
+  if (actualSignature.length !== expectedSignature.length || !timingSafeEqual(actualSignature, expectedSignature)) {
+    throw new CursorError('Invalid cursor signature');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new CursorError('Malformed cursor');
+  }
+
+  if (!data || typeof data.o !== 'string' || !data.o) {
+    throw new CursorError('Malformed cursor');
+  }
+
+  if (data.t !== table) {
+    throw new CursorError('Cursor was issued for a different table');
+  }
+
+  if (data.q !== queryHash) {
+    throw new CursorError('Cursor was issued for a different filter, sort or field selection');
+  }
+
+  return data.o;
+}
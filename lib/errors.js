@@ -0,0 +1,198 @@
+/**
+ * Error Types and Error Response Schema
+ *
+ * Every error response from the proxy has the same shape:
+ *
+ *   {
+ *     "success": false,
+ *     "error": "Rate limit exceeded",        // Human-readable category
+ *     "code": "AIRTABLE_RATE_LIMITED",       // Machine-readable code (see ERROR_CODES)
+ *     "message": "...",                      // Details for this occurrence
+ *     "upstream": { "status": 429, "type": "TOO_MANY_REQUESTS", "message": "..." },
+ *     "page": 3,                             // Airtable errors only: page that failed
+ *     "attempts": 5                          // Airtable errors only: attempts made
+ *   }
+ *
+ * Clients should branch on `code`; `error` and `message` are for humans.
+ */
+
+// ============================================================================
+// ERROR CODES
+// ============================================================================
+
+/**
+ * Every code the proxy can return, with its HTTP status and category label
+ */
+export const ERROR_CODES = {
+  // Problems with the incoming request
+  INVALID_QUERY: { status: 400, error: 'Invalid query parameters' },
+  INVALID_CURSOR: { status: 400, error: 'Invalid cursor' },
+  INVALID_BODY: { status: 400, error: 'Invalid request body' },
+  UNAUTHENTICATED: { status: 401, error: 'Authentication required' },
+  INVALID_SIGNATURE: { status: 401, error: 'Invalid webhook signature' },
+  FORBIDDEN: { status: 403, error: 'Access denied' },
+  CORS_REJECTED: { status: 403, error: 'CORS request rejected' },
+  TABLE_NOT_FOUND: { status: 404, error: 'Table not found' },
+  WEBHOOK_NOT_FOUND: { status: 404, error: 'Webhook not found' },
+  METHOD_NOT_ALLOWED: { status: 405, error: 'Method not allowed' },
+  NOT_ACCEPTABLE: { status: 406, error: 'Not acceptable' },
+  PAYLOAD_TOO_LARGE: { status: 413, error: 'Payload too large' },
+  RATE_LIMITED: { status: 429, error: 'Too many requests' },
+
+  // Problems on our side
+  CONFIG_ERROR: { status: 500, error: 'Server configuration error' },
+  INTERNAL_ERROR: { status: 500, error: 'Internal server error' },
+  NOT_READY: { status: 503, error: 'Service not ready' },
+
+  // Errors returned by (or while reaching) Airtable
+  AIRTABLE_BAD_REQUEST: { status: 400, error: 'Invalid request' },
+  AIRTABLE_UNAUTHORIZED: { status: 401, error: 'Authentication error' },
+  AIRTABLE_FORBIDDEN: { status: 403, error: 'Permission denied' },
+  AIRTABLE_NOT_FOUND: { status: 404, error: 'Resource not found' },
+  AIRTABLE_INVALID_REQUEST: { status: 422, error: 'Invalid request' },
+  AIRTABLE_RATE_LIMITED: { status: 429, error: 'Rate limit exceeded' },
+  AIRTABLE_UNAVAILABLE: { status: 502, error: 'Upstream service error' },
+  AIRTABLE_UNREACHABLE: { status: 502, error: 'Upstream service unreachable' },
+  DEADLINE_EXCEEDED: { status: 504, error: 'Upstream timeout' },
+  AIRTABLE_ERROR: { status: 502, error: 'Upstream service error' }
+};
+
+// Upstream HTTP status → error code
+const AIRTABLE_STATUS_CODES = {
+  400: 'AIRTABLE_BAD_REQUEST',
+  401: 'AIRTABLE_UNAUTHORIZED',
+  403: 'AIRTABLE_FORBIDDEN',
+  404: 'AIRTABLE_NOT_FOUND',
+  422: 'AIRTABLE_INVALID_REQUEST',
+  429: 'AIRTABLE_RATE_LIMITED'
+};
+
+// ============================================================================
+// ERROR CLASSES
+// ============================================================================
+
+/**
+ * An error the proxy reports to the client with a specific code
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} code - Key of ERROR_CODES
+   * @param {string} message - Details for this occurrence
+   * @param {Object} details - Extra fields merged into the response body
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.statusCode = ERROR_CODES[code].status;
+    this.details = details;
+  }
+}
+
+/**
+ * A failed request to Airtable, thrown by fetchPage and the write helpers
+ * status is 0 when Airtable could not be reached at all. Reads report the
+ * page that failed, writes the batch of (up to 10) records.
+ */
+export class AirtableError extends Error {
+  /**
+   * @param {Object} options - Error details
+   * @param {number} options.status - Upstream HTTP status (0 for network errors)
+   * @param {string|null} options.type - Airtable error type, e.g. INVALID_PERMISSIONS_OR_MODEL_NOT_FOUND
+   * @param {string|null} options.message - Airtable error message (or network error message)
+   * @param {number} options.page - Page that failed
+   * @param {number} options.batch - Write batch that failed (instead of page)
+   * @param {number} options.attempts - Attempts made before giving up
+   * @param {Error} options.cause - Underlying error, for network failures
+   */
+  constructor({ status, type = null, message = null, page = 1, batch = null, attempts = 1, cause }) {
+    const reason = [type, message].filter(Boolean).join(': ') || 'Unknown error';
+    const where = batch ? `batch ${batch}` : `page ${page}`;
+    const summary = status
+      ? `Airtable API error (${status}) on ${where} after ${attempts} attempt(s)`
+      : `Airtable request failed on ${where} after ${attempts} attempt(s)`;
+
+    super(`${summary}: ${reason}`, cause ? { cause } : undefined);
+    this.name = 'AirtableError';
+    this.status = status;
+    this.type = type;
+    this.airtableMessage = message;
+    this.page = batch ? null : page;
+    this.batch = batch;
+    this.attempts = attempts;
+  }
+
+  /**
+   * Error code for this failure
+   * @returns {string} Key of ERROR_CODES
+   */
+  get code() {
+    if (this.status === 0) return 'AIRTABLE_UNREACHABLE';
+    if (AIRTABLE_STATUS_CODES[this.status]) return AIRTABLE_STATUS_CODES[this.status];
+    if (this.status >= 500) return 'AIRTABLE_UNAVAILABLE';
+    return 'AIRTABLE_ERROR';
+  }
+}
+
+/**
+ * Extracts the error type and message from an Airtable error body
+ * Airtable sends either {"error": {"type", "message"}} or {"error": "TYPE"}.
+ * @param {string} text - Raw response body
+ * @returns {{type: string|null, message: string|null}} Parsed error
+ */
+export function parseAirtableErrorBody(text) {
+  try {
+    const { error } = JSON.parse(text);
+
+    if (typeof error === 'string') {
+      return { type: error, message: null };
+    }
+
+    if (error && typeof error === 'object') {
+      return { type: error.type || null, message: error.message || null };
+    }
+  } catch (e) {
+    // Not JSON, fall through and use the raw text
+  }
+
+  return { type: null, message: text ? text.slice(0, 500) : null };
+}
+
+// ============================================================================
+// RESPONSE SCHEMA
+// ============================================================================
+
+/**
+ * Converts any error into a status code and response body
+ * @param {Error} error - Error to report
+ * @returns {{statusCode: number, body: Object}} Error response
+ */
+export function toErrorResponse(error) {
+  let code = 'INTERNAL_ERROR';
+  let details = {};
+
+  if (error instanceof AirtableError) {
+    code = error.code;
+    details = {
+      upstream: { status: error.status, type: error.type, message: error.airtableMessage },
+      ...(error.batch ? { batch: error.batch } : { page: error.page }),
+      attempts: error.attempts
+    };
+  } else if (error instanceof ApiError) {
+    code = error.code;
+    details = error.details;
+  }
+
+  const { status, error: label } = ERROR_CODES[code];
+
+  return {
+    statusCode: status,
+    body: {
+      success: false,
+      error: label,
+      code,
+      message: error.message,
+      ...details
+    }
+  };
+}
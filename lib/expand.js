@@ -0,0 +1,276 @@
+/**
+ * Linked-Record Expansion (?expand=)
+ *
+ * Airtable returns linked-record fields as bare record IDs. For fields listed
+ * in the table's `links` (see lib/tables.js), ?expand= inlines the linked
+ * records instead, so clients need neither follow-up requests nor access to
+ * the linked table:
+ *
+ *   GET /api/airtable/tasks?expand=Owner,Project.Owner
+ *
+ *   { "id": "rec...", "fields": { "Name": "Fix login bug",
+ *     "Owner": [{ "id": "recPerson...", "fields": { "Name": "Ada Lovelace", "Team": "Engineering" } }],
+ *     "Project": [{ "id": "recProject...", "fields": { "Name": "Launch", "Owner": [{ "id": ..., "fields": {...} }] } }] } }
+ *
+ * - Only the link's configured fields are inlined, read through the linked
+ *   table's view and in the requested shape (raw or flat).
+ * - Dotted paths expand the linked records' own links, up to expandDepth
+ *   levels (see lib/config.js).
+ * - A record is never inlined inside itself: a link back to a record on the
+ *   current path (tasks → Owner → Tasks → the same task) stays { id }, as do
+ *   IDs the linked table doesn't return (deleted, or outside its view).
+ *
+ * The linked IDs of a level are collected across all fetched records and read
+ * with RECORD_ID() filters, chunked to keep URLs within Airtable's limit.
+ * Each linked record is fetched once per request, however often it is linked.
+ */
+
+import { QueryValidationError, formatStringLiteral, splitList, validateFieldName } from './query.js';
+import { transformRecords } from './transform.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const MAX_EXPAND_PATHS = 10;
+const MAX_FORMULA_LENGTH = 8000; // URL-encoded characters per filter; Airtable rejects URLs over 16k
+const LINKED_PAGE_SIZE = 100;
+
+// ============================================================================
+// PARAMETERS
+// ============================================================================
+
+/**
+ * Parses ?expand=Owner,Project.Owner into an expansion tree
+ * @param {string|undefined} value - Raw parameter value
+ * @param {Object} table - Table configuration of the request
+ * @param {Map<string, Object>} tables - Table allowlist (see buildTables)
+ * @param {number} maxDepth - Deepest allowed path (config.expandDepth)
+ * @returns {{paths: Array<string>, nodes: Array<Object>}|null} Paths and tree of
+ *   { field, table, fields, children } nodes, or null when nothing is expanded
+ */
+export function parseExpand(value, table, tables, maxDepth) {
+  const paths = [...new Set(splitList(value))];
+
+  if (paths.length === 0) return null;
+
+  if (paths.length > MAX_EXPAND_PATHS) {
+    throw new QueryValidationError(`At most ${MAX_EXPAND_PATHS} expand paths are allowed`);
+  }
+
+  const nodes = [];
+
+  for (const path of paths) {
+    const segments = path.split('.').map(validateFieldName);
+
+    if (segments.length > maxDepth) {
+      throw new QueryValidationError(`expand path "${path}" is ${segments.length} levels deep; at most ${maxDepth} are allowed`);
+    }
+
+    let level = nodes;
+    let current = table;
+    let selected = null; // Fields the parent level reads; null reads every field
+
+    for (const field of segments) {
+      const link = current.links?.[field];
+
+      if (!link) {
+        const expandable = Object.keys(current.links || {});
+        throw new QueryValidationError(
+          `"${field}" is not an expandable field of ${current.slug}. ${expandable.length > 0 ? `Expandable: ${expandable.join(', ')}` : 'It has no links'}`
+        );
+      }
+
+      if (selected && !selected.includes(field)) {
+        throw new QueryValidationError(`expand path "${path}" needs "${field}", which the link to ${current.slug} does not select`);
+      }
+
+      let node = level.find(candidate => candidate.field === field);
+
+      if (!node) {
+        node = { field, table: tables.get(link.table), fields: link.fields, children: [] };
+        level.push(node);
+      }
+
+      level = node.children;
+      current = node.table;
+      selected = node.fields;
+    }
+  }
+
+  return { paths, nodes };
+}
+
+// ============================================================================
+// FETCHING
+// ============================================================================
+
+/**
+ * Builds RECORD_ID() filters matching a list of record IDs
+ * Each formula stays under maxLength characters once URL-encoded.
+ * @param {Array<string>} ids - Record IDs
+ * @param {number} maxLength - Longest encoded formula
+ * @returns {Array<string>} Formulas, e.g. OR(RECORD_ID()="rec1",RECORD_ID()="rec2")
+ */
+export function buildRecordIdFormulas(ids, maxLength = MAX_FORMULA_LENGTH) {
+  const wrapperLength = encodeURIComponent('OR()').length;
+  const separatorLength = encodeURIComponent(',').length;
+  const chunks = [];
+  let clauses = [];
+  let length = wrapperLength;
+
+  for (const id of ids) {
+    const clause = `RECORD_ID()=${formatStringLiteral(id)}`;
+    const clauseLength = encodeURIComponent(clause).length + separatorLength;
+
+    if (clauses.length > 0 && length + clauseLength > maxLength) {
+      chunks.push(clauses);
+      clauses = [];
+      length = wrapperLength;
+    }
+
+    clauses.push(clause);
+    length += clauseLength;
+  }
+
+  if (clauses.length > 0) chunks.push(clauses);
+
+  return chunks.map(chunk => (chunk.length === 1 ? chunk[0] : `OR(${chunk.join(',')})`));
+}
+
+/**
+ * Lists the record IDs in a linked-record field
+ * @param {Object} record - Raw Airtable record
+ * @param {string} field - Linked-record field
+ * @returns {Array<string>} Record IDs
+ */
+function linkedIds(record, field) {
+  const value = record.fields?.[field];
+  return Array.isArray(value) ? value.filter(id => typeof id === 'string') : [];
+}
+
+/**
+ * Returns the store key of a node: linked table plus field selection
+ * @param {Object} node - Expansion node (see parseExpand)
+ * @returns {string} Key
+ */
+function storeKey(node) {
+  return JSON.stringify([node.table.slug, node.fields]);
+}
+
+/**
+ * Fetches the records a node links to, level by level
+ * Records already read for the same table and field selection are reused.
+ * @param {AirtableClient} client - Airtable client (see lib/client.js)
+ * @param {Object} node - Expansion node (see parseExpand)
+ * @param {Array<Object>} parents - Raw records holding the node's field
+ * @param {Map<string, Map<string, Object|null>>} store - Fetched records by storeKey, then ID
+ *   (null for IDs the linked table didn't return)
+ * @returns {Promise<void>}
+ */
+async function fetchLinked(client, node, parents, store) {
+  const key = storeKey(node);
+
+  if (!store.has(key)) store.set(key, new Map());
+
+  const known = store.get(key);
+  const ids = [...new Set(parents.flatMap(record => linkedIds(record, node.field)))];
+  const missing = ids.filter(id => !known.has(id));
+
+  for (const filterFormula of buildRecordIdFormulas(missing)) {
+    const records = await client.fetchAllRecords({
+      tableId: node.table.tableId,
+      view: node.table.view,
+      filterFormula,
+      sort: [],
+      fields: node.fields || [],
+      pageSize: LINKED_PAGE_SIZE
+    });
+
+    records.forEach(record => known.set(record.id, record));
+  }
+
+  // Remember misses too, so a record outside the view is only looked up once
+  missing.filter(id => !known.has(id)).forEach(id => known.set(id, null));
+
+  const found = ids.map(id => known.get(id)).filter(Boolean);
+
+  for (const child of node.children) {
+    await fetchLinked(client, child, found, store);
+  }
+}
+
+// ============================================================================
+// INLINING
+// ============================================================================
+
+/**
+ * Replaces a linked-record field of a transformed record
+ * @param {Object} output - Record in the requested shape (modified)
+ * @param {string} shape - raw or flat
+ * @param {Object} table - Table configuration (flat records use its mapping's names)
+ * @param {string} field - Airtable field name
+ * @param {Array<Object>} value - Inlined records
+ */
+function setField(output, shape, table, field, value) {
+  if (shape === 'flat') {
+    const rule = (table.mapping || []).find(candidate => candidate.source === field);
+    output[rule?.as ?? field] = value;
+  } else {
+    output.fields[field] = value;
+  }
+}
+
+/**
+ * Transforms a record and inlines its expanded links
+ * @param {Object} record - Raw Airtable record
+ * @param {Object} table - Table configuration of the record
+ * @param {Array<Object>} nodes - Expansion nodes for this level
+ * @param {string} shape - raw or flat
+ * @param {Map} store - Fetched records (see fetchLinked)
+ * @param {Set<string>} ancestors - IDs of the records this one is inlined in
+ * @returns {Object} Record in the requested shape
+ */
+function render(record, table, nodes, shape, store, ancestors) {
+  const [transformed] = transformRecords([record], shape, table);
+  const output = shape === 'flat' ? transformed : { ...transformed, fields: { ...transformed.fields } };
+  const path = new Set(ancestors).add(record.id);
+
+  for (const node of nodes) {
+    if (record.fields?.[node.field] === undefined) continue; // Airtable omits empty fields; so do we
+
+    const value = linkedIds(record, node.field).map(id => {
+      const linked = store.get(storeKey(node)).get(id);
+      return linked && !path.has(id) ? render(linked, node.table, node.children, shape, store, path) : { id };
+    });
+
+    setField(output, shape, table, node.field, value);
+  }
+
+  return output;
+}
+
+/**
+ * Transforms records and inlines the linked records an expansion asks for
+ * @param {AirtableClient} client - Airtable client (see lib/client.js)
+ * @param {Array<Object>} records - Raw Airtable records
+ * @param {Object} table - Table configuration of the records
+ * @param {string} shape - raw or flat
+ * @param {Object} expand - Expansion (see parseExpand)
+ * @returns {Promise<{records: Array<Object>, linkedRecords: number}>} Records in the requested
+ *   shape and the number of distinct linked records fetched
+ */
+export async function expandRecords(client, records, table, shape, expand) {
+  const store = new Map();
+
+  for (const node of expand.nodes) {
+    await fetchLinked(client, node, records, store);
+  }
+
+  const linkedRecords = [...store.values()].reduce((sum, known) => sum + [...known.values()].filter(Boolean).length, 0);
+
+  return {
+    records: records.map(record => render(record, table, expand.nodes, shape, store, new Set())),
+    linkedRecords
+  };
+}
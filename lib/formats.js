@@ -0,0 +1,220 @@
+/**
+ * Response Formats (JSON / CSV / NDJSON)
+ *
+ * The format is picked with ?format=json|csv|ndjson, or negotiated from the
+ * Accept header (application/json, text/csv, application/x-ndjson). ?format=
+ * wins when both are present; no preference means JSON.
+ *
+ * - json:   The usual { success, records, ... } envelope
+ * - csv:    One row per record, RFC 4180 quoting, CRLF line endings. Columns
+ *           are id, createdTime and the union of every record's fields in
+ *           first-seen order, or exactly the ?columns= list in that order.
+ *           Multi-value fields are joined with "; ".
+ * - ndjson: One JSON record per line
+ *
+ * Every format gets a Content-Disposition filename based on the table slug.
+ * Error responses are always JSON.
+ */
+
+import { ApiError } from './errors.js';
+import { QueryValidationError, parseFields } from './query.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const FORMATS = {
+  json: { contentType: 'application/json', extension: 'json', disposition: 'inline' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', disposition: 'attachment' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson', disposition: 'attachment' }
+};
+
+// Media type → format
+const MEDIA_TYPES = {
+  'application/json': 'json',
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson'
+};
+
+const MULTI_VALUE_SEPARATOR = '; ';
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r']; // Spreadsheet formula triggers
+
+// ============================================================================
+// NEGOTIATION
+// ============================================================================
+
+/**
+ * Parses an Accept header into media ranges, highest preference first
+ * @param {string} header - Accept header
+ * @returns {Array<{type: string, q: number}>} Media ranges
+ */
+function parseAccept(header) {
+  return header
+    .split(',')
+    .map((part, index) => {
+      const [type, ...params] = part.trim().toLowerCase().split(';').map(item => item.trim());
+      const qParam = params.find(param => param.startsWith('q='));
+      const q = qParam ? Number(qParam.slice(2)) : 1;
+      return { type, q: Number.isFinite(q) ? q : 0, index };
+    })
+    .filter(range => range.type && range.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+}
+
+/**
+ * Picks the response format for a request
+ * @param {string|undefined} format - ?format= parameter
+ * @param {string|undefined} accept - Accept header
+ * @returns {string} json, csv or ndjson
+ */
+export function negotiateFormat(format, accept) {
+  if (format !== undefined && format !== '') {
+    if (!FORMATS[format]) {
+      throw new QueryValidationError(`Invalid format "${format}". Use one of: ${Object.keys(FORMATS).join(', ')}`);
+    }
+
+    return format;
+  }
+
+  if (!accept) return 'json';
+
+  for (const { type } of parseAccept(accept)) {
+    if (MEDIA_TYPES[type]) return MEDIA_TYPES[type];
+    if (type === '*/*' || type === 'application/*' || type === 'text/*') {
+      return type === 'text/*' ? 'csv' : 'json';
+    }
+  }
+
+  throw new ApiError(
+    'NOT_ACCEPTABLE',
+    `None of the accepted media types can be produced. Available: ${Object.keys(MEDIA_TYPES).join(', ')}`
+  );
+}
+
+/**
+ * Parses ?columns= (CSV column selection and order)
+ * @param {string|undefined} value - Raw parameter value
+ * @returns {Array<string>|null} Column names, or null for every field
+ */
+export function parseColumns(value) {
+  if (value === undefined || value === '') return null;
+  return parseFields(value);
+}
+
+// ============================================================================
+// SERIALIZATION
+// ============================================================================
+
+/**
+ * Turns a raw ({ fields }) or flat record into a single-level row
+ * @param {Object} record - Record
+ * @returns {Object} Row keyed by column
+ */
+function toRow(record) {
+  if (record.fields && typeof record.fields === 'object') {
+    return { id: record.id, createdTime: record.createdTime, ...record.fields };
+  }
+
+  return record;
+}
+
+/**
+ * Converts a value to cell text, flattening lists and objects
+ * @param {*} value - Field value
+ * @returns {string} Cell text
+ */
+function toCellText(value) {
+  if (value == null) return '';
+  if (Array.isArray(value)) return value.map(toCellText).filter(Boolean).join(MULTI_VALUE_SEPARATOR);
+
+  if (typeof value === 'object') {
+    // Attachments, collaborators, buttons, linked records: use the most useful scalar
+    return String(value.url ?? value.name ?? value.email ?? value.label ?? value.id ?? JSON.stringify(value));
+  }
+
+  return String(value);
+}
+
+/**
+ * Quotes a cell per RFC 4180 and defuses spreadsheet formulas
+ * @param {*} value - Field value
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+  let text = toCellText(value);
+
+  // A text cell starting with "=" etc. would be run as a formula by Excel / Sheets
+  if (typeof value !== 'number' && FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Derives the CSV columns from the records
+ * @param {Array<Object>} rows - Rows from toRow
+ * @returns {Array<string>} Columns in first-seen order
+ */
+export function collectColumns(rows) {
+  const columns = new Set(['id', 'createdTime']);
+
+  for (const row of rows) {
+    Object.keys(row).forEach(key => columns.add(key));
+  }
+
+  return [...columns];
+}
+
+/**
+ * Serializes records as CSV
+ * @param {Array<Object>} records - Raw or flat records
+ * @param {Array<string>|null} columns - Columns to emit (null derives them from the records)
+ * @returns {string} CSV document
+ */
+export function toCsv(records, columns = null) {
+  const rows = records.map(toRow);
+  const header = columns || collectColumns(rows);
+  const lines = [header.map(toCsvCell).join(',')];
+
+  for (const row of rows) {
+    lines.push(header.map(column => toCsvCell(row[column])).join(','));
+  }
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Serializes records as newline-delimited JSON
+ * @param {Array<Object>} records - Raw or flat records
+ * @returns {string} NDJSON document
+ */
+export function toNdjson(records) {
+  return records.map(record => `${JSON.stringify(record)}\n`).join('');
+}
+
+// ============================================================================
+// HTTP HELPERS
+// ============================================================================
+
+/**
+ * Builds the Content-Disposition header for a table export
+ * @param {string} format - json, csv or ndjson
+ * @param {string} table - Table slug
+ * @returns {string} Header value
+ */
+export function contentDisposition(format, table) {
+  const { disposition, extension } = FORMATS[format];
+  return `${disposition}; filename="${table}.${extension}"`;
+}
+
+/**
+ * Derives a per-format ETag, so a cached CSV never matches the JSON version
+ * @param {string} etag - ETag of the JSON body
+ * @param {string} format - json, csv or ndjson
+ * @returns {string} ETag
+ */
+export function formatETag(etag, format) {
+  return format === 'json' ? etag : `${etag.slice(0, -1)}.${format}"`;
+}
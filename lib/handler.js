@@ -0,0 +1,1269 @@
+/**
+ * Airtable Proxy Core
+ * 
+ * Platform-agnostic: a handler takes a Fetch API Request and returns a
+ * Response (see lib/http.js). Thin adapters in lib/adapters/ run it on
+ * Vercel / Node http, Netlify Functions and Cloudflare Workers.
+ * 
+ * Fetches ALL records from an allowlisted Airtable table using table ID.
+ * - Routes: /api/airtable (default table) and /api/airtable/:table (see lib/tables.js)
+ * - Filters out records where Status = 'Done' (override with ?status= / ?filter[Field]=)
+ * - Sorts by Name field ascending (override with ?sort=Name:desc,Priority:asc)
+ * - Returns all fields (narrow with ?fields=Name,Status)
+ * - Returns raw Airtable records or flattened, renamed and cast ones (?shape=raw|flat, see lib/transform.js)
+ * - Inlines linked records from other tables (?expand=Owner,Project.Owner, see lib/expand.js)
+ * - Responds with JSON, CSV or NDJSON (?format= or Accept, see lib/formats.js)
+ * - Handles automatic pagination (50 records per page)
+ * - Incremental sync at /api/airtable/:table/changes?since= (see lib/changes.js)
+ * - Counts, sums and other metrics per group at /api/airtable/:table/aggregate?groupBy= (see lib/aggregate.js)
+ * - Field names, types and select options at /api/airtable/:table/schema; optionally checks the
+ *   fields of every read against that schema before calling Airtable (see lib/schema.js)
+ * - Several named queries in one round trip at POST /api/airtable/batch (see lib/batch.js)
+ * - Airtable webhook receiver at /api/airtable/webhook (see lib/webhooks.js)
+ * - Optional streaming mode (?stream=true) that writes records as pages arrive (see lib/stream.js)
+ * - Retries 429/5xx and network errors with backoff, throttled to Airtable's rate limit
+ * - Times out hung Airtable requests and stops reading at a per-request deadline (504, or
+ *   the records so far with ?partial=true); a disconnected client cancels its reads
+ * - Creates, updates and deletes records (POST/PATCH/DELETE) on tables with writableFields
+ * - Caches responses per table + query, with ETag / If-None-Match support
+ * - Optional paginated mode (?pageSize=&cursor=) with signed cursors (see lib/cursor.js)
+ * - Requires a bearer API key or HS256 JWT scoped to tables and methods (see lib/auth.js)
+ * - Per-client token-bucket rate limits with RateLimit-* headers (see lib/rate-limit.js)
+ * - CORS policy from config: origin allowlist, credentials, per-route preflights (see lib/cors.js)
+ * - Health, readiness and Prometheus metrics at /api/health, /api/health/ready and /api/metrics
+ *   (see lib/health.js, lib/metrics.js)
+ * - Full error handling with structured JSON logs, a request ID per request (X-Request-Id) and central redaction
+ * 
+ * createAirtableHandler(config) builds a handler from a configuration object
+ * (base URL, fetch, credentials, tables, timeouts, logger; see lib/config.js).
+ * createEnvHandler() builds one from the environment variables below on first use.
+ * 
+ * Environment Variables Required:
+ * - AIRTABLE_API_KEY: Your Airtable Personal Access Token
+ * - AIRTABLE_BASE_ID: Your Airtable Base ID
+ * - AIRTABLE_TABLE_ID: Your Airtable Table ID (optional, can be hardcoded)
+ * - AIRTABLE_TABLES: JSON table allowlist (optional, replaces the built-in one)
+ * - CURSOR_SECRET: Key for signing pagination cursors (optional, derived from the API key)
+ * - AIRTABLE_MAX_RETRIES, AIRTABLE_RETRY_BASE_DELAY_MS, AIRTABLE_RETRY_MAX_DELAY_MS: Retry tuning (optional)
+ * - AIRTABLE_REQUESTS_PER_SECOND: Upstream rate limit per base (optional, default 5)
+ * - AIRTABLE_TIMEOUT_MS: Timeout per Airtable request (optional, default 10000, 0 disables)
+ * - AIRTABLE_DEADLINE_MS: Time budget for the Airtable reads of one request (optional, default 25000, 0 disables)
+ * - AIRTABLE_EXPAND_DEPTH: Deepest ?expand= path (optional, default 2, at most 5)
+ * - AIRTABLE_VALIDATE_FIELDS: true to check sort, filter and ?fields= against the base schema (optional, default false)
+ * - AIRTABLE_SCHEMA_TTL_SECONDS: How long the base schema is cached (optional, default 300)
+ * - AIRTABLE_API_URL: Airtable API origin (optional, e.g. the mock server in mock/)
+ * - CACHE_TTL_SECONDS, CACHE_STALE_SECONDS, CACHE_STORE, CACHE_DIR: Response cache (optional)
+ * - PROXY_API_KEYS and/or PROXY_JWT_SECRET: Client credentials (PROXY_AUTH_DISABLED=true for open access)
+ * - CORS_ALLOWED_ORIGINS, CORS_ALLOWED_METHODS, CORS_ALLOWED_HEADERS, CORS_EXPOSED_HEADERS,
+ *   CORS_ALLOW_CREDENTIALS, CORS_MAX_AGE: CORS policy (optional, default allows any origin)
+ * - RATE_LIMITS: Per-route client rate limits as JSON (optional, default 120 reads / 30 writes per minute)
+ * - TRUST_PROXY: true to key anonymous clients by X-Forwarded-For (optional, default true on Vercel only)
+ * - LOG_LEVEL: debug, info, warn or error (optional, default info; see lib/logger.js)
+ * - LOG_REDACT_FIELDS: Extra comma-separated field names never logged (optional)
+ * - HEALTH_CHECK_AIRTABLE: true to ping Airtable from /api/health/ready (optional, default false)
+ */
+
+import { parseRecordQuery, parsePageSize, parseBoolean, getParam, readQuery } from './query.js';
+import { encodeCursor, decodeCursor, hashQuery } from './cursor.js';
+import { parseRoute, parseServiceRoute, resolveTable, findLinkingTables } from './tables.js';
+import { ApiError, toErrorResponse } from './errors.js';
+import { createConfig, loadConfig } from './config.js';
+import { createLogger, parseLogLevel, resolveRequestId } from './logger.js';
+import { createAirtableClient } from './client.js';
+import { toHandlerRequest, createResponseWriter } from './http.js';
+import { createResponseCache, matchesETag } from './cache.js';
+import { readJsonBody, readRawBody } from './body.js';
+import { WRITE_OPERATIONS, parseWritePayload, executeWrites, buildWriteResponse } from './writes.js';
+import { authenticate, authorize } from './auth.js';
+import { applyCorsHeaders, handlePreflight } from './cors.js';
+import { createRateLimiter, getClientKey, setRateLimitHeaders } from './rate-limit.js';
+import { parseShape, transformRecords } from './transform.js';
+import { FORMATS, negotiateFormat, parseColumns, toCsv, toNdjson, contentDisposition, formatETag } from './formats.js';
+import { STREAMABLE_FORMATS, parseStreamFlag, streamRecords } from './stream.js';
+import { parseSince, buildChangesFormula, describeIds } from './changes.js';
+import { parseAggregateSpec, aggregateRecords } from './aggregate.js';
+import { parseExpand, expandRecords } from './expand.js';
+import { createSchemaCache, findTableSchema, describeTableSchema, checkQueryFields } from './schema.js';
+import { verifyPing, createCacheInvalidator, createPayloadReader } from './webhooks.js';
+import { parseBatchPayload, mapWithConcurrency, buildBatchResponse, BATCH_CONCURRENCY } from './batch.js';
+import { createProxyMetrics, METRICS_CONTENT_TYPE } from './metrics.js';
+import { runHealthChecks, createAirtableCheck, configFailure } from './health.js';
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+/**
+ * Returns the HTTP methods a route handles
+ * Writes are only enabled on tables with writableFields; sub-routes are read-only.
+ * @param {Object|null} table - Table configuration (null for unknown tables)
+ * @param {string|null} action - Sub-route such as changes (null for the table itself)
+ * @returns {Array<string>} Methods
+ */
+function getRouteMethods(table, action = null) {
+  if (action === 'webhook') return []; // Server-to-server only, never called from a browser
+  if (action === 'batch') return ['POST'];
+  if (!table) return [];
+  if (action) return ['GET'];
+  return table.writableFields ? ['GET', ...Object.keys(WRITE_OPERATIONS)] : ['GET'];
+}
+
+/**
+ * Sends an error response using the shared error schema (see lib/errors.js)
+ * The code is kept on res.locals for the error metrics.
+ * @param {Object} res - Response object
+ * @param {Error} error - Error to report
+ */
+function sendError(res, error) {
+  const { statusCode, body } = toErrorResponse(error);
+  
+  if (res.locals) {
+    res.locals.errorCode = body.code;
+  }
+  
+  // Only the caller's own credentials are challenged, not Airtable's key or a webhook signature
+  if (body.code === 'UNAUTHENTICATED') {
+    res.setHeader('WWW-Authenticate', 'Bearer realm="airtable-proxy"');
+  }
+  
+  return res.status(statusCode).json(body);
+}
+
+/**
+ * Builds the 504 for a full read the deadline cut short (see loadRecords)
+ * @param {Object} config - Handler configuration
+ * @param {Object} body - Partial response body
+ * @returns {ApiError} DEADLINE_EXCEEDED error with the pages and records fetched
+ */
+function deadlineError(config, { pages, totalRecords }) {
+  return new ApiError(
+    'DEADLINE_EXCEEDED',
+    `Airtable did not return every record within ${config.timeouts.deadlineMs}ms (${pages} page(s) and ${totalRecords} record(s) fetched); add partial=true to receive them`,
+    { pages, records: totalRecords }
+  );
+}
+
+/**
+ * Ends a response whose client disconnected while Airtable was being read
+ * Nobody receives it; the 499 (client closed request) only shows up in logs and metrics.
+ * @param {Object} res - Response object
+ * @param {Object} logger - Request logger
+ * @param {string} what - What was cut short, for the log
+ */
+function endDisconnected(res, logger, what) {
+  logger.warn(`Client disconnected, stopped ${what}`);
+  return res.status(499).end();
+}
+
+/**
+ * Sets the caching headers of a response served from the response cache
+ * @param {Object} res - Response object
+ * @param {Object} config - Handler configuration
+ * @param {Object} cached - Result of responseCache.getOrLoad
+ * @param {string} etag - ETag of the response
+ */
+function setCacheHeaders(res, config, cached, etag) {
+  res.setHeader('ETag', etag);
+  // Authenticated responses must not be stored by shared caches (CDNs) that skip our auth check
+  const visibility = config.auth.disabled ? 'public' : 'private';
+  res.setHeader('Cache-Control', `${visibility}, max-age=${config.cache.ttlSeconds}, stale-while-revalidate=${config.cache.staleSeconds}`);
+  res.setHeader('X-Cache', cached.status);
+}
+
+/**
+ * Adds a request header name to the Vary response header
+ * @param {Object} res - Response object
+ * @param {string} name - Header the response depends on
+ */
+function appendVary(res, name) {
+  const vary = res.getHeader?.('Vary');
+  res.setHeader('Vary', vary ? `${vary}, ${name}` : name);
+}
+
+/**
+ * Sends a records response body in the negotiated format
+ * CSV and NDJSON carry only the records; in paginated mode the next cursor
+ * moves to the X-Next-Cursor header.
+ * @param {Object} res - Response object
+ * @param {Object} body - JSON response body (see loadRecords)
+ * @param {string} format - json, csv or ndjson
+ * @param {Array<string>|null} columns - CSV columns from ?columns=
+ */
+function sendRecords(res, body, format, columns) {
+  if (format === 'json') {
+    return res.status(200).json(body);
+  }
+  
+  if (body.nextCursor) {
+    res.setHeader('X-Next-Cursor', body.nextCursor);
+  }
+  
+  res.setHeader('Content-Type', FORMATS[format].contentType);
+  return res.status(200).send(format === 'csv' ? toCsv(body.records, columns) : toNdjson(body.records));
+}
+
+/**
+ * Describes the applied query; echoed in every records response
+ * @param {Object} table - Table configuration from the allowlist
+ * @param {Object} query - Parsed query options
+ * @returns {Object} Table, view, filter, sort, fields, shape and expanded links
+ */
+function describeQuery(table, query) {
+  return {
+    table: table.slug,
+    view: query.view || null,
+    filter: query.filterFormula,
+    sort: query.sort,
+    fields: query.fields,
+    shape: query.shape,
+    ...(query.expand && { expand: query.expand.paths })
+  };
+}
+
+/**
+ * Puts fetched records in the requested shape, inlining linked records for ?expand=
+ * @param {Object} context - Handler context (logger, client)
+ * @param {Object} table - Table configuration from the allowlist
+ * @param {Object} query - Parsed query options (shape and expand)
+ * @param {Array<Object>} records - Raw Airtable records
+ * @returns {Promise<Array<Object>>} Records for the response
+ */
+async function shapeRecords(context, table, query, records) {
+  if (!query.expand) {
+    return transformRecords(records, query.shape, table);
+  }
+  
+  const expanded = await expandRecords(context.client, records, table, query.shape, query.expand);
+  context.logger.info(`Expanded ${expanded.linkedRecords} linked record(s)`, { table: table.slug, expand: query.expand.paths });
+  
+  return expanded.records;
+}
+
+/**
+ * Checks the fields a read uses against the base schema (config.schema.validate)
+ * A schema that can't be read, or that lacks the table, is logged and the
+ * read goes ahead unchecked: Airtable still rejects what is really wrong.
+ * @param {Object} context - Handler context (config, logger, sharedClient, schemaCache)
+ * @param {Object} table - Table configuration from the allowlist
+ * @param {Object} query - Parsed query options (filterFormula, sort, fields)
+ * @throws {ApiError} INVALID_QUERY listing the available fields when one is unknown
+ */
+async function checkFields(context, table, query) {
+  const { config, logger, schemaCache } = context;
+  
+  if (!config.schema.validate) return;
+  
+  let tableSchema;
+  
+  try {
+    tableSchema = findTableSchema(await schemaCache.get(context.sharedClient), table);
+  } catch (error) {
+    logger.warn(`Base schema unavailable, fields not checked: ${error.message}`, { table: table.slug });
+    return;
+  }
+  
+  if (!tableSchema) {
+    logger.warn(`Table ${table.tableId} is not in the base schema, fields not checked`, { table: table.slug });
+    return;
+  }
+  
+  checkQueryFields(tableSchema, table, query);
+}
+
+/**
+ * Fetches the records for a request and builds the response body
+ * This is what the response cache calls on a miss. When the request deadline
+ * passes during a full read, the body holds the records fetched so far and is
+ * flagged partial (never cached; see STEP 10 for who receives it).
+ * @param {Object} context - Handler context (config, logger, client, responseCache, webhookReader)
+ * @param {Object} table - Table configuration from the allowlist
+ * @param {Object} query - Parsed query options (including the response shape)
+ * @param {boolean} paginated - Return a single page plus a cursor instead of every record
+ * @param {string|null} offset - Airtable offset decoded from the request's cursor
+ * @returns {Promise<Object>} Response body
+ */
+async function loadRecords(context, table, query, paginated, offset) {
+  const { config, logger, client } = context;
+  
+  logger.info('Starting fetch from Airtable', {
+    table: table.slug,
+    tableId: table.tableId,
+    view: table.view || null,
+    filter: query.filterFormula || null,
+    sort: query.sort.map(({ field, direction }) => `${field}:${direction}`),
+    fields: query.fields
+  });
+  
+  const summary = describeQuery(table, query);
+  
+  // Paginated mode: return a single page plus a cursor for the next one
+  if (paginated) {
+    const pageData = await client.fetchPage(query, offset);
+    
+    logger.info(`Successfully fetched page with ${pageData.records.length} records`, { hasMore: pageData.hasMore });
+    
+    return {
+      success: true,
+      records: await shapeRecords(context, table, query, pageData.records),
+      pageSize: query.pageSize,
+      hasMore: pageData.hasMore,
+      nextCursor: pageData.hasMore
+        ? encodeCursor({ table: table.slug, queryHash: hashQuery(query), offset: pageData.offset }, config.cursorSecret)
+        : null,
+      ...summary
+    };
+  }
+  
+  // Fetch all records (handles pagination automatically)
+  const { records: allRecords, pages, partial } = await client.collectRecords(query, { allowPartial: true });
+  
+  if (!partial) {
+    logger.info(`Successfully fetched ${allRecords.length} records`, { table: table.slug });
+  }
+  
+  return {
+    success: true,
+    // The deadline has passed, so there's no time left to fetch linked records
+    records: partial ? transformRecords(allRecords, query.shape, table) : await shapeRecords(context, table, query, allRecords),
+    totalRecords: allRecords.length,
+    ...(partial && { partial: true, pages }),
+    ...summary
+  };
+}
+
+/**
+ * Streams every record of a query to the client as pages arrive (?stream=true)
+ * Bypasses the response cache. See lib/stream.js for the output and error format.
+ * @param {Object} context - Handler context (config, logger, client, responseCache, webhookReader)
+ * @param {Object} res - Response object
+ * @param {Object} table - Table configuration from the allowlist
+ * @param {Object} query - Parsed query options (including the response shape)
+ * @param {string} format - json or ndjson
+ */
+async function streamAllRecords(context, res, table, query, format) {
+  const { logger, client } = context;
+  
+  logger.info(`Streaming ${table.slug} as ${format}`, { table: table.slug, format });
+  
+  const outcome = await streamRecords(res, client.iteratePages(query), {
+    format,
+    head: describeQuery(table, query),
+    transform: records => transformRecords(records, query.shape, table),
+    onStart: () => {
+      res.setHeader('Content-Type', FORMATS[format].contentType);
+      res.setHeader('Content-Disposition', contentDisposition(format, table.slug));
+      res.setHeader('Cache-Control', 'no-store');
+      res.setHeader('X-Cache', 'BYPASS');
+      res.status(200);
+    }
+  });
+  
+  if (outcome.error) {
+    res.locals.errorCode = toErrorResponse(outcome.error).body.code; // The status (200) was already sent
+    logger.error(`Stream of ${table.slug} failed after ${outcome.totalRecords} records`, { ...outcome, error: outcome.error });
+  } else if (outcome.aborted) {
+    logger.warn(`Client disconnected from ${table.slug} stream after ${outcome.totalRecords} records`, outcome);
+  } else {
+    logger.info(`Streamed ${outcome.totalRecords} records across ${outcome.pages} pages`, outcome);
+  }
+}
+
+/**
+ * Collects the ID of every record matching a filter (for deletion detection)
+ * Requests a single exposed field per record to keep the pages small; tables
+ * exposing every field get them all, since no field is known to exist.
+ * @param {AirtableClient} client - Airtable client (see lib/client.js)
+ * @param {Object} table - Table configuration from the allowlist
+ * @param {string|null} filterFormula - Filter of the synced result set
+ * @returns {Promise<Array<string>>} Record IDs
+ */
+async function fetchAllRecordIds(client, table, filterFormula) {
+  const records = await client.fetchAllRecords({
+    tableId: table.tableId,
+    view: table.view,
+    filterFormula,
+    sort: [],
+    fields: table.fields?.slice(0, 1) || [],
+    pageSize: 100
+  });
+  
+  return records.map(record => record.id);
+}
+
+/**
+ * Handles GET /api/airtable/:table/changes?since=
+ * Returns the records modified since the client's watermark, a new watermark
+ * and, on request, the current ID set for deletion detection (see lib/changes.js).
+ * @param {Object} context - Handler context (config, logger, client, responseCache, webhookReader)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} table - Table configuration from the allowlist
+ */
+async function handleChanges(context, req, res, table) {
+  const { config, logger, client } = context;
+  const startedAt = new Date(); // Anything modified after this is picked up by the next sync
+  const params = readQuery(req);
+  let base;
+  let query;
+  let since;
+  let includeIds;
+  const knownIdsHash = getParam(params, 'knownIdsHash');
+  
+  try {
+    since = parseSince(getParam(params, 'since'), startedAt.getTime());
+    includeIds = parseBoolean(getParam(params, 'includeIds'), 'includeIds') || knownIdsHash !== undefined;
+    base = parseRecordQuery(params, table);
+    query = {
+      tableId: table.tableId,
+      view: table.view,
+      ...base,
+      filterFormula: buildChangesFormula(base.filterFormula, since),
+      pageSize: config.pageSize,
+      shape: parseShape(getParam(params, 'shape'), table)
+    };
+    
+    await checkFields(context, table, base);
+  } catch (error) {
+    if (!(error instanceof ApiError)) throw error;
+    
+    logger.warn(`Invalid changes parameters: ${error.message}`);
+    return sendError(res, error);
+  }
+  
+  try {
+    logger.info(`Fetching changes in ${table.slug}`, { since: since ? since.toISOString() : null, includeIds });
+    
+    const changed = await client.fetchAllRecords(query);
+    let ids = {};
+    
+    if (includeIds) {
+      // A full sync already holds the whole result set; only deltas need a separate ID scan
+      const currentIds = since ? await fetchAllRecordIds(client, table, base.filterFormula) : changed.map(record => record.id);
+      ids = describeIds(currentIds, knownIdsHash);
+    }
+    
+    logger.info(`${changed.length} changed record(s) in ${table.slug}`);
+    
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({
+      success: true,
+      records: transformRecords(changed, query.shape, table),
+      changedRecords: changed.length,
+      since: since ? since.toISOString() : null,
+      watermark: startedAt.toISOString(),
+      fullSync: !since,
+      ...ids,
+      ...describeQuery(table, query)
+    });
+    
+  } catch (error) {
+    if (context.signal?.aborted) {
+      return endDisconnected(res, logger, `fetching changes in ${table.slug}`);
+    }
+    
+    logger.error(`Error fetching changes for ${table.slug}`, { error });
+    return sendError(res, error);
+  }
+}
+
+/**
+ * Fetches the records of an aggregation and reduces them to its result
+ * This is what the response cache calls on a miss. Aggregates are never
+ * partial: a read the deadline cuts short fails with DEADLINE_EXCEEDED.
+ * @param {Object} context - Handler context (logger, client)
+ * @param {Object} table - Table configuration from the allowlist
+ * @param {Object} query - Parsed query options
+ * @param {Object} spec - Aggregation spec (see parseAggregateSpec)
+ * @returns {Promise<Object>} Response body
+ */
+async function loadAggregate(context, table, query, spec) {
+  const { logger, client } = context;
+  const metricNames = ['count', ...spec.metrics.map(metric => metric.name)];
+  
+  logger.info(`Aggregating ${table.slug}`, {
+    table: table.slug,
+    groupBy: spec.groupBy,
+    metrics: metricNames,
+    filter: query.filterFormula || null
+  });
+  
+  const records = await client.fetchAllRecords(query);
+  const { groups, totals } = aggregateRecords(records, spec);
+  
+  logger.info(`Aggregated ${records.length} records into ${groups.length} group(s)`, { table: table.slug });
+  
+  return {
+    success: true,
+    groups,
+    totals,
+    totalGroups: groups.length,
+    totalRecords: records.length,
+    groupBy: spec.groupBy,
+    metrics: metricNames,
+    table: table.slug,
+    view: query.view || null,
+    filter: query.filterFormula
+  };
+}
+
+/**
+ * Handles GET /api/airtable/:table/aggregate?groupBy=&metrics=
+ * Groups the table's (filtered) records and returns counts and metrics per
+ * group instead of the records (see lib/aggregate.js). Results go through
+ * the response cache like listings.
+ * @param {Object} context - Handler context (config, logger, sharedClient, responseCache, metrics)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} table - Table configuration from the allowlist
+ */
+async function handleAggregate(context, req, res, table) {
+  const { config, logger, responseCache, metrics } = context;
+  const params = readQuery(req);
+  let spec;
+  let query;
+  
+  try {
+    spec = parseAggregateSpec(params);
+    
+    // Only the aggregated fields are read, and parseRecordQuery rejects any the
+    // table doesn't expose or its mapping hides. A plain count names no field.
+    query = {
+      tableId: table.tableId,
+      view: table.view,
+      ...parseRecordQuery({ ...params, fields: spec.fields.join(',') }, table),
+      sort: [],
+      pageSize: 100
+    };
+    
+    await checkFields(context, table, query);
+  } catch (error) {
+    if (!(error instanceof ApiError)) throw error;
+    
+    logger.warn(`Invalid aggregate parameters: ${error.message}`);
+    return sendError(res, error);
+  }
+  
+  try {
+    // Other requests may join the same load, so it keeps going if this client disconnects
+    const loadContext = { ...context, client: context.sharedClient };
+    const specKey = JSON.stringify([spec.groupBy, spec.metrics.map(metric => metric.name)]);
+    const cacheKey = [hashQuery(query), 'aggregate', specKey].join(':');
+    const cached = await responseCache.getOrLoad(table.slug, cacheKey, () => loadAggregate(loadContext, table, query, spec));
+    metrics.cacheLookups.inc({ result: cached.status });
+    
+    const etag = formatETag(cached.etag, 'json');
+    
+    setCacheHeaders(res, config, cached, etag);
+    
+    if (matchesETag(req.headers?.['if-none-match'], etag)) {
+      return res.status(304).end();
+    }
+    
+    return res.status(200).json(cached.value);
+    
+  } catch (error) {
+    if (context.signal?.aborted) {
+      return endDisconnected(res, logger, `aggregating ${table.slug}`);
+    }
+    
+    logger.error(`Error aggregating ${table.slug}`, { error });
+    return sendError(res, error);
+  }
+}
+
+/**
+ * Handles GET /api/airtable/:table/schema
+ * Describes the fields the table exposes - names, types and select options -
+ * from the cached base schema (see lib/schema.js).
+ * @param {Object} context - Handler context (config, logger, sharedClient, schemaCache)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} table - Table configuration from the allowlist
+ */
+async function handleSchema(context, req, res, table) {
+  const { config, logger, schemaCache } = context;
+  
+  try {
+    const tableSchema = findTableSchema(await schemaCache.get(context.sharedClient), table);
+    
+    if (!tableSchema) {
+      throw new ApiError('CONFIG_ERROR', `Table "${table.slug}" (${table.tableId}) is not in the base schema`);
+    }
+    
+    const visibility = config.auth.disabled ? 'public' : 'private';
+    res.setHeader('Cache-Control', `${visibility}, max-age=${config.schema.ttlSeconds}`);
+    
+    return res.status(200).json({ success: true, table: table.slug, ...describeTableSchema(tableSchema, table) });
+    
+  } catch (error) {
+    if (context.signal?.aborted) {
+      return endDisconnected(res, logger, `reading the schema of ${table.slug}`);
+    }
+    
+    logger.error(`Error reading the schema of ${table.slug}`, { error });
+    return sendError(res, error);
+  }
+}
+
+/**
+ * Handles POST /api/airtable/webhook (Airtable notification pings)
+ * Verifies the ping's MAC, reads the new payloads and hands the resulting
+ * change events to the registered handlers (see lib/webhooks.js).
+ * @param {Object} context - Handler context (config, logger, client, responseCache, webhookReader)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+async function handleWebhook(context, req, res) {
+  const { config, logger, webhookReader } = context;
+  
+  if (req.method !== 'POST') {
+    return sendError(res, new ApiError('METHOD_NOT_ALLOWED', 'Webhook notifications must be sent with POST'));
+  }
+  
+  try {
+    const ping = verifyPing(await readRawBody(req), req.headers['x-airtable-content-mac'], config.webhooks.secrets, config.baseId);
+    
+    logger.info(`Webhook ping for ${ping.webhookId}`);
+    
+    const outcome = await webhookReader.sync(ping.webhookId);
+    
+    logger.info(`Webhook ${ping.webhookId} synced`, { webhookId: ping.webhookId, ...outcome });
+    
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ success: true, webhook: ping.webhookId, ...outcome });
+    
+  } catch (error) {
+    logger.error('Webhook notification failed', { error });
+    return sendError(res, error);
+  }
+}
+
+/**
+ * Handles POST (create), PATCH (update) and DELETE requests for a table
+ * Payloads are validated against the table's writableFields, sent to Airtable
+ * in batches of 10 and answered with a result per record (see lib/writes.js).
+ * @param {Object} context - Handler context (config, logger, client, responseCache, webhookReader)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} table - Table configuration from the allowlist
+ * @param {string} operation - create, update or delete
+ */
+async function handleWrite(context, req, res, table, operation) {
+  const { config, logger, client, responseCache } = context;
+  
+  if (!table.writableFields) {
+    logger.warn(`Rejected ${operation} on read-only table ${table.slug}`);
+    return sendError(res, new ApiError('METHOD_NOT_ALLOWED', `Table "${table.slug}" is read-only`));
+  }
+  
+  try {
+    const params = readQuery(req);
+    const shape = parseShape(getParam(params, 'shape'), table); // Written records come back shaped like reads
+    const { items, typecast } = parseWritePayload(operation, await readJsonBody(req), params, table);
+    
+    logger.info(`${operation} of ${items.length} record(s) in ${table.slug}`);
+    
+    const sendBatch = (batch, batchNumber) => client.writeBatch(table, operation, batch, typecast, batchNumber);
+    const outcome = await executeWrites(operation, items, table, sendBatch, shape);
+    
+    // Cached reads of this table are now out of date, and so are expansions of its records
+    if (outcome.results.some(result => result.success)) {
+      for (const slug of [table.slug, ...findLinkingTables(table.slug, config.tables)]) {
+        await responseCache.invalidate(slug);
+      }
+    }
+    
+    const { statusCode, body } = buildWriteResponse(operation, table, outcome);
+    
+    logger.info(`${operation} finished`, { table: table.slug, succeeded: body.succeeded, failed: body.failed });
+    
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(statusCode).json(body);
+    
+  } catch (error) {
+    logger.error(`Error during ${operation} on ${table.slug}`, { error });
+    return sendError(res, error);
+  }
+}
+
+/**
+ * Runs one query of a batch through the same checks and cache as GET /api/airtable/:table
+ * @param {Object} context - Handler context (config, logger, sharedClient, responseCache, rateLimiter, metrics)
+ * @param {Object} principal - Authenticated caller (see lib/auth.js)
+ * @param {string} clientKey - Rate limit key of the caller
+ * @param {Object} item - Query from the payload (see parseBatchPayload)
+ * @returns {Promise<Object>} Result body, as for a GET of the table
+ * @throws {ApiError|AirtableError} When this query fails
+ */
+async function runBatchQuery(context, principal, clientKey, item) {
+  const { config, logger, responseCache, rateLimiter, metrics } = context;
+  const table = resolveTable(item.table, config.tables);
+  
+  if (!table) {
+    throw new ApiError('TABLE_NOT_FOUND', `Table "${item.table}" is not available`);
+  }
+  
+  authorize(principal, table.slug, 'GET');
+  
+  // Each query counts as one read of its table
+  let rateLimit = null;
+  
+  try {
+    rateLimit = await rateLimiter.consume('read', table.slug, clientKey);
+  } catch (error) {
+    logger.error(`Rate limiter unavailable, allowing query: ${error.message}`);
+  }
+  
+  if (rateLimit && !rateLimit.allowed) {
+    throw new ApiError(
+      'RATE_LIMITED',
+      `Rate limit of ${rateLimit.limit} requests per ${rateLimit.windowSeconds}s exceeded, retry in ${rateLimit.retryAfter}s`
+    );
+  }
+  
+  // A configured view is a boundary on the records the table exposes
+  if (item.view && table.view) {
+    throw new ApiError('INVALID_QUERY', `Table "${table.slug}" is always read through its configured view`);
+  }
+  
+  const query = {
+    tableId: table.tableId,
+    view: item.view || table.view,
+    ...parseRecordQuery(item.params, table),
+    pageSize: config.pageSize,
+    shape: parseShape(getParam(item.params, 'shape'), table)
+  };
+  
+  await checkFields(context, table, query);
+  
+  // Same cache entry as the equivalent GET, so a dashboard and its batch share reads
+  const loadContext = { ...context, client: context.sharedClient };
+  const cacheKey = [hashQuery(query), query.shape, 'all'].join(':');
+  const cached = await responseCache.getOrLoad(table.slug, cacheKey, () => loadRecords(loadContext, table, query, false, null));
+  metrics.cacheLookups.inc({ result: cached.status });
+  
+  if (cached.value.partial) {
+    throw deadlineError(config, cached.value);
+  }
+  
+  return cached.value;
+}
+
+/**
+ * Handles POST /api/airtable/batch
+ * Validates the payload, runs the queries a few at a time and answers with a
+ * result per query name (see lib/batch.js).
+ * @param {Object} context - Handler context (config, logger, sharedClient, responseCache, rateLimiter, metrics)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} principal - Authenticated caller (see lib/auth.js)
+ */
+async function handleBatch(context, req, res, principal) {
+  const { config, logger } = context;
+  
+  if (req.method !== 'POST') {
+    return sendError(res, new ApiError('METHOD_NOT_ALLOWED', 'Batch queries must be sent with POST'));
+  }
+  
+  try {
+    const queries = parseBatchPayload(await readJsonBody(req));
+    const clientKey = getClientKey(req, principal, config);
+    
+    logger.info(`Batch of ${queries.length} queries`, { queries: queries.map(({ name, table }) => `${name}:${table}`) });
+    
+    const outcomes = await mapWithConcurrency(queries, BATCH_CONCURRENCY, async item => {
+      try {
+        return { name: item.name, body: await runBatchQuery(context, principal, clientKey, item) };
+      } catch (error) {
+        logger.warn(`Batch query "${item.name}" failed: ${error.message}`, { query: item.name, table: item.table, error });
+        return { name: item.name, error };
+      }
+    });
+    
+    const { statusCode, body } = buildBatchResponse(outcomes);
+    
+    const firstFailure = outcomes.find(outcome => outcome.error);
+    
+    if (firstFailure) {
+      res.locals.errorCode = toErrorResponse(firstFailure.error).body.code;
+    }
+    
+    logger.info('Batch finished', { succeeded: body.succeeded, failed: body.failed });
+    
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(statusCode).json(body);
+    
+  } catch (error) {
+    logger.warn(`Invalid batch: ${error.message}`);
+    return sendError(res, error);
+  }
+}
+
+/**
+ * Handles GET /api/health, /api/health/ready and /api/metrics
+ * These skip authentication and rate limiting so probes and scrapers need no
+ * proxy credentials (see lib/health.js and lib/metrics.js).
+ * @param {Object} context - Handler context (config, logger, airtableCheck, metrics, startedAt)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {string} route - health, ready or metrics
+ */
+async function handleService(context, req, res, route) {
+  const { logger, metrics } = context;
+  
+  if (req.method !== 'GET') {
+    return sendError(res, new ApiError('METHOD_NOT_ALLOWED', `/${route === 'metrics' ? 'metrics' : 'health'} only supports GET requests`));
+  }
+  
+  res.setHeader('Cache-Control', 'no-store');
+  
+  if (route === 'metrics') {
+    res.setHeader('Content-Type', METRICS_CONTENT_TYPE);
+    return res.status(200).send(metrics.render());
+  }
+  
+  try {
+    return res.status(200).json(await runHealthChecks(route, context));
+  } catch (error) {
+    logger.warn(`Health check failed: ${error.message}`, { route });
+    return sendError(res, error);
+  }
+}
+
+// ============================================================================
+// HANDLER FACTORY
+// ============================================================================
+
+/**
+ * Creates a proxy handler from a configuration object
+ * The configuration is validated here, so a mistake surfaces as a ConfigError
+ * when the handler is created rather than on the first request (see lib/config.js).
+ * Each handler has its own Airtable client, response cache and client rate limiter.
+ * @param {Object} options - Proxy options (see createConfig)
+ * @returns {Function} async (request, platform) => Response (see handle below)
+ */
+export function createAirtableHandler(options) {
+  const config = createConfig(options);
+  const { logger } = config;
+  const client = createAirtableClient(config);
+  const rateLimiter = createRateLimiter({ limits: config.rateLimits });
+  
+  // Response cache (ttlSeconds 0 disables it; concurrent misses are still coalesced)
+  const responseCache = createResponseCache({ ...config.cache, logger });
+  
+  // Webhook notifications (see lib/webhooks.js). Cached reads of a changed table are dropped.
+  const webhookReader = createPayloadReader({
+    apiUrl: config.apiUrl,
+    baseId: config.baseId,
+    request: (url, page) => client.request(url, { page }),
+    store: config.webhooks.store,
+    handlers: config.webhooks.handlers,
+    logger
+  });
+  config.webhooks.handlers.register('cache', createCacheInvalidator(responseCache, () => config.tables));
+  
+  // Counters and histograms served at /api/metrics
+  const metrics = createProxyMetrics();
+  
+  // Base schema for /schema and field checks (see lib/schema.js)
+  const schemaCache = createSchemaCache(config.schema.ttlSeconds);
+  
+  // Readiness probe of the default table, shared by concurrent probes (see lib/health.js)
+  const airtableCheck = createAirtableCheck(client, config.tables.values().next().value);
+  
+  const context = { config, logger, client, responseCache, rateLimiter, webhookReader, metrics, schemaCache, airtableCheck, startedAt: Date.now() };
+  
+  /**
+   * Runs the handler steps for one request
+   * @param {Object} context - Handler context with the request's logger and client
+   * @param {Object} req - Request object (see toHandlerRequest)
+   * @param {Object} res - Response writer (see createResponseWriter)
+   */
+  async function handleRequest(context, req, res) {
+    const { logger } = context;
+    
+    // ========================================================================
+    // STEP 1: Default to JSON responses
+    // ========================================================================
+    res.setHeader('Content-Type', 'application/json');
+    const corsPolicy = config.cors;
+  
+    // ========================================================================
+    // STEP 2: Handle preflight OPTIONS request (only for methods the route enables)
+    // ========================================================================
+    if (req.method === 'OPTIONS') {
+      res.locals.route = 'preflight';
+      logger.debug('Handling OPTIONS preflight request');
+    
+      try {
+        const route = parseRoute(req.url);
+        handlePreflight(req, res, corsPolicy, getRouteMethods(resolveTable(route.slug, config.tables), route.action));
+      } catch (error) {
+        logger.warn(`Preflight rejected: ${error.message}`);
+        return sendError(res, error);
+      }
+    
+      return res.status(204).end();
+    }
+  
+    applyCorsHeaders(req, res, corsPolicy);
+  
+    // ========================================================================
+    // STEP 3: Validate HTTP method
+    // ========================================================================
+    const operation = WRITE_OPERATIONS[req.method];
+  
+    if (req.method !== 'GET' && !operation) {
+      logger.warn(`Invalid method: ${req.method}`);
+      return sendError(res, new ApiError('METHOD_NOT_ALLOWED', 'Only GET, POST, PATCH and DELETE requests are supported'));
+    }
+  
+    // ========================================================================
+    // STEP 4: Route the request (the configuration was validated up front)
+    // ========================================================================
+    const service = parseServiceRoute(req.url);
+    const { slug, action } = parseRoute(req.url);
+    res.locals.route = service || action || (operation ? 'write' : 'records');
+  
+    // Health checks and metrics are public so probes and scrapers need no credentials
+    if (service) {
+      return handleService(context, req, res, service);
+    }
+  
+    // Airtable can't send proxy credentials; webhook pings are authenticated by their MAC instead
+    if (action === 'webhook') {
+      return handleWebhook(context, req, res);
+    }
+  
+    // ========================================================================
+    // STEP 5: Authenticate the caller (before revealing which tables exist)
+    // ========================================================================
+    let principal;
+  
+    try {
+      principal = authenticate(req, config.auth);
+    } catch (error) {
+      logger.warn(`Authentication failed: ${error.message}`);
+      return sendError(res, error);
+    }
+  
+    // Batches name their tables per query; each one is checked as it runs
+    if (action === 'batch') {
+      return handleBatch(context, req, res, principal);
+    }
+  
+    // ========================================================================
+    // STEP 6: Resolve the requested table and check the credential's scope
+    // ========================================================================
+    const table = resolveTable(slug, config.tables);
+  
+    if (!table) {
+      logger.warn(`Table not in allowlist: ${slug}`);
+      return sendError(res, new ApiError('TABLE_NOT_FOUND', `Table "${slug}" is not available`));
+    }
+  
+    if (action && operation) {
+      return sendError(res, new ApiError('METHOD_NOT_ALLOWED', `/${action} only supports GET requests`));
+    }
+  
+    try {
+      authorize(principal, table.slug, req.method);
+    } catch (error) {
+      logger.warn(`${principal.id} denied: ${error.message}`);
+      return sendError(res, error);
+    }
+  
+    // ========================================================================
+    // STEP 7: Apply the client's rate limit (before any Airtable request)
+    // ========================================================================
+    const clientKey = getClientKey(req, principal, config);
+    let rateLimit = null;
+  
+    try {
+      rateLimit = await rateLimiter.consume(action || (operation ? 'write' : 'read'), table.slug, clientKey);
+    } catch (error) {
+      // A broken limiter store shouldn't take the proxy down with it
+      logger.error(`Rate limiter unavailable, allowing request: ${error.message}`);
+    }
+  
+    if (rateLimit) {
+      setRateLimitHeaders(res, rateLimit);
+    
+      if (!rateLimit.allowed) {
+        logger.warn(`Rate limit exceeded for ${clientKey} on ${table.slug}`);
+        return sendError(res, new ApiError(
+          'RATE_LIMITED',
+          `Rate limit of ${rateLimit.limit} requests per ${rateLimit.windowSeconds}s exceeded, retry in ${rateLimit.retryAfter}s`
+        ));
+      }
+    }
+  
+    // Writes and sub-routes take their own paths
+    if (operation) {
+      return handleWrite(context, req, res, table, operation);
+    }
+  
+    if (action === 'changes') {
+      return handleChanges(context, req, res, table);
+    }
+  
+    if (action === 'aggregate') {
+      return handleAggregate(context, req, res, table);
+    }
+  
+    if (action === 'schema') {
+      return handleSchema(context, req, res, table);
+    }
+  
+    // ========================================================================
+    // STEP 8: Parse filter, sort, field selection, shape, format and pagination from the query string
+    // ========================================================================
+    const params = readQuery(req);
+    const cursor = getParam(params, 'cursor');
+    const paginated = cursor !== undefined || getParam(params, 'pageSize') !== undefined;
+    let query;
+    let offset = null;
+    let format;
+    let columns;
+    let streaming;
+    let allowPartial;
+  
+    try {
+      format = negotiateFormat(getParam(params, 'format'), req.headers?.accept);
+      columns = parseColumns(getParam(params, 'columns'));
+      streaming = parseStreamFlag(getParam(params, 'stream'));
+      allowPartial = parseBoolean(getParam(params, 'partial'), 'partial');
+    
+      if (streaming && paginated) {
+        throw new ApiError('INVALID_QUERY', 'stream cannot be combined with pageSize or cursor');
+      }
+    
+      // Streams report a cut-off in their trailer; a single page has nothing to cut
+      if (allowPartial && (streaming || paginated)) {
+        throw new ApiError('INVALID_QUERY', 'partial cannot be combined with stream, pageSize or cursor');
+      }
+    
+      if (streaming && !STREAMABLE_FORMATS.includes(format)) {
+        throw new ApiError('INVALID_QUERY', `stream supports the ${STREAMABLE_FORMATS.join(' and ')} formats only`);
+      }
+    
+      query = {
+        tableId: table.tableId,
+        view: table.view,
+        ...parseRecordQuery(params, table),
+        pageSize: parsePageSize(getParam(params, 'pageSize'), config.pageSize),
+        shape: parseShape(getParam(params, 'shape'), table),
+        expand: parseExpand(getParam(params, 'expand'), table, config.tables, config.expandDepth)
+      };
+    
+      if (query.expand && streaming) {
+        throw new ApiError('INVALID_QUERY', 'expand cannot be combined with stream');
+      }
+    
+      await checkFields(context, table, query);
+    
+      // Expanded fields are read even when ?fields= leaves them out
+      if (query.expand && query.fields.length > 0) {
+        query.fields = [...new Set([...query.fields, ...query.expand.nodes.map(node => node.field)])];
+      }
+    
+      // A cursor only resumes the exact table and query it was issued for
+      if (cursor !== undefined) {
+        offset = decodeCursor(cursor, config.cursorSecret, { table: table.slug, queryHash: hashQuery(query) });
+      }
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+    
+      logger.warn(`Invalid query parameters: ${error.message}`);
+      return sendError(res, error);
+    }
+  
+    // ========================================================================
+    // STEP 9: Fetch records from Airtable (streamed, or through the response cache)
+    // ========================================================================
+    try {
+      if (streaming) {
+        return await streamAllRecords(context, res, table, query, format);
+      }
+    
+      // Other requests may join the same load, so it keeps going if this client disconnects
+      const loadContext = { ...context, client: context.sharedClient };
+      const cacheKey = [
+        hashQuery(query),
+        query.shape,
+        paginated ? `page:${query.pageSize}:${offset || ''}` : 'all',
+        ...(query.expand ? [`expand:${query.expand.paths.join(',')}`] : [])
+      ].join(':');
+      const cached = await responseCache.getOrLoad(table.slug, cacheKey, () => loadRecords(loadContext, table, query, paginated, offset));
+      metrics.cacheLookups.inc({ result: cached.status });
+    
+      logger.info(`Cache ${cached.status} for ${table.slug}`, { table: table.slug, cache: cached.status, cacheKey });
+    
+      // ========================================================================
+      // STEP 10: Return successful response (or 304 if the client's copy is current)
+      // ========================================================================
+      // The read hit the deadline: only clients that asked for partial results get the records so far
+      if (cached.value.partial && !allowPartial) {
+        const { pages, totalRecords } = cached.value;
+      
+        logger.warn(`Deadline passed while reading ${table.slug}`, { table: table.slug, pages, records: totalRecords });
+        return sendError(res, deadlineError(config, cached.value));
+      }
+    
+      const etag = formatETag(cached.etag, format);
+    
+      setCacheHeaders(res, config, cached, etag);
+      res.setHeader('Content-Disposition', contentDisposition(format, table.slug));
+      appendVary(res, 'Accept');
+    
+      if (cached.value.partial) {
+        res.setHeader('Cache-Control', 'no-store');
+        res.setHeader('X-Partial-Result', 'true'); // CSV and NDJSON bodies can't carry the flag
+      }
+    
+      if (matchesETag(req.headers?.['if-none-match'], etag)) {
+        return res.status(304).end();
+      }
+    
+      return sendRecords(res, cached.value, format, columns);
+    
+    } catch (error) {
+      // ========================================================================
+      // STEP 11: Handle errors with detailed logging
+      // ========================================================================
+      if (context.signal?.aborted) {
+        return endDisconnected(res, logger, `reading ${table.slug}`);
+      }
+    
+      // Base, table and stack go to the log only; the client gets the request ID to quote
+      logger.error('Error fetching Airtable records', { baseId: config.baseId, table: table.slug, tableId: table.tableId, error });
+    
+      // Map the error to a status code and machine-readable code (see lib/errors.js)
+      const { statusCode, body } = toErrorResponse(error);
+      res.locals.errorCode = body.code;
+    
+      return res.status(statusCode).json(body);
+    }
+  }
+  
+  /**
+   * Handles one proxy request
+   * Resolves as soon as the status and headers are known; a streamed body
+   * keeps being written after that. Every log entry of the request carries
+   * its ID, which is also sent back in X-Request-Id. Airtable reads stop at
+   * the request's deadline and when the client goes away (request.signal
+   * aborts, or the streamed body is cancelled).
+   * @param {Request} request - Incoming request
+   * @param {Object} platform - Details from the adapter
+   * @param {string|null} platform.clientAddress - Client IP (see getClientKey)
+   * @returns {Promise<Response>} Response
+   */
+  return async function handle(request, { clientAddress = null } = {}) {
+    const { res, response } = createResponseWriter();
+    const startedAt = Date.now();
+    const requestId = resolveRequestId(request.headers.get('x-request-id'));
+    const requestLogger = logger.child({ requestId });
+    const stats = { pages: 0 };
+    const observer = {
+      response: ({ method, status, durationMs }) => {
+        metrics.upstreamRequests.inc({ method, status });
+        metrics.upstreamDuration.observe({ method }, durationMs / 1000);
+      },
+      page: () => {
+        stats.pages++;
+      }
+    };
+    
+    // Cancels this request's Airtable reads once the client is gone
+    const disconnect = new AbortController();
+    const abort = () => disconnect.abort();
+    request.signal?.addEventListener('abort', abort, { once: true });
+    res.once('close', abort);
+    
+    const scope = {
+      logger: requestLogger,
+      observer,
+      deadline: config.timeouts.deadlineMs ? startedAt + config.timeouts.deadlineMs : null
+    };
+    const requestContext = {
+      ...context,
+      logger: requestLogger,
+      signal: disconnect.signal,
+      client: client.scoped({ ...scope, signal: disconnect.signal }),
+      sharedClient: client.scoped(scope) // For loads other requests may join (see STEP 9)
+    };
+    const { pathname } = new URL(request.url);
+    
+    res.setHeader('X-Request-Id', requestId);
+    requestLogger.debug('Request received', { method: request.method, path: pathname });
+    
+    handleRequest(requestContext, toHandlerRequest(request, { clientAddress }), res)
+      .catch(error => {
+        requestLogger.error('Unhandled error', { error });
+        
+        if (!res.headersSent) {
+          res.setHeader('Content-Type', 'application/json');
+          return sendError(res, error);
+        }
+      })
+      .finally(() => {
+        res.end(); // No-op unless a step forgot to finish the response
+        request.signal?.removeEventListener('abort', abort);
+        
+        const { route = 'other', errorCode } = res.locals;
+        const durationMs = Date.now() - startedAt;
+        
+        metrics.requests.inc({ route, method: request.method, status: res.statusCode });
+        metrics.requestDuration.observe({ route }, durationMs / 1000);
+        if (['records', 'changes', 'aggregate', 'batch'].includes(route)) metrics.upstreamPages.observe({ route }, stats.pages);
+        if (errorCode) metrics.errors.inc({ code: errorCode });
+        
+        requestLogger.info('Request completed', {
+          method: request.method,
+          path: pathname,
+          route,
+          status: res.statusCode,
+          upstreamPages: stats.pages,
+          durationMs
+        });
+      });
+    
+    return response;
+  };
+}
+
+// ============================================================================
+// ENVIRONMENT
+// ============================================================================
+
+/**
+ * Creates a handler configured from environment variables on first use
+ * An invalid configuration is answered with a 500 CONFIG_ERROR and read
+ * again on the next request.
+ * @returns {Function} async (request, platform) => Response; platform.env
+ *   replaces process.env (e.g. the bindings of a Cloudflare Worker)
+ */
+export function createEnvHandler() {
+  let handle = null;
+  
+  return async function handleWithEnv(request, platform = {}) {
+    const env = platform.env ?? process.env;
+    
+    if (!handle) {
+      try {
+        handle = createAirtableHandler(loadConfig(env));
+      } catch (error) {
+        createLogger({ level: parseLogLevel(env.LOG_LEVEL) ?? 'info' }).error('Invalid configuration', { error });
+        
+        // Health checks report the broken configuration as not ready; everything else gets the CONFIG_ERROR
+        const route = parseServiceRoute(request.url);
+        const { res, response } = createResponseWriter();
+        res.setHeader('Content-Type', 'application/json');
+        sendError(res, route === 'health' || route === 'ready' ? configFailure(error) : error);
+        return response;
+      }
+    }
+    
+    return handle(request, platform);
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Health Checks (GET /api/health, GET /api/health/ready)
+ *
+ * - /api/health reports whether the configuration is valid. It never calls
+ *   Airtable, so it is cheap enough for liveness probes.
+ * - /api/health/ready additionally asks Airtable for a single record of the
+ *   default table when health.checkAirtable is set (HEALTH_CHECK_AIRTABLE=true),
+ *   without retries, so a readiness probe notices a revoked token or an outage.
+ *   The result is reused for AIRTABLE_CHECK_TTL_MS, so probes can't flood Airtable.
+ *
+ * Healthy responses (the endpoints are public, so they don't list the tables):
+ *
+ *   { "success": true, "status": "ok", "checks": { "config": { "ok": true } }, "uptimeSeconds": 42 }
+ *
+ * Failures use the error schema (see lib/errors.js) with code NOT_READY (503)
+ * and the same checks object, so probes only need the status code.
+ */
+
+import { ApiError, toErrorResponse } from './errors.js';
+
+const AIRTABLE_CHECK_TTL_MS = 5000;
+
+/**
+ * Builds the NOT_READY error for failed checks
+ * @param {string} message - What failed
+ * @param {Object} checks - Check results by name
+ * @returns {ApiError} Error with the checks in its details
+ */
+function notReady(message, checks) {
+  return new ApiError('NOT_READY', message, { status: 'unhealthy', checks });
+}
+
+/**
+ * Describes a configuration that failed to load (see createEnvHandler)
+ * @param {Error} error - ConfigError from createConfig / loadConfig
+ * @returns {ApiError} NOT_READY error
+ */
+export function configFailure(error) {
+  const { body } = toErrorResponse(error);
+
+  return notReady(`Configuration is invalid: ${body.message}`, {
+    config: { ok: false, code: body.code, message: body.message }
+  });
+}
+
+/**
+ * Creates the Airtable check of a handler
+ * Concurrent probes share one request, and its result is reused for
+ * AIRTABLE_CHECK_TTL_MS after it settles.
+ * @param {AirtableClient} client - Airtable client (see lib/client.js)
+ * @param {Object} table - Table configuration to read a record from
+ * @returns {Function} async () => { ok, durationMs, code?, message? }
+ */
+export function createAirtableCheck(client, table) {
+  let pending = null;
+  let expiresAt = 0;
+
+  /**
+   * Reads a single record and describes the outcome
+   * @returns {Promise<Object>} Check result, never rejected
+   */
+  async function ping() {
+    const started = Date.now();
+
+    try {
+      await client.ping(table);
+      return { ok: true, durationMs: Date.now() - started };
+    } catch (error) {
+      const { body } = toErrorResponse(error);
+      return { ok: false, durationMs: Date.now() - started, code: body.code, message: body.message };
+    } finally {
+      expiresAt = Date.now() + AIRTABLE_CHECK_TTL_MS;
+    }
+  }
+
+  return function checkAirtable() {
+    if (!pending || (expiresAt && Date.now() >= expiresAt)) {
+      expiresAt = 0;
+      pending = ping();
+    }
+
+    return pending;
+  };
+}
+
+/**
+ * Runs the checks of a health endpoint
+ * @param {string} route - health or ready (see parseServiceRoute in lib/tables.js)
+ * @param {Object} context - Handler context (config, airtableCheck, startedAt)
+ * @returns {Promise<Object>} Healthy response body
+ * @throws {ApiError} NOT_READY when a check failed
+ */
+export async function runHealthChecks(route, { config, airtableCheck, startedAt }) {
+  const checks = { config: { ok: true } };
+
+  if (route === 'ready' && config.health.checkAirtable) {
+    checks.airtable = { ...await airtableCheck() };
+
+    if (!checks.airtable.ok) {
+      throw notReady(`Airtable is not reachable: ${checks.airtable.message}`, checks);
+    }
+  }
+
+  return {
+    success: true,
+    status: 'ok',
+    checks,
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000)
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * Fetch API Bridge
+ *
+ * The proxy core (lib/handler.js) takes a Fetch API Request and returns a
+ * Response, so the same code runs on Node, Vercel, Netlify and Cloudflare
+ * Workers (see lib/adapters/). Internally the handler steps and the helpers
+ * they share (lib/cors.js, lib/rate-limit.js, lib/stream.js, lib/body.js)
+ * work on a small request object and a res-style writer:
+ *
+ * - toHandlerRequest turns a Request into { method, url, headers, socket }
+ *   with the body readable as an async iterable (size-limited by lib/body.js)
+ * - createResponseWriter offers setHeader / status / json / send / write / end
+ *   and resolves a Response as soon as the status and headers are final.
+ *   Writes before end() turn the Response into a stream, with backpressure
+ *   ('drain') and cancellation ('close', destroyed) as lib/stream.js expects.
+ */
+
+import { EventEmitter } from 'node:events';
+
+// Statuses whose Response must not have a body
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+// Chunks buffered before write() asks the caller to wait for 'drain'
+const STREAM_HIGH_WATER_MARK = 16;
+
+// ============================================================================
+// REQUESTS
+// ============================================================================
+
+/**
+ * Converts a Fetch API Request into the request object the handler reads
+ * @param {Request} request - Incoming request
+ * @param {Object} options - Platform details
+ * @param {string|null} options.clientAddress - Client IP, used for rate limiting when no proxy header is set
+ * @returns {Object} Request with method, url, headers (lower-case keys) and an async-iterable body
+ */
+export function toHandlerRequest(request, { clientAddress = null } = {}) {
+  const req = {
+    method: request.method,
+    url: request.url,
+    headers: Object.fromEntries(request.headers),
+    socket: { remoteAddress: clientAddress }
+  };
+
+  if (request.body) {
+    req[Symbol.asyncIterator] = () => request.body[Symbol.asyncIterator]();
+  }
+
+  return req;
+}
+
+// ============================================================================
+// RESPONSES
+// ============================================================================
+
+/**
+ * Creates a res-style writer that produces a Fetch API Response
+ * @returns {{res: Object, response: Promise<Response>}} Writer and the Response it resolves
+ */
+export function createResponseWriter() {
+  const headers = new Headers();
+  const events = new EventEmitter();
+  const encoder = new TextEncoder();
+  let resolveResponse;
+  let controller = null;
+
+  const response = new Promise(resolve => {
+    resolveResponse = resolve;
+  });
+
+  const toBytes = chunk => (typeof chunk === 'string' ? encoder.encode(chunk) : chunk);
+
+  const res = {
+    statusCode: 200,
+    headersSent: false,
+    writableEnded: false,
+    destroyed: false,
+    locals: {}, // Per-request notes for logging and metrics (route, error code)
+
+    /**
+     * Sets a response header (replacing any previous value)
+     * @param {string} name - Header name
+     * @param {string|number|Array<string>} value - Header value
+     */
+    setHeader(name, value) {
+      headers.set(name, Array.isArray(value) ? value.join(', ') : String(value));
+    },
+
+    /**
+     * Reads a response header
+     * @param {string} name - Header name
+     * @returns {string|undefined} Header value
+     */
+    getHeader(name) {
+      return headers.get(name) ?? undefined;
+    },
+
+    /**
+     * Sets the status code
+     * @param {number} code - HTTP status
+     * @returns {Object} The writer, for chaining
+     */
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+
+    /**
+     * Ends the response with a JSON body
+     * @param {*} body - Value to serialize
+     * @returns {Object} The writer
+     */
+    json(body) {
+      if (!headers.has('Content-Type')) res.setHeader('Content-Type', 'application/json');
+      return res.end(JSON.stringify(body));
+    },
+
+    /**
+     * Ends the response with a text or binary body
+     * @param {string|Uint8Array} body - Body
+     * @returns {Object} The writer
+     */
+    send(body) {
+      return res.end(body);
+    },
+
+    /**
+     * Streams a chunk, committing the status and headers on the first call
+     * @param {string|Uint8Array} chunk - Data
+     * @returns {boolean} False when the caller should wait for 'drain'
+     */
+    write(chunk) {
+      if (res.destroyed || res.writableEnded) return true; // Nothing will drain a dead stream
+
+      if (!controller) {
+        const body = new ReadableStream({
+          start(streamController) {
+            controller = streamController;
+          },
+          pull() {
+            events.emit('drain');
+          },
+          cancel() {
+            // The client went away: stop producing
+            res.destroyed = true;
+            events.emit('close');
+          }
+        }, { highWaterMark: STREAM_HIGH_WATER_MARK });
+
+        res.headersSent = true;
+        resolveResponse(new Response(body, { status: res.statusCode, headers }));
+      }
+
+      controller.enqueue(toBytes(chunk));
+      return controller.desiredSize > 0;
+    },
+
+    /**
+     * Finishes the response
+     * @param {string|Uint8Array} chunk - Final data (optional)
+     * @returns {Object} The writer
+     */
+    end(chunk) {
+      if (res.writableEnded) return res;
+      res.writableEnded = true;
+
+      if (controller) {
+        if (!res.destroyed) {
+          if (chunk != null) controller.enqueue(toBytes(chunk));
+          controller.close();
+        }
+      } else {
+        const body = NULL_BODY_STATUSES.includes(res.statusCode) ? null : (chunk ?? null);
+        res.headersSent = true;
+        resolveResponse(new Response(body, { status: res.statusCode, headers }));
+      }
+
+      events.emit('finish');
+      return res;
+    },
+
+    once: (event, listener) => events.once(event, listener),
+    off: (event, listener) => events.off(event, listener)
+  };
+
+  return { res, response };
+}
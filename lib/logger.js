@@ -0,0 +1,245 @@
+/**
+ * Structured Logging
+ *
+ * Every log entry is one JSON line:
+ *
+ *   {"time":"2024-05-01T12:00:00.000Z","level":"info","msg":"Request completed","requestId":"9f1c...","status":200,"durationMs":41}
+ *
+ * - Levels: debug < info < warn < error. Entries below the configured level
+ *   (LOG_LEVEL, default info) are dropped.
+ * - child(fields) returns a logger that adds fields to every entry, e.g. the
+ *   request ID the handler also sends back in X-Request-Id.
+ * - Redaction happens here, for every entry, so call sites can log headers,
+ *   URLs and errors freely. Replaced with [REDACTED]:
+ *   - values of sensitive keys (authorization, cookie, apiKey, *token,
+ *     *secret, *password, ...) plus the names in LOG_REDACT_FIELDS, at any depth
+ *   - bearer tokens and Airtable personal access tokens inside strings
+ *   - the configured secrets themselves (API key, JWT secret, ...) wherever they appear
+ *
+ * A logger passed in the configuration (see lib/config.js) receives
+ * (message, fields) after the same filtering and redaction.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+export const REDACTED = '[REDACTED]';
+
+// Keys (lower-case, without - and _) whose values are never logged
+const SENSITIVE_KEYS = new Set([
+  'authorization',
+  'proxyauthorization',
+  'cookie',
+  'setcookie',
+  'apikey',
+  'xapikey',
+  'xairtablecontentmac',
+  'macsecretbase64'
+]);
+
+// Key suffixes that mark a value as sensitive (accessToken, clientSecret, ...)
+const SENSITIVE_SUFFIXES = ['token', 'secret', 'password'];
+
+// Credentials recognizable inside free text
+const TOKEN_PATTERNS = [
+  [/\bBearer\s+[A-Za-z0-9._~+/=-]+/gi, `Bearer ${REDACTED}`],
+  [/\bpat[A-Za-z0-9]{14}\.[A-Za-z0-9]{64}\b/g, REDACTED], // Airtable personal access token
+  [/\bkey[A-Za-z0-9]{14}\b/g, REDACTED] // Legacy Airtable API key
+];
+
+// Shorter secrets would redact ordinary words
+const MIN_SECRET_LENGTH = 8;
+
+const MAX_DEPTH = 8;
+
+// ============================================================================
+// REDACTION
+// ============================================================================
+
+/**
+ * Normalizes a key for comparison (Access-Token, access_token and accessToken match)
+ * @param {string} key - Field or header name
+ * @returns {string} Lower-case key without - and _
+ */
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[-_]/g, '');
+}
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Pattern source
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Creates a function that returns a redacted copy of any value
+ * @param {Object} options - Redaction options
+ * @param {Array<string>} options.fields - Extra sensitive keys (e.g. record fields like Email)
+ * @param {Array<string>} options.secrets - Secret values to remove wherever they appear
+ * @returns {Function} value => redacted copy
+ */
+export function createRedactor({ fields = [], secrets = [] } = {}) {
+  const sensitiveKeys = new Set([...SENSITIVE_KEYS, ...fields.map(normalizeKey)]);
+  const secretValues = [...new Set(secrets.filter(secret => typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH))];
+  const secretPattern = secretValues.length > 0
+    ? new RegExp(secretValues.sort((a, b) => b.length - a.length).map(escapeRegExp).join('|'), 'g')
+    : null;
+
+  const isSensitive = key => {
+    const normalized = normalizeKey(key);
+    return sensitiveKeys.has(normalized) || SENSITIVE_SUFFIXES.some(suffix => normalized.endsWith(suffix));
+  };
+
+  const redactString = text => {
+    let result = secretPattern ? text.replace(secretPattern, REDACTED) : text;
+
+    for (const [pattern, replacement] of TOKEN_PATTERNS) {
+      result = result.replace(pattern, replacement);
+    }
+
+    return result;
+  };
+
+  const redact = (value, depth, seen) => {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth > MAX_DEPTH || seen.has(value)) return '[Truncated]';
+
+    seen.add(value);
+
+    if (value instanceof Error) {
+      return redact({
+        name: value.name,
+        message: value.message,
+        ...(value.code && { code: value.code }),
+        ...(value.status !== undefined && { status: value.status }),
+        stack: value.stack
+      }, depth + 1, seen);
+    }
+
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof URL) return redactString(value.toString());
+    if (value instanceof Map) value = Object.fromEntries(value);
+    if (value instanceof Headers) value = Object.fromEntries(value);
+    if (value instanceof Set) value = [...value];
+    if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+
+    if (Array.isArray(value)) {
+      return value.map(item => redact(item, depth + 1, seen));
+    }
+
+    const copy = {};
+
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = isSensitive(key) && item != null ? REDACTED : redact(item, depth + 1, seen);
+    }
+
+    return copy;
+  };
+
+  return value => redact(value, 0, new WeakSet());
+}
+
+// ============================================================================
+// LOGGER
+// ============================================================================
+
+/**
+ * Writes an entry to the console as one JSON line (warn and error to stderr)
+ * @param {string} level - Log level
+ * @param {Object} entry - Redacted entry
+ */
+function writeJson(level, entry) {
+  const line = JSON.stringify(entry);
+
+  if (level === 'warn' || level === 'error') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Parses a log level name
+ * @param {string|undefined} value - Level name (case-insensitive)
+ * @param {string} fallback - Level when unset
+ * @returns {string|null} Level, or null when the name is unknown
+ */
+export function parseLogLevel(value, fallback = 'info') {
+  if (value == null || value === '') return fallback;
+
+  const level = String(value).toLowerCase();
+  return LOG_LEVELS.includes(level) ? level : null;
+}
+
+/**
+ * Creates a leveled, redacting logger
+ * @param {Object} options - Logger options
+ * @param {string} options.level - Lowest level that is logged (default info)
+ * @param {Array<string>} options.redactFields - Extra sensitive keys
+ * @param {Array<string>} options.secrets - Secret values to remove wherever they appear
+ * @param {Object} options.target - { debug, info, warn, error } to hand entries to instead of the console
+ * @param {Object} options.fields - Fields added to every entry
+ * @returns {Object} Logger with debug, info, warn, error and child
+ */
+export function createLogger({ level = 'info', redactFields = [], secrets = [], target = null, fields = {} } = {}) {
+  const minimum = LOG_LEVELS.indexOf(level);
+  const redact = createRedactor({ fields: redactFields, secrets });
+
+  /**
+   * Builds a logger that adds the given fields to every entry
+   */
+  function build(baseFields) {
+    const log = entryLevel => (message, extra = {}) => {
+      if (LOG_LEVELS.indexOf(entryLevel) < minimum) return;
+
+      const details = redact({ ...baseFields, ...(extra instanceof Error ? { error: extra } : extra) });
+      const msg = redact(String(message));
+
+      if (target) {
+        target[entryLevel](msg, details);
+      } else {
+        writeJson(entryLevel, { time: new Date().toISOString(), level: entryLevel, msg, ...details });
+      }
+    };
+
+    return {
+      level,
+      debug: log('debug'),
+      info: log('info'),
+      warn: log('warn'),
+      error: log('error'),
+
+      /**
+       * Returns a logger that adds fields to every entry
+       * @param {Object} childFields - Fields such as { requestId }
+       * @returns {Object} Logger
+       */
+      child: childFields => build({ ...baseFields, ...childFields })
+    };
+  }
+
+  return build(fields);
+}
+
+// ============================================================================
+// REQUEST IDS
+// ============================================================================
+
+// Incoming IDs are reused (e.g. from a load balancer) only if they look harmless
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Returns the correlation ID for a request
+ * @param {string|null} incoming - X-Request-Id sent by the client or an upstream proxy
+ * @returns {string} The incoming ID if it is well-formed, else a new UUID
+ */
+export function resolveRequestId(incoming) {
+  return typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+}
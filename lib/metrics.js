@@ -0,0 +1,222 @@
+/**
+ * Metrics (GET /api/metrics)
+ *
+ * Counters and histograms rendered in the Prometheus text format (0.0.4):
+ *
+ *   airtable_proxy_requests_total{route,method,status}        Requests handled
+ *   airtable_proxy_request_duration_seconds{route}            Time to the last byte
+ *   airtable_proxy_upstream_pages_per_request{route}          Airtable pages fetched per request
+ *   airtable_proxy_upstream_requests_total{method,status}     Airtable responses (status 0 = network error / timeout)
+ *   airtable_proxy_upstream_duration_seconds{method}          Airtable latency per attempt
+ *   airtable_proxy_cache_lookups_total{result}                Response cache HIT / STALE / MISS
+ *   airtable_proxy_errors_total{code}                         Error responses by code (see lib/errors.js)
+ *
+ * Values live in memory per handler and start at zero with each instance.
+ * On serverless platforms a scrape only sees the instance that answers it:
+ * another instance looks like a counter reset, and concurrent instances are
+ * never added up.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; Airtable pages typically take 0.1-1s, full tables several seconds
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const PAGE_BUCKETS = [0, 1, 2, 5, 10, 20, 50, 100];
+
+// ============================================================================
+// PRIMITIVES
+// ============================================================================
+
+/**
+ * Escapes a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a label set as {a="1",b="2"} (empty string when there are none)
+ * @param {Object} labels - Label values by name
+ * @returns {string} Label block
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Returns the series key for a label set, in the metric's label order
+ */
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+/**
+ * Creates a counter
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @returns {Object} Counter with inc(labels, amount) and render()
+ */
+export function createCounter(name, help, labelNames = []) {
+  const series = new Map();
+
+  return {
+    name,
+
+    /**
+     * Adds to the series of a label set
+     * @param {Object} labels - Label values
+     * @param {number} amount - Increment (default 1)
+     */
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || { labels: Object.fromEntries(labelNames.map(label => [label, labels[label] ?? ''])), value: 0 };
+      entry.value += amount;
+      series.set(key, entry);
+    },
+
+    /**
+     * Returns the current value of a label set (for tests and health output)
+     * @param {Object} labels - Label values
+     * @returns {number} Value
+     */
+    get(labels = {}) {
+      return series.get(seriesKey(labelNames, labels))?.value ?? 0;
+    },
+
+    /**
+     * @returns {string} HELP, TYPE and one line per series
+     */
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+
+      for (const { labels, value } of series.values()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+
+      return lines.join('\n');
+    }
+  };
+}
+
+/**
+ * Creates a histogram
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @param {Array<number>} buckets - Upper bounds, ascending (+Inf is added)
+ * @returns {Object} Histogram with observe(labels, value) and render()
+ */
+export function createHistogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+  const series = new Map();
+
+  return {
+    name,
+
+    /**
+     * Records one observation
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value
+     */
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      let entry = series.get(key);
+
+      if (!entry) {
+        entry = {
+          labels: Object.fromEntries(labelNames.map(label => [label, labels[label] ?? ''])),
+          counts: buckets.map(() => 0),
+          sum: 0,
+          count: 0
+        };
+        series.set(key, entry);
+      }
+
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+
+    /**
+     * Returns the observation count and sum of a label set
+     * @param {Object} labels - Label values
+     * @returns {{count: number, sum: number}} Totals
+     */
+    get(labels = {}) {
+      const entry = series.get(seriesKey(labelNames, labels));
+      return { count: entry?.count ?? 0, sum: entry?.sum ?? 0 };
+    },
+
+    /**
+     * @returns {string} HELP, TYPE and the _bucket, _sum and _count lines per series
+     */
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+
+      return lines.join('\n');
+    }
+  };
+}
+
+// ============================================================================
+// PROXY METRICS
+// ============================================================================
+
+/**
+ * Creates the proxy's metric set
+ * @returns {Object} Metrics by name plus render()
+ */
+export function createProxyMetrics() {
+  const metrics = {
+    requests: createCounter('airtable_proxy_requests_total', 'Requests handled by the proxy', ['route', 'method', 'status']),
+    requestDuration: createHistogram(
+      'airtable_proxy_request_duration_seconds',
+      'Time from receiving a request to sending its last byte',
+      ['route']
+    ),
+    upstreamPages: createHistogram(
+      'airtable_proxy_upstream_pages_per_request',
+      'Airtable record pages fetched per request',
+      ['route'],
+      PAGE_BUCKETS
+    ),
+    upstreamRequests: createCounter(
+      'airtable_proxy_upstream_requests_total',
+      'Responses from Airtable by status (0 for network errors and timeouts)',
+      ['method', 'status']
+    ),
+    upstreamDuration: createHistogram('airtable_proxy_upstream_duration_seconds', 'Latency of each Airtable request attempt', ['method']),
+    cacheLookups: createCounter('airtable_proxy_cache_lookups_total', 'Response cache lookups by result', ['result']),
+    errors: createCounter('airtable_proxy_errors_total', 'Error responses by error code', ['code'])
+  };
+
+  return {
+    ...metrics,
+
+    /**
+     * Renders every metric in the Prometheus text format
+     * @returns {string} Exposition text
+     */
+    render() {
+      return `${Object.values(metrics).map(metric => metric.render()).join('\n')}\n`;
+    }
+  };
+}
@@ -0,0 +1,374 @@
+/**
+ * Query Parameter Parsing
+ *
+ * Turns the query string of an incoming request into the filter, sort and
+ * field selection that buildAirtableURL sends to Airtable.
+ *
+ * Supported parameters:
+ * - status=Todo,In Progress   Only records whose Status is one of the values
+ * - status=!Done              Exclude records with that Status
+ * - filter[Owner]=Alice       Only records where the field equals the value
+ * - sort=Name:desc,Priority   One or more sort fields (direction defaults to asc)
+ * - fields=Name,Status        Only return these fields
+ * - pageSize=25               Page size for paginated mode (see lib/cursor.js)
+ *
+ * When the table exposes a fixed list of fields, every field named in a
+ * filter, sort or selection must be on that list.
+ *
+ * Caller input is never spliced into filterByFormula as-is: field names are
+ * validated and wrapped in braces, values are emitted as escaped string literals.
+ */
+
+import { ApiError } from './errors.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const STATUS_FIELD = 'Status'; // Field targeted by ?status= unless the table overrides it
+const MAX_SORT_FIELDS = 5; // Upper bound on ?sort= entries
+const MAX_FIELDS = 100; // Upper bound on ?fields= entries
+const MAX_FIELD_NAME_LENGTH = 255;
+const MAX_VALUE_LENGTH = 1000;
+const MAX_PAGE_SIZE = 100; // Airtable's own page size limit
+const SORT_DIRECTIONS = ['asc', 'desc'];
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * Thrown when a query parameter is malformed. The handler turns it into a 400.
+ */
+export class QueryValidationError extends ApiError {
+  constructor(message) {
+    super('INVALID_QUERY', message);
+    this.name = 'QueryValidationError';
+  }
+}
+
+// ============================================================================
+// FORMULA ESCAPING
+// ============================================================================
+
+/**
+ * Validates a field name and returns it as a formula field reference
+ * Airtable has no escape sequence for braces inside {Field} references,
+ * so names containing them (or control characters) are rejected outright.
+ * @param {string} name - Field name supplied by the caller
+ * @returns {string} Field reference, e.g. {Status}
+ */
+export function formatFieldReference(name) {
+  return `{${validateFieldName(name)}}`;
+}
+
+/**
+ * Escapes a value as a double-quoted Airtable formula string literal
+ * @param {string} value - Raw value supplied by the caller
+ * @returns {string} Quoted literal, e.g. "O\"Brien"
+ */
+export function formatStringLiteral(value) {
+  const text = String(value);
+
+  if (text.length > MAX_VALUE_LENGTH) {
+    throw new QueryValidationError(`Filter values must be at most ${MAX_VALUE_LENGTH} characters`);
+  }
+
+  const escaped = text
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+
+  return `"${escaped}"`;
+}
+
+/**
+ * Checks that a field name is safe to use in a formula or URL parameter
+ * @param {string} name - Field name supplied by the caller
+ * @returns {string} The trimmed field name
+ */
+export function validateFieldName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+
+  if (!trimmed) {
+    throw new QueryValidationError('Field names must not be empty');
+  }
+
+  if (trimmed.length > MAX_FIELD_NAME_LENGTH) {
+    throw new QueryValidationError(`Field name is too long: "${trimmed.slice(0, 40)}..."`);
+  }
+
+  if (/[{}\u0000-\u001f\u007f]/.test(trimmed)) {
+    throw new QueryValidationError(`Field name contains invalid characters: "${trimmed}"`);
+  }
+
+  return trimmed;
+}
+
+/**
+ * Combines formula clauses with AND(), skipping empty ones
+ * @param {Array<string|null>} clauses - Formula fragments
+ * @returns {string|null} Combined formula, or null when there is nothing to filter on
+ */
+export function combineFormulas(clauses) {
+  const parts = clauses.filter(Boolean);
+
+  if (parts.length === 0) return null;
+  if (parts.length === 1) return parts[0];
+
+  return `AND(${parts.join(', ')})`;
+}
+
+// ============================================================================
+// PARAMETER HELPERS
+// ============================================================================
+
+/**
+ * Returns the query parameters of a request as a plain object
+ * Vercel populates req.query; other runtimes only give us req.url.
+ * @param {Object} req - Request object
+ * @returns {Object} Query parameters keyed by name
+ */
+export function readQuery(req) {
+  if (req.query && typeof req.query === 'object') {
+    return req.query;
+  }
+
+  const query = {};
+  const { searchParams } = new URL(req.url || '/', 'http://localhost');
+
+  for (const key of new Set(searchParams.keys())) {
+    const values = searchParams.getAll(key);
+    query[key] = values.length > 1 ? values : values[0];
+  }
+
+  return query;
+}
+
+/**
+ * Reads a single string parameter, ignoring repeats and blank values
+ * @param {Object} query - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {string|undefined} Trimmed value
+ */
+export function getParam(query, name) {
+  let value = query[name];
+
+  if (Array.isArray(value)) {
+    value = value[0];
+  }
+
+  if (typeof value !== 'string') return undefined;
+
+  const trimmed = value.trim();
+  return trimmed === '' ? undefined : trimmed;
+}
+
+/**
+ * Splits a comma-separated parameter into trimmed, non-empty items
+ * @param {string|undefined} value - Raw parameter value
+ * @returns {Array<string>} List items
+ */
+export function splitList(value) {
+  if (!value) return [];
+
+  return value
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// ============================================================================
+// PARSERS
+// ============================================================================
+
+/**
+ * Parses ?sort=Name:desc,Priority:asc into Airtable sort entries
+ * @param {string} value - Raw parameter value
+ * @returns {Array<{field: string, direction: string}>} Sort entries
+ */
+export function parseSort(value) {
+  const entries = splitList(value).map(item => {
+    const separator = item.lastIndexOf(':');
+    let field = item;
+    let direction = 'asc';
+
+    if (separator !== -1) {
+      const suffix = item.slice(separator + 1).trim().toLowerCase();
+
+      if (!SORT_DIRECTIONS.includes(suffix)) {
+        throw new QueryValidationError(`Invalid sort direction "${suffix}" for "${item}". Use asc or desc`);
+      }
+
+      field = item.slice(0, separator);
+      direction = suffix;
+    }
+
+    return { field: validateFieldName(field), direction };
+  });
+
+  if (entries.length > MAX_SORT_FIELDS) {
+    throw new QueryValidationError(`At most ${MAX_SORT_FIELDS} sort fields are allowed`);
+  }
+
+  return entries;
+}
+
+/**
+ * Parses ?fields=Name,Status into a list of field names
+ * @param {string} value - Raw parameter value
+ * @returns {Array<string>} Field names
+ */
+export function parseFields(value) {
+  const fields = [...new Set(splitList(value).map(validateFieldName))];
+
+  if (fields.length > MAX_FIELDS) {
+    throw new QueryValidationError(`At most ${MAX_FIELDS} fields can be selected`);
+  }
+
+  return fields;
+}
+
+/**
+ * Parses ?pageSize=25 into an integer between 1 and 100
+ * @param {string|undefined} value - Raw parameter value
+ * @param {number} fallback - Page size to use when the parameter is absent
+ * @returns {number} Page size
+ */
+export function parsePageSize(value, fallback) {
+  if (value === undefined) return fallback;
+
+  const pageSize = Number(value);
+
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new QueryValidationError(`pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  return pageSize;
+}
+
+/**
+ * Parses a true/false flag such as ?stream=true
+ * @param {string|undefined} value - Raw parameter value
+ * @param {string} name - Parameter name, for the error message
+ * @returns {boolean} Flag value (false when absent)
+ */
+export function parseBoolean(value, name) {
+  if (value === undefined || value === 'false' || value === '0') return false;
+  if (value === 'true' || value === '1') return true;
+
+  throw new QueryValidationError(`Invalid ${name} "${value}". Use true or false`);
+}
+
+/**
+ * Builds the formula for ?status=, e.g. "Todo,!Done"
+ * Plain values are OR-ed together; values prefixed with ! are excluded.
+ * @param {string} value - Raw parameter value
+ * @param {string} statusField - Field the values are compared against
+ * @returns {string|null} Formula fragment
+ */
+export function buildStatusFormula(value, statusField = STATUS_FIELD) {
+  const field = formatFieldReference(statusField);
+  const include = [];
+  const exclude = [];
+
+  for (const item of splitList(value)) {
+    if (item.startsWith('!')) {
+      const excluded = item.slice(1).trim();
+      if (excluded) exclude.push(`${field}=${formatStringLiteral(excluded)}`);
+    } else {
+      include.push(`${field}=${formatStringLiteral(item)}`);
+    }
+  }
+
+  const clauses = [];
+
+  if (include.length > 0) {
+    clauses.push(include.length === 1 ? include[0] : `OR(${include.join(', ')})`);
+  }
+
+  if (exclude.length > 0) {
+    clauses.push(exclude.length === 1 ? `NOT(${exclude[0]})` : `NOT(OR(${exclude.join(', ')}))`);
+  }
+
+  return combineFormulas(clauses);
+}
+
+/**
+ * Collects every filter[Field]=value parameter
+ * @param {Object} query - Query parameters
+ * @returns {Array<{field: string, value: string}>} Field filters
+ */
+function parseFieldFilters(query) {
+  const filters = [];
+
+  for (const key of Object.keys(query)) {
+    const match = /^filter\[(.*)\]$/.exec(key);
+    if (!match) continue;
+
+    const value = getParam(query, key);
+    if (value === undefined) continue;
+
+    filters.push({ field: validateFieldName(match[1]), value });
+  }
+
+  return filters;
+}
+
+/**
+ * Throws if any of the given fields is not exposed by the table
+ * Fields hidden by the table's mapping count as unexposed, so they can't be
+ * probed through filters or sorting either.
+ * @param {Array<string>} names - Field names used by the request
+ * @param {Array<string>|null} exposedFields - Fields the table exposes, null for all
+ * @param {Array<string>} hiddenFields - Fields hidden by the mapping
+ */
+function assertFieldsExposed(names, exposedFields, hiddenFields = []) {
+  const unknown = names.filter(name => (exposedFields && !exposedFields.includes(name)) || hiddenFields.includes(name));
+  if (unknown.length === 0) return;
+
+  const available = exposedFields?.filter(name => !hiddenFields.includes(name));
+
+  throw new QueryValidationError(
+    `Unknown field(s): ${unknown.join(', ')}.${available ? ` Available fields: ${available.join(', ')}` : ''}`
+  );
+}
+
+/**
+ * Parses the record listing parameters of a request
+ * ?status= replaces the default filter; filter[Field]= clauses are added to it.
+ * @param {Object} query - Query parameters (see readQuery)
+ * @param {Object} defaults - Table defaults: filterFormula, sort, fields (exposed), mapping and statusField
+ * @returns {{filterFormula: string|null, sort: Array, fields: Array<string>}} Query options
+ */
+export function parseRecordQuery(query, defaults = {}) {
+  const statusField = defaults.statusField || STATUS_FIELD;
+  const exposedFields = defaults.fields || null;
+  const hiddenFields = (defaults.mapping || []).filter(rule => rule.hidden).map(rule => rule.source);
+
+  const status = getParam(query, 'status');
+  const sortParam = getParam(query, 'sort');
+  const fieldFilters = parseFieldFilters(query);
+  const sort = sortParam !== undefined ? parseSort(sortParam) : (defaults.sort || []);
+  const fields = parseFields(getParam(query, 'fields'));
+
+  assertFieldsExposed([
+    ...(status !== undefined ? [statusField] : []),
+    ...fieldFilters.map(({ field }) => field),
+    ...(sortParam !== undefined ? sort.map(({ field }) => field) : []),
+    ...fields
+  ], exposedFields, hiddenFields);
+
+  const filterFormula = combineFormulas([
+    status !== undefined ? buildStatusFormula(status, statusField) : defaults.filterFormula,
+    ...fieldFilters.map(({ field, value }) => `${formatFieldReference(field)}=${formatStringLiteral(value)}`)
+  ]);
+
+  return {
+    filterFormula,
+    sort,
+    fields: fields.length > 0 ? fields : (exposedFields || [])
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Per-Client Rate Limiting
+ *
+ * A token bucket per client and route keeps one noisy consumer from using up
+ * the shared Airtable quota. Clients are identified by their credential (see
+ * lib/auth.js), or by IP address when authentication is disabled.
+ *
+ * Each bucket holds `limit` tokens and refills at limit / windowSeconds tokens
+ * per second; every request takes one token. Limits come from RATE_LIMITS, a
+ * JSON object keyed by route:
+ *
+ *   {
+ *     "default": { "limit": 120, "windowSeconds": 60 },
+ *     "write": { "limit": 30, "windowSeconds": 60 },
+ *     "read:reports": { "limit": 10, "windowSeconds": 60 }
+ *   }
+ *
+ * Routes are "read" (GET), "write" (POST/PATCH/DELETE), "changes"
+ * (/changes), "aggregate" (/aggregate) and "schema" (/schema);
+ * "<route>:<table>" overrides them for one table. Anything unmatched uses "default".
+ *
+ * Buckets live in a store with the same interface as the response cache
+ * stores (lib/cache.js), in memory by default.
+ */
+
+import { ApiError } from './errors.js';
+import { createMemoryStore } from './cache.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_LIMITS = {
+  default: { limit: 120, windowSeconds: 60 },
+  write: { limit: 30, windowSeconds: 60 }
+};
+
+/**
+ * Loads and validates the per-route limits
+ * @param {Object} env - Environment variables
+ * @returns {Object} Limits keyed by route
+ */
+export function loadRateLimits(env = process.env) {
+  if (!env.RATE_LIMITS) return DEFAULT_LIMITS;
+
+  let raw;
+  try {
+    raw = JSON.parse(env.RATE_LIMITS);
+  } catch (error) {
+    throw new ApiError('CONFIG_ERROR', `RATE_LIMITS is not valid JSON: ${error.message}`);
+  }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ApiError('CONFIG_ERROR', 'RATE_LIMITS must be a JSON object keyed by route');
+  }
+
+  const limits = { ...DEFAULT_LIMITS };
+
+  for (const [route, config] of Object.entries(raw)) {
+    const { limit, windowSeconds } = config || {};
+
+    if (!Number.isInteger(limit) || limit < 1 || !(windowSeconds > 0)) {
+      throw new ApiError('CONFIG_ERROR', `RATE_LIMITS.${route} needs a positive integer "limit" and a positive "windowSeconds"`);
+    }
+
+    limits[route] = { limit, windowSeconds };
+  }
+
+  return limits;
+}
+
+// ============================================================================
+// CLIENT IDENTIFICATION
+// ============================================================================
+
+/**
+ * Returns the key a client's buckets are stored under
+ * Anonymous clients are keyed by the address the platform adapter reports
+ * (socket, cf-connecting-ip or Netlify's client IP). X-Forwarded-For and
+ * X-Real-IP can be sent by anyone, so they only count behind a trusted proxy
+ * that sets them (trustProxy, e.g. Vercel's edge).
+ * @param {Object} req - Request object
+ * @param {Object|null} principal - Authenticated caller (see lib/auth.js)
+ * @param {Object} options - Identification options
+ * @param {boolean} options.trustProxy - Read the client IP from the proxy's forwarding headers
+ * @returns {string} Client key
+ */
+export function getClientKey(req, principal = null, { trustProxy = false } = {}) {
+  if (principal && principal.type !== 'none') {
+    return `${principal.type}:${principal.id}`;
+  }
+
+  let ip = null;
+
+  if (trustProxy) {
+    // The trusted proxy appends the address it saw; earlier entries come from the client
+    const forwarded = req.headers?.['x-forwarded-for'];
+    ip = (typeof forwarded === 'string' && forwarded.split(',').at(-1).trim()) || req.headers?.['x-real-ip'] || null;
+  }
+
+  return `ip:${ip || req.socket?.remoteAddress || 'unknown'}`;
+}
+
+// ============================================================================
+// RATE LIMITER
+// ============================================================================
+
+/**
+ * Creates a token-bucket rate limiter
+ * @param {Object} options - Limiter options
+ * @param {Object} options.limits - Limits keyed by route (see loadRateLimits)
+ * @param {Object} options.store - Bucket store (get / set / delete)
+ * @returns {Object} Rate limiter
+ */
+export function createRateLimiter({ limits = DEFAULT_LIMITS, store = createMemoryStore({ maxEntries: 10000 }) } = {}) {
+  const locks = new Map();
+
+  /**
+   * Finds the limit for a route, most specific first
+   */
+  function limitFor(route, table) {
+    return limits[`${route}:${table}`] || limits[route] || limits.default;
+  }
+
+  /**
+   * Runs updates to the same bucket one at a time, so concurrent requests
+   * can't both spend the last token
+   */
+  function withLock(key, task) {
+    const previous = locks.get(key) || Promise.resolve();
+    const current = previous.then(task, task);
+    const settled = current.catch(() => {});
+
+    locks.set(key, settled);
+    settled.then(() => {
+      if (locks.get(key) === settled) locks.delete(key);
+    });
+
+    return current;
+  }
+
+  return {
+    /**
+     * Takes a token for a request
+     * @param {string} route - read, write, changes, aggregate or schema
+     * @param {string} table - Table slug
+     * @param {string} clientKey - Result of getClientKey
+     * @returns {Promise<{allowed: boolean, limit: number, remaining: number, reset: number, retryAfter: number, windowSeconds: number}>}
+     *   Outcome; reset and retryAfter are in whole seconds
+     */
+    consume(route, table, clientKey) {
+      const { limit, windowSeconds } = limitFor(route, table);
+      const key = `ratelimit:${route}:${table}:${clientKey}`;
+      const refillPerSecond = limit / windowSeconds;
+
+      return withLock(key, async () => {
+        const now = Date.now();
+        const bucket = (await store.get(key)) || { tokens: limit, updatedAt: now };
+        const elapsed = Math.max(0, now - bucket.updatedAt) / 1000;
+        let tokens = Math.min(limit, bucket.tokens + elapsed * refillPerSecond);
+
+        const allowed = tokens >= 1;
+        if (allowed) tokens -= 1;
+
+        // An untouched bucket is full again after this long, so it can expire
+        const secondsUntilFull = (limit - tokens) / refillPerSecond;
+        await store.set(key, { tokens, updatedAt: now }, Math.ceil(secondsUntilFull) || 1);
+
+        return {
+          allowed,
+          limit,
+          windowSeconds,
+          remaining: Math.floor(tokens),
+          reset: Math.ceil(secondsUntilFull),
+          retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / refillPerSecond)
+        };
+      });
+    }
+  };
+}
+
+// ============================================================================
+// HTTP HELPERS
+// ============================================================================
+
+/**
+ * Sets the RateLimit-* headers (IETF draft) for a consume outcome
+ * @param {Object} res - Response object
+ * @param {Object} result - Result of consume
+ */
+export function setRateLimitHeaders(res, result) {
+  res.setHeader('RateLimit-Policy', `${result.limit};w=${result.windowSeconds}`);
+  res.setHeader('RateLimit-Limit', String(result.limit));
+  res.setHeader('RateLimit-Remaining', String(result.remaining));
+  res.setHeader('RateLimit-Reset', String(result.reset));
+
+  if (!result.allowed) {
+    res.setHeader('Retry-After', String(result.retryAfter));
+  }
+}
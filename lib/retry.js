@@ -0,0 +1,111 @@
+/**
+ * Retry Policy
+ *
+ * Decides which Airtable failures are worth retrying and how long to wait
+ * before the next attempt: jittered exponential backoff, overridden by the
+ * Retry-After header when Airtable sends one.
+ *
+ * Retried: 429 (rate limited), 502, 503, 504 and network errors.
+ * Everything else (401, 403, 404, 422, ...) fails immediately.
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const RETRYABLE_STATUS_CODES = [429, 502, 503, 504];
+
+/**
+ * Reads the retry settings from environment variables
+ * - AIRTABLE_MAX_RETRIES: Retries after the first attempt (default 4)
+ * - AIRTABLE_RETRY_BASE_DELAY_MS: Delay before the first retry (default 500)
+ * - AIRTABLE_RETRY_MAX_DELAY_MS: Upper bound for the backoff delay (default 30000)
+ * @param {Object} env - Environment variables
+ * @returns {{maxRetries: number, baseDelayMs: number, maxDelayMs: number}} Retry settings
+ */
+export function getRetryOptions(env = process.env) {
+  return {
+    maxRetries: readInteger(env.AIRTABLE_MAX_RETRIES, 4),
+    baseDelayMs: readInteger(env.AIRTABLE_RETRY_BASE_DELAY_MS, 500),
+    maxDelayMs: readInteger(env.AIRTABLE_RETRY_MAX_DELAY_MS, 30000)
+  };
+}
+
+/**
+ * Parses a non-negative integer setting, falling back on anything else
+ * @param {string|undefined} value - Raw setting
+ * @param {number} fallback - Default value
+ * @returns {number} Parsed value
+ */
+function readInteger(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isInteger(number) && number >= 0 ? number : fallback;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Whether an HTTP status from Airtable should be retried
+ * @param {number} status - HTTP status code
+ * @returns {boolean} True for 429 and transient gateway errors
+ */
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUS_CODES.includes(status);
+}
+
+/**
+ * Parses a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null if absent or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+
+  const trimmed = String(value).trim();
+
+  if (/^\d+$/.test(trimmed)) {
+    return Number(trimmed) * 1000;
+  }
+
+  const date = Date.parse(trimmed);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Computes the backoff before the given retry, with "equal jitter":
+ * half the exponential delay is fixed, the other half is random, so
+ * concurrent callers spread out without ever retrying immediately.
+ * @param {number} retry - Retry number, starting at 1
+ * @param {Object} options - Retry settings (see getRetryOptions)
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoff(retry, { baseDelayMs, maxDelayMs }) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1));
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Delay
+ * @param {AbortSignal} signal - Cuts the wait short, rejecting with the signal's reason (optional)
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal = null) {
+  if (signal?.aborted) return Promise.reject(signal.reason);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,177 @@
+/**
+ * Table Schemas (/api/airtable/:table/schema)
+ *
+ * Reads the base schema from Airtable's metadata API
+ * (GET /v0/meta/bases/:baseId/tables, needs the schema.bases:read scope) and
+ * describes a table's exposed fields:
+ *
+ *   GET /api/airtable/tasks/schema
+ *
+ *   {
+ *     "success": true,
+ *     "table": "tasks", "tableId": "tbl...", "name": "Tasks", "primaryField": "Name",
+ *     "fields": [
+ *       { "name": "Name", "type": "singleLineText" },
+ *       { "name": "Status", "type": "singleSelect", "choices": ["Todo", "In progress", "Done"] },
+ *       ...
+ *     ]
+ *   }
+ *
+ * With schema.validate enabled (AIRTABLE_VALIDATE_FIELDS=true), every read
+ * first checks the fields it uses - the sort, the fields referenced by the
+ * filter (configured or from ?status= / ?filter[Field]=) and ?fields= -
+ * against the schema, so a misspelt field is a 400 listing the valid fields
+ * instead of a 422 from Airtable. The schema is cached for schema.ttlSeconds;
+ * when it can't be read, reads go ahead unchecked.
+ */
+
+import { ApiError } from './errors.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const DEFAULT_SCHEMA_TTL_SECONDS = 300;
+const SELECT_TYPES = ['singleSelect', 'multipleSelects'];
+
+// Formula string literals, skipped when looking for {Field} references
+const STRING_LITERAL = /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g;
+const FIELD_REFERENCE = /\{([^{}]+)\}/g;
+
+// ============================================================================
+// CACHE
+// ============================================================================
+
+/**
+ * Creates an in-memory cache of the base schema
+ * Concurrent misses share one metadata request; failures are not cached.
+ * @param {number} ttlSeconds - How long a schema is reused
+ * @returns {{get: Function, clear: Function}} Cache
+ */
+export function createSchemaCache(ttlSeconds) {
+  let entry = null; // { tables, expiresAt }
+  let pending = null;
+
+  return {
+    /**
+     * Returns the base schema, reading it when missing or expired
+     * @param {AirtableClient} client - Airtable client (see lib/client.js)
+     * @returns {Promise<Array<Object>>} Tables from the metadata API
+     */
+    async get(client) {
+      if (entry && entry.expiresAt > Date.now()) {
+        return entry.tables;
+      }
+
+      pending ??= client.fetchSchema()
+        .then(tables => {
+          entry = { tables, expiresAt: Date.now() + ttlSeconds * 1000 };
+          return tables;
+        })
+        .finally(() => {
+          pending = null;
+        });
+
+      return pending;
+    },
+
+    /**
+     * Forgets the cached schema
+     */
+    clear() {
+      entry = null;
+    }
+  };
+}
+
+// ============================================================================
+// DESCRIPTION
+// ============================================================================
+
+/**
+ * Finds a configured table in the base schema
+ * @param {Array<Object>} tables - Tables from the metadata API
+ * @param {Object} table - Table configuration (tableId may be an ID or a name)
+ * @returns {Object|null} Table schema
+ */
+export function findTableSchema(tables, table) {
+  return tables.find(candidate => candidate.id === table.tableId || candidate.name === table.tableId) || null;
+}
+
+/**
+ * Lists the schema fields a table exposes
+ * Fields outside the table's `fields` list and fields its mapping hides are left out.
+ * @param {Object} tableSchema - Table from the metadata API
+ * @param {Object} table - Table configuration
+ * @returns {Array<Object>} Field schemas
+ */
+function exposedFields(tableSchema, table) {
+  const hidden = (table.mapping || []).filter(rule => rule.hidden).map(rule => rule.source);
+
+  return tableSchema.fields.filter(field => (!table.fields || table.fields.includes(field.name)) && !hidden.includes(field.name));
+}
+
+/**
+ * Describes a table's exposed fields: names, types and select options
+ * @param {Object} tableSchema - Table from the metadata API
+ * @param {Object} table - Table configuration
+ * @returns {Object} { tableId, name, primaryField, fields }
+ */
+export function describeTableSchema(tableSchema, table) {
+  const primary = tableSchema.fields.find(field => field.id === tableSchema.primaryFieldId);
+
+  return {
+    tableId: tableSchema.id,
+    name: tableSchema.name,
+    primaryField: primary?.name ?? null,
+    fields: exposedFields(tableSchema, table).map(field => ({
+      name: field.name,
+      type: field.type,
+      ...(field.description && { description: field.description }),
+      ...(SELECT_TYPES.includes(field.type) && { choices: (field.options?.choices || []).map(choice => choice.name) })
+    }))
+  };
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Lists the {Field} references of a formula, ignoring text inside string literals
+ * @param {string|null} formula - filterByFormula
+ * @returns {Array<string>} Field names
+ */
+export function formulaFields(formula) {
+  if (!formula) return [];
+
+  const code = formula.replace(STRING_LITERAL, '""');
+  return [...code.matchAll(FIELD_REFERENCE)].map(match => match[1]);
+}
+
+/**
+ * Checks that every field a read uses exists in the table
+ * @param {Object} tableSchema - Table from the metadata API
+ * @param {Object} table - Table configuration
+ * @param {Object} query - Parsed query options (filterFormula, sort, fields)
+ * @throws {ApiError} INVALID_QUERY naming the unknown and the available fields
+ */
+export function checkQueryFields(tableSchema, table, query) {
+  const known = new Set(tableSchema.fields.map(field => field.name));
+  const used = [
+    ...formulaFields(query.filterFormula),
+    ...(query.sort || []).map(({ field }) => field),
+    ...(query.fields || [])
+  ];
+  const unknown = [...new Set(used.filter(name => !known.has(name)))];
+
+  if (unknown.length === 0) return;
+
+  const available = exposedFields(tableSchema, table).map(field => field.name);
+
+  throw new ApiError(
+    'INVALID_QUERY',
+    `Unknown field(s) in table "${table.slug}": ${unknown.join(', ')}. Available fields: ${available.join(', ')}`,
+    { unknownFields: unknown, availableFields: available }
+  );
+}
@@ -0,0 +1,151 @@
+/**
+ * Streaming Responses (?stream=true)
+ *
+ * Writes records to the response as each Airtable page arrives instead of
+ * collecting the whole table first, so memory stays flat and the first bytes
+ * go out after one page.
+ *
+ * JSON output is still a single valid document. Metadata comes first, the
+ * records follow, and a trailer closes the document:
+ *
+ *   {"table":"tasks",...,"records":[
+ *   {...},
+ *   {...}
+ *   ],"trailer":{"success":true,"totalRecords":2,"pages":1}}
+ *
+ * NDJSON output is one record per line followed by a {"trailer":{...}} line.
+ *
+ * Errors:
+ * - If the first page fails, nothing has been written yet. The error is
+ *   rethrown so the caller can send a normal error response and status.
+ * - If a later page fails, the status (200) is already on the wire. The
+ *   records array is closed and the trailer reports success: false plus the
+ *   usual error fields (see lib/errors.js). Clients must check
+ *   trailer.success before trusting the records.
+ */
+
+import { toErrorResponse } from './errors.js';
+import { parseBoolean } from './query.js';
+
+// ============================================================================
+// OPTIONS
+// ============================================================================
+
+export const STREAMABLE_FORMATS = ['json', 'ndjson'];
+
+/**
+ * Parses ?stream=
+ * @param {string|undefined} value - Raw parameter value
+ * @returns {boolean} True to stream
+ */
+export function parseStreamFlag(value) {
+  return parseBoolean(value, 'stream');
+}
+
+// ============================================================================
+// WRITING
+// ============================================================================
+
+/**
+ * Writes a chunk, waiting for the socket to drain when its buffer is full
+ * @param {Object} res - Response object
+ * @param {string} chunk - Text to write
+ * @returns {Promise<void>} Resolves when more data may be written
+ */
+export function writeChunk(res, chunk) {
+  if (res.write(chunk) !== false || typeof res.once !== 'function') {
+    return Promise.resolve();
+  }
+
+  return new Promise(resolve => {
+    const done = () => {
+      res.off?.('drain', done);
+      res.off?.('close', done);
+      resolve();
+    };
+
+    res.once('drain', done);
+    res.once('close', done);
+  });
+}
+
+/**
+ * Checks whether the client has gone away
+ * @param {Object} res - Response object
+ * @returns {boolean} True if nothing more can be written
+ */
+function isClosed(res) {
+  return Boolean(res.destroyed || res.writableEnded);
+}
+
+/**
+ * Streams pages of records to the response
+ * @param {Object} res - Response object
+ * @param {AsyncIterable<{records: Array}>} pages - Pages from Airtable
+ * @param {Object} options - Stream options
+ * @param {string} options.format - json or ndjson
+ * @param {Object} options.head - Metadata written before the records (JSON only)
+ * @param {Function} options.transform - Applied to each page's records
+ * @param {Function} options.onStart - Called once the first page arrived, to set status and headers
+ * @returns {Promise<{totalRecords: number, pages: number, error: Error|null, aborted: boolean}>} Outcome
+ */
+export async function streamRecords(res, pages, { format, head = {}, transform = records => records, onStart = () => {} }) {
+  const iterator = pages[Symbol.asyncIterator]();
+  const outcome = { totalRecords: 0, pages: 0, error: null, aborted: false };
+
+  // Wait for the first page so an early failure can still become a proper error response
+  let next = await iterator.next();
+  onStart();
+
+  if (format === 'json') {
+    const prefix = JSON.stringify(head).slice(0, -1);
+    await writeChunk(res, `${prefix}${prefix.length > 1 ? ',' : ''}"records":[\n`);
+  }
+
+  try {
+    while (!next.done) {
+      const records = transform(next.value.records);
+      outcome.pages++;
+
+      if (records.length > 0) {
+        const lines = records.map(record => JSON.stringify(record));
+        const separator = format === 'json' ? ',\n' : '\n';
+        const lead = format === 'json' && outcome.totalRecords > 0 ? ',\n' : '';
+        const tail = format === 'ndjson' ? '\n' : '';
+
+        await writeChunk(res, `${lead}${lines.join(separator)}${tail}`);
+        outcome.totalRecords += records.length;
+      }
+
+      if (isClosed(res)) {
+        outcome.aborted = true;
+        await iterator.return?.();
+        return outcome;
+      }
+
+      next = await iterator.next();
+    }
+  } catch (error) {
+    // A page fetch cancelled because the client left is not a failure
+    if (isClosed(res)) {
+      outcome.aborted = true;
+      return outcome;
+    }
+
+    outcome.error = error;
+  }
+
+  const trailer = { success: !outcome.error, totalRecords: outcome.totalRecords, pages: outcome.pages };
+
+  if (outcome.error) {
+    const { body } = toErrorResponse(outcome.error);
+    const { success, ...details } = body;
+    trailer.error = details;
+  }
+
+  res.end(format === 'json'
+    ? `\n],"trailer":${JSON.stringify(trailer)}}\n`
+    : `${JSON.stringify({ trailer })}\n`);
+
+  return outcome;
+}
@@ -0,0 +1,361 @@
+/**
+ * Table Allowlist
+ *
+ * Maps the friendly slugs used in /api/airtable/:table to Airtable tables.
+ * Only tables listed here are reachable through the proxy; any other slug
+ * gets a 404 without a request ever being sent to Airtable.
+ *
+ * Each entry supports:
+ * - tableId:       Airtable table ID (or table name)
+ * - view:          Optional Airtable view the records are read through
+ * - filterFormula: Default filter, replaced by ?status=
+ * - sort:          Default sort, e.g. [{ field: 'Name', direction: 'asc' }]
+ * - fields:        Fields exposed to callers (null exposes every field)
+ * - statusField:   Field targeted by ?status= (defaults to 'Status')
+ * - writableFields: Fields POST/PATCH may set (null makes the table read-only)
+ * - mapping:       Renames, casts and hidden fields for ?shape=flat (see lib/transform.js)
+ * - links:         Linked-record fields ?expand= may inline, e.g.
+ *                  { "Owner": { "table": "people", "fields": ["Name", "Team"] } } or
+ *                  { "Owner": "people" } (see lib/expand.js). fields defaults to the
+ *                  linked table's fields.
+ *
+ * The built-in list (a single "tasks" table, AIRTABLE_TABLE_ID) can be replaced
+ * with the AIRTABLE_TABLES environment variable, a JSON object keyed by slug
+ * using the same shape. The table served
+ * at plain /api/airtable is AIRTABLE_DEFAULT_TABLE, or the first entry.
+ *
+ * Sub-routes such as /api/airtable/:table/changes are listed in ROUTE_ACTIONS.
+ * Operational endpoints outside /api/airtable are listed in SERVICE_ROUTES.
+ */
+
+import { ApiError } from './errors.js';
+import { normalizeMapping } from './transform.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const DEFAULT_TABLE_ID = 'tblDrUWfwkwMQM9yR';
+
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+const ROUTE_PREFIX = '/api/airtable';
+
+// Sub-routes: /api/airtable/<action> (default table) and /api/airtable/:table/<action>.
+// These names can't be used as table slugs.
+export const ROUTE_ACTIONS = ['changes', 'aggregate', 'schema', 'webhook', 'batch'];
+const BASE_ACTIONS = ['webhook', 'batch']; // Not tied to a table: /api/airtable/<action> only
+
+// Operational endpoints (see lib/health.js and lib/metrics.js): path → route name
+const SERVICE_ROUTES = {
+  '/api/health': 'health',
+  '/api/health/ready': 'ready',
+  '/api/metrics': 'metrics'
+};
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * Thrown when the table configuration is invalid. The handler turns it into a 500.
+ */
+export class TableConfigError extends ApiError {
+  constructor(message) {
+    super('CONFIG_ERROR', message);
+    this.name = 'TableConfigError';
+  }
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Returns the built-in allowlist used when AIRTABLE_TABLES is not set
+ * @param {string} tableId - Airtable table ID of the tasks table
+ * @returns {Object} Raw table configuration keyed by slug
+ */
+function defaultTables(tableId) {
+  return {
+    tasks: {
+      tableId,
+      view: null,
+      filterFormula: "NOT({Status}='Done')", // Filter out records with Status = 'Done'
+      sort: [{ field: 'Name', direction: 'asc' }],
+      fields: null,
+      writableFields: null
+    }
+  };
+}
+
+/**
+ * Validates one table entry and fills in defaults
+ * @param {string} slug - Table slug
+ * @param {Object} entry - Raw table configuration
+ * @returns {Object} Normalized table configuration
+ */
+function normalizeTable(slug, entry) {
+  if (!SLUG_PATTERN.test(slug)) {
+    throw new TableConfigError(`Invalid table slug "${slug}": use letters, digits, "-" and "_"`);
+  }
+
+  if (ROUTE_ACTIONS.includes(slug)) {
+    throw new TableConfigError(`Table slug "${slug}" is reserved for /api/airtable/${slug}`);
+  }
+
+  if (!entry || typeof entry !== 'object') {
+    throw new TableConfigError(`Table "${slug}" must be an object`);
+  }
+
+  if (typeof entry.tableId !== 'string' || !entry.tableId) {
+    throw new TableConfigError(`Table "${slug}" is missing a tableId`);
+  }
+
+  const sort = entry.sort || [];
+  if (!Array.isArray(sort) || sort.some(item => !item || typeof item.field !== 'string')) {
+    throw new TableConfigError(`Table "${slug}" has an invalid sort: expected [{ field, direction }]`);
+  }
+
+  if (entry.fields != null && (!Array.isArray(entry.fields) || entry.fields.length === 0)) {
+    throw new TableConfigError(`Table "${slug}" has an invalid fields list: expected a non-empty array or null`);
+  }
+
+  if (entry.writableFields != null && (!Array.isArray(entry.writableFields) || entry.writableFields.length === 0)) {
+    throw new TableConfigError(`Table "${slug}" has an invalid writableFields list: expected a non-empty array or null`);
+  }
+
+  if (entry.links != null && (typeof entry.links !== 'object' || Array.isArray(entry.links))) {
+    throw new TableConfigError(`Table "${slug}" has invalid links: expected an object keyed by linked-record field`);
+  }
+
+  const links = Object.entries(entry.links || {}).map(([field, link]) => {
+    const { table, fields = null } = typeof link === 'string' ? { table: link } : link || {};
+
+    if (typeof table !== 'string' || !table) {
+      throw new TableConfigError(`Table "${slug}" has an invalid link "${field}": expected a table slug or { table, fields }`);
+    }
+
+    if (fields != null && (!Array.isArray(fields) || fields.length === 0)) {
+      throw new TableConfigError(`Table "${slug}" link "${field}" has an invalid fields list: expected a non-empty array`);
+    }
+
+    if (entry.fields && !entry.fields.includes(field)) {
+      throw new TableConfigError(`Table "${slug}" links "${field}", which is not one of its fields`);
+    }
+
+    return [field, { table, fields }];
+  });
+
+  let mapping;
+  try {
+    mapping = normalizeMapping(entry.mapping);
+  } catch (error) {
+    throw new TableConfigError(`Table "${slug}" has an invalid ${error.message}`);
+  }
+
+  return {
+    slug,
+    tableId: entry.tableId,
+    view: entry.view || null,
+    filterFormula: entry.filterFormula || null,
+    sort: sort.map(({ field, direction }) => ({ field, direction: direction === 'desc' ? 'desc' : 'asc' })),
+    fields: entry.fields || null,
+    statusField: entry.statusField || 'Status',
+    writableFields: entry.writableFields || null,
+    mapping,
+    links: links.length > 0 ? Object.fromEntries(links) : null
+  };
+}
+
+/**
+ * Checks that links point at configured tables and only select fields those
+ * tables expose, filling in each link's default field selection
+ * @param {Array<Object>} entries - Normalized tables
+ */
+function checkLinks(entries) {
+  const bySlug = new Map(entries.map(table => [table.slug, table]));
+
+  for (const table of entries) {
+    for (const [field, link] of Object.entries(table.links || {})) {
+      const target = bySlug.get(link.table);
+
+      if (!target) {
+        throw new TableConfigError(`Table "${table.slug}" links "${field}" to "${link.table}", which is not a configured table`);
+      }
+
+      if ((table.mapping || []).some(rule => rule.source === field && rule.hidden)) {
+        throw new TableConfigError(`Table "${table.slug}" links "${field}", which its mapping hides`);
+      }
+
+      const hidden = target.fields ? (link.fields || []).filter(name => !target.fields.includes(name)) : [];
+
+      if (hidden.length > 0) {
+        throw new TableConfigError(`Table "${table.slug}" link "${field}" selects fields "${link.table}" does not expose: ${hidden.join(', ')}`);
+      }
+
+      link.fields ??= target.fields;
+    }
+  }
+}
+
+/**
+ * Validates a table allowlist and fills in defaults
+ * @param {Object} raw - Table entries keyed by slug (same shape as AIRTABLE_TABLES)
+ * @param {string|null} defaultSlug - Table served at plain /api/airtable (null for the first entry)
+ * @returns {Map<string, Object>} Tables keyed by slug, default table first
+ */
+export function buildTables(raw, defaultSlug = null) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new TableConfigError('Tables must be an object keyed by table slug');
+  }
+
+  const entries = Object.entries(raw).map(([slug, entry]) => normalizeTable(slug, entry));
+
+  if (entries.length === 0) {
+    throw new TableConfigError('At least one table must be configured');
+  }
+
+  checkLinks(entries);
+
+  const defaultIndex = defaultSlug ? entries.findIndex(table => table.slug === defaultSlug) : 0;
+
+  if (defaultIndex === -1) {
+    throw new TableConfigError(`Default table "${defaultSlug}" is not a configured table`);
+  }
+
+  // Keep the default table first so resolveTable(null) can just take the head
+  entries.unshift(...entries.splice(defaultIndex, 1));
+
+  return new Map(entries.map(table => [table.slug, table]));
+}
+
+/**
+ * Loads and validates the table allowlist
+ * @param {Object} env - Environment variables
+ * @returns {Map<string, Object>} Tables keyed by slug, default table first
+ */
+export function loadTables(env = process.env) {
+  let raw = defaultTables(env.AIRTABLE_TABLE_ID || DEFAULT_TABLE_ID);
+
+  if (env.AIRTABLE_TABLES) {
+    try {
+      raw = JSON.parse(env.AIRTABLE_TABLES);
+    } catch (error) {
+      throw new TableConfigError(`AIRTABLE_TABLES is not valid JSON: ${error.message}`);
+    }
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new TableConfigError('AIRTABLE_TABLES must be a JSON object keyed by table slug');
+    }
+  }
+
+  return buildTables(raw, env.AIRTABLE_DEFAULT_TABLE || null);
+}
+
+/**
+ * Looks up a table by slug
+ * @param {string|null} slug - Table slug from the route, or null for the default table
+ * @param {Map<string, Object>} tables - Table allowlist (see buildTables)
+ * @returns {Object|null} Table configuration, or null if it is not in the allowlist
+ */
+export function resolveTable(slug, tables) {
+  if (slug == null) {
+    return tables.values().next().value;
+  }
+
+  return tables.get(slug) || null;
+}
+
+/**
+ * Lists the tables whose ?expand= responses can include records of a table
+ * Follows links transitively, since expansions nest (see lib/expand.js).
+ * @param {string} slug - Table slug
+ * @param {Map<string, Object>} tables - Table allowlist (see buildTables)
+ * @returns {Array<string>} Slugs of the linking tables, without the table itself
+ */
+export function findLinkingTables(slug, tables) {
+  const found = new Set([slug]);
+  const pending = [slug];
+
+  while (pending.length > 0) {
+    const target = pending.pop();
+
+    for (const table of tables.values()) {
+      const links = Object.values(table.links || {});
+
+      if (!found.has(table.slug) && links.some(link => link.table === target)) {
+        found.add(table.slug);
+        pending.push(table.slug);
+      }
+    }
+  }
+
+  found.delete(slug);
+  return [...found];
+}
+
+// ============================================================================
+// ROUTING
+// ============================================================================
+
+/**
+ * Extracts the table slug from a request path
+ * /api/airtable → null (default table), /api/airtable/tasks → 'tasks'
+ * @param {string} url - Request URL or path
+ * @returns {string|null} Table slug
+ */
+export function parseTableSlug(url) {
+  const { pathname } = new URL(url || '/', 'http://localhost');
+  const index = pathname.indexOf(ROUTE_PREFIX);
+
+  if (index === -1) return null;
+
+  const rest = pathname.slice(index + ROUTE_PREFIX.length).replace(/^\/+|\/+$/g, '');
+  if (!rest) return null;
+
+  try {
+    return decodeURIComponent(rest);
+  } catch (error) {
+    return rest; // Malformed escapes can never match a slug, resolveTable will 404
+  }
+}
+
+/**
+ * Splits a request path into table slug and sub-route
+ * /api/airtable/changes → { slug: null, action: 'changes' },
+ * /api/airtable/tasks/changes → { slug: 'tasks', action: 'changes' },
+ * /api/airtable/tasks/aggregate → { slug: 'tasks', action: 'aggregate' },
+ * /api/airtable/tasks/schema → { slug: 'tasks', action: 'schema' },
+ * /api/airtable/webhook → { slug: null, action: 'webhook' },
+ * /api/airtable/batch → { slug: null, action: 'batch' } (both base-level only)
+ * @param {string} url - Request URL or path
+ * @returns {{slug: string|null, action: string|null}} Route
+ */
+export function parseRoute(url) {
+  const rest = parseTableSlug(url);
+  if (rest === null) return { slug: null, action: null };
+
+  const segments = rest.split('/');
+  const action = segments[segments.length - 1];
+
+  if (segments.length === 2 && BASE_ACTIONS.includes(action)) {
+    return { slug: rest, action: null }; // Not a table route; resolves to an unknown table
+  }
+
+  if (segments.length <= 2 && ROUTE_ACTIONS.includes(action)) {
+    return { slug: segments.length === 2 ? segments[0] : null, action };
+  }
+
+  return { slug: rest, action: null };
+}
+
+/**
+ * Recognizes the operational endpoints
+ * /api/health → 'health', /api/health/ready → 'ready', /api/metrics → 'metrics'
+ * @param {string} url - Request URL or path
+ * @returns {string|null} Route name, or null for everything else
+ */
+export function parseServiceRoute(url) {
+  const { pathname } = new URL(url || '/', 'http://localhost');
+  return SERVICE_ROUTES[pathname.replace(/\/+$/, '')] ?? null;
+}
@@ -0,0 +1,64 @@
+/**
+ * Request Throttle
+ *
+ * Airtable allows 5 requests per second per base. Every upstream request
+ * waits for a slot here first, so the pagination loop (and concurrent
+ * requests within the same instance) never exceed that rate.
+ *
+ * Each client (see lib/client.js) has its own throttle at its configured
+ * rate, shared by every request scoped from it. Two handlers for the same base
+ * don't share one, so each should be given its part of the base's rate.
+ *
+ * Slots are spaced evenly (1000 / requestsPerSecond ms apart). After a 429,
+ * pause() holds back every request of the client until Retry-After has passed.
+ */
+
+import { sleep } from './retry.js';
+
+const DEFAULT_REQUESTS_PER_SECOND = 5;
+
+/**
+ * Creates a throttle that hands out evenly spaced request slots
+ * @param {number} requestsPerSecond - Maximum request rate
+ * @returns {{acquire: Function, pause: Function}} Throttle
+ */
+export function createThrottle(requestsPerSecond = DEFAULT_REQUESTS_PER_SECOND) {
+  const interval = 1000 / requestsPerSecond;
+  let nextSlot = 0;
+
+  return {
+    /**
+     * Resolves once the caller may send its request
+     * An aborted wait keeps its slot; the slots after it are only spaced out.
+     * A caller whose deadline comes before the next free slot doesn't wait
+     * (or take the slot) at all.
+     * @param {AbortSignal} signal - Stops waiting when the caller gives up (optional)
+     * @param {number|null} deadlineAt - Time (ms since epoch) the request must be sent by (optional)
+     * @returns {Promise<boolean>} false if the slot comes too late for the deadline
+     */
+    async acquire(signal = null, deadlineAt = null) {
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+
+      if (deadlineAt !== null && slot >= deadlineAt) {
+        return false;
+      }
+
+      nextSlot = slot + interval;
+
+      if (slot > now) {
+        await sleep(slot - now, signal);
+      }
+
+      return true;
+    },
+
+    /**
+     * Holds back all requests for the given time (e.g. after a 429)
+     * @param {number} ms - Pause in milliseconds
+     */
+    pause(ms) {
+      nextSlot = Math.max(nextSlot, Date.now() + ms);
+    }
+  };
+}
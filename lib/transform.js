@@ -0,0 +1,271 @@
+/**
+ * Record Transforms (?shape=raw|flat)
+ *
+ * Raw Airtable records look like { id, createdTime, fields: {...} } and omit
+ * empty fields entirely. The flat shape unwraps them into
+ * { id, createdTime, ...fields }, driven by the table's `mapping`:
+ *
+ *   "mapping": {
+ *     "Name": "name",                                          // rename
+ *     "Status": { "as": "status", "type": "select" },          // rename + cast
+ *     "Due": { "as": "dueDate", "type": "date" },
+ *     "Files": { "as": "files", "type": "attachments" },
+ *     "Internal Notes": false                                  // drop
+ *   }
+ *
+ * Types: string, number, boolean, date (YYYY-MM-DD), datetime (ISO 8601),
+ * select, multiSelect, attachments ([{ url, thumbnail }]), links (record IDs)
+ * and lookup (flattened array). Mapped fields are always present in flat
+ * records, null (or false / [] for booleans and lists) when Airtable left
+ * them out. Unmapped fields keep their names; attachments among them are
+ * still reduced to { url, thumbnail }. Hidden fields are dropped from raw
+ * records too.
+ */
+
+import { QueryValidationError } from './query.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const SHAPES = ['raw', 'flat'];
+
+const RESERVED_KEYS = ['id', 'createdTime'];
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// ============================================================================
+// CASTS
+// ============================================================================
+
+/**
+ * Takes the first value of a lookup-style array
+ * @param {*} value - Field value
+ * @returns {*} Single value
+ */
+function scalar(value) {
+  return Array.isArray(value) ? value[0] ?? null : value ?? null;
+}
+
+/**
+ * Turns a list of values into a flat array without empty entries
+ * @param {*} value - Field value
+ * @returns {Array} Values
+ */
+function list(value) {
+  if (value == null) return [];
+  return (Array.isArray(value) ? value.flat(Infinity) : [value]).filter(item => item != null);
+}
+
+/**
+ * Parses a date-like value
+ * @param {*} value - Field value
+ * @returns {Date|null} Date, or null if it can't be parsed
+ */
+function toDate(value) {
+  if (value == null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Checks whether a value looks like an Airtable attachment list
+ * @param {*} value - Field value
+ * @returns {boolean} True for [{ url, filename, ... }]
+ */
+function isAttachmentList(value) {
+  return Array.isArray(value)
+    && value.length > 0
+    && value.every(item => item && typeof item === 'object' && typeof item.url === 'string' && 'filename' in item);
+}
+
+/**
+ * Reduces an attachment to its URL and best available thumbnail
+ * @param {Object} attachment - Airtable attachment
+ * @returns {{url: string, thumbnail: string|null}} Projected attachment
+ */
+function projectAttachment(attachment) {
+  const thumbnails = attachment.thumbnails || {};
+  const thumbnail = thumbnails.large || thumbnails.full || thumbnails.small || null;
+  return { url: attachment.url, thumbnail: thumbnail ? thumbnail.url : null };
+}
+
+/**
+ * Reduces attachment lists, leaves every other value alone
+ * @param {*} value - Field value
+ * @returns {*} Value
+ */
+function autoProject(value) {
+  return isAttachmentList(value) ? value.map(projectAttachment) : value;
+}
+
+// Field type → cast. Each cast must handle undefined (field omitted by Airtable).
+const CASTS = {
+  string: value => {
+    if (value == null) return null;
+    return Array.isArray(value) ? list(value).join(', ') : String(value);
+  },
+
+  number: value => {
+    const item = scalar(value);
+    if (item === null || item === '' || typeof item === 'boolean') return null;
+    const number = Number(item);
+    return Number.isFinite(number) ? number : null;
+  },
+
+  boolean: value => {
+    const item = scalar(value);
+    if (typeof item === 'string') return /^(true|yes|1)$/i.test(item.trim());
+    return Boolean(item);
+  },
+
+  date: value => {
+    const item = scalar(value);
+    if (typeof item === 'string' && DATE_ONLY_PATTERN.test(item)) return item; // Avoid timezone shifts
+    const date = toDate(item);
+    return date ? date.toISOString().slice(0, 10) : null;
+  },
+
+  datetime: value => {
+    const date = toDate(scalar(value));
+    return date ? date.toISOString() : null;
+  },
+
+  select: value => {
+    const item = scalar(value);
+    if (item === null) return null;
+    return typeof item === 'object' ? item.name ?? null : String(item);
+  },
+
+  multiSelect: value => list(value).map(item => (typeof item === 'object' ? item.name : String(item))),
+
+  attachments: value => list(value).filter(item => typeof item === 'object' && item.url).map(projectAttachment),
+
+  links: value => list(value).map(item => (typeof item === 'object' ? item.id : String(item))),
+
+  lookup: value => autoProject(list(value))
+};
+
+export const FIELD_TYPES = Object.keys(CASTS);
+
+// ============================================================================
+// MAPPING
+// ============================================================================
+
+/**
+ * Validates a table's mapping config
+ * @param {Object|null} mapping - Raw mapping (Airtable field name → entry)
+ * @returns {Array<{source: string, as: string|null, type: string|null, hidden: boolean}>|null} Mapping rules
+ */
+export function normalizeMapping(mapping) {
+  if (mapping == null) return null;
+
+  if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('mapping must be an object keyed by Airtable field name');
+  }
+
+  const seen = new Set(RESERVED_KEYS);
+
+  return Object.entries(mapping).map(([source, entry]) => {
+    if (entry === false || entry?.hidden === true) {
+      return { source, as: null, type: null, hidden: true };
+    }
+
+    const rule = typeof entry === 'string' ? { as: entry } : entry;
+
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`mapping for "${source}" must be a name, an object or false`);
+    }
+
+    const as = rule.as || source;
+    const type = rule.type || null;
+
+    if (type && !CASTS[type]) {
+      throw new Error(`mapping for "${source}" has unknown type "${type}". Types: ${FIELD_TYPES.join(', ')}`);
+    }
+
+    if (seen.has(as)) {
+      throw new Error(`mapping for "${source}" uses the output name "${as}" more than once or for a reserved key`);
+    }
+
+    seen.add(as);
+    return { source, as, type, hidden: false };
+  });
+}
+
+/**
+ * Reads ?shape= for a table
+ * Tables with a mapping default to flat, others to raw.
+ * @param {string|undefined} value - Query parameter
+ * @param {Object} table - Table configuration
+ * @returns {string} raw or flat
+ */
+export function parseShape(value, table) {
+  if (value === undefined || value === '') {
+    return table.mapping ? 'flat' : 'raw';
+  }
+
+  if (!SHAPES.includes(value)) {
+    throw new QueryValidationError(`Invalid shape "${value}". Use one of: ${SHAPES.join(', ')}`);
+  }
+
+  return value;
+}
+
+// ============================================================================
+// TRANSFORM
+// ============================================================================
+
+/**
+ * Flattens one record
+ * @param {Object} record - Raw Airtable record
+ * @param {Array|null} mapping - Normalized mapping rules
+ * @returns {Object} Flat record
+ */
+export function flattenRecord(record, mapping = null) {
+  const fields = record.fields || {};
+  const flat = { id: record.id, createdTime: record.createdTime };
+  const mapped = new Set();
+
+  for (const rule of mapping || []) {
+    mapped.add(rule.source);
+    if (rule.hidden) continue;
+
+    const value = fields[rule.source];
+
+    if (rule.type) {
+      flat[rule.as] = CASTS[rule.type](value);
+    } else {
+      flat[rule.as] = value === undefined ? null : autoProject(value);
+    }
+  }
+
+  for (const [name, value] of Object.entries(fields)) {
+    if (mapped.has(name) || RESERVED_KEYS.includes(name)) continue;
+    flat[name] = autoProject(value);
+  }
+
+  return flat;
+}
+
+/**
+ * Applies a shape to a list of records
+ * @param {Array<Object>} records - Raw Airtable records
+ * @param {string} shape - raw or flat
+ * @param {Object} table - Table configuration (uses its mapping)
+ * @returns {Array<Object>} Records in the requested shape
+ */
+export function transformRecords(records, shape, table) {
+  if (shape === 'flat') {
+    return records.map(record => flattenRecord(record, table.mapping));
+  }
+
+  // Raw records keep Airtable's structure but still lose hidden fields
+  const hidden = (table.mapping || []).filter(rule => rule.hidden).map(rule => rule.source);
+  if (hidden.length === 0) return records;
+
+  return records.map(record => {
+    const fields = { ...record.fields };
+    hidden.forEach(name => delete fields[name]);
+    return { ...record, fields };
+  });
+}
@@ -0,0 +1,384 @@
+/**
+ * Airtable Webhooks (/api/airtable/webhook)
+ *
+ * Airtable notifies the proxy of changes instead of the proxy polling. A
+ * notification is only a ping:
+ *
+ *   POST /api/airtable/webhook
+ *   X-Airtable-Content-MAC: hmac-sha256=<hex>
+ *   { "base": { "id": "app..." }, "webhook": { "id": "ach..." }, "timestamp": "..." }
+ *
+ * The MAC is an HMAC-SHA256 of the raw body keyed with the webhook's
+ * macSecretBase64 (returned once, when the webhook is created). Secrets are
+ * configured in AIRTABLE_WEBHOOKS, a JSON object keyed by webhook ID:
+ *
+ *   { "achXXXXXXXXXXXXXX": "<macSecretBase64>" }
+ *
+ * A verified ping makes the proxy list the webhook's payloads from its last
+ * cursor onwards. Each payload is turned into change events (see
+ * payloadToEvents) and handed to every registered handler; the cursor is only
+ * advanced once every handler succeeded, so events are delivered at least once.
+ * After a failure the same payloads are read again on the next ping.
+ * Without a stored cursor (first ping, or a cold in-memory store) reading
+ * starts at 1, replaying the payloads Airtable still retains (7 days), so
+ * handlers must be idempotent.
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { ApiError } from './errors.js';
+import { createLogger } from './logger.js';
+import { findLinkingTables } from './tables.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const MAC_PREFIX = 'hmac-sha256=';
+const FIRST_CURSOR = 1;
+const MAX_PAYLOAD_PAGES = 20; // Payload list requests per ping; the next ping picks up the rest
+const TABLE_ID_PATTERN = /^tbl[A-Za-z0-9]{14}$/;
+
+export const EVENT_TYPES = ['record.created', 'record.updated', 'record.deleted', 'schema.changed', 'webhook.error'];
+
+let sharedHandlers = null;
+
+/**
+ * Loads the webhook secrets from AIRTABLE_WEBHOOKS
+ * @param {Object} env - Environment variables
+ * @returns {Map<string, Buffer>} MAC secret per webhook ID (empty when unset)
+ */
+export function loadWebhookConfig(env = process.env) {
+  const webhooks = new Map();
+  if (!env.AIRTABLE_WEBHOOKS) return webhooks;
+
+  let raw;
+
+  try {
+    raw = JSON.parse(env.AIRTABLE_WEBHOOKS);
+  } catch (error) {
+    throw new ApiError('CONFIG_ERROR', `AIRTABLE_WEBHOOKS is not valid JSON: ${error.message}`);
+  }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ApiError('CONFIG_ERROR', 'AIRTABLE_WEBHOOKS must be a JSON object of webhook ID → macSecretBase64');
+  }
+
+  for (const [id, secret] of Object.entries(raw)) {
+    const key = typeof secret === 'string' ? Buffer.from(secret, 'base64') : Buffer.alloc(0);
+
+    if (key.length === 0) {
+      throw new ApiError('CONFIG_ERROR', `AIRTABLE_WEBHOOKS.${id} must be the webhook's macSecretBase64`);
+    }
+
+    webhooks.set(id, key);
+  }
+
+  return webhooks;
+}
+
+// ============================================================================
+// NOTIFICATION PINGS
+// ============================================================================
+
+/**
+ * Computes the X-Airtable-Content-MAC value for a body
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {Buffer} secret - Decoded macSecretBase64
+ * @returns {string} Header value
+ */
+export function computeWebhookMac(rawBody, secret) {
+  return `${MAC_PREFIX}${createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+}
+
+/**
+ * Checks a ping's X-Airtable-Content-MAC header
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string|undefined} header - X-Airtable-Content-MAC header
+ * @param {Buffer} secret - Decoded macSecretBase64
+ * @returns {boolean} True if the MAC matches
+ */
+export function verifyWebhookMac(rawBody, header, secret) {
+  if (typeof header !== 'string' || !header.startsWith(MAC_PREFIX)) return false;
+
+  const expected = Buffer.from(computeWebhookMac(rawBody, secret).slice(MAC_PREFIX.length), 'hex');
+  const actual = Buffer.from(header.slice(MAC_PREFIX.length), 'hex');
+
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Parses and authenticates a notification ping
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {string|undefined} header - X-Airtable-Content-MAC header
+ * @param {Map<string, Buffer>} webhooks - Secrets from loadWebhookConfig
+ * @param {string} baseId - The proxy's base; pings for other bases are refused
+ * @returns {{baseId: string, webhookId: string, timestamp: string|null}} Verified ping
+ */
+export function verifyPing(rawBody, header, webhooks, baseId) {
+  let ping;
+
+  try {
+    ping = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    throw new ApiError('INVALID_BODY', `Webhook ping is not valid JSON: ${error.message}`);
+  }
+
+  const webhookId = ping?.webhook?.id;
+
+  if (typeof webhookId !== 'string') {
+    throw new ApiError('INVALID_BODY', 'Webhook ping is missing webhook.id');
+  }
+
+  // Unknown IDs and bad MACs get the same answer, so the ping can't be used to probe IDs
+  const secret = webhooks.get(webhookId);
+
+  if (!secret || !verifyWebhookMac(rawBody, header, secret)) {
+    throw new ApiError('INVALID_SIGNATURE', 'X-Airtable-Content-MAC does not match the request body');
+  }
+
+  if (ping.base?.id !== baseId) {
+    throw new ApiError('WEBHOOK_NOT_FOUND', `Webhook ${webhookId} belongs to another base`);
+  }
+
+  return { baseId, webhookId, timestamp: ping.timestamp || null };
+}
+
+// ============================================================================
+// PAYLOADS → EVENTS
+// ============================================================================
+
+/**
+ * Turns one payload from the list payloads endpoint into change events
+ * Record events carry the changed cells keyed by field ID, as Airtable sends them.
+ * @param {Object} payload - Webhook payload (payloadFormat v0)
+ * @param {Object} context - Where the payload came from
+ * @param {string} context.baseId - Base ID
+ * @param {string} context.webhookId - Webhook ID
+ * @returns {Array<Object>} Events in payload order
+ */
+export function payloadToEvents(payload, { baseId, webhookId }) {
+  const common = {
+    baseId,
+    webhookId,
+    timestamp: payload.timestamp || null,
+    transaction: payload.baseTransactionNumber ?? null,
+    source: payload.actionMetadata?.source || null
+  };
+
+  // The webhook itself failed (e.g. its filters became invalid); no record data follows
+  if (payload.error) {
+    return [{ ...common, type: 'webhook.error', tableId: null, recordId: null, code: payload.code || null }];
+  }
+
+  const events = [];
+
+  for (const [tableId, changes] of Object.entries(payload.changedTablesById || {})) {
+    for (const [recordId, record] of Object.entries(changes.createdRecordsById || {})) {
+      events.push({ ...common, type: 'record.created', tableId, recordId, fields: record.cellValuesByFieldId || {} });
+    }
+
+    for (const [recordId, record] of Object.entries(changes.changedRecordsById || {})) {
+      events.push({
+        ...common,
+        type: 'record.updated',
+        tableId,
+        recordId,
+        fields: record.current?.cellValuesByFieldId || {},
+        previous: record.previous?.cellValuesByFieldId || {}
+      });
+    }
+
+    for (const recordId of changes.destroyedRecordIds || []) {
+      events.push({ ...common, type: 'record.deleted', tableId, recordId });
+    }
+
+    if (changes.createdFieldsById || changes.changedFieldsById || changes.destroyedFieldIds || changes.changedMetadata) {
+      events.push({ ...common, type: 'schema.changed', tableId, recordId: null });
+    }
+  }
+
+  const tableIds = [...Object.keys(payload.createdTablesById || {}), ...(payload.destroyedTableIds || [])];
+
+  for (const tableId of tableIds) {
+    events.push({ ...common, type: 'schema.changed', tableId, recordId: null });
+  }
+
+  return events;
+}
+
+// ============================================================================
+// HANDLERS
+// ============================================================================
+
+/**
+ * Creates a registry of change event handlers
+ * @param {Object|null} parent - Registry whose handlers also receive every dispatch (optional)
+ * @returns {Object} Registry with register, unregister and dispatch
+ */
+export function createHandlerRegistry(parent = null) {
+  const handlers = new Map();
+
+  return {
+    /**
+     * Adds (or replaces) a handler
+     * @param {string} name - Handler name, used in logs and for unregister
+     * @param {Function} handler - async (events) => void, called once per payload page
+     */
+    register(name, handler) {
+      handlers.set(name, handler);
+    },
+
+    /**
+     * Removes a handler
+     * @param {string} name - Handler name
+     */
+    unregister(name) {
+      handlers.delete(name);
+    },
+
+    /**
+     * Hands events to every handler; one failing handler doesn't stop the others
+     * @param {Array<Object>} events - Change events
+     * @param {Object} logger - Logger for handler failures (see lib/logger.js)
+     * @returns {Promise<Array<string>>} Names of the handlers that failed
+     */
+    async dispatch(events, logger = createLogger()) {
+      const failed = [];
+      if (events.length === 0) return failed;
+
+      for (const [name, handler] of handlers) {
+        try {
+          await handler(events);
+        } catch (error) {
+          logger.error(`Webhook handler "${name}" failed`, { handler: name, error });
+          failed.push(name);
+        }
+      }
+
+      if (parent) failed.push(...await parent.dispatch(events, logger));
+
+      return failed;
+    }
+  };
+}
+
+/**
+ * Returns the process-wide handler registry
+ * Register handlers here to react to Airtable changes; handlers configured
+ * from the environment (loadConfig) dispatch to it as well.
+ * @returns {Object} Handler registry
+ */
+export function getWebhookHandlers() {
+  if (!sharedHandlers) {
+    sharedHandlers = createHandlerRegistry();
+  }
+
+  return sharedHandlers;
+}
+
+/**
+ * Creates a handler that drops cached responses of every table that changed
+ * Tables configured by name rather than ID can't be matched against the
+ * payload's table IDs, so any change invalidates them. Tables linking to a
+ * changed table go too, since their ?expand= responses inline its records.
+ * @param {Object} cache - Response cache (see lib/cache.js)
+ * @param {Function} loadTables - Returns the table allowlist (see loadTables in lib/tables.js)
+ * @returns {Function} Handler for register
+ */
+export function createCacheInvalidator(cache, loadTables) {
+  return async events => {
+    const changed = new Set(events.filter(event => event.tableId).map(event => event.tableId));
+    if (changed.size === 0) return;
+
+    const tables = loadTables();
+    const stale = new Set();
+
+    for (const table of tables.values()) {
+      if (changed.has(table.tableId) || !TABLE_ID_PATTERN.test(table.tableId)) {
+        [table.slug, ...findLinkingTables(table.slug, tables)].forEach(slug => stale.add(slug));
+      }
+    }
+
+    for (const slug of stale) {
+      await cache.invalidate(slug);
+    }
+  };
+}
+
+// ============================================================================
+// PAYLOAD READER
+// ============================================================================
+
+/**
+ * Creates a reader that walks a webhook's payloads from its stored cursor
+ * @param {Object} options - Reader options
+ * @param {string} options.apiUrl - Airtable API origin, e.g. https://api.airtable.com
+ * @param {string} options.baseId - Base ID
+ * @param {Function} options.request - async (url) => parsed JSON body
+ * @param {Object} options.store - Cursor store (get / set / delete)
+ * @param {Object} options.handlers - Handler registry (see createHandlerRegistry)
+ * @param {number} options.maxPages - Payload list requests per sync
+ * @param {Object} options.logger - Logger for handler failures (see lib/logger.js)
+ * @returns {Object} Reader with sync(webhookId)
+ */
+export function createPayloadReader({ apiUrl, baseId, request, store, handlers, maxPages = MAX_PAYLOAD_PAGES, logger = createLogger() }) {
+  const running = new Map();
+
+  /**
+   * Reads pages until Airtable has nothing more (or maxPages is reached)
+   * Stops at the first page a handler fails on, keeping the cursor before it.
+   */
+  async function readPayloads(webhookId) {
+    const key = `webhook-cursor:${baseId}:${webhookId}`;
+    const url = `${apiUrl}/v0/bases/${encodeURIComponent(baseId)}/webhooks/${encodeURIComponent(webhookId)}/payloads`;
+    const outcome = { payloads: 0, events: 0, failedHandlers: [], cursor: (await store.get(key)) ?? FIRST_CURSOR, mightHaveMore: true };
+
+    for (let page = 1; page <= maxPages && outcome.mightHaveMore; page++) {
+      const data = await request(`${url}?cursor=${outcome.cursor}`, page);
+      const payloads = data.payloads || [];
+      const events = payloads.flatMap(payload => payloadToEvents(payload, { baseId, webhookId }));
+
+      const failed = await handlers.dispatch(events, logger);
+
+      outcome.payloads += payloads.length;
+      outcome.events += events.length;
+
+      if (failed.length > 0) {
+        outcome.failedHandlers = failed;
+        break;
+      }
+
+      outcome.mightHaveMore = Boolean(data.mightHaveMore) && payloads.length > 0;
+
+      if (typeof data.cursor === 'number') {
+        outcome.cursor = data.cursor;
+        await store.set(key, outcome.cursor, null);
+      }
+    }
+
+    return outcome;
+  }
+
+  return {
+    /**
+     * Processes every new payload of a webhook
+     * Pings for the same webhook are handled one after another, so a payload
+     * is never read twice by overlapping pings.
+     * @param {string} webhookId - Webhook ID from a verified ping
+     * @returns {Promise<{payloads: number, events: number, failedHandlers: Array<string>, cursor: number, mightHaveMore: boolean}>}
+     *   Outcome
+     */
+    sync(webhookId) {
+      const previous = running.get(webhookId) || Promise.resolve();
+      const current = previous.then(() => readPayloads(webhookId), () => readPayloads(webhookId));
+      const settled = current.catch(() => {});
+
+      running.set(webhookId, settled);
+      settled.then(() => {
+        if (running.get(webhookId) === settled) running.delete(webhookId);
+      });
+
+      return current;
+    }
+  };
+}
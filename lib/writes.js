@@ -0,0 +1,252 @@
+/**
+ * Record Writes (POST / PATCH / DELETE)
+ *
+ * Validates write payloads against the table's writableFields allowlist,
+ * splits them into Airtable's 10-records-per-request batches and collects
+ * a result for every record.
+ *
+ * Payloads (same shape as Airtable's own API):
+ * - POST   { "records": [{ "fields": {...} }], "typecast": false }
+ * - PATCH  { "records": [{ "id": "rec...", "fields": {...} }], "typecast": false }
+ * - DELETE ?ids=rec1,rec2   or   { "ids": ["rec1", "rec2"] }
+ *
+ * A failed batch only fails its own records; the remaining batches are still
+ * sent. The response lists every record in request order.
+ */
+
+import { ApiError, toErrorResponse } from './errors.js';
+import { getParam } from './query.js';
+import { transformRecords } from './transform.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const AIRTABLE_BATCH_SIZE = 10; // Airtable's limit per create/update/delete request
+const MAX_RECORDS_PER_REQUEST = 100; // Keeps a single proxy request to 10 upstream calls
+const RECORD_ID_PATTERN = /^rec[A-Za-z0-9]{14}$/;
+
+// HTTP method → write operation
+export const WRITE_OPERATIONS = {
+  POST: 'create',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Throws an INVALID_BODY error
+ * @param {string} message - What is wrong with the payload
+ */
+function invalid(message) {
+  throw new ApiError('INVALID_BODY', message);
+}
+
+/**
+ * Checks a record ID
+ * @param {*} id - Record ID from the payload
+ * @param {string} where - Location for the error message
+ * @returns {string} Record ID
+ */
+function validateRecordId(id, where) {
+  if (typeof id !== 'string' || !RECORD_ID_PATTERN.test(id)) {
+    invalid(`${where}: "${id}" is not a valid record ID`);
+  }
+
+  return id;
+}
+
+/**
+ * Checks that a fields object only touches writable fields
+ * @param {*} fields - Fields object from the payload
+ * @param {Array<string>} writableFields - Fields the table allows writing
+ * @param {string} where - Location for the error message
+ * @returns {Object} Fields
+ */
+function validateFields(fields, writableFields, where) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    invalid(`${where}: "fields" must be an object`);
+  }
+
+  const rejected = Object.keys(fields).filter(name => !writableFields.includes(name));
+
+  if (rejected.length > 0) {
+    invalid(`${where}: field(s) not writable: ${rejected.join(', ')}. Writable fields: ${writableFields.join(', ')}`);
+  }
+
+  return fields;
+}
+
+/**
+ * Checks the number of records in a request
+ * @param {Array} items - Records or IDs
+ */
+function validateCount(items) {
+  if (items.length === 0) {
+    invalid('At least one record is required');
+  }
+
+  if (items.length > MAX_RECORDS_PER_REQUEST) {
+    invalid(`At most ${MAX_RECORDS_PER_REQUEST} records can be written per request`);
+  }
+}
+
+/**
+ * Validates a write request and returns the items to send
+ * @param {string} operation - create, update or delete
+ * @param {Object|null} body - Parsed JSON body
+ * @param {Object} query - Query parameters
+ * @param {Object} table - Table configuration (needs writableFields)
+ * @returns {{items: Array, typecast: boolean}} Records (create/update) or record IDs (delete)
+ */
+export function parseWritePayload(operation, body, query, table) {
+  if (operation === 'delete') {
+    const fromQuery = getParam(query, 'ids');
+    const ids = fromQuery !== undefined
+      ? fromQuery.split(',').map(id => id.trim()).filter(Boolean)
+      : body?.ids;
+
+    if (!Array.isArray(ids)) {
+      invalid('DELETE needs ?ids=rec1,rec2 or a body of { "ids": [...] }');
+    }
+
+    validateCount(ids);
+    return { items: ids.map((id, index) => validateRecordId(id, `ids[${index}]`)), typecast: false };
+  }
+
+  if (!body || !Array.isArray(body.records)) {
+    invalid('Body must be { "records": [...] }');
+  }
+
+  validateCount(body.records);
+
+  const items = body.records.map((record, index) => {
+    const where = `records[${index}]`;
+
+    if (!record || typeof record !== 'object') {
+      invalid(`${where} must be an object`);
+    }
+
+    const fields = validateFields(record.fields, table.writableFields, where);
+
+    if (operation === 'create') {
+      return { fields };
+    }
+
+    if (Object.keys(fields).length === 0) {
+      invalid(`${where}: at least one field must be updated`);
+    }
+
+    return { id: validateRecordId(record.id, where), fields };
+  });
+
+  return { items, typecast: body.typecast === true };
+}
+
+// ============================================================================
+// EXECUTION
+// ============================================================================
+
+/**
+ * Splits a list into chunks
+ * @param {Array} items - Items to split
+ * @param {number} size - Chunk size
+ * @returns {Array<Array>} Chunks
+ */
+export function chunk(items, size = AIRTABLE_BATCH_SIZE) {
+  const chunks = [];
+
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+
+  return chunks;
+}
+
+/**
+ * Limits a record to the fields the table exposes and shapes it like a read
+ * @param {Object} record - Airtable record
+ * @param {Object} table - Table configuration
+ * @param {string} shape - raw or flat (see parseShape in lib/transform.js)
+ * @returns {Object} Record without unexposed or mapping-hidden fields
+ */
+function projectRecord(record, table, shape) {
+  const fields = record.fields || {};
+  const exposed = table.fields ? Object.fromEntries(table.fields.filter(name => name in fields).map(name => [name, fields[name]])) : fields;
+
+  return transformRecords([{ ...record, fields: exposed }], shape, table)[0];
+}
+
+/**
+ * Sends every batch and collects a result per record
+ * @param {string} operation - create, update or delete
+ * @param {Array} items - Validated records or IDs
+ * @param {Object} table - Table configuration
+ * @param {Function} sendBatch - (items, batchNumber) → Promise<Array> of Airtable records
+ * @param {string} shape - Shape of the returned records, raw or flat
+ * @returns {Promise<{results: Array, errors: Array<Error>}>} Per-record results and batch errors
+ */
+export async function executeWrites(operation, items, table, sendBatch, shape = 'raw') {
+  const results = [];
+  const errors = [];
+  let index = 0;
+
+  for (const [i, batch] of chunk(items).entries()) {
+    try {
+      const records = await sendBatch(batch, i + 1);
+
+      records.forEach(record => {
+        results.push({
+          index: index++,
+          id: record.id,
+          success: true,
+          ...(operation === 'delete' ? { deleted: record.deleted === true } : { record: projectRecord(record, table, shape) })
+        });
+      });
+    } catch (error) {
+      const { body } = toErrorResponse(error);
+      const { success, ...details } = body;
+      errors.push(error);
+
+      batch.forEach(item => {
+        results.push({
+          index: index++,
+          id: operation === 'delete' ? item : (item.id || null),
+          success: false,
+          error: details
+        });
+      });
+    }
+  }
+
+  return { results, errors };
+}
+
+/**
+ * Builds the response for a write request
+ * 200 (201 for creates) when everything succeeded, 207 when some batches failed,
+ * and the first failure's status when nothing succeeded.
+ * @param {string} operation - create, update or delete
+ * @param {Object} table - Table configuration
+ * @param {{results: Array, errors: Array<Error>}} outcome - Result of executeWrites
+ * @returns {{statusCode: number, body: Object}} Response
+ */
+export function buildWriteResponse(operation, table, { results, errors }) {
+  const succeeded = results.filter(result => result.success).length;
+  const failed = results.length - succeeded;
+  const summary = { table: table.slug, operation, succeeded, failed, results };
+
+  if (failed === 0) {
+    return { statusCode: operation === 'create' ? 201 : 200, body: { success: true, ...summary } };
+  }
+
+  if (succeeded > 0) {
+    return { statusCode: 207, body: { success: false, partial: true, ...summary } };
+  }
+
+  const { statusCode, body } = toErrorResponse(errors[0]);
+  return { statusCode, body: { ...body, ...summary } };
+}
@@ -0,0 +1,482 @@
+/**
+ * Mock Airtable Server
+ *
+ * A local stand-in for api.airtable.com, seeded with fixture tables, so the
+ * proxy can be exercised end to end without network access or credentials.
+ * Point the proxy at it with AIRTABLE_API_URL.
+ *
+ * Supported:
+ * - GET /v0/:baseId/:tableIdOrName with pageSize, offset, filterByFormula
+ *   (the subset in mock/formula.js), sort[n][field|direction], fields[] and view
+ * - GET /v0/bases/:baseId/webhooks/:webhookId/payloads?cursor=N
+ * - GET /v0/meta/bases/:baseId/tables (field types from the fixture's
+ *   fieldTypes, singleLineText otherwise; select choices from the records)
+ * - Airtable's error responses: 401 AUTHENTICATION_REQUIRED, 404 NOT_FOUND /
+ *   TABLE_NOT_FOUND, 422 INVALID_FILTER_BY_FORMULA / UNKNOWN_FIELD_NAME /
+ *   VIEW_NAME_NOT_FOUND / LIST_RECORDS_ITERATOR_NOT_AVAILABLE, and
+ *   429 RATE_LIMIT_REACHED once a base gets more than `rateLimit.requests`
+ *   requests per `rateLimit.windowMs`
+ * - failNext() to make the next request(s) fail with any status
+ * - delayNext() to hold the next request(s) back, like a slow or hung connection
+ *
+ * Fixture tables (see mock/fixtures) look like:
+ *
+ *   { "id": "tbl...", "name": "Tasks", "fields": ["Name", "Status"],
+ *     "fieldTypes": { "Status": "singleSelect" },
+ *     "views": { "Open": { "filterByFormula": "...", "sort": [...] } },
+ *     "records": [{ "id": "rec...", "createdTime": "...", "lastModifiedTime": "...", "fields": {...} }] }
+ *
+ * Run it on its own with `npm run mock` (PORT, default 8787).
+ */
+
+import http from 'node:http';
+import { readFile, readdir } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { compileFormula, FormulaError } from './formula.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+export const MOCK_BASE_ID = 'appMockBase000001';
+export const MOCK_API_KEY = 'patMockKey.0123456789abcdef';
+
+const MAX_PAGE_SIZE = 100; // Airtable's limit
+const PAYLOAD_PAGE_SIZE = 50;
+const DEFAULT_RATE_LIMIT = { requests: 5, windowMs: 1000 }; // Airtable: 5 requests per second per base
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const RECORDS_PATH = /^\/v0\/([^/]+)\/([^/]+)$/;
+const PAYLOADS_PATH = /^\/v0\/bases\/([^/]+)\/webhooks\/([^/]+)\/payloads$/;
+const SCHEMA_PATH = /^\/v0\/meta\/bases\/([^/]+)\/tables$/;
+const SELECT_TYPES = ['singleSelect', 'multipleSelects'];
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+/**
+ * Loads every table fixture in a directory
+ * @param {string} dir - Fixture directory (defaults to mock/fixtures)
+ * @returns {Promise<Array<Object>>} Table fixtures
+ */
+export async function loadFixtureTables(dir = FIXTURES_DIR) {
+  const files = (await readdir(dir)).filter(file => file.endsWith('.json')).sort();
+  return Promise.all(files.map(async file => JSON.parse(await readFile(path.join(dir, file), 'utf8'))));
+}
+
+/**
+ * Prepares a fixture table for serving
+ * @param {Object} fixture - Table fixture
+ * @returns {Object} Table with a field name set
+ */
+function prepareTable(fixture) {
+  const fieldNames = new Set(fixture.fields || fixture.records.flatMap(record => Object.keys(record.fields)));
+  return { ...fixture, views: fixture.views || {}, fieldNames };
+}
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+/**
+ * Describes a table the way the metadata API does
+ * Field IDs are made up from the table ID and the field's position.
+ * @param {Object} table - Prepared table
+ * @returns {Object} { id, name, primaryFieldId, fields, views }
+ */
+function describeTable(table) {
+  const fields = [...table.fieldNames].map((name, index) => {
+    const type = table.fieldTypes?.[name] || 'singleLineText';
+    const field = { id: `fld${table.id.slice(3, 9)}${String(index).padStart(8, '0')}`, name, type };
+
+    if (SELECT_TYPES.includes(type)) {
+      const names = new Set(table.records.flatMap(record => [record.fields[name] ?? []].flat()));
+      field.options = { choices: [...names].map((choice, position) => ({ id: `sel${String(position).padStart(14, '0')}`, name: choice })) };
+    }
+
+    return field;
+  });
+
+  return {
+    id: table.id,
+    name: table.name,
+    primaryFieldId: fields[0]?.id,
+    fields,
+    views: Object.keys(table.views).map((name, index) => ({ id: `viw${String(index).padStart(14, '0')}`, name, type: 'grid' }))
+  };
+}
+
+// ============================================================================
+// QUERY HANDLING
+// ============================================================================
+
+/**
+ * Reads the list records parameters Airtable understands
+ * @param {URLSearchParams} params - Query string
+ * @returns {Object} { pageSize, offset, filterByFormula, sort, fields, view }
+ */
+function readListParams(params) {
+  const sort = [];
+
+  for (const [key, value] of params) {
+    const match = key.match(/^sort\[(\d+)\]\[(field|direction)\]$/);
+    if (match) {
+      sort[match[1]] = { ...sort[match[1]], [match[2]]: value };
+    }
+  }
+
+  return {
+    pageSize: Number(params.get('pageSize')) || MAX_PAGE_SIZE,
+    offset: params.get('offset'),
+    filterByFormula: params.get('filterByFormula'),
+    sort: sort.filter(Boolean),
+    fields: params.getAll('fields[]'),
+    view: params.get('view')
+  };
+}
+
+/**
+ * Compares two cell values for sorting; blanks sort first
+ * @param {*} a - Cell value
+ * @param {*} b - Cell value
+ * @returns {number} Sort order
+ */
+function compareCells(a, b) {
+  if (a == null || b == null) return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+
+  const text = value => (Array.isArray(value) ? value.join(', ') : typeof value === 'object' ? value.name ?? '' : String(value));
+  return text(a).localeCompare(text(b));
+}
+
+/**
+ * Runs a list query against a table
+ * @param {Object} table - Prepared table
+ * @param {Object} query - Parameters from readListParams
+ * @returns {Array<Object>} Matching records in order
+ */
+function runQuery(table, query) {
+  const view = query.view ? table.views[query.view] : null;
+  const formulas = [view?.filterByFormula, query.filterByFormula].filter(Boolean);
+  const predicates = formulas.map(formula => compileFormula(formula, table.fieldNames));
+  const sort = query.sort.length > 0 ? query.sort : view?.sort || [];
+
+  for (const { field } of sort) {
+    if (!table.fieldNames.has(field)) throw unknownField(field);
+  }
+
+  return table.records
+    .filter(record => predicates.every(matches => matches(record)))
+    .sort((a, b) => {
+      for (const { field, direction } of sort) {
+        const order = compareCells(a.fields[field], b.fields[field]);
+        if (order !== 0) return direction === 'desc' ? -order : order;
+      }
+
+      return 0;
+    });
+}
+
+/**
+ * Formats a stored record the way the API returns it
+ * @param {Object} record - Stored record
+ * @param {Array<string>} fields - fields[] selection (empty for all)
+ * @returns {Object} { id, createdTime, fields }
+ */
+function toApiRecord(record, fields) {
+  const selected = {};
+
+  for (const [name, value] of Object.entries(record.fields)) {
+    const empty = value == null || value === '' || (Array.isArray(value) && value.length === 0);
+    if (!empty && (fields.length === 0 || fields.includes(name))) selected[name] = value;
+  }
+
+  return { id: record.id, createdTime: record.createdTime, fields: selected };
+}
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * An Airtable-style error response
+ */
+class MockError extends Error {
+  constructor(status, type, message = null) {
+    super(message || type);
+    this.status = status;
+    this.type = type;
+    this.detail = message;
+  }
+}
+
+/**
+ * Error for a field the table doesn't have
+ * @param {string} name - Field name
+ * @returns {MockError} 422 UNKNOWN_FIELD_NAME
+ */
+function unknownField(name) {
+  return new MockError(422, 'UNKNOWN_FIELD_NAME', `Unknown field name: "${name}"`);
+}
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+/**
+ * Creates a mock Airtable server
+ * @param {Object} options - Mock options
+ * @param {string} options.baseId - The only base the mock knows
+ * @param {string} options.apiKey - Token requests must send (can be changed later via mock.apiKey)
+ * @param {Array<Object>} options.tables - Table fixtures (see loadFixtureTables)
+ * @param {Object} options.webhooks - Recorded payloads per webhook ID
+ * @param {number} options.maxPageSize - Caps pageSize, to force pagination with few records
+ * @param {number} options.payloadPageSize - Webhook payloads per response
+ * @param {Object|false} options.rateLimit - { requests, windowMs } per base, or false to disable (can be changed later via mock.rateLimit)
+ * @returns {Object} Mock with listen, close, failNext, delayNext, requests and url
+ */
+export function createMockAirtable({
+  baseId = MOCK_BASE_ID,
+  apiKey = MOCK_API_KEY,
+  tables = [],
+  webhooks = {},
+  maxPageSize = MAX_PAGE_SIZE,
+  payloadPageSize = PAYLOAD_PAGE_SIZE,
+  rateLimit = DEFAULT_RATE_LIMIT
+} = {}) {
+  const prepared = tables.map(prepareTable);
+  const iterators = new Map(); // offset → { key, index }
+  const failures = [];
+  const delays = [];
+  const recentRequests = [];
+  let iteratorCount = 0;
+  let server = null;
+
+  const mock = {
+    apiKey,
+    rateLimit,
+    requests: [],
+    url: null,
+
+    /**
+     * Makes the next request(s) fail, before any other check
+     * @param {number} status - HTTP status
+     * @param {Object} options - Failure options
+     * @param {string} options.type - Airtable error type
+     * @param {number} options.times - Number of requests to fail
+     * @param {Object} options.headers - Extra response headers (e.g. Retry-After)
+     */
+    failNext(status, { type = 'SERVER_ERROR', times = 1, headers = {} } = {}) {
+      for (let i = 0; i < times; i++) failures.push({ status, type, headers });
+    },
+
+    /**
+     * Holds the next request(s) back before answering them
+     * A request whose client gives up first is never answered (or logged).
+     * @param {number} ms - Delay in milliseconds
+     * @param {Object} options - Delay options
+     * @param {number} options.times - Number of requests to delay
+     */
+    delayNext(ms, { times = 1 } = {}) {
+      for (let i = 0; i < times; i++) delays.push(ms);
+    },
+
+    /**
+     * Starts listening on a local port
+     * @param {number} port - Port (0 picks a free one)
+     * @returns {Promise<string>} Base URL, e.g. http://127.0.0.1:53211
+     */
+    async listen(port = 0) {
+      server = http.createServer(handle);
+      await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+      mock.url = `http://127.0.0.1:${server.address().port}`;
+      return mock.url;
+    },
+
+    /**
+     * Stops the server
+     * @returns {Promise<void>}
+     */
+    close() {
+      return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    }
+  };
+
+  /**
+   * Applies the per-base rate limit
+   */
+  function checkRateLimit() {
+    const { rateLimit: limit } = mock;
+    if (!limit) return;
+
+    const now = Date.now();
+    while (recentRequests.length > 0 && recentRequests[0] <= now - limit.windowMs) recentRequests.shift();
+
+    if (recentRequests.length >= limit.requests) {
+      throw new MockError(429, 'RATE_LIMIT_REACHED', 'Rate limit exceeded. Please try again later');
+    }
+
+    recentRequests.push(now);
+  }
+
+  /**
+   * GET /v0/:baseId/:table
+   */
+  function listRecords(table, params) {
+    const query = readListParams(params);
+
+    if (query.view && !table.views[query.view]) {
+      throw new MockError(422, 'VIEW_NAME_NOT_FOUND', `Could not find view ${query.view} in table ${table.name}`);
+    }
+
+    for (const field of query.fields) {
+      if (!table.fieldNames.has(field)) throw unknownField(field);
+    }
+
+    // Offsets are only valid for the query that produced them
+    const key = JSON.stringify([table.id, { ...query, offset: null, pageSize: null }]);
+    let start = 0;
+
+    if (query.offset) {
+      const iterator = iterators.get(query.offset);
+
+      if (!iterator || iterator.key !== key) {
+        throw new MockError(422, 'LIST_RECORDS_ITERATOR_NOT_AVAILABLE');
+      }
+
+      start = iterator.index;
+    }
+
+    let records;
+
+    try {
+      records = runQuery(table, query);
+    } catch (error) {
+      if (!(error instanceof FormulaError)) throw error;
+      throw new MockError(422, 'INVALID_FILTER_BY_FORMULA', `The formula for filtering records is invalid: ${error.message}`);
+    }
+
+    const pageSize = Math.min(query.pageSize, maxPageSize, MAX_PAGE_SIZE);
+    const page = records.slice(start, start + pageSize);
+    const body = { records: page.map(record => toApiRecord(record, query.fields)) };
+
+    if (start + pageSize < records.length) {
+      body.offset = `itr${String(++iteratorCount).padStart(14, '0')}/${page.at(-1).id}`;
+      iterators.set(body.offset, { key, index: start + pageSize });
+    }
+
+    return body;
+  }
+
+  /**
+   * GET /v0/bases/:baseId/webhooks/:webhookId/payloads
+   */
+  function listPayloads(webhookId, params) {
+    const payloads = webhooks[webhookId];
+    if (!payloads) throw new MockError(404, 'NOT_FOUND');
+
+    // The cursor is the 1-based number of the next payload
+    const cursor = Number(params.get('cursor') || 1);
+    const page = payloads.slice(cursor - 1, cursor - 1 + payloadPageSize);
+    const next = cursor + page.length;
+
+    return { payloads: page, cursor: next, mightHaveMore: next <= payloads.length };
+  }
+
+  /**
+   * Routes one request
+   */
+  function route(req, url) {
+    const failure = failures.shift();
+    if (failure) throw Object.assign(new MockError(failure.status, failure.type), { headers: failure.headers });
+
+    if (req.headers.authorization !== `Bearer ${mock.apiKey}`) {
+      throw new MockError(401, 'AUTHENTICATION_REQUIRED', 'Authentication required');
+    }
+
+    const payloadsMatch = url.pathname.match(PAYLOADS_PATH);
+    const schemaMatch = url.pathname.match(SCHEMA_PATH);
+    const recordsMatch = url.pathname.match(RECORDS_PATH);
+    const requestedBase = payloadsMatch?.[1] || schemaMatch?.[1] || recordsMatch?.[1];
+
+    if (req.method !== 'GET' || requestedBase !== baseId) {
+      throw new MockError(404, 'NOT_FOUND');
+    }
+
+    checkRateLimit();
+
+    if (payloadsMatch) {
+      return listPayloads(decodeURIComponent(payloadsMatch[2]), url.searchParams);
+    }
+
+    if (schemaMatch) {
+      return { tables: prepared.map(describeTable) };
+    }
+
+    const tableRef = decodeURIComponent(recordsMatch[2]);
+    const table = prepared.find(item => item.id === tableRef || item.name === tableRef);
+
+    if (!table) {
+      throw new MockError(404, 'TABLE_NOT_FOUND', `Could not find table ${tableRef} in application ${baseId}`);
+    }
+
+    return listRecords(table, url.searchParams);
+  }
+
+  /**
+   * Answers one request, after its delay (see delayNext)
+   */
+  function handle(req, res) {
+    const delay = delays.shift();
+
+    if (!delay) {
+      return respond(req, res);
+    }
+
+    const timer = setTimeout(() => respond(req, res), delay);
+    res.once('close', () => clearTimeout(timer));
+  }
+
+  /**
+   * Answers one request, logging it in mock.requests
+   */
+  function respond(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let status = 200;
+    let body;
+    let headers = {};
+
+    try {
+      body = route(req, url);
+    } catch (caught) {
+      const error = caught instanceof MockError ? caught : new MockError(500, 'SERVER_ERROR', caught.message);
+
+      status = error.status;
+      headers = error.headers || {};
+      // Airtable answers unknown bases with a bare string, everything else with { type, message }
+      body = error.type === 'NOT_FOUND' ? { error: 'NOT_FOUND' } : { error: { type: error.type, message: error.detail || undefined } };
+    }
+
+    mock.requests.push({ method: req.method, path: url.pathname, params: url.searchParams, status });
+
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  return mock;
+}
+
+// ============================================================================
+// STANDALONE
+// ============================================================================
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const mock = createMockAirtable({ tables: await loadFixtureTables() });
+  const url = await mock.listen(Number(process.env.PORT) || 8787);
+
+  console.log(`Mock Airtable listening on ${url}`);
+  console.log(`  AIRTABLE_API_URL=${url} AIRTABLE_BASE_ID=${MOCK_BASE_ID} AIRTABLE_API_KEY=${MOCK_API_KEY}`);
+}
@@ -0,0 +1,350 @@
+/**
+ * filterByFormula Evaluator (mock Airtable)
+ *
+ * Evaluates the subset of Airtable's formula language the proxy generates
+ * and the fixtures use:
+ *
+ * - Field references {Name}, string literals ("..." / '...'), numbers
+ * - Operators = != < > <= >= & + - * / and parentheses
+ * - AND, OR, NOT, IF, BLANK, TRUE, FALSE
+ * - LOWER, UPPER, TRIM, LEN, FIND, SEARCH, ARRAYJOIN
+ * - IS_AFTER, IS_BEFORE, IS_SAME, DATETIME_PARSE
+ * - RECORD_ID, CREATED_TIME, LAST_MODIFIED_TIME
+ *
+ * Anything else is rejected with a FormulaError, which the mock server
+ * answers the way Airtable does (422 INVALID_FILTER_BY_FORMULA).
+ */
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+/**
+ * Thrown for formulas that can't be parsed or use unsupported functions or
+ * unknown fields
+ */
+export class FormulaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FormulaError';
+  }
+}
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+
+const OPERATORS = ['!=', '<=', '>=', '=', '<', '>', '&', '+', '-', '*', '/'];
+const ESCAPES = { n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Splits a formula into tokens
+ * @param {string} formula - Formula text
+ * @returns {Array<{type: string, value: *}>} Tokens
+ */
+function tokenize(formula) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < formula.length) {
+    const char = formula[index];
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '{') {
+      const end = formula.indexOf('}', index);
+      if (end === -1) throw new FormulaError('Unterminated field reference');
+      tokens.push({ type: 'field', value: formula.slice(index + 1, end) });
+      index = end + 1;
+    } else if (char === '"' || char === "'") {
+      let value = '';
+      index++;
+
+      while (formula[index] !== char) {
+        if (index >= formula.length) throw new FormulaError('Unterminated string literal');
+
+        if (formula[index] === '\\') {
+          const next = formula[index + 1];
+          value += ESCAPES[next] ?? next;
+          index += 2;
+        } else {
+          value += formula[index++];
+        }
+      }
+
+      tokens.push({ type: 'string', value });
+      index++;
+    } else if (/[0-9.]/.test(char)) {
+      const [number] = formula.slice(index).match(/^\d*\.?\d+/) || [];
+      if (!number) throw new FormulaError(`Unexpected "${char}"`);
+      tokens.push({ type: 'number', value: Number(number) });
+      index += number.length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const [name] = formula.slice(index).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      tokens.push({ type: 'name', value: name.toUpperCase() });
+      index += name.length;
+    } else if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char, value: char });
+      index++;
+    } else {
+      const operator = OPERATORS.find(op => formula.startsWith(op, index));
+      if (!operator) throw new FormulaError(`Unexpected "${char}"`);
+      tokens.push({ type: 'operator', value: operator });
+      index += operator.length;
+    }
+  }
+
+  return tokens;
+}
+
+// ============================================================================
+// PARSER
+// ============================================================================
+
+// Binary operators by precedence, loosest first
+const PRECEDENCE = [['=', '!=', '<', '>', '<=', '>='], ['&'], ['+', '-'], ['*', '/']];
+
+/**
+ * Parses tokens into an expression tree
+ * @param {Array<Object>} tokens - Tokens from tokenize
+ * @returns {Object} Expression tree
+ */
+function parse(tokens) {
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const expect = type => {
+    const token = tokens[position++];
+    if (!token || token.type !== type) throw new FormulaError(`Expected "${type}"`);
+    return token;
+  };
+
+  function binary(level) {
+    if (level === PRECEDENCE.length) return unary();
+
+    let left = binary(level + 1);
+
+    while (peek()?.type === 'operator' && PRECEDENCE[level].includes(peek().value)) {
+      const operator = tokens[position++].value;
+      left = { kind: 'binary', operator, left, right: binary(level + 1) };
+    }
+
+    return left;
+  }
+
+  function unary() {
+    if (peek()?.type === 'operator' && peek().value === '-') {
+      position++;
+      return { kind: 'binary', operator: '-', left: { kind: 'literal', value: 0 }, right: unary() };
+    }
+
+    return primary();
+  }
+
+  function primary() {
+    const token = tokens[position++];
+    if (!token) throw new FormulaError('Unexpected end of formula');
+
+    switch (token.type) {
+      case 'string':
+      case 'number':
+        return { kind: 'literal', value: token.value };
+      case 'field':
+        return { kind: 'field', name: token.value };
+      case '(': {
+        const inner = binary(0);
+        expect(')');
+        return inner;
+      }
+      case 'name': {
+        expect('(');
+        const args = [];
+
+        if (peek()?.type !== ')') {
+          args.push(binary(0));
+          while (peek()?.type === ',') {
+            position++;
+            args.push(binary(0));
+          }
+        }
+
+        expect(')');
+        return { kind: 'call', name: token.value, args };
+      }
+      default:
+        throw new FormulaError(`Unexpected "${token.value}"`);
+    }
+  }
+
+  const tree = binary(0);
+  if (position < tokens.length) throw new FormulaError(`Unexpected "${tokens[position].value}"`);
+
+  return tree;
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Converts a cell value to text the way Airtable does in formulas
+ * @param {*} value - Cell value
+ * @returns {string} Text
+ */
+function toText(value) {
+  if (value == null) return '';
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (typeof value === 'object') return String(value.name ?? value.email ?? value.id ?? '');
+  return String(value);
+}
+
+/**
+ * Converts a value to a number, treating blanks as 0
+ * @param {*} value - Value
+ * @returns {number} Number
+ */
+function toNumber(value) {
+  if (value == null || value === '') return 0;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return Number(Array.isArray(value) ? value[0] : value);
+}
+
+/**
+ * Airtable truthiness: blanks, 0 and false are false
+ * @param {*} value - Value
+ * @returns {boolean} Truth value
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+/**
+ * Converts a value to a timestamp in milliseconds
+ * @param {*} value - Date or date string
+ * @returns {number} Timestamp (NaN if it can't be parsed)
+ */
+function toTime(value) {
+  return value instanceof Date ? value.getTime() : new Date(toText(value)).getTime();
+}
+
+/**
+ * Compares two values with Airtable's loose typing
+ * @param {string} operator - Comparison operator
+ * @param {*} left - Left value
+ * @param {*} right - Right value
+ * @returns {boolean} Result
+ */
+function compare(operator, left, right) {
+  const numeric = typeof left === 'number' || typeof right === 'number';
+  const a = numeric ? toNumber(left) : toText(left);
+  const b = numeric ? toNumber(right) : toText(right);
+
+  switch (operator) {
+    case '=': return a === b;
+    case '!=': return a !== b;
+    case '<': return a < b;
+    case '>': return a > b;
+    case '<=': return a <= b;
+    default: return a >= b;
+  }
+}
+
+const FUNCTIONS = {
+  AND: args => args.every(isTruthy),
+  OR: args => args.some(isTruthy),
+  NOT: ([value]) => !isTruthy(value),
+  IF: ([condition, then = null, otherwise = null]) => (isTruthy(condition) ? then : otherwise),
+  BLANK: () => null,
+  TRUE: () => true,
+  FALSE: () => false,
+  LOWER: ([value]) => toText(value).toLowerCase(),
+  UPPER: ([value]) => toText(value).toUpperCase(),
+  TRIM: ([value]) => toText(value).trim(),
+  LEN: ([value]) => toText(value).length,
+  FIND: ([needle, haystack]) => toText(haystack).indexOf(toText(needle)) + 1,
+  SEARCH: ([needle, haystack]) => toText(haystack).toLowerCase().indexOf(toText(needle).toLowerCase()) + 1,
+  ARRAYJOIN: ([value, separator = ', ']) => (Array.isArray(value) ? value.map(toText).join(toText(separator)) : toText(value)),
+  IS_AFTER: ([a, b]) => toTime(a) > toTime(b),
+  IS_BEFORE: ([a, b]) => toTime(a) < toTime(b),
+  IS_SAME: ([a, b]) => toTime(a) === toTime(b),
+  DATETIME_PARSE: ([value]) => {
+    const date = new Date(toText(value));
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+};
+
+// Functions that read the record itself rather than their arguments
+const RECORD_FUNCTIONS = {
+  RECORD_ID: record => record.id,
+  CREATED_TIME: record => new Date(record.createdTime),
+  LAST_MODIFIED_TIME: record => new Date(record.lastModifiedTime || record.createdTime)
+};
+
+/**
+ * Evaluates an expression tree against a record
+ * @param {Object} node - Expression tree
+ * @param {Object} record - Stored record ({ id, createdTime, lastModifiedTime, fields })
+ * @returns {*} Value
+ */
+function evaluate(node, record) {
+  switch (node.kind) {
+    case 'literal':
+      return node.value;
+    case 'field':
+      return record.fields[node.name] ?? null;
+    case 'call':
+      if (RECORD_FUNCTIONS[node.name]) return RECORD_FUNCTIONS[node.name](record);
+      return FUNCTIONS[node.name](node.args.map(arg => evaluate(arg, record)));
+    default: {
+      const left = evaluate(node.left, record);
+      const right = evaluate(node.right, record);
+
+      switch (node.operator) {
+        case '&': return toText(left) + toText(right);
+        case '+': return toNumber(left) + toNumber(right);
+        case '-': return toNumber(left) - toNumber(right);
+        case '*': return toNumber(left) * toNumber(right);
+        case '/': return toNumber(left) / toNumber(right);
+        default: return compare(node.operator, left, right);
+      }
+    }
+  }
+}
+
+/**
+ * Checks every field and function in a tree before it is evaluated
+ * @param {Object} node - Expression tree
+ * @param {Set<string>} fieldNames - Fields of the table
+ */
+function validate(node, fieldNames) {
+  if (node.kind === 'field' && !fieldNames.has(node.name)) {
+    throw new FormulaError(`Unknown field names: ${node.name.toLowerCase()}`);
+  }
+
+  if (node.kind === 'call') {
+    if (!FUNCTIONS[node.name] && !RECORD_FUNCTIONS[node.name]) {
+      throw new FormulaError(`Unknown function: ${node.name}`);
+    }
+
+    node.args.forEach(arg => validate(arg, fieldNames));
+  }
+
+  if (node.kind === 'binary') {
+    validate(node.left, fieldNames);
+    validate(node.right, fieldNames);
+  }
+}
+
+/**
+ * Compiles a formula into a record predicate
+ * @param {string} formula - filterByFormula value
+ * @param {Set<string>} fieldNames - Fields of the table
+ * @returns {Function} (record) => boolean
+ */
+export function compileFormula(formula, fieldNames) {
+  const tree = parse(tokenize(formula));
+  validate(tree, fieldNames);
+
+  return record => isTruthy(evaluate(tree, record));
+}
@@ -0,0 +1,12 @@
+/**
+ * Netlify Function: /.netlify/functions/airtable
+ * 
+ * Entry point for Netlify. The proxy itself lives in lib/handler.js and is
+ * configured from the environment variables listed there. netlify.toml
+ * redirects /api/airtable/* here (see SERVERLESS_FUNCTION.md).
+ */
+
+import { createEnvHandler } from '../../lib/handler.js';
+import { createNetlifyHandler } from '../../lib/adapters/netlify.js';
+
+export const handler = createNetlifyHandler(createEnvHandler());
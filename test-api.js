@@ -5,6 +5,7 @@ dotenv.config();
 const AIRTABLE_BASE_ID = process.env.AIRTABLE_BASE_ID;
 const AIRTABLE_TABLE_ID = process.env.AIRTABLE_TABLE_ID || 'tblDrUWfwkwMQM9yR';
 const AIRTABLE_API_KEY = process.env.AIRTABLE_API_KEY;
+const AIRTABLE_API_URL = process.env.AIRTABLE_API_URL || 'https://api.airtable.com';
 
 if (!AIRTABLE_BASE_ID || !AIRTABLE_API_KEY) {
   console.error('Error: AIRTABLE_BASE_ID and AIRTABLE_API_KEY must be set in .env file');
@@ -17,7 +18,7 @@ async function testAirtable() {
     
     // Test 1: Simple fetch without sort (in case Name field doesn't exist)
     console.log('Test 1: Fetching without sort...');
-    const url1 = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${AIRTABLE_TABLE_ID}?filterByFormula=NOT%28%7BStatus%7D%3D%27Done%27%29&pageSize=50`;
+    const url1 = `${AIRTABLE_API_URL}/v0/${AIRTABLE_BASE_ID}/${AIRTABLE_TABLE_ID}?filterByFormula=NOT%28%7BStatus%7D%3D%27Done%27%29&pageSize=50`;
     
     const response1 = await fetch(url1, {
       method: 'GET',
@@ -40,7 +41,7 @@ async function testAirtable() {
 
     // Test 2: With sort by Name
     console.log('\nTest 2: Fetching with sort by Name...');
-    const url2 = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${AIRTABLE_TABLE_ID}?filterByFormula=NOT%28%7BStatus%7D%3D%27Done%27%29&sort%5B0%5D%5Bfield%5D=Name&sort%5B0%5D%5Bdirection%5D=asc&pageSize=50`;
+    const url2 = `${AIRTABLE_API_URL}/v0/${AIRTABLE_BASE_ID}/${AIRTABLE_TABLE_ID}?filterByFormula=NOT%28%7BStatus%7D%3D%27Done%27%29&sort%5B0%5D%5Bfield%5D=Name&sort%5B0%5D%5Bdirection%5D=asc&pageSize=50`;
     
     const response2 = await fetch(url2, {
       method: 'GET',
@@ -59,6 +60,34 @@ async function testAirtable() {
       console.log('✅ Success with sort! Found', data2.records?.length || 0, 'records');
     }
 
+    // Test 3: Field names and types from the metadata API (needs the schema.bases:read scope)
+    console.log('\nTest 3: Reading the table schema...');
+    const url3 = `${AIRTABLE_API_URL}/v0/meta/bases/${AIRTABLE_BASE_ID}/tables`;
+
+    const response3 = await fetch(url3, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${AIRTABLE_API_KEY}`,
+        'Content-Type': 'application/json'
+      }
+    });
+
+    if (!response3.ok) {
+      const errorText = await response3.text();
+      console.error('❌ Error reading schema:', response3.status, errorText);
+      console.log('\n⚠️  The token might lack the schema.bases:read scope.');
+    } else {
+      const data3 = await response3.json();
+      const table = data3.tables?.find(candidate => candidate.id === AIRTABLE_TABLE_ID || candidate.name === AIRTABLE_TABLE_ID);
+
+      if (!table) {
+        console.error('❌ Table', AIRTABLE_TABLE_ID, 'is not in the base schema');
+      } else {
+        console.log('✅ Success! Fields of', table.name + ':');
+        table.fields.forEach(field => console.log(`  - ${field.name} (${field.type})`));
+      }
+    }
+
   } catch (error) {
     console.error('❌ Fatal error:', error.message);
   }
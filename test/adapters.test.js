@@ -0,0 +1,222 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer, request as httpRequest } from 'node:http';
+import { once } from 'node:events';
+import { createMockAirtable, loadFixtureTables, MOCK_API_KEY, MOCK_BASE_ID } from '../mock/airtable-server.js';
+import { createAirtableHandler, createEnvHandler } from '../lib/handler.js';
+import { createNodeHandler } from '../lib/adapters/node.js';
+import { createNetlifyHandler } from '../lib/adapters/netlify.js';
+import { createWorker } from '../lib/adapters/cloudflare.js';
+import { mockHandlerOptions } from './helpers.js';
+
+// Each adapter is checked against a core that echoes the request it was given,
+// then end to end with the real core against the mock Airtable.
+
+const mock = createMockAirtable({ tables: await loadFixtureTables(), maxPageSize: 2, rateLimit: false });
+await mock.listen();
+
+after(() => mock.close());
+
+const options = overrides => mockHandlerOptions(mock, {
+  tables: { tasks: { tableId: 'tblDrUWfwkwMQM9yR' }, people: { tableId: 'People', fields: ['Name'] } },
+  cache: { ttlSeconds: 0, staleSeconds: 0 },
+  retry: { maxRetries: 0 },
+  ...overrides
+});
+
+/**
+ * Core handler that answers with what it received
+ */
+async function echo(request, platform) {
+  return Response.json({
+    method: request.method,
+    url: request.url,
+    headers: Object.fromEntries(request.headers),
+    body: await request.text(),
+    clientAddress: platform.clientAddress
+  }, { status: 201, headers: { 'X-Echo': 'yes' } });
+}
+
+/**
+ * Serves a (req, res) handler on a random port for the duration of fn
+ */
+async function withServer(handler, fn) {
+  const server = createServer(handler);
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+test('node: passes method, absolute URL, headers, raw body and client IP to the core', async () => {
+  await withServer(createNodeHandler(echo), async origin => {
+    const response = await fetch(`${origin}/api/airtable/tasks?status=Todo`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Forwarded-Proto': 'https' },
+      body: '{"records": []}'
+    });
+    const echoed = await response.json();
+
+    assert.equal(response.status, 201);
+    assert.equal(response.headers.get('x-echo'), 'yes');
+    assert.equal(echoed.method, 'POST');
+    assert.equal(echoed.url, `https://${new URL(origin).host}/api/airtable/tasks?status=Todo`);
+    assert.equal(echoed.headers['content-type'], 'application/json');
+    assert.equal(echoed.body, '{"records": []}');
+    assert.match(echoed.clientAddress, /127\.0\.0\.1/);
+  });
+});
+
+test('node: accepts a body Vercel already parsed', async () => {
+  const chunks = [];
+  const res = {
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    write(chunk) {
+      chunks.push(Buffer.from(chunk));
+      return true;
+    },
+    end() {},
+    once() {},
+    off() {}
+  };
+
+  await createNodeHandler(echo)({
+    method: 'PATCH',
+    url: '/api/airtable/tasks',
+    headers: { host: 'proxy.test', accept: ['application/json', 'text/csv'] },
+    body: { records: [{ id: 'rec1' }] },
+    socket: { remoteAddress: '10.0.0.7' }
+  }, res);
+
+  const echoed = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  assert.equal(res.statusCode, 201);
+  assert.equal(echoed.url, 'http://proxy.test/api/airtable/tasks');
+  assert.equal(echoed.headers.accept, 'application/json, text/csv');
+  assert.deepEqual(JSON.parse(echoed.body), { records: [{ id: 'rec1' }] });
+  assert.equal(echoed.clientAddress, '10.0.0.7');
+});
+
+test('node: cancels the response body when the client disconnects', async () => {
+  let cancelled;
+  const cancel = new Promise(resolve => {
+    cancelled = resolve;
+  });
+  const endless = async () => new Response(new ReadableStream({
+    pull(controller) {
+      controller.enqueue(new TextEncoder().encode('{"id":"rec"}\n'));
+    },
+    cancel: cancelled
+  }));
+
+  await withServer(createNodeHandler(endless), async origin => {
+    const req = httpRequest(`${origin}/api/airtable/tasks?stream=true`);
+    req.end();
+
+    const [res] = await once(req, 'response');
+    await once(res, 'data');
+    req.destroy();
+
+    await cancel;
+  });
+});
+
+test('node: streams the real core against the mock Airtable', async () => {
+  const handler = createNodeHandler(createAirtableHandler(options()));
+
+  await withServer(handler, async origin => {
+    const response = await fetch(`${origin}/api/airtable/tasks?stream=true&format=ndjson`);
+    const lines = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(lines.at(-1).trailer, { success: true, totalRecords: 7, pages: 4 });
+    assert.equal(lines.length, 8);
+  });
+});
+
+test('core: stops fetching pages once the client cancels a stream', async () => {
+  const fetched = [];
+  const slowFetch = async (url, init) => {
+    fetched.push(url);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    return fetch(url, init);
+  };
+  const handle = createAirtableHandler(options({ fetch: slowFetch, pageSize: 1 }));
+
+  const response = await handle(new Request('https://proxy.test/api/airtable/tasks?stream=true'));
+  const reader = response.body.getReader();
+  await reader.read();
+  await reader.cancel();
+
+  await new Promise(resolve => setTimeout(resolve, 150));
+  assert.ok(fetched.length < 7, `fetched ${fetched.length} of 7 pages`);
+});
+
+test('netlify: converts the event and returns the buffered result', async () => {
+  const handler = createNetlifyHandler(echo);
+  const result = await handler({
+    httpMethod: 'POST',
+    path: '/api/airtable/tasks',
+    rawQuery: 'typecast=true',
+    headers: { host: 'site.netlify.app', 'x-nf-client-connection-ip': '203.0.113.9' },
+    body: Buffer.from('{"fields":{}}').toString('base64'),
+    isBase64Encoded: true
+  }, {});
+  const echoed = JSON.parse(result.body);
+
+  assert.equal(result.statusCode, 201);
+  assert.equal(result.isBase64Encoded, false);
+  assert.equal(result.headers['x-echo'], 'yes');
+  assert.equal(echoed.url, 'https://site.netlify.app/api/airtable/tasks?typecast=true');
+  assert.equal(echoed.body, '{"fields":{}}');
+  assert.equal(echoed.clientAddress, '203.0.113.9');
+
+  const fromRawUrl = JSON.parse((await handler({ httpMethod: 'GET', rawUrl: 'https://a.test/api/airtable?x=1', headers: {} })).body);
+  assert.equal(fromRawUrl.url, 'https://a.test/api/airtable?x=1');
+  assert.equal(fromRawUrl.body, '');
+});
+
+test('netlify: serves the real core against the mock Airtable', async () => {
+  const handler = createNetlifyHandler(createAirtableHandler(options()));
+  const result = await handler({ httpMethod: 'GET', rawUrl: 'https://site.netlify.app/api/airtable/people', headers: {} }, {});
+
+  assert.equal(result.statusCode, 200);
+  assert.deepEqual(JSON.parse(result.body).records.map(record => record.fields), [{ Name: 'Ada Lovelace' }, { Name: 'Grace Hopper' }]);
+});
+
+test('cloudflare: passes the client IP and reads its configuration from env', async () => {
+  const echoed = await (await createWorker(echo).fetch(
+    new Request('https://worker.test/api/airtable', { headers: { 'cf-connecting-ip': '198.51.100.4' } }),
+    {},
+    {}
+  )).json();
+  assert.equal(echoed.clientAddress, '198.51.100.4');
+
+  const worker = createWorker(createEnvHandler());
+  const request = () => new Request('https://worker.test/api/airtable/people');
+
+  const misconfigured = await worker.fetch(request(), {}, {});
+  assert.equal(misconfigured.status, 500);
+  assert.equal((await misconfigured.json()).code, 'CONFIG_ERROR');
+
+  const env = {
+    AIRTABLE_API_URL: mock.url,
+    AIRTABLE_API_KEY: MOCK_API_KEY,
+    AIRTABLE_BASE_ID: MOCK_BASE_ID,
+    AIRTABLE_TABLES: JSON.stringify({ people: { tableId: 'People' } }),
+    PROXY_AUTH_DISABLED: 'true'
+  };
+  const response = await worker.fetch(request(), env, {});
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.totalRecords, 2);
+  assert.equal(response.headers.get('content-type'), 'application/json');
+});
@@ -0,0 +1,143 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockAirtable, loadFixtureTables } from '../mock/airtable-server.js';
+import { createAirtableHandler } from '../lib/handler.js';
+import { parseAggregateSpec, aggregateRecords } from '../lib/aggregate.js';
+import { parseRoute } from '../lib/tables.js';
+import { QueryValidationError } from '../lib/query.js';
+import { mockHandlerOptions } from './helpers.js';
+
+const mock = createMockAirtable({ tables: await loadFixtureTables(), maxPageSize: 2, rateLimit: false });
+await mock.listen();
+
+after(() => mock.close());
+
+const options = overrides => mockHandlerOptions(mock, {
+  tables: { tasks: { tableId: 'tblDrUWfwkwMQM9yR' }, people: { tableId: 'People', fields: ['Name', 'Team'] } },
+  ...overrides
+});
+
+const get = (handle, path, headers = {}) => handle(new Request(`https://proxy.test${path}`, { headers }));
+
+test('parses group-by fields and metrics', () => {
+  assert.deepEqual(parseRoute('/api/airtable/tasks/aggregate'), { slug: 'tasks', action: 'aggregate' });
+  assert.deepEqual(parseRoute('/api/airtable/aggregate'), { slug: null, action: 'aggregate' });
+
+  assert.deepEqual(parseAggregateSpec({ groupBy: 'Status, Owner', metrics: 'count,sum:Priority,distinct:Tags,sum:Priority' }), {
+    groupBy: ['Status', 'Owner'],
+    metrics: [
+      { name: 'sum:Priority', op: 'sum', field: 'Priority' },
+      { name: 'distinct:Tags', op: 'distinct', field: 'Tags' }
+    ],
+    fields: ['Status', 'Owner', 'Priority', 'Tags']
+  });
+  assert.deepEqual(parseAggregateSpec({}), { groupBy: [], metrics: [], fields: [] });
+
+  for (const params of [{ metrics: 'median:Priority' }, { metrics: 'sum' }, { metrics: 'sum:{x}' }, { groupBy: 'A,B,C,D' }]) {
+    assert.throws(() => parseAggregateSpec(params), QueryValidationError, JSON.stringify(params));
+  }
+});
+
+test('explodes arrays into one group per value', () => {
+  const records = [
+    { fields: { Tags: ['ops', 'web'], Points: 3, Owner: [{ id: 'usr1', name: 'Ada' }], Due: '2024-05-01' } },
+    { fields: { Tags: ['web'], Points: [2, 'n/a'], Due: '2024-04-01' } },
+    { fields: { Points: 5 } }
+  ];
+
+  const { groups, totals } = aggregateRecords(records, parseAggregateSpec({
+    groupBy: 'Tags',
+    metrics: 'sum:Points,avg:Points,min:Due,max:Points,distinct:Owner'
+  }));
+
+  assert.deepEqual(groups, [
+    { group: { Tags: 'web' }, count: 2, 'sum:Points': 5, 'avg:Points': 2.5, 'min:Due': '2024-04-01', 'max:Points': 3, 'distinct:Owner': 1 },
+    { group: { Tags: 'ops' }, count: 1, 'sum:Points': 3, 'avg:Points': 3, 'min:Due': '2024-05-01', 'max:Points': 3, 'distinct:Owner': 1 },
+    { group: { Tags: null }, count: 1, 'sum:Points': 5, 'avg:Points': 5, 'min:Due': null, 'max:Points': 5, 'distinct:Owner': 0 }
+  ]);
+
+  // Totals count each record once
+  assert.deepEqual(totals, { count: 3, 'sum:Points': 10, 'avg:Points': 10 / 3, 'min:Due': '2024-04-01', 'max:Points': 5, 'distinct:Owner': 1 });
+});
+
+test('aggregates the filtered records, reading only the fields it needs', async () => {
+  const handle = createAirtableHandler(options());
+  mock.requests.length = 0;
+
+  const response = await get(handle, '/api/airtable/tasks/aggregate?groupBy=Status&metrics=sum:Priority,max:Due&status=!Done');
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('x-cache'), 'MISS');
+  assert.deepEqual(body.groups.map(({ group, count }) => [group.Status, count]), [['In progress', 2], ['Todo', 2], ['Blocked', 1]]);
+  assert.deepEqual(body.totals, { count: 5, 'sum:Priority': 16, 'max:Due': '2024-06-01' });
+  assert.equal(body.totalRecords, 5);
+  assert.deepEqual(body.metrics, ['count', 'sum:Priority', 'max:Due']);
+  assert.equal(body.records, undefined);
+  assert.deepEqual(mock.requests[0].params.getAll('fields[]'), ['Status', 'Priority', 'Due']);
+
+  // Served from the cache, with an ETag
+  const again = await get(handle, '/api/airtable/tasks/aggregate?groupBy=Status&metrics=sum:Priority,max:Due&status=!Done');
+  assert.equal(again.headers.get('x-cache'), 'HIT');
+
+  const notModified = await get(handle, '/api/airtable/tasks/aggregate?groupBy=Status&metrics=sum:Priority,max:Due&status=!Done', {
+    'if-none-match': again.headers.get('etag')
+  });
+  assert.equal(notModified.status, 304);
+
+  // A different spec over the same records is a separate entry
+  const other = await get(handle, '/api/airtable/tasks/aggregate?groupBy=Status&status=!Done');
+  assert.equal(other.headers.get('x-cache'), 'MISS');
+});
+
+test('groups linked records by ID', async () => {
+  const response = await get(createAirtableHandler(options()), '/api/airtable/tasks/aggregate?groupBy=Owner&metrics=distinct:Tags');
+  const body = await response.json();
+
+  assert.deepEqual(body.groups.map(({ group }) => group.Owner), [null, 'recPerson000000001', 'recPerson000000002']);
+  assert.equal(body.groups.reduce((sum, group) => sum + group.count, 0), 7);
+});
+
+test('rejects invalid specs and fields the table does not expose', async () => {
+  const handle = createAirtableHandler(options());
+
+  const unknown = await get(handle, '/api/airtable/tasks/aggregate?metrics=median:Priority');
+  assert.equal(unknown.status, 400);
+  assert.equal((await unknown.json()).code, 'INVALID_QUERY');
+
+  const hidden = await get(handle, '/api/airtable/people/aggregate?groupBy=Team&metrics=distinct:Email');
+  assert.equal(hidden.status, 400);
+  assert.match((await hidden.json()).message, /Unknown field\(s\): Email/);
+
+  const post = await handle(new Request('https://proxy.test/api/airtable/tasks/aggregate', { method: 'POST' }));
+  assert.equal(post.status, 405);
+
+  const team = await (await get(handle, '/api/airtable/people/aggregate?groupBy=Team')).json();
+  assert.deepEqual(team.groups, [{ group: { Team: 'Engineering' }, count: 1 }, { group: { Team: 'Research' }, count: 1 }]);
+});
+
+test('rejects fields hidden by the mapping', async () => {
+  const handle = createAirtableHandler(options({
+    tables: { tasks: { tableId: 'tblDrUWfwkwMQM9yR', mapping: { Name: 'name', Priority: false } } }
+  }));
+  mock.requests.length = 0;
+
+  for (const path of ['/api/airtable/tasks/aggregate?groupBy=Priority', '/api/airtable/tasks/aggregate?metrics=sum:Priority']) {
+    const response = await get(handle, path);
+    assert.equal(response.status, 400, path);
+    assert.match((await response.json()).message, /Unknown field\(s\): Priority/);
+  }
+
+  assert.equal(mock.requests.length, 0);
+});
+
+test('counts without naming a field, so tables need no Status column', async () => {
+  const handle = createAirtableHandler(options({ tables: { tasks: { tableId: 'tblDrUWfwkwMQM9yR', statusField: 'Stage' } } }));
+  mock.requests.length = 0;
+
+  const response = await get(handle, '/api/airtable/tasks/aggregate');
+
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).totals.count, 7);
+  assert.deepEqual(mock.requests[0].params.getAll('fields[]'), []);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadAuthConfig, authenticate, authorize, signJwt, verifyJwt, AuthError } from '../lib/auth.js';
+
+const SECRET = 'test-jwt-secret';
+const DASHBOARD_KEY = 'dashboard-key-0123456789';
+const OPS_KEY = 'ops-key-0123456789abcdef';
+
+const config = loadAuthConfig({
+  PROXY_API_KEYS: JSON.stringify([
+    { id: 'dashboard', key: DASHBOARD_KEY, tables: ['tasks'] },
+    { id: 'ops', key: OPS_KEY, tables: '*', methods: ['GET', 'POST', 'patch'] }
+  ]),
+  PROXY_JWT_SECRET: SECRET
+});
+
+const now = () => Math.floor(Date.now() / 1000);
+const request = token => ({ headers: token ? { authorization: `Bearer ${token}` } : {} });
+
+/**
+ * Asserts that fn throws an AuthError with the given code
+ */
+function assertAuthError(fn, code) {
+  assert.throws(fn, error => error instanceof AuthError && error.code === code);
+}
+
+test('refuses to start without credentials unless auth is explicitly disabled', () => {
+  assert.throws(() => loadAuthConfig({}), { code: 'CONFIG_ERROR' });
+  assert.equal(loadAuthConfig({ PROXY_AUTH_DISABLED: 'true' }).disabled, true);
+});
+
+test('rejects invalid API key configuration', () => {
+  assert.throws(() => loadAuthConfig({ PROXY_API_KEYS: 'not json' }), { code: 'CONFIG_ERROR' });
+  assert.throws(() => loadAuthConfig({ PROXY_API_KEYS: '[{"key":"short","tables":"*"}]' }), { code: 'CONFIG_ERROR' });
+  assert.throws(() => loadAuthConfig({ PROXY_API_KEYS: `[{"key":"${OPS_KEY}"}]` }), { code: 'CONFIG_ERROR' });
+});
+
+test('authenticates static API keys with their scope', () => {
+  const dashboard = authenticate(request(DASHBOARD_KEY), config);
+  assert.deepEqual(dashboard, { id: 'dashboard', type: 'api-key', tables: ['tasks'], methods: ['GET'] });
+
+  const ops = authenticate(request(OPS_KEY), config);
+  assert.deepEqual(ops.methods, ['GET', 'POST', 'PATCH']);
+});
+
+test('returns 401 for missing or unknown credentials', () => {
+  assertAuthError(() => authenticate(request(null), config), 'UNAUTHENTICATED');
+  assertAuthError(() => authenticate(request('unknown-key-0123456789'), config), 'UNAUTHENTICATED');
+  assertAuthError(() => authenticate({ headers: { authorization: `Basic ${DASHBOARD_KEY}` } }, config), 'UNAUTHENTICATED');
+});
+
+test('authenticates JWTs and reads scope from claims', () => {
+  const token = signJwt({ sub: 'ops-tool', tables: ['tasks', 'people'], methods: ['get', 'delete'], exp: now() + 60 }, SECRET);
+  const principal = authenticate(request(token), config);
+
+  assert.deepEqual(principal, { id: 'ops-tool', type: 'jwt', tables: ['tasks', 'people'], methods: ['GET', 'DELETE'] });
+});
+
+test('rejects tampered, expired, premature and unsigned JWTs', () => {
+  const valid = signJwt({ sub: 'a', tables: '*', exp: now() + 60 }, SECRET);
+  const [header, , signature] = valid.split('.');
+  const forgedPayload = Buffer.from(JSON.stringify({ sub: 'a', tables: '*', methods: '*' })).toString('base64url');
+  const none = `${Buffer.from('{"alg":"none"}').toString('base64url')}.${forgedPayload}.`;
+
+  assertAuthError(() => authenticate(request(`${header}.${forgedPayload}.${signature}`), config), 'UNAUTHENTICATED');
+  assertAuthError(() => authenticate(request(signJwt({ sub: 'a', tables: '*' }, 'other-secret')), config), 'UNAUTHENTICATED');
+  assertAuthError(() => authenticate(request(signJwt({ sub: 'a', tables: '*', exp: now() - 120 }, SECRET)), config), 'UNAUTHENTICATED');
+  assertAuthError(() => authenticate(request(signJwt({ sub: 'a', tables: '*', nbf: now() + 120 }, SECRET)), config), 'UNAUTHENTICATED');
+  assertAuthError(() => authenticate(request(none), config), 'UNAUTHENTICATED');
+});
+
+test('enforces issuer and audience when configured', () => {
+  const options = { secret: SECRET, issuer: 'red-oak', audience: 'airtable-proxy' };
+
+  assert.equal(verifyJwt(signJwt({ iss: 'red-oak', aud: ['airtable-proxy'] }, SECRET), options).iss, 'red-oak');
+  assertAuthError(() => verifyJwt(signJwt({ iss: 'someone-else', aud: 'airtable-proxy' }, SECRET), options), 'UNAUTHENTICATED');
+  assertAuthError(() => verifyJwt(signJwt({ iss: 'red-oak', aud: 'other' }, SECRET), options), 'UNAUTHENTICATED');
+});
+
+test('returns 403 outside the credential scope', () => {
+  const dashboard = authenticate(request(DASHBOARD_KEY), config);
+
+  authorize(dashboard, 'tasks', 'GET');
+  assertAuthError(() => authorize(dashboard, 'tasks', 'POST'), 'FORBIDDEN');
+  assertAuthError(() => authorize(dashboard, 'people', 'GET'), 'FORBIDDEN');
+
+  const unscoped = authenticate(request(signJwt({ sub: 'no-tables' }, SECRET)), config);
+  assertAuthError(() => authorize(unscoped, 'tasks', 'GET'), 'FORBIDDEN');
+});
+
+test('allows everything when auth is disabled', () => {
+  const principal = authenticate(request(null), loadAuthConfig({ PROXY_AUTH_DISABLED: 'true' }));
+  authorize(principal, 'anything', 'DELETE');
+});
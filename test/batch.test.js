@@ -0,0 +1,188 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockAirtable, loadFixtureTables } from '../mock/airtable-server.js';
+import { createAirtableHandler } from '../lib/handler.js';
+import { loadAuthConfig } from '../lib/auth.js';
+import { parseBatchPayload, mapWithConcurrency, buildBatchResponse } from '../lib/batch.js';
+import { ApiError } from '../lib/errors.js';
+import { mockHandlerOptions } from './helpers.js';
+
+const DASHBOARD_KEY = 'dashboard-key-0123456789';
+
+const mock = createMockAirtable({ tables: await loadFixtureTables(), maxPageSize: 2, rateLimit: false });
+await mock.listen();
+
+after(() => mock.close());
+
+const options = overrides => mockHandlerOptions(mock, {
+  tables: { tasks: { tableId: 'tblDrUWfwkwMQM9yR' }, people: { tableId: 'People', fields: ['Name', 'Team'] } },
+  auth: loadAuthConfig({ PROXY_API_KEYS: JSON.stringify([{ id: 'dashboard', key: DASHBOARD_KEY, tables: ['tasks'] }]) }),
+  ...overrides
+});
+
+const post = (handle, body, token = DASHBOARD_KEY) => handle(new Request('https://proxy.test/api/airtable/batch', {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', authorization: `Bearer ${token}` },
+  body: JSON.stringify(body)
+}));
+
+test('validates the payload structure', () => {
+  const queries = parseBatchPayload({
+    queries: [{ name: 'mine', table: 'tasks', status: 'Todo', fields: ['Name', 'Status'], filter: { Owner: 'Ada' }, view: 'Grid' }]
+  });
+
+  assert.deepEqual(queries, [{
+    name: 'mine',
+    table: 'tasks',
+    view: 'Grid',
+    params: { status: 'Todo', fields: 'Name,Status', 'filter[Owner]': 'Ada' }
+  }]);
+
+  const invalid = body => assert.throws(() => parseBatchPayload(body), { code: 'INVALID_BODY' });
+  invalid(null);
+  invalid({ queries: [] });
+  invalid({ queries: Array.from({ length: 11 }, (_, i) => ({ name: `q${i}`, table: 'tasks' })) });
+  invalid({ queries: [{ table: 'tasks' }] });
+  invalid({ queries: [{ name: 'a', table: 'tasks', sort: ['Name'] }] });
+  invalid({ queries: [{ name: 'a', table: 'tasks', filter: { Priority: 3 } }] });
+  invalid({ queries: [{ name: 'a', table: 'tasks' }, { name: 'a', table: 'people' }] });
+});
+
+test('runs at most the given number of workers at once, keeping the order', async () => {
+  let running = 0;
+  let peak = 0;
+
+  const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+    peak = Math.max(peak, ++running);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    running--;
+    return index;
+  });
+
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  assert.equal(peak, 2);
+});
+
+test('answers 200, 207 or the first failure status', () => {
+  const ok = { name: 'a', body: { success: true } };
+  const failed = { name: 'b', error: new ApiError('FORBIDDEN', 'No access') };
+
+  assert.equal(buildBatchResponse([ok]).statusCode, 200);
+
+  const mixed = buildBatchResponse([ok, failed]);
+  assert.equal(mixed.statusCode, 207);
+  assert.deepEqual(mixed.body.results.b, { success: false, error: { error: 'Access denied', code: 'FORBIDDEN', message: 'No access' } });
+
+  const none = buildBatchResponse([failed]);
+  assert.equal(none.statusCode, 403);
+  assert.equal(none.body.code, 'FORBIDDEN');
+  assert.equal(none.body.failed, 1);
+});
+
+test('keeps names like __proto__ and constructor as plain result keys', async () => {
+  const outcomes = ['__proto__', 'constructor', 'toString'].map(name => ({ name, body: { success: true, name } }));
+  const { body } = buildBatchResponse(outcomes);
+
+  assert.deepEqual(Object.keys(body.results), ['__proto__', 'constructor', 'toString']);
+  assert.equal(body.results.constructor.name, 'constructor');
+  assert.equal(JSON.parse(JSON.stringify(body)).results.__proto__.name, '__proto__');
+
+  const response = await post(createAirtableHandler(options({ auth: { disabled: true } })), {
+    queries: [{ name: '__proto__', table: 'tasks', status: 'Todo' }]
+  });
+  const parsed = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(parsed.results.__proto__.totalRecords, 2);
+});
+
+test('returns a result per named query', async () => {
+  const handle = createAirtableHandler(options({ auth: { disabled: true } }));
+
+  const response = await post(handle, {
+    queries: [
+      { name: 'open', table: 'tasks', status: 'Todo,In progress', sort: 'Priority:desc', fields: 'Name,Priority' },
+      { name: 'team', table: 'people', filter: { Team: 'Research' } },
+      { name: 'highPriority', table: 'tasks', view: 'High priority' },
+      { name: 'missing', table: 'nope' },
+      { name: 'hidden', table: 'people', fields: ['Email'] }
+    ]
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 207);
+  assert.equal(response.headers.get('cache-control'), 'no-store');
+  assert.equal(body.succeeded, 3);
+  assert.equal(body.failed, 2);
+  assert.deepEqual(Object.keys(body.results), ['open', 'team', 'highPriority', 'missing', 'hidden']);
+
+  assert.deepEqual(body.results.open.records.map(record => record.fields.Name), ['Fix login bug', 'Customer interviews', 'Draft roadmap', 'Book venue']);
+  assert.deepEqual(body.results.open.fields, ['Name', 'Priority']);
+  assert.deepEqual(body.results.team.records.map(record => record.fields), [{ Name: 'Grace Hopper', Team: 'Research' }]);
+  assert.equal(body.results.highPriority.view, 'High priority');
+  assert.equal(body.results.missing.error.code, 'TABLE_NOT_FOUND');
+  assert.equal(body.results.hidden.error.code, 'INVALID_QUERY');
+});
+
+test('shares cached reads with GET requests', async () => {
+  const handle = createAirtableHandler(options({ auth: { disabled: true } }));
+
+  await post(handle, { queries: [{ name: 'open', table: 'tasks', status: 'Todo' }] });
+
+  const response = await handle(new Request('https://proxy.test/api/airtable/tasks?status=Todo'));
+  assert.equal(response.headers.get('x-cache'), 'HIT');
+  assert.equal((await response.json()).totalRecords, 2);
+});
+
+test('checks every query against the credential', async () => {
+  const handle = createAirtableHandler(options({ tables: { tasks: { tableId: 'tblDrUWfwkwMQM9yR', view: 'High priority' }, people: { tableId: 'People' } } }));
+
+  // A read-only key may send batches; each table is checked on its own
+  const response = await post(handle, {
+    queries: [
+      { name: 'tasks', table: 'tasks' },
+      { name: 'people', table: 'people' },
+      { name: 'otherView', table: 'tasks', view: 'Grid view' }
+    ]
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 207);
+  assert.equal(body.results.tasks.success, true);
+  assert.equal(body.results.people.error.code, 'FORBIDDEN');
+  assert.match(body.results.otherView.error.message, /always read through its configured view/);
+
+  const unauthenticated = await post(handle, { queries: [{ name: 'a', table: 'tasks' }] }, 'wrong-key-0123456789');
+  assert.equal(unauthenticated.status, 401);
+  assert.equal(unauthenticated.headers.get('www-authenticate'), 'Bearer realm="airtable-proxy"');
+  assert.equal((await handle(new Request('https://proxy.test/api/airtable/batch', { headers: { authorization: `Bearer ${DASHBOARD_KEY}` } }))).status, 405);
+
+  const invalid = await post(handle, { queries: 'tasks' });
+  assert.equal(invalid.status, 400);
+  assert.equal((await invalid.json()).code, 'INVALID_BODY');
+});
+
+test('keeps concurrent Airtable requests bounded', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const fetch = async (url, init) => {
+    peak = Math.max(peak, ++inFlight);
+
+    try {
+      return await globalThis.fetch(url, init);
+    } finally {
+      inFlight--;
+    }
+  };
+  const handle = createAirtableHandler(options({ auth: { disabled: true }, fetch }));
+
+  const response = await post(handle, {
+    queries: ['Todo', 'Done', 'Blocked', 'In progress', '!Done', 'Todo,Done'].map(status => ({ name: status, table: 'tasks', status }))
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.succeeded, 6);
+  assert.equal(body.results.Todo.totalRecords, 2);
+  assert.ok(peak <= 3, `expected at most 3 requests in flight, saw ${peak}`);
+});
@@ -0,0 +1,172 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createMockAirtable, loadFixtureTables } from '../mock/airtable-server.js';
+import { createAirtableHandler } from '../lib/handler.js';
+import { createResponseCache, createMemoryStore, createFileStore, computeETag, matchesETag } from '../lib/cache.js';
+import { quietLogger, mockHandlerOptions } from './helpers.js';
+
+const mock = createMockAirtable({ tables: await loadFixtureTables(), rateLimit: false });
+await mock.listen();
+
+after(() => mock.close());
+
+/**
+ * Creates a loader that counts its runs and returns { run: n }
+ * @param {number} delayMs - How long each run takes
+ * @returns {Function} Loader with a runs property
+ */
+function counter(delayMs = 0) {
+  const loader = async () => {
+    loader.runs++;
+    if (delayMs) await sleep(delayMs);
+    return { run: loader.runs };
+  };
+  loader.runs = 0;
+  return loader;
+}
+
+test('serves fresh entries, then stale ones while a single refresh runs', async () => {
+  const cache = createResponseCache({ ttlSeconds: 0.05, staleSeconds: 0.5, logger: quietLogger });
+  const loader = counter(20);
+
+  assert.equal((await cache.getOrLoad('tasks', 'q', loader)).status, 'MISS');
+
+  const hit = await cache.getOrLoad('tasks', 'q', loader);
+  assert.deepEqual([hit.status, hit.value], ['HIT', { run: 1 }]);
+
+  await sleep(60);
+
+  // Past the TTL: the old body comes back at once, refreshed in the background only once
+  const [stale, again] = await Promise.all([cache.getOrLoad('tasks', 'q', loader), cache.getOrLoad('tasks', 'q', loader)]);
+  assert.deepEqual([stale.status, stale.value, again.status], ['STALE', { run: 1 }, 'STALE']);
+
+  await sleep(40);
+  assert.equal(loader.runs, 2);
+
+  const refreshed = await cache.getOrLoad('tasks', 'q', loader);
+  assert.deepEqual([refreshed.status, refreshed.value], ['HIT', { run: 2 }]);
+  assert.notEqual(refreshed.etag, stale.etag);
+});
+
+test('coalesces concurrent misses and forgets failures', async () => {
+  const cache = createResponseCache({ ttlSeconds: 30, staleSeconds: 0, logger: quietLogger });
+  const loader = counter(20);
+
+  const results = await Promise.all([1, 2, 3].map(() => cache.getOrLoad('tasks', 'q', loader)));
+  assert.equal(loader.runs, 1);
+  assert.ok(results.every(result => result.status === 'MISS' && result.value.run === 1));
+
+  await assert.rejects(cache.getOrLoad('tasks', 'broken', async () => { throw new Error('boom'); }), /boom/);
+  assert.equal((await cache.getOrLoad('tasks', 'broken', loader)).status, 'MISS');
+});
+
+test('never stores partial bodies, or anything with a TTL of 0', async () => {
+  const cache = createResponseCache({ ttlSeconds: 30, staleSeconds: 0, logger: quietLogger });
+  const partial = async () => ({ partial: true });
+
+  await cache.getOrLoad('tasks', 'q', partial);
+  assert.equal((await cache.getOrLoad('tasks', 'q', partial)).status, 'MISS');
+
+  const disabled = createResponseCache({ ttlSeconds: 0, staleSeconds: 30, logger: quietLogger });
+  const loader = counter();
+  await disabled.getOrLoad('tasks', 'q', loader);
+  await disabled.getOrLoad('tasks', 'q', loader);
+  assert.equal(loader.runs, 2);
+});
+
+test('invalidates every entry of one table', async () => {
+  const cache = createResponseCache({ ttlSeconds: 30, staleSeconds: 0, logger: quietLogger });
+  const loader = counter();
+
+  await cache.getOrLoad('tasks', 'a', loader);
+  await cache.getOrLoad('tasks', 'b', loader);
+  await cache.getOrLoad('people', 'a', loader);
+  await cache.invalidate('tasks');
+
+  assert.equal((await cache.getOrLoad('tasks', 'a', loader)).status, 'MISS');
+  assert.equal((await cache.getOrLoad('tasks', 'b', loader)).status, 'MISS');
+  assert.equal((await cache.getOrLoad('people', 'a', loader)).status, 'HIT');
+});
+
+test('keeps a table invalidated when the memory store evicts entries', async () => {
+  const cache = createResponseCache({ store: createMemoryStore({ maxEntries: 2 }), ttlSeconds: 30, staleSeconds: 0, logger: quietLogger });
+  const loader = counter(20);
+
+  // A load that started before the invalidation stores its copy under the old generation
+  const loading = cache.getOrLoad('tasks', 'a', loader);
+  await cache.invalidate('tasks');
+  await loading;
+
+  // Fills the store past maxEntries; the generation of tasks must survive it
+  await cache.getOrLoad('people', 'a', loader);
+
+  assert.equal((await cache.getOrLoad('tasks', 'a', loader)).status, 'MISS');
+});
+
+test('expires and evicts memory entries; keeps file entries across instances', async () => {
+  const memory = createMemoryStore({ maxEntries: 2 });
+  await memory.set('a', 1, 30);
+  await memory.set('b', 2, 0.01);
+  await memory.set('c', 3, 30);
+  assert.equal(await memory.get('a'), null); // Evicted, the oldest
+  await sleep(20);
+  assert.equal(await memory.get('b'), null); // Expired
+  assert.equal(await memory.get('c'), 3);
+
+  const dir = await mkdtemp(path.join(tmpdir(), 'cache-test-'));
+
+  try {
+    await createFileStore({ dir }).set('key', { records: [1] }, 30);
+    assert.deepEqual(await createFileStore({ dir }).get('key'), { records: [1] });
+    await createFileStore({ dir }).delete('key');
+    assert.equal(await createFileStore({ dir }).get('key'), null);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('matches If-None-Match lists, weak tags and wildcards', () => {
+  const etag = computeETag({ records: [] });
+
+  assert.equal(etag, computeETag({ records: [] }));
+  assert.ok(matchesETag(etag, etag));
+  assert.ok(matchesETag(`"other", W/${etag}`, etag));
+  assert.ok(matchesETag('*', etag));
+  assert.ok(!matchesETag('"other"', etag));
+  assert.ok(!matchesETag(undefined, etag));
+});
+
+test('answers 304 for a current ETag and sets the cache headers', async () => {
+  const handle = createAirtableHandler(mockHandlerOptions(mock, {
+    tables: { tasks: { tableId: 'tblDrUWfwkwMQM9yR' } },
+    cache: { ttlSeconds: 30, staleSeconds: 15 }
+  }));
+  const get = (headers = {}) => handle(new Request('https://proxy.test/api/airtable/tasks', { headers }));
+
+  mock.requests.length = 0;
+  const first = await get();
+  const etag = first.headers.get('etag');
+
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('x-cache'), 'MISS');
+  assert.equal(first.headers.get('cache-control'), 'public, max-age=30, stale-while-revalidate=15');
+  assert.match(etag, /^"[\w-]+"$/);
+
+  const upstream = mock.requests.length;
+
+  const notModified = await get({ 'if-none-match': etag });
+  assert.equal(notModified.status, 304);
+  assert.equal(notModified.headers.get('x-cache'), 'HIT');
+  assert.equal(await notModified.text(), '');
+
+  const changed = await get({ 'if-none-match': '"outdated"' });
+  assert.equal(changed.status, 200);
+  assert.equal(changed.headers.get('etag'), etag);
+
+  // Only the first request reached Airtable
+  assert.equal(mock.requests.length, upstream);
+});
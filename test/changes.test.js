@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSince, buildChangesFormula, hashIds, describeIds, SINCE_OVERLAP_MS } from '../lib/changes.js';
+import { parseRoute, loadTables } from '../lib/tables.js';
+import { QueryValidationError } from '../lib/query.js';
+
+const NOW = Date.parse('2024-05-06T12:00:00.000Z');
+
+test('parses since timestamps with a time zone', () => {
+  assert.equal(parseSince(undefined, NOW), null);
+  assert.equal(parseSince('2024-05-06T07:08:09.123Z', NOW).toISOString(), '2024-05-06T07:08:09.123Z');
+  assert.equal(parseSince('2024-05-06T09:08:09+02:00', NOW).toISOString(), '2024-05-06T07:08:09.000Z');
+});
+
+test('rejects malformed, zoneless and future since values', () => {
+  for (const value of ['yesterday', '2024-05-06', '2024-05-06T07:08:09', '2024-13-45T07:08:09Z']) {
+    assert.throws(() => parseSince(value, NOW), QueryValidationError, value);
+  }
+
+  assert.throws(() => parseSince('2024-05-06T12:05:00Z', NOW), /future/);
+  assert.ok(parseSince('2024-05-06T12:00:30Z', NOW)); // Within the allowed clock skew
+});
+
+test('adds an overlapping LAST_MODIFIED_TIME condition to the filter', () => {
+  const since = new Date('2024-05-06T07:08:09.000Z');
+  const from = new Date(since.getTime() - SINCE_OVERLAP_MS).toISOString();
+
+  assert.equal(
+    buildChangesFormula("NOT({Status}='Done')", since),
+    `AND(NOT({Status}='Done'), IS_AFTER(LAST_MODIFIED_TIME(), DATETIME_PARSE("${from}")))`
+  );
+  assert.equal(buildChangesFormula(null, since), `IS_AFTER(LAST_MODIFIED_TIME(), DATETIME_PARSE("${from}"))`);
+  assert.equal(buildChangesFormula("NOT({Status}='Done')", null), "NOT({Status}='Done')");
+});
+
+test('hashes ID sets independent of order', () => {
+  assert.equal(hashIds(['recB', 'recA']), hashIds(['recA', 'recB']));
+  assert.notEqual(hashIds(['recA']), hashIds(['recA', 'recB']));
+  assert.match(hashIds([]), /^[A-Za-z0-9_-]{43}$/);
+});
+
+test('describes the ID set, omitting it when the client is up to date', () => {
+  const ids = ['recA', 'recB'];
+  const idsHash = hashIds(ids);
+
+  assert.deepEqual(describeIds(ids, undefined), { idsHash, idsUnchanged: false, ids });
+  assert.deepEqual(describeIds(ids, 'stale'), { idsHash, idsUnchanged: false, ids });
+  assert.deepEqual(describeIds(ids, idsHash), { idsHash, idsUnchanged: true });
+});
+
+test('routes /changes for the default and named tables', () => {
+  assert.deepEqual(parseRoute('/api/airtable/changes?since=x'), { slug: null, action: 'changes' });
+  assert.deepEqual(parseRoute('/api/airtable/tasks/changes'), { slug: 'tasks', action: 'changes' });
+  assert.deepEqual(parseRoute('/api/airtable/tasks'), { slug: 'tasks', action: null });
+  assert.deepEqual(parseRoute('/api/airtable'), { slug: null, action: null });
+});
+
+test('reserves sub-route names as table slugs', () => {
+  const env = { AIRTABLE_TABLES: JSON.stringify({ changes: { tableId: 'tbl1' } }) };
+  assert.throws(() => loadTables(env), /reserved/);
+});
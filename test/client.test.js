@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createConfig } from '../lib/config.js';
+import { createAirtableClient } from '../lib/client.js';
+import { ApiError, AirtableError } from '../lib/errors.js';
+import { quietLogger } from './helpers.js';
+
+/**
+ * Creates a client whose fetch answers from a list of scripted responses
+ */
+function scriptedClient(responses, overrides = {}) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url: new URL(url), init });
+    const next = responses.shift();
+    return typeof next === 'function' ? next(init) : next;
+  };
+
+  const client = createAirtableClient(createConfig({
+    apiKey: 'patClientKey.0000',
+    baseId: 'appClientTest0001',
+    tables: { tasks: { tableId: 'tblDrUWfwkwMQM9yR' } },
+    auth: { disabled: true },
+    apiUrl: 'http://airtable.test',
+    fetch,
+    logger: quietLogger,
+    requestsPerSecond: 1000,
+    retry: { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 5 },
+    ...overrides
+  }));
+
+  return { client, calls };
+}
+
+const json = (body, status = 200, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+
+const query = {
+  tableId: 'tblDrUWfwkwMQM9yR',
+  view: 'Grid view',
+  filterFormula: "NOT({Status}='Done')",
+  sort: [{ field: 'Name', direction: 'asc' }],
+  fields: ['Name', 'Status']
+};
+
+test('walks every page with the injected fetch', async () => {
+  const { client, calls } = scriptedClient([
+    json({ records: [{ id: 'rec1' }, { id: 'rec2' }], offset: 'itr1' }),
+    json({ records: [{ id: 'rec3' }] })
+  ], { pageSize: 2 });
+
+  const records = await client.fetchAllRecords(query);
+
+  assert.deepEqual(records.map(record => record.id), ['rec1', 'rec2', 'rec3']);
+  assert.equal(calls.length, 2);
+
+  const [first, second] = calls;
+  assert.equal(first.url.origin + first.url.pathname, `http://airtable.test/v0/${client.baseId}/tblDrUWfwkwMQM9yR`);
+  assert.equal(first.url.searchParams.get('view'), 'Grid view');
+  assert.equal(first.url.searchParams.get('filterByFormula'), "NOT({Status}='Done')");
+  assert.equal(first.url.searchParams.get('sort[0][direction]'), 'asc');
+  assert.deepEqual(first.url.searchParams.getAll('fields[]'), ['Name', 'Status']);
+  assert.equal(first.url.searchParams.get('pageSize'), '2');
+  assert.equal(first.init.headers.Authorization, 'Bearer patClientKey.0000');
+  assert.equal(second.url.searchParams.get('offset'), 'itr1');
+});
+
+test('retries transient errors but never repeats a create', async () => {
+  const { client, calls } = scriptedClient([json({}, 503), json({ records: [{ id: 'rec1' }] })]);
+
+  assert.deepEqual(await client.fetchPage(query), { records: [{ id: 'rec1' }], offset: null, hasMore: false });
+  assert.equal(calls.length, 2);
+
+  const create = scriptedClient([json({ error: { type: 'SERVER_ERROR' } }, 503)]);
+  const table = { slug: 'tasks', tableId: 'tblDrUWfwkwMQM9yR' };
+
+  await assert.rejects(create.client.writeBatch(table, 'create', [{ fields: { Name: 'A' } }], false, 1), error => {
+    assert.ok(error instanceof AirtableError);
+    assert.equal(error.status, 503);
+    assert.equal(error.attempts, 1);
+    return true;
+  });
+  assert.equal(create.calls[0].init.method, 'POST');
+});
+
+test('times out hung requests', async () => {
+  const hang = init => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(init.signal.reason));
+  });
+  const { client, calls } = scriptedClient([hang, hang], { timeouts: { requestMs: 20 }, retry: { maxRetries: 1, baseDelayMs: 1 } });
+
+  await assert.rejects(client.fetchPage(query), error => {
+    assert.ok(error instanceof AirtableError);
+    assert.equal(error.status, 0);
+    assert.equal(error.attempts, 2);
+    assert.match(error.message, /timed out after 20ms/);
+    return true;
+  });
+  assert.equal(calls.length, 2);
+});
+
+test('stops reading at the deadline, optionally keeping what arrived', async () => {
+  const hang = init => new Promise((resolve, reject) => {
+    init.signal.addEventListener('abort', () => reject(init.signal.reason));
+  });
+  const first = () => json({ records: [{ id: 'rec1' }, { id: 'rec2' }], offset: 'itr1' });
+
+  const strict = scriptedClient([first(), hang]);
+  await assert.rejects(strict.client.scoped({ deadline: Date.now() + 50 }).fetchAllRecords(query), error => {
+    assert.ok(error instanceof ApiError);
+    assert.equal(error.code, 'DEADLINE_EXCEEDED');
+    assert.deepEqual(error.details, { pages: 1, records: 2 });
+    return true;
+  });
+  assert.equal(strict.calls.length, 2);
+
+  const lenient = scriptedClient([first(), hang]);
+  const result = await lenient.client.scoped({ deadline: Date.now() + 50 }).collectRecords(query, { allowPartial: true });
+  assert.deepEqual(result, { records: [{ id: 'rec1' }, { id: 'rec2' }], pages: 1, partial: true });
+
+  // A retry that would only start after the deadline is not waited for
+  const limited = scriptedClient([json({ error: 'RATE_LIMIT_REACHED' }, 429, { 'Retry-After': '30' })]);
+  const startedAt = Date.now();
+  await assert.rejects(limited.client.scoped({ deadline: Date.now() + 1000 }).fetchPage(query), { code: 'DEADLINE_EXCEEDED' });
+  assert.ok(Date.now() - startedAt < 500);
+});
+
+test('cancels reads but not writes when the signal aborts', async () => {
+  const controller = new AbortController();
+  const { client, calls } = scriptedClient([
+    init => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(init.signal.reason));
+      controller.abort();
+    }),
+    json({ records: [{ id: 'rec1' }] })
+  ]);
+  const scoped = client.scoped({ signal: controller.signal });
+
+  await assert.rejects(scoped.fetchPage(query), { name: 'AbortError' });
+  assert.equal(calls.length, 1); // Not retried
+
+  const table = { slug: 'tasks', tableId: 'tblDrUWfwkwMQM9yR' };
+  assert.deepEqual(await scoped.writeBatch(table, 'update', [{ id: 'rec1', fields: {} }], false, 1), [{ id: 'rec1' }]);
+  assert.equal(calls[1].init.signal.aborted, false);
+});
+
+test('throttles each client at its own rate, shared with the clients scoped from it', async () => {
+  const page = () => json({ records: [] });
+  const slow = scriptedClient([page(), page()], { requestsPerSecond: 4 });
+  const fast = scriptedClient([page(), page(), page()]);
+
+  let startedAt = Date.now();
+  for (let i = 0; i < 3; i++) {
+    await fast.client.fetchAllRecords(query); // Same base, but not held to the slower rate
+  }
+  assert.ok(Date.now() - startedAt < 200, 'used the rate of another client');
+
+  startedAt = Date.now();
+  await slow.client.scoped({}).fetchAllRecords(query);
+  await slow.client.scoped({}).fetchAllRecords(query);
+  assert.ok(Date.now() - startedAt >= 240, 'scoped clients did not share the throttle');
+});
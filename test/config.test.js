@@ -0,0 +1,189 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createConfig, loadConfig, ConfigError } from '../lib/config.js';
+import { createHandlerRegistry, getWebhookHandlers } from '../lib/webhooks.js';
+
+const BASE_ID = 'appConfigTest0001';
+
+const minimal = overrides => ({
+  apiKey: 'patConfigKey.0000',
+  baseId: BASE_ID,
+  tables: { tasks: { tableId: 'tblDrUWfwkwMQM9yR' } },
+  auth: { disabled: true },
+  ...overrides
+});
+
+/**
+ * Returns the message of the CONFIG_ERROR thrown by fn
+ */
+function configError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    assert.equal(error.code, 'CONFIG_ERROR', `expected a CONFIG_ERROR, got ${error}`);
+    return error.message;
+  }
+
+  assert.fail('expected a CONFIG_ERROR');
+}
+
+test('fills in defaults around the required options', () => {
+  const config = createConfig(minimal());
+
+  assert.equal(config.apiUrl, 'https://api.airtable.com');
+  assert.equal(config.pageSize, 50);
+  assert.equal(config.requestsPerSecond, 5);
+  assert.deepEqual(config.timeouts, { requestMs: 10000, deadlineMs: 25000 });
+  assert.equal(config.expandDepth, 2);
+  assert.deepEqual(config.schema, { validate: false, ttlSeconds: 300 });
+  assert.deepEqual(config.retry, { maxRetries: 4, baseDelayMs: 500, maxDelayMs: 30000 });
+  assert.equal(config.cache.ttlSeconds, 30);
+  assert.equal(typeof config.cache.store.get, 'function');
+  assert.equal(config.logger.level, 'info');
+  assert.equal(typeof config.fetch, 'function');
+  assert.match(config.cursorSecret, /^[0-9a-f]{64}$/);
+  assert.deepEqual(config.auth, { disabled: true, apiKeys: [], jwt: null });
+  assert.equal(config.cors.anyOrigin, true);
+  assert.equal(config.trustProxy, false);
+  assert.equal(config.webhooks.secrets.size, 0);
+  assert.deepEqual([...config.tables.keys()], ['tasks']);
+  assert.equal(config.tables.get('tasks').statusField, 'Status');
+});
+
+test('keeps injected settings', () => {
+  const fetch = async () => new Response('{}');
+  const logged = [];
+  const logger = { debug() {}, info: (message, fields) => logged.push({ message, fields }), warn() {}, error() {} };
+  const config = createConfig(minimal({
+    apiUrl: 'http://127.0.0.1:8787/',
+    fetch,
+    logger,
+    pageSize: 100,
+    timeouts: { requestMs: 2000 },
+    retry: { maxRetries: 0 },
+    tables: { tasks: { tableId: 'tblDrUWfwkwMQM9yR' }, people: { tableId: 'People' } },
+    defaultTable: 'people'
+  }));
+
+  assert.equal(config.apiUrl, 'http://127.0.0.1:8787');
+  assert.equal(config.fetch, fetch);
+  config.logger.info('Using patConfigKey.0000', { authorization: 'Bearer abc' });
+  assert.deepEqual(logged, [{ message: 'Using [REDACTED]', fields: { authorization: '[REDACTED]' } }]);
+  assert.equal(config.pageSize, 100);
+  assert.equal(config.timeouts.requestMs, 2000);
+  assert.deepEqual(config.retry, { maxRetries: 0, baseDelayMs: 500, maxDelayMs: 30000 });
+  assert.deepEqual([...config.tables.keys()], ['people', 'tasks']);
+});
+
+test('names the offending option', () => {
+  assert.throws(() => createConfig(minimal({ apiKey: '' })), ConfigError);
+  assert.match(configError(() => createConfig(minimal({ apiKey: '' }))), /Missing apiKey/);
+  assert.match(configError(() => createConfig(minimal({ baseId: undefined }))), /Missing baseId/);
+  assert.match(configError(() => createConfig(minimal({ baseId: 'tblDrUWfwkwMQM9yR' }))), /Invalid baseId "tblDrUWfwkwMQM9yR"/);
+  assert.match(configError(() => createConfig(minimal({ apiUrl: 'api.airtable.com' }))), /apiUrl must be an absolute URL/);
+  assert.match(configError(() => createConfig(minimal({ apiUrl: 'ftp://example.com' }))), /apiUrl must use http or https/);
+  assert.match(configError(() => createConfig(minimal({ fetch: 'fetch' }))), /fetch must be a function/);
+  assert.match(configError(() => createConfig(minimal({ tables: undefined }))), /Missing tables/);
+  assert.match(configError(() => createConfig(minimal({ tables: { tasks: {} } }))), /Table "tasks" is missing a tableId/);
+  assert.match(configError(() => createConfig(minimal({ defaultTable: 'nope' }))), /Default table "nope"/);
+  assert.match(configError(() => createConfig(minimal({ auth: undefined }))), /Missing auth/);
+  assert.match(configError(() => createConfig(minimal({ auth: {} }))), /auth has no credentials/);
+  assert.match(configError(() => createConfig(minimal({ pageSize: 500 }))), /pageSize must be an integer between 1 and 100, got 500/);
+  assert.match(configError(() => createConfig(minimal({ timeouts: { requestMs: -1 } }))), /timeouts\.requestMs/);
+  assert.match(configError(() => createConfig(minimal({ timeouts: { deadlineMs: '5s' } }))), /timeouts\.deadlineMs must be an integer >= 0, got "5s"/);
+  assert.match(configError(() => createConfig(minimal({ retry: { maxRetries: 1.5 } }))), /retry\.maxRetries must be an integer/);
+  assert.match(configError(() => createConfig(minimal({ requestsPerSecond: 0 }))), /requestsPerSecond must be a positive number/);
+  assert.match(configError(() => createConfig(minimal({ cache: { store: {} } }))), /cache\.store must implement get, set and delete/);
+  assert.match(configError(() => createConfig(minimal({ logger: { info() {} } }))), /logger is missing debug, warn, error/);
+  assert.match(configError(() => createConfig(minimal({ logLevel: 'verbose' }))), /logLevel must be one of debug, info, warn, error, got "verbose"/);
+  assert.match(configError(() => createConfig(minimal({ redactFields: 'Email' }))), /redactFields must be an array/);
+  assert.match(configError(() => createConfig(minimal({ webhooks: { secrets: {} } }))), /webhooks\.secrets must be a Map/);
+});
+
+test('loads the same configuration from environment variables', () => {
+  const config = loadConfig({
+    AIRTABLE_API_KEY: 'patEnvKey.0000000',
+    AIRTABLE_BASE_ID: BASE_ID,
+    AIRTABLE_API_URL: 'http://localhost:8787/',
+    AIRTABLE_TABLES: JSON.stringify({ people: { tableId: 'People' }, tasks: { tableId: 'tblDrUWfwkwMQM9yR' } }),
+    AIRTABLE_DEFAULT_TABLE: 'tasks',
+    AIRTABLE_MAX_RETRIES: '1',
+    AIRTABLE_REQUESTS_PER_SECOND: '10',
+    AIRTABLE_TIMEOUT_MS: '1500',
+    AIRTABLE_DEADLINE_MS: '0',
+    AIRTABLE_EXPAND_DEPTH: '3',
+    AIRTABLE_VALIDATE_FIELDS: 'true',
+    AIRTABLE_SCHEMA_TTL_SECONDS: '60',
+    CACHE_TTL_SECONDS: '0',
+    CURSOR_SECRET: 'cursor-secret',
+    PROXY_AUTH_DISABLED: 'true',
+    LOG_LEVEL: 'WARN',
+    LOG_REDACT_FIELDS: 'Email, Phone'
+  });
+
+  assert.equal(config.apiUrl, 'http://localhost:8787');
+  assert.equal(config.logger.level, 'warn');
+  assert.deepEqual([...config.tables.keys()], ['tasks', 'people']);
+  assert.equal(config.retry.maxRetries, 1);
+  assert.equal(config.requestsPerSecond, 10);
+  assert.deepEqual(config.timeouts, { requestMs: 1500, deadlineMs: null });
+  assert.equal(config.expandDepth, 3);
+  assert.deepEqual(config.schema, { validate: true, ttlSeconds: 60 });
+  assert.equal(config.cache.ttlSeconds, 0);
+  assert.equal(config.cursorSecret, 'cursor-secret');
+  assert.notEqual(config.webhooks.handlers, getWebhookHandlers());
+  assert.notEqual(config.webhooks.store, config.cache.store);
+  assert.equal(config.trustProxy, false);
+});
+
+test('builds the built-in tasks table from the given AIRTABLE_TABLE_ID', () => {
+  const env = { AIRTABLE_API_KEY: 'patEnvKey.0000000', AIRTABLE_BASE_ID: BASE_ID, PROXY_AUTH_DISABLED: 'true' };
+
+  assert.equal(loadConfig({ ...env, AIRTABLE_TABLE_ID: 'tblOtherTable0001' }).tables.get('tasks').tableId, 'tblOtherTable0001');
+  assert.equal(loadConfig(env).tables.get('tasks').tableId, 'tblDrUWfwkwMQM9yR');
+});
+
+test('trusts forwarding headers on Vercel or when TRUST_PROXY says so', () => {
+  const env = { AIRTABLE_API_KEY: 'patEnvKey.0000000', AIRTABLE_BASE_ID: BASE_ID, PROXY_AUTH_DISABLED: 'true' };
+
+  assert.equal(loadConfig({ ...env, VERCEL: '1' }).trustProxy, true);
+  assert.equal(loadConfig({ ...env, VERCEL: '1', TRUST_PROXY: 'false' }).trustProxy, false);
+  assert.equal(loadConfig({ ...env, TRUST_PROXY: 'true' }).trustProxy, true);
+  assert.match(configError(() => createConfig(minimal({ trustProxy: 'yes' }))), /trustProxy must be true or false/);
+});
+
+test('reports missing environment variables by name', () => {
+  assert.equal(configError(() => loadConfig({})), 'AIRTABLE_API_KEY environment variable is not set');
+  assert.equal(configError(() => loadConfig({ AIRTABLE_API_KEY: 'patEnvKey.0000000' })), 'AIRTABLE_BASE_ID environment variable is not set');
+  assert.match(
+    configError(() => loadConfig({ AIRTABLE_API_KEY: 'patEnvKey.0000000', AIRTABLE_BASE_ID: BASE_ID })),
+    /No credentials configured/
+  );
+});
+
+test('gives every configuration its own webhook registry unless one is passed', () => {
+  const registry = createHandlerRegistry();
+
+  assert.notEqual(createConfig(minimal()).webhooks.handlers, createConfig(minimal()).webhooks.handlers);
+  assert.equal(createConfig(minimal({ webhooks: { handlers: registry } })).webhooks.handlers, registry);
+});
+
+test('keeps the handlers of environment configurations apart, sharing getWebhookHandlers()', async () => {
+  const env = { AIRTABLE_API_KEY: 'patEnvKey.0000000', AIRTABLE_BASE_ID: BASE_ID, PROXY_AUTH_DISABLED: 'true' };
+  const first = loadConfig(env).webhooks.handlers;
+  const second = loadConfig(env).webhooks.handlers;
+  const received = [];
+
+  first.register('cache', async () => received.push('first'));
+  second.register('cache', async () => received.push('second'));
+  getWebhookHandlers().register('shared', async () => received.push('shared'));
+
+  try {
+    await first.dispatch([{ type: 'record.updated' }]);
+    await second.dispatch([{ type: 'record.updated' }]);
+  } finally {
+    getWebhookHandlers().unregister('shared');
+  }
+
+  assert.deepEqual(received, ['first', 'shared', 'second', 'shared']);
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadCorsPolicy, isOriginAllowed, allowedMethods, applyCorsHeaders, handlePreflight, CorsError } from '../lib/cors.js';
+
+/**
+ * Minimal response object that records headers
+ */
+function mockResponse() {
+  return {
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name] = value;
+    }
+  };
+}
+
+const policy = loadCorsPolicy({
+  CORS_ALLOWED_ORIGINS: 'https://app.example.com, https://*.red-oak.dev',
+  CORS_ALLOW_CREDENTIALS: 'true',
+  CORS_MAX_AGE: '600'
+});
+
+const preflight = (origin, method, headers) => ({
+  method: 'OPTIONS',
+  headers: {
+    origin,
+    'access-control-request-method': method,
+    ...(headers && { 'access-control-request-headers': headers })
+  }
+});
+
+test('matches exact origins and wildcard subdomains', () => {
+  assert.equal(isOriginAllowed(policy, 'https://app.example.com'), true);
+  assert.equal(isOriginAllowed(policy, 'https://staging.red-oak.dev'), true);
+  assert.equal(isOriginAllowed(policy, 'https://a.b.red-oak.dev'), true);
+
+  assert.equal(isOriginAllowed(policy, 'https://red-oak.dev'), false);
+  assert.equal(isOriginAllowed(policy, 'https://evilred-oak.dev'), false);
+  assert.equal(isOriginAllowed(policy, 'http://staging.red-oak.dev'), false);
+  assert.equal(isOriginAllowed(policy, 'https://app.example.com.evil.io'), false);
+  assert.equal(isOriginAllowed(policy, undefined), false);
+});
+
+test('rejects invalid configuration', () => {
+  assert.throws(() => loadCorsPolicy({ CORS_ALLOW_CREDENTIALS: 'true' }), { code: 'CONFIG_ERROR' });
+  assert.throws(() => loadCorsPolicy({ CORS_ALLOWED_ORIGINS: 'example.com' }), { code: 'CONFIG_ERROR' });
+  assert.throws(() => loadCorsPolicy({ CORS_MAX_AGE: '-1' }), { code: 'CONFIG_ERROR' });
+});
+
+test('echoes an allowed origin with Vary and credentials', () => {
+  const res = mockResponse();
+  applyCorsHeaders({ headers: { origin: 'https://app.example.com' } }, res, policy);
+
+  assert.equal(res.headers['Access-Control-Allow-Origin'], 'https://app.example.com');
+  assert.equal(res.headers['Access-Control-Allow-Credentials'], 'true');
+  assert.equal(res.headers.Vary, 'Origin');
+  assert.match(res.headers['Access-Control-Expose-Headers'], /^ETag, X-Cache, RateLimit-Limit/);
+});
+
+test('sends no allow headers for a disallowed origin', () => {
+  const res = mockResponse();
+  applyCorsHeaders({ headers: { origin: 'https://evil.io' } }, res, policy);
+
+  assert.equal(res.headers['Access-Control-Allow-Origin'], undefined);
+  assert.equal(res.headers['Access-Control-Allow-Credentials'], undefined);
+  assert.equal(res.headers.Vary, 'Origin');
+});
+
+test('uses a literal * for the default open policy', () => {
+  const res = mockResponse();
+  applyCorsHeaders({ headers: { origin: 'https://anywhere.io' } }, res, loadCorsPolicy({}));
+
+  assert.equal(res.headers['Access-Control-Allow-Origin'], '*');
+  assert.equal(res.headers['Access-Control-Allow-Credentials'], undefined);
+  assert.match(res.headers['Access-Control-Expose-Headers'], /X-Next-Cursor, X-Partial-Result/);
+});
+
+test('answers preflights for methods enabled on the route', () => {
+  const res = mockResponse();
+  handlePreflight(preflight('https://app.example.com', 'PATCH', 'content-type, authorization'), res, policy, ['GET', 'PATCH']);
+
+  assert.equal(res.headers['Access-Control-Allow-Origin'], 'https://app.example.com');
+  assert.equal(res.headers['Access-Control-Allow-Methods'], 'GET, PATCH, OPTIONS');
+  assert.equal(res.headers['Access-Control-Max-Age'], '600');
+  assert.equal(res.headers['Access-Control-Allow-Credentials'], 'true');
+});
+
+test('allows the request ID header by default', () => {
+  const res = mockResponse();
+  handlePreflight(preflight('https://anywhere.io', 'GET', 'x-request-id, if-none-match'), res, loadCorsPolicy({}), ['GET']);
+
+  assert.match(res.headers['Access-Control-Allow-Headers'], /X-Request-Id/);
+});
+
+test('rejects preflights for disallowed origins, methods and headers', () => {
+  const rejects = req => assert.throws(() => handlePreflight(req, mockResponse(), policy, ['GET']), CorsError);
+
+  rejects(preflight('https://evil.io', 'GET'));
+  rejects(preflight('https://app.example.com', 'DELETE'));
+  rejects(preflight('https://app.example.com', 'GET', 'X-Custom'));
+  rejects(preflight('https://app.example.com', undefined));
+});
+
+test('only allows route methods that the policy also allows', () => {
+  const readOnly = loadCorsPolicy({ CORS_ALLOWED_METHODS: 'GET' });
+
+  assert.deepEqual(allowedMethods(readOnly, ['GET', 'POST', 'PATCH', 'DELETE']), ['GET']);
+  assert.deepEqual(allowedMethods(policy, []), []);
+});
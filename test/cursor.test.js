@@ -0,0 +1,95 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockAirtable, loadFixtureTables } from '../mock/airtable-server.js';
+import { createAirtableHandler } from '../lib/handler.js';
+import { encodeCursor, decodeCursor, hashQuery, CursorError } from '../lib/cursor.js';
+import { mockHandlerOptions } from './helpers.js';
+
+const mock = createMockAirtable({ tables: await loadFixtureTables(), maxPageSize: 2, rateLimit: false });
+await mock.listen();
+
+after(() => mock.close());
+
+const SECRET = 'cursor-secret';
+const handle = createAirtableHandler(mockHandlerOptions(mock, {
+  tables: { tasks: { tableId: 'tblDrUWfwkwMQM9yR' }, urgent: { tableId: 'tblDrUWfwkwMQM9yR', view: 'High priority' } },
+  cache: { ttlSeconds: 0, staleSeconds: 0 },
+  retry: { maxRetries: 0 },
+  cursorSecret: SECRET
+}));
+
+const get = async path => {
+  const response = await handle(new Request(`https://proxy.test${path}`));
+  return { status: response.status, body: await response.json() };
+};
+
+const expected = { table: 'tasks', queryHash: 'hash' };
+
+test('round-trips the offset of a signed cursor', () => {
+  const cursor = encodeCursor({ ...expected, offset: 'itr1/rec1' }, SECRET);
+
+  assert.match(cursor, /^[\w-]+\.[\w-]+$/);
+  assert.equal(decodeCursor(cursor, SECRET, expected), 'itr1/rec1');
+});
+
+test('rejects tampered, forged and malformed cursors', () => {
+  const cursor = encodeCursor({ ...expected, offset: 'itr1/rec1' }, SECRET);
+  const [payload, signature] = cursor.split('.');
+  const forgedPayload = Buffer.from(JSON.stringify({ t: 'tasks', q: 'hash', o: 'itr9/rec9' })).toString('base64url');
+
+  const rejects = (value, pattern) => assert.throws(() => decodeCursor(value, SECRET, expected), error =>
+    error instanceof CursorError && error.code === 'INVALID_CURSOR' && pattern.test(error.message)
+  );
+
+  rejects(`${forgedPayload}.${signature}`, /Invalid cursor signature/);
+  rejects(`${payload}.${signature.slice(0, -2)}`, /Invalid cursor signature/);
+  rejects(encodeCursor({ ...expected, offset: 'itr1/rec1' }, 'another-secret'), /Invalid cursor signature/);
+  rejects(payload, /Malformed cursor/);
+  rejects(`${cursor}.extra`, /Malformed cursor/);
+  rejects(`${Buffer.from('not json').toString('base64url')}.${signature}`, /Invalid cursor signature/);
+});
+
+test('binds cursors to their table and query', () => {
+  const cursor = encodeCursor({ ...expected, offset: 'itr1/rec1' }, SECRET);
+
+  assert.throws(() => decodeCursor(cursor, SECRET, { ...expected, table: 'people' }), /different table/);
+  assert.throws(() => decodeCursor(cursor, SECRET, { ...expected, queryHash: 'other' }), /different filter, sort or field selection/);
+
+  const base = { tableId: 'tbl1', view: null, filterFormula: null, sort: [], fields: [] };
+  assert.equal(hashQuery(base), hashQuery({ ...base, pageSize: 10, shape: 'flat' }));
+  assert.notEqual(hashQuery(base), hashQuery({ ...base, fields: ['Name'] }));
+  assert.notEqual(hashQuery(base), hashQuery({ ...base, sort: [{ field: 'Name', direction: 'desc' }] }));
+  assert.notEqual(hashQuery(base), hashQuery({ ...base, view: 'Open' }));
+});
+
+test('rejects cursors reused with another table or query', async () => {
+  const first = await get('/api/airtable/tasks?pageSize=2&status=!Done');
+  const cursor = encodeURIComponent(first.body.nextCursor);
+
+  assert.equal(first.status, 200);
+  assert.equal(first.body.hasMore, true);
+  assert.equal((await get(`/api/airtable/tasks?pageSize=2&status=!Done&cursor=${cursor}`)).status, 200);
+
+  const otherQuery = await get(`/api/airtable/tasks?pageSize=2&status=Todo&cursor=${cursor}`);
+  assert.equal(otherQuery.status, 400);
+  assert.equal(otherQuery.body.code, 'INVALID_CURSOR');
+
+  const otherTable = await get(`/api/airtable/urgent?pageSize=2&status=!Done&cursor=${cursor}`);
+  assert.equal(otherTable.status, 400);
+  assert.match(otherTable.body.message, /different table/);
+
+  const tampered = await get(`/api/airtable/tasks?pageSize=2&status=!Done&cursor=${cursor.slice(0, -3)}`);
+  assert.equal(tampered.body.code, 'INVALID_CURSOR');
+});
+
+test('reports an offset Airtable no longer knows', async () => {
+  // Correctly signed, but Airtable has dropped (or never issued) the offset, e.g. after it expired
+  const queryHash = hashQuery({ tableId: 'tblDrUWfwkwMQM9yR', filterFormula: null, sort: [], fields: [] });
+  const cursor = encodeCursor({ table: 'tasks', queryHash, offset: 'itr00000000000999/recExpired' }, SECRET);
+
+  const { status, body } = await get(`/api/airtable/tasks?pageSize=2&cursor=${encodeURIComponent(cursor)}`);
+
+  assert.equal(status, 422);
+  assert.equal(body.code, 'AIRTABLE_INVALID_REQUEST');
+  assert.equal(body.upstream.type, 'LIST_RECORDS_ITERATOR_NOT_AVAILABLE');
+});
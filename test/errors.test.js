@@ -0,0 +1,113 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockAirtable, loadFixtureTables } from '../mock/airtable-server.js';
+import { createAirtableHandler } from '../lib/handler.js';
+import { ApiError, AirtableError, ERROR_CODES, parseAirtableErrorBody, toErrorResponse } from '../lib/errors.js';
+import { mockHandlerOptions } from './helpers.js';
+
+const mock = createMockAirtable({ tables: await loadFixtureTables(), rateLimit: false });
+await mock.listen();
+
+after(() => mock.close());
+
+test('maps upstream statuses to stable codes', () => {
+  const cases = [
+    [400, 'AIRTABLE_BAD_REQUEST', 400],
+    [401, 'AIRTABLE_UNAUTHORIZED', 401],
+    [403, 'AIRTABLE_FORBIDDEN', 403],
+    [404, 'AIRTABLE_NOT_FOUND', 404],
+    [422, 'AIRTABLE_INVALID_REQUEST', 422],
+    [429, 'AIRTABLE_RATE_LIMITED', 429],
+    [500, 'AIRTABLE_UNAVAILABLE', 502],
+    [503, 'AIRTABLE_UNAVAILABLE', 502],
+    [0, 'AIRTABLE_UNREACHABLE', 502],
+    [418, 'AIRTABLE_ERROR', 502]
+  ];
+
+  for (const [status, code, statusCode] of cases) {
+    const response = toErrorResponse(new AirtableError({ status, type: 'SOME_TYPE', message: 'details', page: 3, attempts: 2 }));
+
+    assert.equal(response.statusCode, statusCode, `upstream ${status}`);
+    assert.equal(response.body.code, code, `upstream ${status}`);
+    assert.equal(response.body.error, ERROR_CODES[code].error);
+  }
+});
+
+test('classifies by status, never by digits in the message', () => {
+  const error = new AirtableError({ status: 503, type: null, message: 'Record "Order 404 / 429 units" is locked', page: 1 });
+  const { statusCode, body } = toErrorResponse(error);
+
+  assert.equal(statusCode, 502);
+  assert.equal(body.code, 'AIRTABLE_UNAVAILABLE');
+  assert.deepEqual(body.upstream, { status: 503, type: null, message: 'Record "Order 404 / 429 units" is locked' });
+});
+
+test('reports the page or write batch and the attempts made', () => {
+  const read = toErrorResponse(new AirtableError({ status: 403, type: 'INVALID_PERMISSIONS_OR_MODEL_NOT_FOUND', page: 4, attempts: 1 }));
+  assert.deepEqual(read.body, {
+    success: false,
+    error: 'Permission denied',
+    code: 'AIRTABLE_FORBIDDEN',
+    message: 'Airtable API error (403) on page 4 after 1 attempt(s): INVALID_PERMISSIONS_OR_MODEL_NOT_FOUND',
+    upstream: { status: 403, type: 'INVALID_PERMISSIONS_OR_MODEL_NOT_FOUND', message: null },
+    page: 4,
+    attempts: 1
+  });
+
+  const write = toErrorResponse(new AirtableError({ status: 422, type: 'INVALID_VALUE_FOR_COLUMN', batch: 2 }));
+  assert.equal(write.body.batch, 2);
+  assert.equal(write.body.page, undefined);
+  assert.match(write.body.message, /on batch 2/);
+});
+
+test('uses the status of proxy errors and answers unexpected ones with a 500', () => {
+  for (const [code, { status }] of Object.entries(ERROR_CODES)) {
+    if (code.startsWith('AIRTABLE_')) continue;
+
+    const { statusCode, body } = toErrorResponse(new ApiError(code, 'message', { extra: 1 }));
+    assert.equal(statusCode, status, code);
+    assert.equal(body.code, code);
+    assert.equal(body.extra, 1);
+  }
+
+  const unexpected = toErrorResponse(new TypeError('x is undefined'));
+  assert.equal(unexpected.statusCode, 500);
+  assert.equal(unexpected.body.code, 'INTERNAL_ERROR');
+});
+
+test('parses both shapes of Airtable error bodies', () => {
+  assert.deepEqual(parseAirtableErrorBody('{"error":{"type":"INVALID_REQUEST_UNKNOWN","message":"Bad"}}'), { type: 'INVALID_REQUEST_UNKNOWN', message: 'Bad' });
+  assert.deepEqual(parseAirtableErrorBody('{"error":"NOT_FOUND"}'), { type: 'NOT_FOUND', message: null });
+  assert.deepEqual(parseAirtableErrorBody('<html>Bad gateway</html>'), { type: null, message: '<html>Bad gateway</html>' });
+  assert.deepEqual(parseAirtableErrorBody(''), { type: null, message: null });
+});
+
+test('answers with the mapped status and the upstream error type', async () => {
+  const handle = createAirtableHandler(mockHandlerOptions(mock, {
+    tables: { tasks: { tableId: 'tblDrUWfwkwMQM9yR' }, missing: { tableId: 'tblMissing0000001' } },
+    cache: { ttlSeconds: 0, staleSeconds: 0 },
+    retry: { maxRetries: 0 }
+  }));
+  const get = async path => {
+    const response = await handle(new Request(`https://proxy.test${path}`));
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  };
+
+  const missing = await get('/api/airtable/missing');
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.code, 'AIRTABLE_NOT_FOUND');
+  assert.equal(missing.body.upstream.status, 404);
+
+  mock.failNext(401, { type: 'AUTHENTICATION_REQUIRED' });
+  const unauthorized = await get('/api/airtable/tasks');
+  assert.equal(unauthorized.status, 401);
+  assert.equal(unauthorized.body.code, 'AIRTABLE_UNAUTHORIZED');
+  assert.equal(unauthorized.body.upstream.type, 'AUTHENTICATION_REQUIRED');
+  assert.equal(unauthorized.headers.get('www-authenticate'), null); // The proxy's key, not the caller's
+
+  mock.failNext(503);
+  const unavailable = await get('/api/airtable/tasks');
+  assert.equal(unavailable.status, 502);
+  assert.equal(unavailable.body.code, 'AIRTABLE_UNAVAILABLE');
+  assert.equal(unavailable.body.page, 1);
+});
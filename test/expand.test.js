@@ -0,0 +1,164 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockAirtable, loadFixtureTables } from '../mock/airtable-server.js';
+import { createAirtableHandler } from '../lib/handler.js';
+import { buildTables, findLinkingTables } from '../lib/tables.js';
+import { parseExpand, buildRecordIdFormulas } from '../lib/expand.js';
+import { QueryValidationError } from '../lib/query.js';
+import { mockHandlerOptions } from './helpers.js';
+
+// The fixture people get a Tasks field linking back to the tasks they own
+const fixtures = await loadFixtureTables();
+const people = fixtures.find(table => table.name === 'People');
+const tasks = fixtures.find(table => table.id === 'tblDrUWfwkwMQM9yR');
+
+people.fields.push('Tasks');
+for (const person of people.records) {
+  person.fields.Tasks = tasks.records.filter(task => task.fields.Owner?.includes(person.id)).map(task => task.id);
+}
+
+const mock = createMockAirtable({ tables: fixtures, maxPageSize: 2, rateLimit: false });
+await mock.listen();
+
+after(() => mock.close());
+
+const TABLES = {
+  tasks: {
+    tableId: 'tblDrUWfwkwMQM9yR',
+    links: { Owner: { table: 'people', fields: ['Name', 'Team', 'Tasks'] } }
+  },
+  people: {
+    tableId: 'People',
+    fields: ['Name', 'Email', 'Team', 'Tasks'],
+    links: { Tasks: 'tasks' },
+    mapping: { Name: 'name', Team: { as: 'team', type: 'select' }, Tasks: { as: 'tasks', type: 'links' } }
+  }
+};
+
+const options = overrides => mockHandlerOptions(mock, { tables: TABLES, ...overrides });
+
+const get = async (handle, path) => {
+  const response = await handle(new Request(`https://proxy.test${path}`));
+  return { status: response.status, body: await response.json() };
+};
+
+test('validates links in the table configuration', () => {
+  const tables = buildTables(TABLES);
+  assert.deepEqual(tables.get('people').links, { Tasks: { table: 'tasks', fields: null } });
+
+  const invalid = (links, pattern, extra = {}) => assert.throws(
+    () => buildTables({ tasks: { tableId: 'tbl1', links, ...extra }, people: { tableId: 'tbl2', fields: ['Name'] } }),
+    pattern
+  );
+
+  invalid({ Owner: 'nope' }, /links "Owner" to "nope", which is not a configured table/);
+  invalid({ Owner: { table: 'people', fields: ['Email'] } }, /selects fields "people" does not expose: Email/);
+  invalid({ Owner: { fields: ['Name'] } }, /invalid link "Owner"/);
+  invalid({ Owner: 'people' }, /not one of its fields/, { fields: ['Name'] });
+  invalid({ Owner: 'people' }, /which its mapping hides/, { mapping: { Owner: false } });
+});
+
+test('finds the tables whose expansions can include a table', () => {
+  const tables = buildTables({
+    teams: { tableId: 'tbl1' },
+    people: { tableId: 'tbl2', links: { Team: 'teams' } },
+    tasks: { tableId: 'tbl3', links: { Owner: 'people', Reviewer: 'people' } },
+    notes: { tableId: 'tbl4', links: { Task: 'tasks', Parent: 'notes' } },
+    tags: { tableId: 'tbl5' }
+  });
+
+  assert.deepEqual(findLinkingTables('teams', tables).sort(), ['notes', 'people', 'tasks']);
+  assert.deepEqual(findLinkingTables('tasks', tables), ['notes']);
+  assert.deepEqual(findLinkingTables('notes', tables), []);
+  assert.deepEqual(findLinkingTables('tags', tables), []);
+});
+
+test('parses expand paths into a tree', () => {
+  const tables = buildTables(TABLES);
+  const expand = parseExpand('Owner, Owner.Tasks', tables.get('tasks'), tables, 2);
+
+  assert.deepEqual(expand.paths, ['Owner', 'Owner.Tasks']);
+  assert.equal(expand.nodes.length, 1);
+  assert.equal(expand.nodes[0].table.slug, 'people');
+  assert.deepEqual(expand.nodes[0].fields, ['Name', 'Team', 'Tasks']);
+  assert.equal(expand.nodes[0].children[0].table.slug, 'tasks');
+  assert.equal(parseExpand(undefined, tables.get('tasks'), tables, 2), null);
+
+  assert.throws(() => parseExpand('Owner.Tasks.Owner', tables.get('tasks'), tables, 2), /3 levels deep; at most 2/);
+  assert.throws(() => parseExpand('Tags', tables.get('tasks'), tables, 2), /not an expandable field of tasks. Expandable: Owner/);
+  assert.throws(() => parseExpand('Owner.Team', tables.get('tasks'), tables, 2), QueryValidationError);
+});
+
+test('chunks RECORD_ID() filters to the URL budget', () => {
+  const ids = Array.from({ length: 10 }, (_, index) => `rec${String(index).padStart(14, '0')}`);
+  const formulas = buildRecordIdFormulas(ids, 200);
+
+  assert.ok(formulas.length > 1);
+  assert.ok(formulas.every(formula => encodeURIComponent(formula).length <= 200));
+  assert.deepEqual(formulas.flatMap(formula => formula.match(/rec\d+/g)), ids);
+  assert.deepEqual(buildRecordIdFormulas(['recA']), ['RECORD_ID()="recA"']);
+});
+
+test('inlines the selected fields of linked records', async () => {
+  const handle = createAirtableHandler(options());
+  mock.requests.length = 0;
+
+  const { status, body } = await get(handle, '/api/airtable/tasks?expand=Owner&fields=Name');
+  const fix = body.records.find(record => record.fields.Name === 'Fix login bug');
+  const unowned = body.records.find(record => !record.fields.Owner);
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.expand, ['Owner']);
+  assert.deepEqual(body.fields, ['Name', 'Owner']);
+  assert.deepEqual(fix.fields.Owner, [
+    { id: 'recPerson000000001', createdTime: '2024-03-01T09:00:00.000Z', fields: { Name: 'Ada Lovelace', Team: 'Engineering', Tasks: fix.fields.Owner[0].fields.Tasks } }
+  ]);
+  assert.ok(unowned);
+
+  // Both owners come back in a single RECORD_ID() request with only the selected fields
+  const lookups = mock.requests.filter(request => request.path.endsWith('/People'));
+  assert.equal(lookups.length, 1);
+  assert.match(lookups[0].params.get('filterByFormula'), /^OR\(RECORD_ID\(\)="recPerson000000001",RECORD_ID\(\)="recPerson000000002"\)$/);
+  assert.deepEqual(lookups[0].params.getAll('fields[]'), ['Name', 'Team', 'Tasks']);
+
+  // A separate cache entry from the plain listing
+  const plain = await get(handle, '/api/airtable/tasks?fields=Name');
+  assert.equal(plain.body.records[0].fields.Owner, undefined);
+});
+
+test('expands nested links without inlining a record in itself', async () => {
+  const handle = createAirtableHandler(options());
+  const { body } = await get(handle, '/api/airtable/tasks?expand=Owner.Tasks&shape=raw');
+
+  const task = body.records.find(record => record.fields.Owner?.[0]?.id === 'recPerson000000001');
+  const owned = task.fields.Owner[0].fields.Tasks;
+
+  assert.ok(owned.length >= 2);
+  assert.deepEqual(owned.find(item => item.id === task.id), { id: task.id }); // The cycle back to the task
+  assert.ok(owned.filter(item => item.id !== task.id).every(item => typeof item.fields.Name === 'string'));
+});
+
+test('uses the linked table mapping for flat records', async () => {
+  const handle = createAirtableHandler(options());
+  const { body } = await get(handle, '/api/airtable/people?expand=Tasks');
+
+  const ada = body.records.find(record => record.name === 'Ada Lovelace');
+  assert.equal(ada.team, 'Engineering');
+  assert.equal(ada.Tasks, undefined);
+  assert.ok(ada.tasks.length >= 2);
+  assert.ok(ada.tasks.every(task => task.id.startsWith('rec') && typeof task.Name === 'string'));
+});
+
+test('rejects expansions the table does not configure', async () => {
+  const handle = createAirtableHandler(options({ expandDepth: 1 }));
+
+  const nested = await get(handle, '/api/airtable/tasks?expand=Owner.Tasks');
+  assert.equal(nested.status, 400);
+  assert.match(nested.body.message, /at most 1/);
+
+  const stream = await get(handle, '/api/airtable/tasks?expand=Owner&stream=true');
+  assert.equal(stream.status, 400);
+  assert.match(stream.body.message, /expand cannot be combined with stream/);
+
+  assert.equal((await get(handle, '/api/airtable/tasks?expand=Notes')).status, 400);
+});
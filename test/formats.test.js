@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { negotiateFormat, parseColumns, toCsv, toNdjson, contentDisposition, formatETag } from '../lib/formats.js';
+
+const records = [
+  {
+    id: 'rec1',
+    createdTime: '2024-01-01T00:00:00.000Z',
+    fields: { Name: 'Plain', Tags: ['a', 'b'], Files: [{ url: 'https://x/1.png', filename: '1.png' }] }
+  },
+  {
+    id: 'rec2',
+    createdTime: '2024-01-02T00:00:00.000Z',
+    fields: { Name: 'Has "quotes", commas\nand newlines', Estimate: 3, Formula: '=HYPERLINK("x")' }
+  }
+];
+
+test('prefers ?format= over the Accept header', () => {
+  assert.equal(negotiateFormat('csv', 'application/json'), 'csv');
+  assert.equal(negotiateFormat(undefined, undefined), 'json');
+  assert.throws(() => negotiateFormat('xml', undefined), { code: 'INVALID_QUERY' });
+});
+
+test('negotiates from Accept with q-values', () => {
+  assert.equal(negotiateFormat(undefined, 'text/csv'), 'csv');
+  assert.equal(negotiateFormat(undefined, 'application/x-ndjson'), 'ndjson');
+  assert.equal(negotiateFormat(undefined, 'text/csv;q=0.5, application/x-ndjson'), 'ndjson');
+  assert.equal(negotiateFormat(undefined, 'text/html, */*;q=0.8'), 'json');
+  assert.equal(negotiateFormat(undefined, 'application/json;q=0, text/csv;q=0.1'), 'csv');
+  assert.throws(() => negotiateFormat(undefined, 'text/html, image/png'), { code: 'NOT_ACCEPTABLE' });
+});
+
+test('writes CSV with the union of fields and RFC 4180 quoting', () => {
+  assert.equal(
+    toCsv(records),
+    'id,createdTime,Name,Tags,Files,Estimate,Formula\r\n'
+      + 'rec1,2024-01-01T00:00:00.000Z,Plain,a; b,https://x/1.png,,\r\n'
+      + 'rec2,2024-01-02T00:00:00.000Z,"Has ""quotes"", commas\nand newlines",,,3,"\'=HYPERLINK(""x"")"\r\n'
+  );
+});
+
+test('orders and selects CSV columns with ?columns=', () => {
+  const columns = parseColumns('Estimate,Name,Missing');
+
+  assert.equal(toCsv(records, columns), 'Estimate,Name,Missing\r\n,Plain,\r\n3,"Has ""quotes"", commas\nand newlines",\r\n');
+  assert.equal(parseColumns(undefined), null);
+  assert.throws(() => parseColumns('{bad}'), { code: 'INVALID_QUERY' });
+});
+
+test('writes CSV for flat records', () => {
+  const flat = [{ id: 'rec1', createdTime: 't', name: 'A', done: false, files: [{ url: 'u', thumbnail: 't' }] }];
+  assert.equal(toCsv(flat), 'id,createdTime,name,done,files\r\nrec1,t,A,false,u\r\n');
+});
+
+test('writes one JSON record per NDJSON line', () => {
+  const lines = toNdjson(records).split('\n');
+
+  assert.equal(lines.length, 3);
+  assert.equal(lines[2], '');
+  assert.deepEqual(JSON.parse(lines[1]), records[1]);
+  assert.equal(toNdjson([]), '');
+});
+
+test('names exports after the table and separates ETags per format', () => {
+  assert.equal(contentDisposition('csv', 'tasks'), 'attachment; filename="tasks.csv"');
+  assert.equal(contentDisposition('json', 'tasks'), 'inline; filename="tasks.json"');
+  assert.equal(formatETag('"abc"', 'json'), '"abc"');
+  assert.equal(formatETag('"abc"', 'ndjson'), '"abc.ndjson"');
+});
@@ -0,0 +1,140 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockAirtable, loadFixtureTables, MOCK_API_KEY, MOCK_BASE_ID } from '../mock/airtable-server.js';
+import { createAirtableHandler, createEnvHandler } from '../lib/handler.js';
+import { parseServiceRoute } from '../lib/tables.js';
+import { mockHandlerOptions } from './helpers.js';
+
+// Health, readiness and metrics endpoints, run through the core against the mock Airtable.
+
+const mock = createMockAirtable({ tables: await loadFixtureTables(), maxPageSize: 2, rateLimit: false });
+await mock.listen();
+
+after(() => mock.close());
+
+const options = overrides => mockHandlerOptions(mock, {
+  tables: { tasks: { tableId: 'tblDrUWfwkwMQM9yR' }, people: { tableId: 'People' } },
+  auth: { apiKeys: [{ id: 'app', digest: 'unused', tables: ['*'], methods: ['GET'] }] },
+  retry: { maxRetries: 2, baseDelayMs: 1 },
+  ...overrides
+});
+
+const get = (handle, path) => handle(new Request(`https://proxy.test${path}`));
+
+test('recognizes the service routes', () => {
+  assert.equal(parseServiceRoute('/api/health'), 'health');
+  assert.equal(parseServiceRoute('https://proxy.test/api/health/ready/'), 'ready');
+  assert.equal(parseServiceRoute('/api/metrics?x=1'), 'metrics');
+  assert.equal(parseServiceRoute('/api/airtable/health'), null);
+});
+
+test('reports a valid configuration without credentials or Airtable calls', async () => {
+  const handle = createAirtableHandler(options());
+  mock.requests.length = 0;
+
+  const response = await get(handle, '/api/health');
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('cache-control'), 'no-store');
+  assert.deepEqual(body.checks, { config: { ok: true } });
+  assert.equal(body.tables, undefined); // Public, so the allowlist stays private
+  assert.equal(typeof body.uptimeSeconds, 'number');
+
+  // Readiness without the Airtable check is the same
+  assert.equal((await get(handle, '/api/health/ready')).status, 200);
+  assert.equal(mock.requests.length, 0);
+
+  const post = await handle(new Request('https://proxy.test/api/health', { method: 'POST' }));
+  assert.equal(post.status, 405);
+});
+
+test('pings Airtable once for readiness when enabled', async () => {
+  mock.requests.length = 0;
+  const ready = await get(createAirtableHandler(options({ health: { checkAirtable: true } })), '/api/health/ready');
+  const body = await ready.json();
+
+  assert.equal(ready.status, 200);
+  assert.equal(body.checks.airtable.ok, true);
+  assert.equal(mock.requests.length, 1);
+  assert.equal(mock.requests[0].params.get('pageSize'), '1');
+
+  // A failure is reported as 503 and not retried
+  mock.requests.length = 0;
+  mock.failNext(503);
+  const failing = await get(createAirtableHandler(options({ health: { checkAirtable: true } })), '/api/health/ready');
+  const failure = await failing.json();
+
+  assert.equal(failing.status, 503);
+  assert.equal(failure.code, 'NOT_READY');
+  assert.equal(failure.checks.airtable.ok, false);
+  assert.equal(failure.checks.airtable.code, 'AIRTABLE_UNAVAILABLE');
+  assert.equal(mock.requests.length, 1);
+
+  const revoked = await get(createAirtableHandler(options({ apiKey: 'patRevokedKey.00000', health: { checkAirtable: true } })), '/api/health/ready');
+  assert.equal((await revoked.json()).checks.airtable.code, 'AIRTABLE_UNAUTHORIZED');
+});
+
+test('reuses the Airtable check for frequent readiness probes', async () => {
+  const handle = createAirtableHandler(options({ health: { checkAirtable: true } }));
+  mock.requests.length = 0;
+
+  const probes = await Promise.all([1, 2, 3].map(() => get(handle, '/api/health/ready')));
+  assert.deepEqual(probes.map(probe => probe.status), [200, 200, 200]);
+  assert.equal((await get(handle, '/api/health/ready')).status, 200);
+
+  assert.equal(mock.requests.length, 1);
+});
+
+test('reports an invalid environment configuration as not ready', async t => {
+  t.mock.method(console, 'error', () => {});
+  const handle = createEnvHandler();
+  const env = { AIRTABLE_API_KEY: MOCK_API_KEY };
+
+  const health = await handle(new Request('https://proxy.test/api/health'), { env });
+  const body = await health.json();
+
+  assert.equal(health.status, 503);
+  assert.equal(body.code, 'NOT_READY');
+  assert.deepEqual(body.checks.config, {
+    ok: false,
+    code: 'CONFIG_ERROR',
+    message: 'AIRTABLE_BASE_ID environment variable is not set'
+  });
+
+  const records = await handle(new Request('https://proxy.test/api/airtable'), { env });
+  assert.equal(records.status, 500);
+  assert.equal((await records.json()).code, 'CONFIG_ERROR');
+});
+
+test('exposes request, page, upstream, cache and error metrics', async () => {
+  const handle = createAirtableHandler(options({ auth: { disabled: true } }));
+
+  mock.failNext(503);
+  assert.equal((await get(handle, '/api/airtable/tasks')).status, 200); // 4 pages, one retried
+  assert.equal((await get(handle, '/api/airtable/tasks')).status, 200); // Cache hit, no pages
+  assert.equal((await get(handle, '/api/airtable/nope')).status, 404);
+
+  const response = await get(handle, '/api/metrics');
+  const text = await response.text();
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'text/plain; version=0.0.4; charset=utf-8');
+
+  const value = series => {
+    const line = text.split('\n').find(candidate => candidate.startsWith(`${series} `));
+    return line ? Number(line.slice(series.length + 1)) : undefined;
+  };
+
+  assert.equal(value('airtable_proxy_requests_total{route="records",method="GET",status="200"}'), 2);
+  assert.equal(value('airtable_proxy_requests_total{route="records",method="GET",status="404"}'), 1);
+  assert.equal(value('airtable_proxy_upstream_requests_total{method="GET",status="503"}'), 1);
+  assert.equal(value('airtable_proxy_upstream_requests_total{method="GET",status="200"}'), 4);
+  assert.equal(value('airtable_proxy_upstream_duration_seconds_count{method="GET"}'), 5);
+  assert.equal(value('airtable_proxy_upstream_pages_per_request_sum{route="records"}'), 4);
+  assert.equal(value('airtable_proxy_upstream_pages_per_request_bucket{route="records",le="0"}'), 2); // The hit and the 404
+  assert.equal(value('airtable_proxy_cache_lookups_total{result="MISS"}'), 1);
+  assert.equal(value('airtable_proxy_cache_lookups_total{result="HIT"}'), 1);
+  assert.equal(value('airtable_proxy_errors_total{code="TABLE_NOT_FOUND"}'), 1);
+  assert.equal(value('airtable_proxy_request_duration_seconds_count{route="records"}'), 3);
+});
@@ -0,0 +1,31 @@
+/**
+ * Test Helpers
+ *
+ * Shared by the test files: a logger that drops everything, and the handler
+ * options for a mock Airtable that each file adjusts to what it tests.
+ */
+
+import { MOCK_API_KEY, MOCK_BASE_ID } from '../mock/airtable-server.js';
+
+export const quietLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Builds createAirtableHandler options pointed at a mock Airtable
+ * Authentication is off, reads are cached for 30s without a stale window and
+ * the throttle never holds a test back.
+ * @param {Object} mock - Listening mock Airtable (see mock/airtable-server.js)
+ * @param {Object} overrides - Options to add or replace (e.g. tables)
+ * @returns {Object} Handler options
+ */
+export function mockHandlerOptions(mock, overrides = {}) {
+  return {
+    apiUrl: mock.url,
+    apiKey: MOCK_API_KEY,
+    baseId: MOCK_BASE_ID,
+    auth: { disabled: true },
+    cache: { ttlSeconds: 30, staleSeconds: 0 },
+    requestsPerSecond: 1000,
+    logger: quietLogger,
+    ...overrides
+  };
+}
@@ -0,0 +1,310 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockAirtable, loadFixtureTables, MOCK_API_KEY, MOCK_BASE_ID } from '../mock/airtable-server.js';
+import { mockHandlerOptions } from './helpers.js';
+
+// Runs the real handlers against the mock Airtable (mock/airtable-server.js).
+// The default handlers read their configuration from the environment on first
+// use, so the environment is set up before they are called.
+
+const mock = createMockAirtable({ tables: await loadFixtureTables(), maxPageSize: 2, rateLimit: false });
+await mock.listen();
+
+Object.assign(process.env, {
+  AIRTABLE_API_URL: mock.url,
+  AIRTABLE_API_KEY: MOCK_API_KEY,
+  AIRTABLE_BASE_ID: MOCK_BASE_ID,
+  AIRTABLE_TABLES: JSON.stringify({
+    tasks: { tableId: 'tblDrUWfwkwMQM9yR', filterFormula: "NOT({Status}='Done')", sort: [{ field: 'Name', direction: 'asc' }] },
+    people: { tableId: 'People', fields: ['Name', 'Email'] },
+    urgent: { tableId: 'tblDrUWfwkwMQM9yR', view: 'High priority' },
+    ghost: { tableId: 'tblGhost000000001' },
+    broken: { tableId: 'tblDrUWfwkwMQM9yR', filterFormula: 'NOPE({Status})' }
+  }),
+  AIRTABLE_MAX_RETRIES: '3',
+  AIRTABLE_RETRY_BASE_DELAY_MS: '100',
+  AIRTABLE_REQUESTS_PER_SECOND: '50',
+  CACHE_TTL_SECONDS: '0',
+  CACHE_STALE_SECONDS: '0',
+  PROXY_AUTH_DISABLED: 'true',
+  RATE_LIMITS: JSON.stringify({ default: { limit: 1000, windowSeconds: 60 } })
+});
+
+const { default: handler } = await import('../api/airtable.js');
+const { handler: netlifyHandler } = await import('../serverless-airtable.js');
+const { createAirtableHandler } = await import('../lib/handler.js');
+const { createNodeHandler } = await import('../lib/adapters/node.js');
+
+/**
+ * Server response that records status, headers and body
+ * JSON bodies are parsed; anything else is kept as text.
+ */
+function mockResponse() {
+  const chunks = [];
+
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    destroyed: false,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    write(chunk) {
+      chunks.push(Buffer.from(chunk));
+      return true;
+    },
+    end(chunk) {
+      if (chunk) chunks.push(Buffer.from(chunk));
+      const text = Buffer.concat(chunks).toString('utf8');
+      this.body = /json/.test(this.headers['content-type']) && text ? JSON.parse(text) : text;
+      return this;
+    },
+    once() {},
+    off() {}
+  };
+}
+
+/**
+ * Sends a GET through a (req, res) handler
+ */
+async function get(url, { headers = {}, using = handler } = {}) {
+  const res = mockResponse();
+  await using({ method: 'GET', url, headers: { host: 'proxy.test', ...headers } }, res);
+  return res;
+}
+
+const names = res => res.body.records.map(record => record.fields.Name);
+const upstreamStatuses = () => mock.requests.map(request => request.status);
+
+beforeEach(() => {
+  mock.requests.length = 0;
+});
+
+after(() => mock.close());
+
+test('walks every page of the default table with its filter and sort', async () => {
+  const res = await get('/api/airtable');
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(names(res), ['Book venue', 'Customer interviews', 'Draft roadmap', 'Fix login bug', 'Update pricing page']);
+  assert.equal(res.body.totalRecords, 5);
+  assert.equal(mock.requests.length, 3); // 2 records per page
+
+  const [first] = mock.requests;
+  assert.equal(first.params.get('filterByFormula'), "NOT({Status}='Done')");
+  assert.equal(first.params.get('sort[0][field]'), 'Name');
+});
+
+test('applies status, sort and field parameters upstream', async () => {
+  assert.deepEqual(names(await get('/api/airtable/tasks?status=Todo')), ['Book venue', 'Customer interviews']);
+  assert.deepEqual(names(await get('/api/airtable/tasks?status=!Todo&sort=Priority:desc')), [
+    'Fix login bug',
+    'Draft roadmap',
+    'Update pricing page',
+    'Write release notes',
+    'Archive old tickets'
+  ]);
+
+  const res = await get('/api/airtable/tasks?fields=Name&filter[Status]=Blocked');
+  assert.deepEqual(res.body.records.map(record => record.fields), [{ Name: 'Update pricing page' }]);
+
+  // Quotes in filter values are escaped by the proxy and unescaped by Airtable
+  const quoted = await get(`/api/airtable/tasks?filter[Notes]=${encodeURIComponent('Ask about "exports"')}`);
+  assert.deepEqual(names(quoted), ['Customer interviews']);
+});
+
+test('reads through views and restricts exposed fields', async () => {
+  assert.deepEqual(names(await get('/api/airtable/urgent')), ['Fix login bug', 'Customer interviews', 'Draft roadmap']);
+
+  const people = await get('/api/airtable/people');
+  assert.equal(people.statusCode, 200);
+  assert.deepEqual(people.body.records[0].fields, { Name: 'Ada Lovelace', Email: 'ada@example.com' });
+  assert.deepEqual(mock.requests.at(-1).params.getAll('fields[]'), ['Name', 'Email']);
+});
+
+test('follows cursors in paginated mode', async () => {
+  const collected = [];
+  let url = '/api/airtable/tasks?pageSize=2';
+
+  for (let page = 0; page < 5 && url; page++) {
+    const res = await get(url);
+    assert.equal(res.statusCode, 200);
+    collected.push(...names(res));
+    url = res.body.nextCursor ? `/api/airtable/tasks?pageSize=2&cursor=${encodeURIComponent(res.body.nextCursor)}` : null;
+  }
+
+  assert.equal(url, null);
+  assert.deepEqual(collected, ['Book venue', 'Customer interviews', 'Draft roadmap', 'Fix login bug', 'Update pricing page']);
+});
+
+test('exports CSV', async () => {
+  const res = await get('/api/airtable/tasks?format=csv&columns=Name,Priority&status=Todo');
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body, 'Name,Priority\r\nBook venue,2\r\nCustomer interviews,4\r\n');
+});
+
+test('returns changes since a watermark', async () => {
+  const res = await get('/api/airtable/tasks/changes?since=2024-05-02T00:00:00.000Z&includeIds=true');
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(names(res), ['Customer interviews', 'Fix login bug']);
+  assert.equal(res.body.ids.length, 5);
+});
+
+test('lists the current IDs of tables without a Status column', async () => {
+  const using = createNodeHandler(createAirtableHandler(mockHandlerOptions(mock, { tables: { people: { tableId: 'People' } } })));
+
+  const res = await get('/api/airtable/people/changes?since=2024-01-01T00:00:00.000Z&includeIds=true', { using });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.ids.length, 2);
+  assert.ok(mock.requests.every(request => request.params.getAll('fields[]').length === 0));
+});
+
+test('rejects unknown tables without calling Airtable', async () => {
+  const res = await get('/api/airtable/nope');
+
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.body.code, 'TABLE_NOT_FOUND');
+  assert.equal(mock.requests.length, 0);
+});
+
+test('maps Airtable 401, 404 and 422 errors', async () => {
+  mock.apiKey = 'patRotatedKey.000000';
+
+  try {
+    const unauthorized = await get('/api/airtable/tasks');
+    assert.equal(unauthorized.statusCode, 401);
+    assert.equal(unauthorized.body.code, 'AIRTABLE_UNAUTHORIZED');
+    assert.equal(unauthorized.body.upstream.type, 'AUTHENTICATION_REQUIRED');
+  } finally {
+    mock.apiKey = MOCK_API_KEY;
+  }
+
+  const notFound = await get('/api/airtable/ghost');
+  assert.equal(notFound.statusCode, 404);
+  assert.equal(notFound.body.code, 'AIRTABLE_NOT_FOUND');
+  assert.equal(notFound.body.upstream.type, 'TABLE_NOT_FOUND');
+
+  const badFormula = await get('/api/airtable/broken');
+  assert.equal(badFormula.statusCode, 422);
+  assert.equal(badFormula.body.code, 'AIRTABLE_INVALID_REQUEST');
+  assert.equal(badFormula.body.upstream.type, 'INVALID_FILTER_BY_FORMULA');
+
+  const badSort = await get('/api/airtable/tasks?sort=Missing');
+  assert.equal(badSort.statusCode, 422);
+  assert.equal(badSort.body.upstream.type, 'UNKNOWN_FIELD_NAME');
+
+  // None of these are retried
+  assert.deepEqual(upstreamStatuses(), [401, 404, 422, 422]);
+});
+
+test('retries transient errors and rate limits', async () => {
+  mock.failNext(503);
+  const recovered = await get('/api/airtable/people');
+
+  assert.equal(recovered.statusCode, 200);
+  assert.deepEqual(upstreamStatuses(), [503, 200]);
+
+  // Walking 3 pages at 2 requests per window trips the mock's rate limit
+  mock.requests.length = 0;
+  mock.rateLimit = { requests: 2, windowMs: 300 };
+
+  try {
+    const throttled = await get('/api/airtable/tasks');
+    assert.equal(throttled.statusCode, 200);
+    assert.equal(throttled.body.totalRecords, 5);
+    assert.ok(upstreamStatuses().includes(429));
+  } finally {
+    mock.rateLimit = false;
+  }
+});
+
+test('gives up once the retries are used up', async () => {
+  mock.failNext(429, { type: 'RATE_LIMIT_REACHED', times: 4 });
+  const res = await get('/api/airtable/people');
+
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.code, 'AIRTABLE_RATE_LIMITED');
+  assert.equal(res.body.attempts, 4);
+});
+
+test('serves the Netlify export from the same mock', async () => {
+  const result = await netlifyHandler({ httpMethod: 'GET', path: '/api/airtable/people', headers: { host: 'proxy.test' } }, {});
+
+  assert.equal(result.statusCode, 200);
+  assert.deepEqual(names({ body: JSON.parse(result.body) }), ['Ada Lovelace', 'Grace Hopper']);
+});
+
+test('builds handlers from configuration objects instead of the environment', async () => {
+  const fetched = [];
+  const logged = [];
+  const options = {
+    apiUrl: mock.url,
+    apiKey: MOCK_API_KEY,
+    baseId: MOCK_BASE_ID,
+    tables: { people: { tableId: 'People', sort: [{ field: 'Name', direction: 'desc' }] } },
+    auth: { disabled: true },
+    pageSize: 1,
+    cache: { ttlSeconds: 0, staleSeconds: 0 },
+    retry: { maxRetries: 0 },
+    fetch: (url, init) => {
+      fetched.push(url);
+      return fetch(url, init);
+    },
+    logger: { debug() {}, info: message => logged.push(message), warn() {}, error() {} }
+  };
+
+  const res = await get('/api/airtable', { using: createNodeHandler(createAirtableHandler(options)) });
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(names(res), ['Grace Hopper', 'Ada Lovelace']);
+  assert.equal(fetched.length, 2); // 1 record per page, through the injected fetch
+  assert.ok(logged.includes('Successfully fetched 2 records'));
+
+  // Each handler has its own credentials
+  const rotated = await get('/api/airtable', {
+    using: createNodeHandler(createAirtableHandler({ ...options, apiKey: 'patRotatedKey.000000' }))
+  });
+  assert.equal(rotated.statusCode, 401);
+  assert.equal(rotated.body.code, 'AIRTABLE_UNAUTHORIZED');
+});
+
+test('tags every log entry with the request ID and never logs credentials', async () => {
+  const logged = [];
+  const record = level => (message, fields) => logged.push({ level, message, ...fields });
+  const using = createNodeHandler(createAirtableHandler(mockHandlerOptions(mock, {
+    tables: { people: { tableId: 'People' } },
+    retry: { maxRetries: 1, baseDelayMs: 1 },
+    logLevel: 'debug',
+    logger: { debug: record('debug'), info: record('info'), warn: record('warn'), error: record('error') }
+  })));
+
+  mock.failNext(503);
+  const res = await get('/api/airtable/people', { using, headers: { 'x-request-id': 'req-42', authorization: 'Bearer client-token' } });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers['x-request-id'], 'req-42');
+  assert.ok(logged.every(entry => entry.requestId === 'req-42'));
+  assert.deepEqual(
+    logged.filter(entry => entry.message === 'Airtable response').map(({ status, page, attempt }) => ({ status, page, attempt })),
+    [{ status: 503, page: 1, attempt: 1 }, { status: 200, page: 1, attempt: 2 }]
+  );
+  assert.ok(logged.some(entry => entry.message === 'Request completed' && entry.status === 200 && entry.durationMs >= 0));
+  assert.ok(!JSON.stringify(logged).includes(MOCK_API_KEY));
+
+  // Without an incoming ID a new one is generated; errors don't expose internals
+  const missing = await get('/api/airtable/ghost', { using });
+  assert.match(missing.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+  assert.deepEqual(Object.keys(missing.body).sort(), ['code', 'error', 'message', 'success']);
+});
+
+test('rejects invalid configuration objects up front', () => {
+  assert.throws(() => createAirtableHandler({ apiKey: MOCK_API_KEY, baseId: MOCK_BASE_ID }), {
+    code: 'CONFIG_ERROR',
+    message: /Missing tables/
+  });
+  assert.throws(() => createAirtableHandler({}), { code: 'CONFIG_ERROR', message: /Missing apiKey/ });
+});
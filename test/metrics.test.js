@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCounter, createHistogram, createProxyMetrics } from '../lib/metrics.js';
+
+test('renders counters per label set', () => {
+  const counter = createCounter('demo_requests_total', 'Requests', ['route', 'status']);
+
+  counter.inc({ route: 'records', status: 200 });
+  counter.inc({ status: 200, route: 'records' }, 2);
+  counter.inc({ route: 'say "hi"\n', status: 500 });
+
+  assert.equal(counter.get({ route: 'records', status: 200 }), 3);
+  assert.equal(counter.render(), [
+    '# HELP demo_requests_total Requests',
+    '# TYPE demo_requests_total counter',
+    'demo_requests_total{route="records",status="200"} 3',
+    'demo_requests_total{route="say \\"hi\\"\\n",status="500"} 1'
+  ].join('\n'));
+});
+
+test('renders cumulative histogram buckets', () => {
+  const histogram = createHistogram('demo_seconds', 'Latency', ['method'], [0.1, 1]);
+
+  histogram.observe({ method: 'GET' }, 0.05);
+  histogram.observe({ method: 'GET' }, 0.5);
+  histogram.observe({ method: 'GET' }, 3);
+
+  assert.deepEqual(histogram.get({ method: 'GET' }), { count: 3, sum: 3.55 });
+  assert.equal(histogram.render(), [
+    '# HELP demo_seconds Latency',
+    '# TYPE demo_seconds histogram',
+    'demo_seconds_bucket{method="GET",le="0.1"} 1',
+    'demo_seconds_bucket{method="GET",le="1"} 2',
+    'demo_seconds_bucket{method="GET",le="+Inf"} 3',
+    'demo_seconds_sum{method="GET"} 3.55',
+    'demo_seconds_count{method="GET"} 3'
+  ].join('\n'));
+});
+
+test('describes every proxy metric even before the first request', () => {
+  const text = createProxyMetrics().render();
+
+  for (const name of [
+    'airtable_proxy_requests_total',
+    'airtable_proxy_request_duration_seconds',
+    'airtable_proxy_upstream_pages_per_request',
+    'airtable_proxy_upstream_requests_total',
+    'airtable_proxy_upstream_duration_seconds',
+    'airtable_proxy_cache_lookups_total',
+    'airtable_proxy_errors_total'
+  ]) {
+    assert.match(text, new RegExp(`^# TYPE ${name} (counter|histogram)$`, 'm'));
+  }
+
+  assert.ok(text.endsWith('\n'));
+});
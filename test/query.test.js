@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  formatStringLiteral,
+  formatFieldReference,
+  validateFieldName,
+  buildStatusFormula,
+  parseRecordQuery,
+  parseSort,
+  QueryValidationError
+} from '../lib/query.js';
+import { normalizeMapping } from '../lib/transform.js';
+
+test('escapes quotes, backslashes and line breaks in string literals', () => {
+  assert.equal(formatStringLiteral('Todo'), '"Todo"');
+  assert.equal(formatStringLiteral('O"Brien'), '"O\\"Brien"');
+  assert.equal(formatStringLiteral("it's"), '"it\'s"');
+  assert.equal(formatStringLiteral('C:\\temp\\'), '"C:\\\\temp\\\\"');
+  assert.equal(formatStringLiteral('a\nb\rc\td'), '"a\\nb\\rc\\td"');
+  assert.equal(formatStringLiteral(42), '"42"');
+  assert.throws(() => formatStringLiteral('x'.repeat(1001)), QueryValidationError);
+});
+
+test('keeps injection attempts inside the literal', () => {
+  for (const attack of ['") , TRUE()', '"), TRUE(), ("', '\\"), TRUE(), ("', "'), TRUE(), ('", '{Secret}']) {
+    const literal = formatStringLiteral(attack);
+
+    // Every quote inside the literal is escaped by an odd number of backslashes
+    const body = literal.slice(1, -1);
+    assert.ok(!/(^|[^\\])(\\\\)*"/.test(body), `unescaped quote in ${literal}`);
+    assert.equal(JSON.parse(literal), attack); // Same escapes as JSON, so it decodes back to the input
+  }
+
+  // Commas split ?status= into values; each one is still a single literal
+  assert.equal(buildStatusFormula('") , TRUE(), NOT("'), 'OR({Status}="\\")", {Status}="TRUE()", {Status}="NOT(\\"")');
+});
+
+test('rejects field names that could break out of a reference', () => {
+  assert.equal(validateFieldName('  Due date '), 'Due date');
+  assert.equal(formatFieldReference('Owner (email)'), '{Owner (email)}');
+
+  for (const name of ['Sta}tus', '{Status', 'A}, TRUE(), {B', 'Line\nbreak', 'Tab\there', 'Nul\u0000', 'Del\u007f', '', '   ']) {
+    assert.throws(() => validateFieldName(name), QueryValidationError, JSON.stringify(name));
+  }
+
+  assert.throws(() => validateFieldName('x'.repeat(256)), /too long/);
+  assert.throws(() => validateFieldName(undefined), /must not be empty/);
+});
+
+test('builds filters, sorts and field selections from the query string', () => {
+  const query = parseRecordQuery({
+    status: 'Todo,!Done',
+    'filter[Owner]': 'Ada "The Countess"',
+    sort: 'Name:desc,Priority',
+    fields: 'Name,Status,Name'
+  });
+
+  assert.equal(query.filterFormula, 'AND(AND({Status}="Todo", NOT({Status}="Done")), {Owner}="Ada \\"The Countess\\"")');
+  assert.deepEqual(query.sort, [{ field: 'Name', direction: 'desc' }, { field: 'Priority', direction: 'asc' }]);
+  assert.deepEqual(query.fields, ['Name', 'Status']);
+
+  // Without parameters the table defaults apply
+  const defaults = parseRecordQuery({}, { filterFormula: "NOT({Status}='Done')", sort: [{ field: 'Name', direction: 'asc' }] });
+  assert.equal(defaults.filterFormula, "NOT({Status}='Done')");
+  assert.deepEqual(defaults.sort, [{ field: 'Name', direction: 'asc' }]);
+
+  assert.throws(() => parseRecordQuery({ 'filter[A}]': 'x' }), QueryValidationError);
+  assert.throws(() => parseSort('Name:sideways'), /Invalid sort direction/);
+  assert.throws(() => parseSort('A,B,C,D,E,F'), /At most 5 sort fields/);
+});
+
+test('rejects fields hidden by the mapping like unexposed ones', () => {
+  const table = { mapping: normalizeMapping({ Name: 'name', Salary: false }), statusField: 'Status' };
+  const rejects = (query, pattern) => assert.throws(() => parseRecordQuery(query, table), error => error instanceof QueryValidationError && pattern.test(error.message));
+
+  rejects({ 'filter[Salary]': '100000' }, /^Unknown field\(s\): Salary\.$/);
+  rejects({ sort: 'Salary:desc' }, /Unknown field\(s\): Salary/);
+  rejects({ fields: 'Name,Salary' }, /Unknown field\(s\): Salary/);
+  assert.deepEqual(parseRecordQuery({ 'filter[Name]': 'Ada', sort: 'Name' }, table).sort, [{ field: 'Name', direction: 'asc' }]);
+
+  // With an explicit field list, the hidden field is left out of the available ones
+  const exposed = { ...table, fields: ['Name', 'Salary', 'Status'] };
+  assert.throws(() => parseRecordQuery({ sort: 'Salary' }, exposed), { message: 'Unknown field(s): Salary. Available fields: Name, Status' });
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, loadRateLimits, getClientKey, setRateLimitHeaders } from '../lib/rate-limit.js';
+
+const limits = {
+  default: { limit: 3, windowSeconds: 3 },
+  write: { limit: 1, windowSeconds: 60 },
+  'read:reports': { limit: 1, windowSeconds: 10 }
+};
+
+test('allows up to the limit, then reports when to retry', async () => {
+  const limiter = createRateLimiter({ limits });
+  const results = [];
+
+  for (let i = 0; i < 4; i++) {
+    results.push(await limiter.consume('read', 'tasks', 'ip:1.2.3.4'));
+  }
+
+  assert.deepEqual(results.map(result => result.allowed), [true, true, true, false]);
+  assert.deepEqual(results.map(result => result.remaining), [2, 1, 0, 0]);
+  assert.equal(results[3].retryAfter, 1);
+  assert.equal(results[3].reset, 3);
+});
+
+test('refills tokens over time', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const limiter = createRateLimiter({ limits });
+
+  for (let i = 0; i < 3; i++) await limiter.consume('read', 'tasks', 'client');
+  assert.equal((await limiter.consume('read', 'tasks', 'client')).allowed, false);
+
+  t.mock.timers.tick(1000); // One token per second
+  assert.equal((await limiter.consume('read', 'tasks', 'client')).allowed, true);
+  assert.equal((await limiter.consume('read', 'tasks', 'client')).allowed, false);
+});
+
+test('keeps clients, routes and tables apart', async () => {
+  const limiter = createRateLimiter({ limits });
+
+  assert.equal((await limiter.consume('write', 'tasks', 'a')).allowed, true);
+  assert.equal((await limiter.consume('write', 'tasks', 'a')).allowed, false);
+  assert.equal((await limiter.consume('write', 'tasks', 'b')).allowed, true);
+  assert.equal((await limiter.consume('read', 'tasks', 'a')).allowed, true);
+
+  assert.equal((await limiter.consume('read', 'reports', 'a')).limit, 1);
+  assert.equal((await limiter.consume('read', 'reports', 'a')).allowed, false);
+});
+
+test('does not over-spend under concurrent requests', async () => {
+  const limiter = createRateLimiter({ limits });
+  const results = await Promise.all(Array.from({ length: 10 }, () => limiter.consume('read', 'tasks', 'burst')));
+
+  assert.equal(results.filter(result => result.allowed).length, 3);
+});
+
+test('identifies clients by credential, then by the platform address', () => {
+  const anonymous = { type: 'none', id: 'anonymous' };
+  const spoofed = { headers: { 'x-forwarded-for': '203.0.113.7', 'x-real-ip': '203.0.113.8' }, socket: { remoteAddress: '198.51.100.4' } };
+
+  assert.equal(getClientKey({ headers: {} }, { type: 'api-key', id: 'dashboard' }), 'api-key:dashboard');
+  assert.equal(getClientKey({ headers: {}, socket: { remoteAddress: '127.0.0.1' } }), 'ip:127.0.0.1');
+  assert.equal(getClientKey({ headers: {} }, anonymous), 'ip:unknown');
+
+  // Forwarding headers are set by the client unless a trusted proxy overwrites them
+  assert.equal(getClientKey(spoofed, anonymous), 'ip:198.51.100.4');
+  assert.equal(getClientKey(spoofed, anonymous, { trustProxy: false }), 'ip:198.51.100.4');
+});
+
+test('reads forwarding headers behind a trusted proxy', () => {
+  const trusted = { trustProxy: true };
+
+  // The proxy appends the address it saw, after anything the client sent
+  assert.equal(getClientKey({ headers: { 'x-forwarded-for': '203.0.113.7, 10.0.0.1' } }, null, trusted), 'ip:10.0.0.1');
+  assert.equal(getClientKey({ headers: { 'x-forwarded-for': '203.0.113.7' } }, null, trusted), 'ip:203.0.113.7');
+  assert.equal(getClientKey({ headers: { 'x-real-ip': '203.0.113.8' } }, null, trusted), 'ip:203.0.113.8');
+  assert.equal(getClientKey({ headers: {}, socket: { remoteAddress: '127.0.0.1' } }, null, trusted), 'ip:127.0.0.1');
+});
+
+test('validates RATE_LIMITS and keeps unspecified defaults', () => {
+  const loaded = loadRateLimits({ RATE_LIMITS: '{"write": {"limit": 5, "windowSeconds": 10}}' });
+
+  assert.deepEqual(loaded.write, { limit: 5, windowSeconds: 10 });
+  assert.ok(loaded.default.limit > 0);
+  assert.throws(() => loadRateLimits({ RATE_LIMITS: '{"write": {"limit": 0}}' }), { code: 'CONFIG_ERROR' });
+  assert.throws(() => loadRateLimits({ RATE_LIMITS: '[' }), { code: 'CONFIG_ERROR' });
+});
+
+test('sets RateLimit headers and Retry-After when blocked', () => {
+  const headers = {};
+  const res = { setHeader: (name, value) => { headers[name] = value; } };
+
+  setRateLimitHeaders(res, { allowed: false, limit: 3, windowSeconds: 3, remaining: 0, reset: 3, retryAfter: 1 });
+
+  assert.deepEqual(headers, {
+    'RateLimit-Policy': '3;w=3',
+    'RateLimit-Limit': '3',
+    'RateLimit-Remaining': '0',
+    'RateLimit-Reset': '3',
+    'Retry-After': '1'
+  });
+});
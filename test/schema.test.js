@@ -0,0 +1,147 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockAirtable, loadFixtureTables } from '../mock/airtable-server.js';
+import { createAirtableHandler } from '../lib/handler.js';
+import { formulaFields, checkQueryFields } from '../lib/schema.js';
+import { parseRoute } from '../lib/tables.js';
+import { ApiError } from '../lib/errors.js';
+import { mockHandlerOptions } from './helpers.js';
+
+const mock = createMockAirtable({ tables: await loadFixtureTables(), maxPageSize: 2, rateLimit: false });
+await mock.listen();
+
+after(() => mock.close());
+
+const TABLES = {
+  tasks: { tableId: 'tblDrUWfwkwMQM9yR' },
+  people: { tableId: 'People', fields: ['Name', 'Team', 'Email'], mapping: { Email: false } }
+};
+
+const options = overrides => mockHandlerOptions(mock, {
+  tables: TABLES,
+  retry: { maxRetries: 0 },
+  schema: { validate: true },
+  ...overrides
+});
+
+const get = async (handle, path) => {
+  const response = await handle(new Request(`https://proxy.test${path}`));
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+const schemaRequests = () => mock.requests.filter(request => request.path.startsWith('/v0/meta/'));
+
+test('finds field references outside string literals', () => {
+  assert.deepEqual(formulaFields("AND(NOT({Status}='Done'), {Due} != \"{Not a field}\")"), ['Status', 'Due']);
+  assert.deepEqual(formulaFields("{Name}='it\\'s {x}'"), ['Name']);
+  assert.deepEqual(formulaFields(null), []);
+
+  const tableSchema = { fields: [{ name: 'Name' }, { name: 'Status' }] };
+  checkQueryFields(tableSchema, { slug: 'tasks' }, { filterFormula: "{Status}='{Nope}'", sort: [{ field: 'Name' }], fields: [] });
+
+  assert.throws(
+    () => checkQueryFields(tableSchema, { slug: 'tasks' }, { filterFormula: '{Stauts}=1', sort: [{ field: 'Nmae' }], fields: ['Nmae'] }),
+    error => error instanceof ApiError && error.code === 'INVALID_QUERY' && /Stauts, Nmae. Available fields: Name, Status/.test(error.message)
+  );
+});
+
+test('describes the exposed fields of a table', async () => {
+  const handle = createAirtableHandler(options());
+  assert.deepEqual(parseRoute('/api/airtable/tasks/schema'), { slug: 'tasks', action: 'schema' });
+
+  const { status, headers, body } = await get(handle, '/api/airtable/tasks/schema');
+
+  assert.equal(status, 200);
+  assert.equal(headers.get('cache-control'), 'public, max-age=300');
+  assert.equal(body.table, 'tasks');
+  assert.equal(body.tableId, 'tblDrUWfwkwMQM9yR');
+  assert.equal(body.primaryField, 'Name');
+  assert.deepEqual(body.fields.map(field => `${field.name}:${field.type}`), [
+    'Name:singleLineText', 'Status:singleSelect', 'Priority:number', 'Due:date', 'Tags:multipleSelects', 'Owner:multipleRecordLinks', 'Notes:multilineText'
+  ]);
+  assert.deepEqual(body.fields.find(field => field.name === 'Status').choices.sort(), ['Blocked', 'Done', 'In progress', 'Todo']);
+  assert.equal(body.fields.find(field => field.name === 'Name').choices, undefined);
+
+  // Fields the table doesn't expose, or its mapping hides, are left out
+  const people = await get(handle, '/api/airtable/people/schema');
+  assert.deepEqual(people.body.fields.map(field => field.name), ['Name', 'Team']);
+  assert.deepEqual(people.body.fields[1].choices, ['Engineering', 'Research']);
+
+  // The default table
+  assert.equal((await get(handle, '/api/airtable/schema')).body.table, 'tasks');
+});
+
+test('rejects unknown fields before calling Airtable', async () => {
+  const handle = createAirtableHandler(options());
+  mock.requests.length = 0;
+
+  const sort = await get(handle, '/api/airtable/tasks?sort=Nmae&fields=Name,Stauts');
+  assert.equal(sort.status, 400);
+  assert.equal(sort.body.code, 'INVALID_QUERY');
+  assert.deepEqual(sort.body.unknownFields, ['Nmae', 'Stauts']);
+  assert.deepEqual(sort.body.availableFields, ['Name', 'Status', 'Priority', 'Due', 'Tags', 'Owner', 'Notes']);
+
+  const filter = await get(handle, '/api/airtable/tasks?filter[Colour]=red');
+  assert.equal(filter.status, 400);
+  assert.match(filter.body.message, /Unknown field\(s\) in table "tasks": Colour/);
+
+  assert.equal((await get(handle, '/api/airtable/tasks/aggregate?groupBy=Owners')).status, 400);
+  assert.equal((await get(handle, '/api/airtable/tasks/changes?fields=Nme')).status, 400);
+
+  // One schema read, no record reads
+  assert.equal(schemaRequests().length, 1);
+  assert.equal(mock.requests.length, 1);
+
+  const valid = await get(handle, '/api/airtable/tasks?sort=Priority:desc&fields=Name,Priority');
+  assert.equal(valid.status, 200);
+});
+
+test('checks the configured sort and filter', async () => {
+  const handle = createAirtableHandler(options({
+    tables: { tasks: { tableId: 'tblDrUWfwkwMQM9yR', sort: [{ field: 'Title', direction: 'asc' }], filterFormula: "NOT({Status}='{Done}')" } }
+  }));
+
+  const { status, body } = await get(handle, '/api/airtable/tasks');
+  assert.equal(status, 400);
+  assert.deepEqual(body.unknownFields, ['Title']);
+
+  // An explicit sort replaces the broken default
+  assert.equal((await get(handle, '/api/airtable/tasks?sort=Name')).status, 200);
+
+  const batch = await handle(new Request('https://proxy.test/api/airtable/batch', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ queries: [{ name: 'open', table: 'tasks' }] })
+  }));
+  assert.equal((await batch.json()).results.open.error.code, 'INVALID_QUERY');
+});
+
+test('reads go ahead unchecked when the schema is unavailable', async () => {
+  const handle = createAirtableHandler(options());
+
+  mock.failNext(403, { type: 'INVALID_PERMISSIONS_OR_MODEL_NOT_FOUND' });
+  const { status, body } = await get(handle, '/api/airtable/tasks?fields=Name');
+  assert.equal(status, 200);
+  assert.ok(body.records.length > 0);
+
+  // Failures aren't cached: the next request reads the schema again
+  mock.requests.length = 0;
+  assert.equal((await get(handle, '/api/airtable/tasks?fields=Nmae')).status, 400);
+  assert.equal(schemaRequests().length, 1);
+
+  mock.failNext(403, { type: 'INVALID_PERMISSIONS_OR_MODEL_NOT_FOUND' });
+  const schema = await get(createAirtableHandler(options()), '/api/airtable/tasks/schema');
+  assert.equal(schema.status, 403);
+  assert.equal(schema.body.code, 'AIRTABLE_FORBIDDEN');
+});
+
+test('skips validation unless enabled', async () => {
+  const handle = createAirtableHandler(options({ schema: undefined }));
+  mock.requests.length = 0;
+
+  const { status } = await get(handle, '/api/airtable/tasks?fields=Name');
+  assert.equal(status, 200);
+  assert.equal(schemaRequests().length, 0);
+
+  assert.throws(() => createAirtableHandler(options({ schema: { validate: 'yes' } })), /schema.validate must be true or false/);
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { streamRecords, parseStreamFlag } from '../lib/stream.js';
+import { AirtableError } from '../lib/errors.js';
+
+/**
+ * Response object that collects everything written to it
+ */
+function mockResponse() {
+  return {
+    body: '',
+    writableEnded: false,
+    write(chunk) {
+      this.body += chunk;
+      return true;
+    },
+    end(chunk = '') {
+      this.body += chunk;
+      this.writableEnded = true;
+    }
+  };
+}
+
+/**
+ * Yields the given pages, throwing when a page is an Error
+ */
+async function* pagesOf(...pages) {
+  for (const page of pages) {
+    if (page instanceof Error) throw page;
+    yield { records: page };
+  }
+}
+
+const rec = id => ({ id, fields: { Name: id } });
+
+test('streams a valid JSON document with a trailer', async () => {
+  const res = mockResponse();
+  let started = false;
+
+  const outcome = await streamRecords(res, pagesOf([rec('a'), rec('b')], [], [rec('c')]), {
+    format: 'json',
+    head: { table: 'tasks' },
+    onStart: () => { started = true; }
+  });
+
+  const document = JSON.parse(res.body);
+
+  assert.equal(started, true);
+  assert.equal(document.table, 'tasks');
+  assert.deepEqual(document.records.map(record => record.id), ['a', 'b', 'c']);
+  assert.deepEqual(document.trailer, { success: true, totalRecords: 3, pages: 3 });
+  assert.deepEqual(outcome, { totalRecords: 3, pages: 3, error: null, aborted: false });
+});
+
+test('streams an empty table', async () => {
+  const res = mockResponse();
+  await streamRecords(res, pagesOf([]), { format: 'json' });
+
+  assert.deepEqual(JSON.parse(res.body), { records: [], trailer: { success: true, totalRecords: 0, pages: 1 } });
+});
+
+test('reports a mid-stream failure in the trailer', async () => {
+  const res = mockResponse();
+  const failure = new AirtableError({ status: 503, page: 2, attempts: 5 });
+
+  const outcome = await streamRecords(res, pagesOf([rec('a')], failure), { format: 'json' });
+  const document = JSON.parse(res.body);
+
+  assert.equal(outcome.error, failure);
+  assert.deepEqual(document.records.map(record => record.id), ['a']);
+  assert.equal(document.trailer.success, false);
+  assert.equal(document.trailer.totalRecords, 1);
+  assert.equal(document.trailer.error.code, 'AIRTABLE_UNAVAILABLE');
+  assert.equal(document.trailer.error.page, 2);
+});
+
+test('rethrows a first-page failure before writing anything', async () => {
+  const res = mockResponse();
+  let started = false;
+  const failure = new AirtableError({ status: 403, page: 1 });
+
+  await assert.rejects(
+    streamRecords(res, pagesOf(failure), { format: 'json', onStart: () => { started = true; } }),
+    failure
+  );
+
+  assert.equal(res.body, '');
+  assert.equal(started, false);
+});
+
+test('streams NDJSON with a trailer line', async () => {
+  const res = mockResponse();
+  await streamRecords(res, pagesOf([rec('a')], [rec('b')]), { format: 'ndjson', transform: records => records.map(r => ({ id: r.id })) });
+
+  const lines = res.body.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines, [{ id: 'a' }, { id: 'b' }, { trailer: { success: true, totalRecords: 2, pages: 2 } }]);
+});
+
+test('stops fetching when the client disconnects', async () => {
+  const res = mockResponse();
+  let fetched = 0;
+
+  async function* pages() {
+    for (let i = 0; i < 5; i++) {
+      fetched++;
+      if (i === 1) res.destroyed = true;
+      yield { records: [rec(String(i))] };
+    }
+  }
+
+  const outcome = await streamRecords(res, pages(), { format: 'json' });
+
+  assert.equal(outcome.aborted, true);
+  assert.equal(fetched, 2);
+});
+
+test('parses ?stream=', () => {
+  assert.equal(parseStreamFlag(undefined), false);
+  assert.equal(parseStreamFlag('true'), true);
+  assert.equal(parseStreamFlag('0'), false);
+  assert.throws(() => parseStreamFlag('yes please'), { code: 'INVALID_QUERY' });
+});
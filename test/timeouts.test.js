@@ -0,0 +1,184 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createMockAirtable, loadFixtureTables } from '../mock/airtable-server.js';
+import { createAirtableHandler } from '../lib/handler.js';
+import { createNodeHandler } from '../lib/adapters/node.js';
+import { mockHandlerOptions } from './helpers.js';
+
+// Request timeouts, the read deadline and client disconnects, against the mock Airtable.
+// The tasks fixture has 7 records, so with maxPageSize 2 a full read takes 4 pages.
+
+const mock = createMockAirtable({ tables: await loadFixtureTables(), maxPageSize: 2, rateLimit: false });
+await mock.listen();
+
+after(() => mock.close());
+
+/**
+ * Creates a logger whose entries are collected instead of printed
+ */
+function capture() {
+  const entries = [];
+  const record = level => (msg, fields) => entries.push({ level, msg, ...fields });
+
+  return { logger: { debug() {}, info: record('info'), warn: record('warn'), error: record('error') }, entries };
+}
+
+const options = overrides => mockHandlerOptions(mock, {
+  tables: { tasks: { tableId: 'tblDrUWfwkwMQM9yR' } },
+  retry: { maxRetries: 1, baseDelayMs: 1 },
+  logger: capture().logger,
+  ...overrides
+});
+
+const get = (handle, path) => handle(new Request(`https://proxy.test${path}`));
+
+test('retries an Airtable request that hangs past the timeout', async () => {
+  const handle = createAirtableHandler(options({ timeouts: { requestMs: 50 } }));
+  mock.requests.length = 0;
+  mock.delayNext(5000);
+
+  const response = await get(handle, '/api/airtable/tasks');
+
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).totalRecords, 7);
+  assert.equal(mock.requests.length, 4); // The hung attempt was never answered
+});
+
+test('answers 504 with the progress made when the deadline passes', async () => {
+  const handle = createAirtableHandler(options({ timeouts: { deadlineMs: 150 } }));
+  mock.delayNext(0, { times: 2 });
+  mock.delayNext(5000); // Page 3
+
+  const startedAt = Date.now();
+  const response = await get(handle, '/api/airtable/tasks');
+  const body = await response.json();
+
+  assert.equal(response.status, 504);
+  assert.ok(Date.now() - startedAt < 1000);
+  assert.equal(body.code, 'DEADLINE_EXCEEDED');
+  assert.equal(body.pages, 2);
+  assert.equal(body.records, 4);
+  assert.match(body.message, /within 150ms .*add partial=true/);
+});
+
+test('returns the partial result on request, without caching it', async () => {
+  const handle = createAirtableHandler(options({ timeouts: { deadlineMs: 150 } }));
+  mock.delayNext(0, { times: 2 });
+  mock.delayNext(5000);
+
+  const partial = await get(handle, '/api/airtable/tasks?partial=true');
+  const body = await partial.json();
+
+  assert.equal(partial.status, 200);
+  assert.equal(partial.headers.get('x-partial-result'), 'true');
+  assert.equal(partial.headers.get('cache-control'), 'no-store');
+  assert.equal(body.partial, true);
+  assert.equal(body.pages, 2);
+  assert.equal(body.totalRecords, 4);
+
+  const complete = await get(handle, '/api/airtable/tasks');
+  const completeBody = await complete.json();
+
+  assert.equal(complete.headers.get('x-cache'), 'MISS');
+  assert.equal(complete.headers.get('x-partial-result'), null);
+  assert.equal(completeBody.totalRecords, 7);
+  assert.equal(completeBody.partial, undefined);
+
+  const invalid = await get(handle, '/api/airtable/tasks?partial=true&pageSize=2');
+  assert.equal(invalid.status, 400);
+  assert.match((await invalid.json()).message, /partial cannot be combined/);
+});
+
+test('stops reading from Airtable when the client disconnects', async () => {
+  const { logger, entries } = capture();
+  const server = http.createServer(createNodeHandler(createAirtableHandler(options({ logger }))));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  mock.requests.length = 0;
+  mock.delayNext(5000); // The first page never arrives in time
+
+  const controller = new AbortController();
+  const request = fetch(`http://127.0.0.1:${server.address().port}/api/airtable/tasks?stream=true`, { signal: controller.signal });
+  setTimeout(() => controller.abort(), 100);
+  await assert.rejects(request, { name: 'AbortError' });
+
+  // Wait for the handler to notice
+  const deadline = Date.now() + 2000;
+  while (!entries.some(entry => entry.msg === 'Request completed') && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  const completed = entries.find(entry => entry.msg === 'Request completed');
+  assert.equal(completed.status, 499);
+  assert.ok(completed.durationMs < 1000);
+  assert.ok(entries.some(entry => entry.msg === 'Client disconnected, stopped reading tasks'));
+  assert.equal(mock.requests.length, 0);
+
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * Fetch stand-in whose first response sends its headers, then stalls its body
+ * The body fails once the request's signal aborts, like a real fetch body.
+ * @returns {Function} fetch with a calls counter
+ */
+function stallingFetch() {
+  const stub = async (url, init) => {
+    stub.calls++;
+
+    if (stub.calls > 1) {
+      return new Response(JSON.stringify({ records: [{ id: 'rec00000000000001', createdTime: '2024-01-01T00:00:00.000Z', fields: { Name: 'A' } }] }));
+    }
+
+    const body = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode('{"records": ['));
+        init.signal.addEventListener('abort', () => controller.error(init.signal.reason), { once: true });
+      }
+    });
+    return new Response(body, { headers: { 'Content-Type': 'application/json' } });
+  };
+  stub.calls = 0;
+  return stub;
+}
+
+test('times out a response body that never finishes, then retries', async () => {
+  const fetch = stallingFetch();
+  const handle = createAirtableHandler(options({ fetch, timeouts: { requestMs: 50 } }));
+
+  const startedAt = Date.now();
+  const response = await get(handle, '/api/airtable/tasks');
+
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).totalRecords, 1);
+  assert.equal(fetch.calls, 2);
+  assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('answers 504 when a stalled body runs into the deadline', async () => {
+  const handle = createAirtableHandler(options({ fetch: stallingFetch(), timeouts: { deadlineMs: 100 } }));
+
+  const response = await get(handle, '/api/airtable/tasks');
+
+  assert.equal(response.status, 504);
+  assert.equal((await response.json()).code, 'DEADLINE_EXCEEDED');
+});
+
+test('fails at once when a paused throttle has no slot before the deadline', async () => {
+  const handle = createAirtableHandler(options({ timeouts: { deadlineMs: 300 } }));
+  mock.failNext(429, { headers: { 'Retry-After': '1' } });
+
+  const limited = await get(handle, '/api/airtable/tasks');
+  assert.equal(limited.status, 504); // Retry-After is past the deadline
+
+  mock.requests.length = 0;
+  const startedAt = Date.now();
+  const response = await get(handle, '/api/airtable/tasks');
+
+  assert.equal(response.status, 504);
+  assert.equal((await response.json()).code, 'DEADLINE_EXCEEDED');
+  assert.ok(Date.now() - startedAt < 250, 'waited for the paused throttle');
+  assert.equal(mock.requests.length, 0);
+});
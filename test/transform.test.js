@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeMapping, parseShape, flattenRecord, transformRecords } from '../lib/transform.js';
+
+const attachment = {
+  id: 'att1',
+  url: 'https://dl.airtable.com/file.png',
+  filename: 'file.png',
+  size: 1024,
+  thumbnails: {
+    small: { url: 'https://dl.airtable.com/small.png', width: 36, height: 36 },
+    large: { url: 'https://dl.airtable.com/large.png', width: 512, height: 512 }
+  }
+};
+
+const table = {
+  mapping: normalizeMapping({
+    Name: 'name',
+    Status: { as: 'status', type: 'select' },
+    Due: { as: 'dueDate', type: 'date' },
+    Estimate: { as: 'estimate', type: 'number' },
+    Done: { as: 'done', type: 'boolean' },
+    Files: { as: 'files', type: 'attachments' },
+    Project: { as: 'projectIds', type: 'links' },
+    'Owner (from Project)': { as: 'owners', type: 'lookup' },
+    'Internal Notes': false
+  })
+};
+
+const record = {
+  id: 'recAAAAAAAAAAAAAA',
+  createdTime: '2024-01-02T03:04:05.000Z',
+  fields: {
+    Name: 'Write docs',
+    Status: 'In progress',
+    Due: '2024-03-01',
+    Estimate: '3.5',
+    Files: [attachment],
+    Project: ['recBBBBBBBBBBBBBB'],
+    'Owner (from Project)': [['Ada'], ['Grace']],
+    'Internal Notes': 'secret',
+    Screenshot: [attachment],
+    Tags: ['a', 'b']
+  }
+};
+
+test('flattens, renames, casts and drops fields', () => {
+  assert.deepEqual(flattenRecord(record, table.mapping), {
+    id: 'recAAAAAAAAAAAAAA',
+    createdTime: '2024-01-02T03:04:05.000Z',
+    name: 'Write docs',
+    status: 'In progress',
+    dueDate: '2024-03-01',
+    estimate: 3.5,
+    done: false,
+    files: [{ url: attachment.url, thumbnail: 'https://dl.airtable.com/large.png' }],
+    projectIds: ['recBBBBBBBBBBBBBB'],
+    owners: ['Ada', 'Grace'],
+    Screenshot: [{ url: attachment.url, thumbnail: 'https://dl.airtable.com/large.png' }],
+    Tags: ['a', 'b']
+  });
+});
+
+test('fills mapped fields that Airtable omitted', () => {
+  const flat = flattenRecord({ id: 'rec1', createdTime: 't', fields: {} }, table.mapping);
+
+  assert.equal(flat.name, null);
+  assert.equal(flat.status, null);
+  assert.equal(flat.estimate, null);
+  assert.equal(flat.done, false);
+  assert.deepEqual(flat.files, []);
+  assert.deepEqual(flat.projectIds, []);
+});
+
+test('casts dates, numbers and booleans defensively', () => {
+  const mapping = normalizeMapping({
+    When: { type: 'datetime' },
+    Day: { type: 'date' },
+    Count: { type: 'number' },
+    Flag: { type: 'boolean' },
+    Label: { type: 'string' }
+  });
+
+  const flat = flattenRecord({ id: 'r', fields: { When: '2024-05-06T07:08:09Z', Day: '2024-05-06T23:00:00Z', Count: 'n/a', Flag: 'yes', Label: [1, 2] } }, mapping);
+
+  assert.equal(flat.When, '2024-05-06T07:08:09.000Z');
+  assert.equal(flat.Day, '2024-05-06');
+  assert.equal(flat.Count, null);
+  assert.equal(flat.Flag, true);
+  assert.equal(flat.Label, '1, 2');
+});
+
+test('keeps raw records but removes hidden fields', () => {
+  const [raw] = transformRecords([record], 'raw', table);
+
+  assert.equal(raw.fields.Name, 'Write docs');
+  assert.equal('Internal Notes' in raw.fields, false);
+  assert.equal(record.fields['Internal Notes'], 'secret'); // Input is not modified
+  assert.equal(transformRecords([record], 'raw', { mapping: null })[0], record);
+});
+
+test('defaults the shape from the table and rejects unknown shapes', () => {
+  assert.equal(parseShape(undefined, table), 'flat');
+  assert.equal(parseShape(undefined, { mapping: null }), 'raw');
+  assert.equal(parseShape('raw', table), 'raw');
+  assert.throws(() => parseShape('nested', table), { code: 'INVALID_QUERY' });
+});
+
+test('rejects invalid mappings', () => {
+  assert.throws(() => normalizeMapping({ Name: { type: 'currency' } }), /unknown type/);
+  assert.throws(() => normalizeMapping({ Name: 'id' }), /reserved/);
+  assert.throws(() => normalizeMapping({ A: 'name', B: 'name' }), /more than once/);
+  assert.throws(() => normalizeMapping(['Name']), /keyed by Airtable field name/);
+});
@@ -0,0 +1,310 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import {
+  loadWebhookConfig,
+  computeWebhookMac,
+  verifyWebhookMac,
+  verifyPing,
+  payloadToEvents,
+  createHandlerRegistry,
+  createCacheInvalidator,
+  createPayloadReader
+} from '../lib/webhooks.js';
+import { createMemoryStore } from '../lib/cache.js';
+import { ApiError } from '../lib/errors.js';
+import { parseRoute, buildTables } from '../lib/tables.js';
+import { createMockAirtable } from '../mock/airtable-server.js';
+import { quietLogger } from './helpers.js';
+
+const BASE_ID = 'appTestBase000001';
+const WEBHOOK_ID = 'achTestHook000001';
+const API_KEY = 'patTestKey.0000000000';
+const SECRET = Buffer.from('webhook-mac-secret-for-tests');
+
+const fixture = name => new URL(`./fixtures/${name}`, import.meta.url);
+const recordedPayloads = JSON.parse(await readFile(fixture('webhook-payloads.json'), 'utf8'));
+const pingBody = await readFile(fixture('webhook-ping.json'));
+const webhooks = new Map([[WEBHOOK_ID, SECRET]]);
+
+/**
+ * Starts the mock Airtable with the recorded payloads
+ */
+async function startMock(payloadPageSize = 50) {
+  const mock = createMockAirtable({
+    baseId: BASE_ID,
+    apiKey: API_KEY,
+    webhooks: { [WEBHOOK_ID]: recordedPayloads },
+    payloadPageSize,
+    rateLimit: false
+  });
+
+  await mock.listen();
+  return mock;
+}
+
+/**
+ * Fetches a mock URL the way requestAirtable does
+ */
+async function request(url) {
+  const response = await fetch(url, { headers: { Authorization: `Bearer ${API_KEY}` } });
+  if (!response.ok) throw new Error(`Stand-in returned ${response.status}`);
+  return response.json();
+}
+
+test('routes the webhook at the base level only', () => {
+  assert.deepEqual(parseRoute('/api/airtable/webhook'), { slug: null, action: 'webhook' });
+  assert.deepEqual(parseRoute('/api/airtable/tasks/webhook'), { slug: 'tasks/webhook', action: null });
+});
+
+test('loads webhook secrets from AIRTABLE_WEBHOOKS', () => {
+  const config = loadWebhookConfig({ AIRTABLE_WEBHOOKS: JSON.stringify({ [WEBHOOK_ID]: SECRET.toString('base64') }) });
+
+  assert.deepEqual(config.get(WEBHOOK_ID), SECRET);
+  assert.equal(loadWebhookConfig({}).size, 0);
+  assert.throws(() => loadWebhookConfig({ AIRTABLE_WEBHOOKS: '[]' }), /JSON object/);
+  assert.throws(() => loadWebhookConfig({ AIRTABLE_WEBHOOKS: '{"achX":""}' }), /macSecretBase64/);
+});
+
+test('verifies the MAC over the raw body', () => {
+  const mac = computeWebhookMac(pingBody, SECRET);
+
+  assert.match(mac, /^hmac-sha256=[0-9a-f]{64}$/);
+  assert.equal(verifyWebhookMac(pingBody, mac, SECRET), true);
+  assert.equal(verifyWebhookMac(Buffer.concat([pingBody, Buffer.from(' ')]), mac, SECRET), false);
+  assert.equal(verifyWebhookMac(pingBody, mac, Buffer.from('other-secret')), false);
+  assert.equal(verifyWebhookMac(pingBody, mac.replace('hmac-sha256=', ''), SECRET), false);
+  assert.equal(verifyWebhookMac(pingBody, undefined, SECRET), false);
+});
+
+test('accepts signed pings and rejects everything else', () => {
+  const mac = computeWebhookMac(pingBody, SECRET);
+  const code = fn => {
+    try {
+      fn();
+    } catch (error) {
+      assert.ok(error instanceof ApiError);
+      return error.code;
+    }
+  };
+
+  assert.deepEqual(verifyPing(pingBody, mac, webhooks, BASE_ID), {
+    baseId: BASE_ID,
+    webhookId: WEBHOOK_ID,
+    timestamp: '2024-05-06T07:10:12.345Z'
+  });
+  assert.equal(code(() => verifyPing(pingBody, 'hmac-sha256=00', webhooks, BASE_ID)), 'INVALID_SIGNATURE');
+  assert.equal(code(() => verifyPing(pingBody, mac, new Map(), BASE_ID)), 'INVALID_SIGNATURE');
+  assert.equal(code(() => verifyPing(pingBody, mac, webhooks, 'appOtherBase00001')), 'WEBHOOK_NOT_FOUND');
+  assert.equal(code(() => verifyPing(Buffer.from('{'), mac, webhooks, BASE_ID)), 'INVALID_BODY');
+  assert.equal(code(() => verifyPing(Buffer.from('{}'), mac, webhooks, BASE_ID)), 'INVALID_BODY');
+});
+
+test('turns recorded payloads into change events', () => {
+  const context = { baseId: BASE_ID, webhookId: WEBHOOK_ID };
+  const events = recordedPayloads.flatMap(payload => payloadToEvents(payload, context));
+
+  assert.deepEqual(events.map(event => [event.type, event.tableId, event.recordId]), [
+    ['record.created', 'tblDrUWfwkwMQM9yR', 'recNew000000000001'],
+    ['record.updated', 'tblDrUWfwkwMQM9yR', 'recNew000000000001'],
+    ['record.deleted', 'tblDrUWfwkwMQM9yR', 'recOld000000000001'],
+    ['record.deleted', 'tblDrUWfwkwMQM9yR', 'recOld000000000002'],
+    ['schema.changed', 'tblOther0000000001', null],
+    ['webhook.error', null, null]
+  ]);
+
+  assert.equal(events[0].fields.fldName00000000001, 'Write launch notes');
+  assert.equal(events[1].fields.fldStatus000000001.name, 'Done');
+  assert.equal(events[1].previous.fldStatus000000001.name, 'Todo');
+  assert.equal(events[1].transaction, 102);
+  assert.equal(events[2].source, 'publicApi');
+  assert.equal(events[5].code, 'INVALID_FILTERS');
+});
+
+test('runs every handler even when one fails', async () => {
+  const registry = createHandlerRegistry();
+  const seen = [];
+
+  registry.register('broken', async () => {
+    throw new Error('boom');
+  });
+  registry.register('audit', async events => seen.push(...events));
+
+  assert.deepEqual(await registry.dispatch([{ type: 'record.created' }]), ['broken']);
+  assert.equal(seen.length, 1);
+
+  registry.unregister('broken');
+  assert.deepEqual(await registry.dispatch([{ type: 'record.deleted' }]), []);
+  assert.deepEqual(await registry.dispatch([]), []);
+  assert.equal(seen.length, 2);
+});
+
+test('invalidates the cache of changed tables and of tables configured by name', async () => {
+  const invalidated = [];
+  const cache = { invalidate: async slug => invalidated.push(slug) };
+  const tables = new Map([
+    ['tasks', { slug: 'tasks', tableId: 'tblDrUWfwkwMQM9yR' }],
+    ['people', { slug: 'people', tableId: 'tblPeople00000001' }],
+    ['notes', { slug: 'notes', tableId: 'Notes' }]
+  ]);
+  const invalidate = createCacheInvalidator(cache, () => tables);
+
+  await invalidate([{ type: 'record.updated', tableId: 'tblDrUWfwkwMQM9yR' }]);
+  assert.deepEqual(invalidated, ['tasks', 'notes']);
+
+  await invalidate([{ type: 'webhook.error', tableId: null }]);
+  assert.deepEqual(invalidated, ['tasks', 'notes']);
+});
+
+test('invalidates tables whose expansions include a changed table', async () => {
+  const invalidated = [];
+  const cache = { invalidate: async slug => invalidated.push(slug) };
+  const tables = buildTables({
+    teams: { tableId: 'tblTeams000000001' },
+    people: { tableId: 'tblPeople00000001', links: { Team: 'teams' } },
+    tasks: { tableId: 'tblDrUWfwkwMQM9yR', links: { Owner: 'people' } },
+    tags: { tableId: 'tblTags0000000001' }
+  });
+  const invalidate = createCacheInvalidator(cache, () => tables);
+
+  await invalidate([{ type: 'record.updated', tableId: 'tblTeams000000001' }, { type: 'record.created', tableId: 'tblPeople00000001' }]);
+  assert.deepEqual(invalidated.sort(), ['people', 'tasks', 'teams']);
+});
+
+test('reads payloads from the mock and tracks the cursor', async () => {
+  const server = await startMock(3);
+  const store = createMemoryStore();
+  const registry = createHandlerRegistry();
+  const batches = [];
+
+  registry.register('collect', async events => batches.push(events.map(event => event.type)));
+
+  try {
+    const reader = createPayloadReader({ apiUrl: server.url, baseId: BASE_ID, request, store, handlers: registry });
+
+    const first = await reader.sync(WEBHOOK_ID);
+    assert.deepEqual(first, { payloads: 4, events: 6, failedHandlers: [], cursor: 5, mightHaveMore: false });
+    assert.deepEqual(server.requests.map(item => item.params.get('cursor')), ['1', '4']);
+    assert.equal(server.requests[0].path, `/v0/bases/${BASE_ID}/webhooks/${WEBHOOK_ID}/payloads`);
+    assert.equal(batches.length, 2);
+
+    // Nothing new: the stored cursor is picked up and no handler runs
+    const second = await reader.sync(WEBHOOK_ID);
+    assert.deepEqual(second, { payloads: 0, events: 0, failedHandlers: [], cursor: 5, mightHaveMore: false });
+    assert.equal(server.requests.at(-1).params.get('cursor'), '5');
+    assert.equal(batches.length, 2);
+  } finally {
+    await server.close();
+  }
+});
+
+test('keeps the cursor when a handler fails, so the payloads are read again', async () => {
+  const server = await startMock(3);
+  const store = createMemoryStore();
+  const registry = createHandlerRegistry();
+  const seen = [];
+  let failing = true;
+
+  registry.register('index', async events => {
+    if (failing) throw new Error('Index unavailable');
+    seen.push(...events);
+  });
+
+  try {
+    const reader = createPayloadReader({ apiUrl: server.url, baseId: BASE_ID, request, store, handlers: registry, logger: quietLogger });
+
+    const failed = await reader.sync(WEBHOOK_ID);
+    assert.deepEqual(failed, { payloads: 3, events: 5, failedHandlers: ['index'], cursor: 1, mightHaveMore: true });
+    assert.deepEqual(server.requests.map(item => item.params.get('cursor')), ['1']);
+
+    failing = false;
+    const retried = await reader.sync(WEBHOOK_ID);
+    assert.deepEqual(retried, { payloads: 4, events: 6, failedHandlers: [], cursor: 5, mightHaveMore: false });
+    assert.equal(server.requests.at(-2).params.get('cursor'), '1');
+    assert.equal(seen.length, 6);
+  } finally {
+    await server.close();
+  }
+});
+
+test('serializes overlapping pings for the same webhook', async () => {
+  const server = await startMock();
+  let events = 0;
+  const registry = createHandlerRegistry();
+  registry.register('count', async batch => {
+    events += batch.length;
+  });
+
+  try {
+    const reader = createPayloadReader({
+      apiUrl: server.url,
+      baseId: BASE_ID,
+      request,
+      store: createMemoryStore(),
+      handlers: registry
+    });
+
+    await Promise.all([reader.sync(WEBHOOK_ID), reader.sync(WEBHOOK_ID)]);
+
+    assert.equal(events, 6); // Every payload handled once
+    assert.deepEqual(server.requests.map(item => item.params.get('cursor')), ['1', '5']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('handles a signed ping end to end through the proxy', async () => {
+  const server = await startMock();
+
+  Object.assign(process.env, {
+    AIRTABLE_API_KEY: API_KEY,
+    AIRTABLE_BASE_ID: BASE_ID,
+    AIRTABLE_API_URL: server.url,
+    AIRTABLE_MAX_RETRIES: '0',
+    AIRTABLE_WEBHOOKS: JSON.stringify({ [WEBHOOK_ID]: SECRET.toString('base64') }),
+    PROXY_AUTH_DISABLED: 'true'
+  });
+
+  const { default: handler } = await import('../api/airtable.js');
+  const { getWebhookHandlers } = await import('../lib/webhooks.js');
+  const received = [];
+  getWebhookHandlers().register('test', async events => received.push(...events));
+
+  const send = async (headers, body = pingBody) => {
+    const res = {
+      headers: {},
+      setHeader(name, value) {
+        this.headers[name] = value;
+      },
+      write(chunk) {
+        this.body = JSON.parse(Buffer.from(chunk).toString('utf8'));
+        return true;
+      },
+      end() {
+        return this;
+      },
+      once() {},
+      off() {}
+    };
+
+    await handler({ method: 'POST', url: '/api/airtable/webhook', headers, body }, res);
+    return res;
+  };
+
+  try {
+    const rejected = await send({ 'x-airtable-content-mac': 'hmac-sha256=00' });
+    assert.equal(rejected.statusCode, 401);
+    assert.equal(rejected.body.code, 'INVALID_SIGNATURE');
+    assert.equal(Object.keys(rejected.headers).some(name => name.toLowerCase() === 'www-authenticate'), false);
+    assert.equal(server.requests.length, 0);
+
+    const accepted = await send({ 'x-airtable-content-mac': computeWebhookMac(pingBody, SECRET) });
+    assert.equal(accepted.statusCode, 200);
+    assert.equal(accepted.body.events, 6);
+    assert.equal(accepted.body.cursor, 5);
+    assert.equal(received.length, 6);
+  } finally {
+    getWebhookHandlers().unregister('test');
+    await server.close();
+  }
+});
@@ -0,0 +1,200 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAirtableHandler } from '../lib/handler.js';
+import { parseWritePayload, executeWrites, buildWriteResponse, chunk } from '../lib/writes.js';
+import { AirtableError } from '../lib/errors.js';
+import { quietLogger } from './helpers.js';
+
+const table = { slug: 'tasks', tableId: 'tblDrUWfwkwMQM9yR', fields: null, writableFields: ['Name', 'Status'] };
+const id = index => `rec${String(index).padStart(14, '0')}`;
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+/**
+ * Creates a handler whose Airtable answers writes by echoing the records
+ * @param {Object} options - failBatch: batch number to fail with a 422
+ * @returns {{handle: Function, calls: Array<Object>}} Handler and the Airtable requests it made
+ */
+function writableProxy({ failBatch = null } = {}) {
+  const calls = [];
+  const fetch = async (url, init = {}) => {
+    const target = new URL(url);
+    const body = init.body ? JSON.parse(init.body) : null;
+    calls.push({ method: init.method || 'GET', url: target, body });
+
+    if (failBatch && calls.filter(call => call.method !== 'GET').length === failBatch) {
+      return json({ error: { type: 'INVALID_VALUE_FOR_COLUMN', message: 'Bad value' } }, 422);
+    }
+
+    if (init.method === 'DELETE') {
+      return json({ records: target.searchParams.getAll('records[]').map(recordId => ({ id: recordId, deleted: true })) });
+    }
+
+    if (init.method === 'POST' || init.method === 'PATCH') {
+      return json({
+        records: body.records.map((record, index) => ({ id: record.id || id(calls.length * 100 + index), createdTime: '2024-01-01T00:00:00.000Z', fields: { ...record.fields, Secret: 'x' } }))
+      });
+    }
+
+    return json({ records: [] });
+  };
+
+  const handle = createAirtableHandler({
+    apiKey: 'patWrites.0000',
+    baseId: 'appWritesTest0001',
+    apiUrl: 'http://airtable.test',
+    fetch,
+    tables: {
+      tasks: { tableId: 'tblDrUWfwkwMQM9yR', fields: ['Name', 'Status', 'Owner'], writableFields: ['Name', 'Status'], links: { Owner: 'people' } },
+      people: { tableId: 'tblPeople00000001', fields: ['Name'], writableFields: ['Name'] },
+      staff: { tableId: 'tblStaff000000001', writableFields: ['Name', 'Salary'], mapping: { Name: 'name', Salary: false } },
+      readonly: { tableId: 'tblReadOnly000001' }
+    },
+    auth: { disabled: true },
+    retry: { maxRetries: 0 },
+    requestsPerSecond: 1000,
+    logger: quietLogger
+  });
+
+  return { handle, calls };
+}
+
+const send = async (handle, method, path, body) => {
+  const response = await handle(new Request(`https://proxy.test${path}`, {
+    method,
+    headers: body ? { 'content-type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  }));
+  return { status: response.status, body: await response.json() };
+};
+
+test('validates create, update and delete payloads', () => {
+  assert.deepEqual(parseWritePayload('create', { records: [{ fields: { Name: 'A' } }], typecast: true }, {}, table), {
+    items: [{ fields: { Name: 'A' } }],
+    typecast: true
+  });
+  assert.deepEqual(parseWritePayload('update', { records: [{ id: id(1), fields: { Status: 'Done' } }] }, {}, table).items, [
+    { id: id(1), fields: { Status: 'Done' } }
+  ]);
+  assert.deepEqual(parseWritePayload('delete', null, { ids: `${id(1)}, ${id(2)}` }, table).items, [id(1), id(2)]);
+  assert.deepEqual(parseWritePayload('delete', { ids: [id(3)] }, {}, table).items, [id(3)]);
+
+  const rejects = (operation, body, pattern, query = {}) => assert.throws(
+    () => parseWritePayload(operation, body, query, table),
+    error => error.code === 'INVALID_BODY' && pattern.test(error.message)
+  );
+
+  rejects('create', { records: [{ fields: { Name: 'A', Owner: 'x' } }] }, /records\[0\]: field\(s\) not writable: Owner. Writable fields: Name, Status/);
+  rejects('create', { records: [{ fields: ['Name'] }] }, /"fields" must be an object/);
+  rejects('create', { records: [] }, /At least one record/);
+  rejects('create', { records: Array.from({ length: 101 }, () => ({ fields: {} })) }, /At most 100 records/);
+  rejects('create', { fields: { Name: 'A' } }, /Body must be \{ "records": \[\.\.\.\] \}/);
+  rejects('update', { records: [{ id: 'rec1', fields: { Name: 'A' } }] }, /not a valid record ID/);
+  rejects('update', { records: [{ id: id(1), fields: {} }] }, /at least one field must be updated/);
+  rejects('delete', null, /DELETE needs \?ids=/);
+  rejects('delete', null, /ids\[1\]: "nope" is not a valid record ID/, { ids: `${id(1)},nope` });
+});
+
+test('chunks into batches of 10 and keeps results in request order', async () => {
+  assert.deepEqual(chunk([1, 2, 3], 2), [[1, 2], [3]]);
+
+  const items = Array.from({ length: 25 }, (_, index) => id(index));
+  const batches = [];
+  const outcome = await executeWrites('delete', items, table, async (batch, number) => {
+    batches.push(batch.length);
+    if (number === 2) throw new AirtableError({ status: 422, type: 'ROW_DOES_NOT_EXIST', batch: number });
+    return batch.map(recordId => ({ id: recordId, deleted: true }));
+  });
+
+  assert.deepEqual(batches, [10, 10, 5]);
+  assert.deepEqual(outcome.results.map(result => result.index), items.map((_, index) => index));
+  assert.deepEqual(outcome.results.map(result => result.id), items);
+  assert.equal(outcome.results.filter(result => !result.success).length, 10);
+  assert.equal(outcome.results[10].error.code, 'AIRTABLE_INVALID_REQUEST');
+  assert.equal(outcome.results[10].error.batch, 2);
+
+  assert.equal(buildWriteResponse('delete', table, outcome).statusCode, 207);
+  assert.equal(buildWriteResponse('create', table, { results: [{ success: true }], errors: [] }).statusCode, 201);
+  assert.equal(buildWriteResponse('delete', table, { results: outcome.results.slice(10, 20), errors: outcome.errors }).statusCode, 422);
+});
+
+test('creates, updates and deletes records through the handler', async () => {
+  const { handle, calls } = writableProxy();
+  const records = Array.from({ length: 12 }, (_, index) => ({ fields: { Name: `Task ${index}` } }));
+
+  const created = await send(handle, 'POST', '/api/airtable/tasks', { records, typecast: true });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.succeeded, 12);
+  assert.deepEqual(created.body.results[0].record.fields, { Name: 'Task 0' }); // Unexposed fields are dropped
+  assert.deepEqual(calls.map(call => [call.method, call.body.records.length, call.body.typecast]), [['POST', 10, true], ['POST', 2, true]]);
+
+  const updated = await send(handle, 'PATCH', '/api/airtable/tasks', { records: [{ id: id(1), fields: { Status: 'Done' } }] });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.results[0].id, id(1));
+
+  const deleted = await send(handle, 'DELETE', `/api/airtable/tasks?ids=${id(1)},${id(2)}`);
+  assert.equal(deleted.status, 200);
+  assert.deepEqual(deleted.body.results.map(result => result.deleted), [true, true]);
+  assert.deepEqual(calls.at(-1).url.searchParams.getAll('records[]'), [id(1), id(2)]);
+});
+
+test('enforces writableFields before calling Airtable', async () => {
+  const { handle, calls } = writableProxy();
+
+  const notWritable = await send(handle, 'POST', '/api/airtable/tasks', { records: [{ fields: { Name: 'A', Secret: 'x' } }] });
+  assert.equal(notWritable.status, 400);
+  assert.equal(notWritable.body.code, 'INVALID_BODY');
+  assert.match(notWritable.body.message, /not writable: Secret/);
+
+  const readOnly = await send(handle, 'POST', '/api/airtable/readonly', { records: [{ fields: { Name: 'A' } }] });
+  assert.equal(readOnly.status, 405);
+  assert.match(readOnly.body.message, /read-only/);
+
+  const notJson = await handle(new Request('https://proxy.test/api/airtable/tasks', { method: 'POST', body: '{oops' }));
+  assert.equal(notJson.status, 400);
+
+  assert.equal(calls.length, 0);
+});
+
+test('reports a failed batch without failing the others', async () => {
+  const { handle } = writableProxy({ failBatch: 1 });
+  const records = Array.from({ length: 15 }, (_, index) => ({ fields: { Name: `Task ${index}` } }));
+
+  const { status, body } = await send(handle, 'POST', '/api/airtable/tasks', { records });
+
+  assert.equal(status, 207);
+  assert.equal(body.partial, true);
+  assert.deepEqual([body.succeeded, body.failed], [5, 10]);
+  assert.equal(body.results[0].error.upstream.type, 'INVALID_VALUE_FOR_COLUMN');
+});
+
+test('clears cached reads of the written table and of the tables linking to it', async () => {
+  const { handle } = writableProxy();
+  const cacheStatus = async path => (await handle(new Request(`https://proxy.test${path}`))).headers.get('x-cache');
+
+  for (const path of ['/api/airtable/tasks', '/api/airtable/people', '/api/airtable/readonly']) {
+    await cacheStatus(path);
+    assert.equal(await cacheStatus(path), 'HIT', path);
+  }
+
+  const created = await send(handle, 'POST', '/api/airtable/people', { records: [{ fields: { Name: 'Grace' } }] });
+  assert.equal(created.status, 201);
+
+  assert.equal(await cacheStatus('/api/airtable/people'), 'MISS');
+  assert.equal(await cacheStatus('/api/airtable/tasks'), 'MISS'); // ?expand=Owner responses inline people
+  assert.equal(await cacheStatus('/api/airtable/readonly'), 'HIT');
+});
+
+test('leaves fields hidden by the mapping out of write results, shaped like reads', async () => {
+  const { handle } = writableProxy();
+  const records = [{ fields: { Name: 'Ada', Salary: 100 } }];
+
+  const flat = await send(handle, 'POST', '/api/airtable/staff', { records });
+  assert.equal(flat.status, 201);
+  const { id: recordId, ...record } = flat.body.results[0].record;
+  assert.deepEqual(record, { createdTime: '2024-01-01T00:00:00.000Z', name: 'Ada', Secret: 'x' });
+  assert.equal(recordId, flat.body.results[0].id);
+
+  const raw = await send(handle, 'POST', '/api/airtable/staff?shape=raw', { records });
+  assert.deepEqual(raw.body.results[0].record.fields, { Name: 'Ada', Secret: 'x' });
+});
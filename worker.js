@@ -0,0 +1,13 @@
+/**
+ * Cloudflare Worker
+ * 
+ * Entry point for Cloudflare Workers (wrangler.toml: main = "worker.js",
+ * compatibility_flags = ["nodejs_compat"]). The proxy itself lives in
+ * lib/handler.js and is configured from the Worker's variables and secrets,
+ * named like the environment variables listed there.
+ */
+
+import { createEnvHandler } from './lib/handler.js';
+import { createWorker } from './lib/adapters/cloudflare.js';
+
+export default createWorker(createEnvHandler());